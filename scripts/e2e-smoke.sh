@@ -52,6 +52,32 @@ curl -fsS -X POST "$BASE_URL/t/$DEMO_SLUG/submit" \
 info "List active coupons (demo)"
 curl -fsS "$BASE_URL/t/$DEMO_SLUG/api/store/coupons/active" -b cookies_demo.txt | jq '.[0]'
 
+# Concurrency: only one of N parallel burns of the same single-use code may succeed
+PARALLEL=${PARALLEL:-10}
+info "Concurrent redeem x$PARALLEL (demo)"
+curl -fsS -X POST "$BASE_URL/t/$DEMO_SLUG/submit" \
+  -H 'Content-Type: application/x-www-form-urlencoded' \
+  -d "email=e2e_race@example.com&firstName=E2E&lastName=Race&campaign_id=$DEMO_CODE" -o /dev/null
+DEMO_COUPON=$(curl -fsS "$BASE_URL/t/$DEMO_SLUG/api/store/coupons/active" -b cookies_demo.txt | jq -r '[.[] | select(.email=="e2e_race@example.com")][0].code')
+for i in $(seq 1 "$PARALLEL"); do
+  curl -sS -o /dev/null -w '%{http_code}\n' -X POST "$BASE_URL/t/$DEMO_SLUG/api/coupons/$DEMO_COUPON/redeem" -b cookies_demo.txt > "redeem_$i.status" &
+done
+wait
+WINNERS=$(cat redeem_*.status | grep -c '^200$' || true)
+rm -f redeem_*.status
+[ "$WINNERS" -eq 1 ] && echo "[OK] Exactly one redeem succeeded" || { echo "[ERROR] $WINNERS concurrent redeems succeeded"; exit 1; }
+
+# Idempotency: a retry with the same Idempotency-Key replays the original result
+info "Idempotent redeem retry (demo)"
+curl -fsS -X POST "$BASE_URL/t/$DEMO_SLUG/submit" \
+  -H 'Content-Type: application/x-www-form-urlencoded' \
+  -d "email=e2e_idem@example.com&firstName=E2E&lastName=Idem&campaign_id=$DEMO_CODE" -o /dev/null
+IDEM_COUPON=$(curl -fsS "$BASE_URL/t/$DEMO_SLUG/api/store/coupons/active" -b cookies_demo.txt | jq -r '[.[] | select(.email=="e2e_idem@example.com")][0].code')
+IDEM_KEY="e2e-$(date +%s)-$RANDOM"
+FIRST=$(curl -fsS -X POST "$BASE_URL/t/$DEMO_SLUG/api/coupons/$IDEM_COUPON/redeem" -H "Idempotency-Key: $IDEM_KEY" -b cookies_demo.txt)
+SECOND=$(curl -fsS -X POST "$BASE_URL/t/$DEMO_SLUG/api/coupons/$IDEM_COUPON/redeem" -H "Idempotency-Key: $IDEM_KEY" -b cookies_demo.txt)
+[ "$FIRST" = "$SECOND" ] && echo "[OK] Retry replayed the original result" || { echo "[ERROR] Retry returned: $SECOND"; exit 1; }
+
 # Isolation: ensure default tenant cannot see demo campaign
 info "Ensure default cannot see demo campaigns"
 curl -fsS "$BASE_URL/t/$DEFAULT_SLUG/api/admin/campaigns" -b cookies_default.txt | jq '.[] | select(.name=="CampaignDemo")' | grep -q . && { echo "[ERROR] Leakage detected"; exit 1; } || echo "[OK] No leakage"
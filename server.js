@@ -9,8 +9,16 @@ const session = require('express-session');
 const sqlite3 = require('sqlite3').verbose();
 const { open } = require('sqlite');
 const QRCode = require('qrcode');
+const archiver = require('archiver');
+const PDFDocument = require('pdfkit');
+const forge = require('node-forge');
+const { PNG } = require('pngjs');
+const bwipjs = require('bwip-js');
 const nodemailer = require('nodemailer');
 const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { promisify } = require('util');
 // Mailgun SDK
 const formData = require('form-data');
 const Mailgun = require('mailgun.js');
@@ -413,7 +421,7 @@ async function getDb() {
         CREATE TABLE IF NOT EXISTS coupons (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
             code TEXT NOT NULL UNIQUE,
-            user_id INTEGER NOT NULL,
+            user_id INTEGER,
             campaign_id INTEGER,
             discount_type TEXT NOT NULL DEFAULT 'percent',
             discount_value TEXT NOT NULL,
@@ -815,6 +823,537 @@ async function getDb() {
             `);
         }
         
+        // Coupon expiry: campaign rules + per-coupon expiry timestamp
+        const expiryCampaignCols = (await db.all("PRAGMA table_info(campaigns)")).map(c => c.name);
+        if (!expiryCampaignCols.includes('coupon_expiry_date')) {
+            console.log('Adding coupon_expiry_date column to campaigns...');
+            await db.exec('ALTER TABLE campaigns ADD COLUMN coupon_expiry_date DATETIME');
+        }
+        if (!expiryCampaignCols.includes('coupon_validity_days')) {
+            console.log('Adding coupon_validity_days column to campaigns...');
+            await db.exec('ALTER TABLE campaigns ADD COLUMN coupon_validity_days INTEGER');
+        }
+        // Per-campaign coupon code pattern (JSON, see parseCampaignCodeFormat)
+        if (!expiryCampaignCols.includes('code_format')) {
+            console.log('Adding code_format column to campaigns...');
+            await db.exec('ALTER TABLE campaigns ADD COLUMN code_format TEXT');
+        }
+        // Barcode symbology for email/PDF/store pages (JSON, see parseCampaignBarcodeFormat)
+        if (!expiryCampaignCols.includes('barcode_format')) {
+            console.log('Adding barcode_format column to campaigns...');
+            await db.exec('ALTER TABLE campaigns ADD COLUMN barcode_format TEXT');
+        }
+        // Scheduling window (UTC); the campaign only accepts submissions between the two
+        if (!expiryCampaignCols.includes('starts_at')) {
+            console.log('Adding starts_at column to campaigns...');
+            await db.exec('ALTER TABLE campaigns ADD COLUMN starts_at DATETIME');
+        }
+        if (!expiryCampaignCols.includes('ends_at')) {
+            console.log('Adding ends_at column to campaigns...');
+            await db.exec('ALTER TABLE campaigns ADD COLUMN ends_at DATETIME');
+        }
+        // Issuance caps: total coupons from the public form and coupons per customer (NULL = unlimited)
+        if (!expiryCampaignCols.includes('max_coupons')) {
+            console.log('Adding max_coupons column to campaigns...');
+            await db.exec('ALTER TABLE campaigns ADD COLUMN max_coupons INTEGER');
+        }
+        if (!expiryCampaignCols.includes('max_per_customer')) {
+            console.log('Adding max_per_customer column to campaigns...');
+            await db.exec('ALTER TABLE campaigns ADD COLUMN max_per_customer INTEGER');
+        }
+        const scheduleTenantCols = (await db.all("PRAGMA table_info(tenants)")).map(c => c.name);
+        if (!scheduleTenantCols.includes('timezone')) {
+            console.log('Adding timezone column to tenants...');
+            await db.exec('ALTER TABLE tenants ADD COLUMN timezone TEXT');
+        }
+        const expiryCouponCols = (await db.all("PRAGMA table_info(coupons)")).map(c => c.name);
+        if (!expiryCouponCols.includes('expires_at')) {
+            console.log('Adding expires_at column to coupons...');
+            await db.exec('ALTER TABLE coupons ADD COLUMN expires_at DATETIME');
+        }
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_coupons_status_expires ON coupons(status, expires_at)');
+
+        // Multi-use coupons: campaign max_uses, per-coupon usage counter and stored-value balance.
+        // A NULL max_uses means single use, except for fixed discounts where the balance is the only limit.
+        const usesCampaignCols = (await db.all("PRAGMA table_info(campaigns)")).map(c => c.name);
+        if (!usesCampaignCols.includes('max_uses')) {
+            console.log('Adding max_uses column to campaigns...');
+            await db.exec('ALTER TABLE campaigns ADD COLUMN max_uses INTEGER');
+        }
+        const usesCouponCols = (await db.all("PRAGMA table_info(coupons)")).map(c => c.name);
+        if (!usesCouponCols.includes('max_uses')) {
+            console.log('Adding max_uses column to coupons...');
+            await db.exec('ALTER TABLE coupons ADD COLUMN max_uses INTEGER');
+        }
+        if (!usesCouponCols.includes('uses_count')) {
+            console.log('Adding uses_count column to coupons...');
+            await db.exec('ALTER TABLE coupons ADD COLUMN uses_count INTEGER DEFAULT 0');
+            await db.exec("UPDATE coupons SET uses_count = 1 WHERE status = 'redeemed'");
+        }
+        if (!usesCouponCols.includes('balance')) {
+            console.log('Adding balance column to coupons...');
+            await db.exec('ALTER TABLE coupons ADD COLUMN balance REAL');
+            await db.exec("UPDATE coupons SET balance = CASE WHEN status = 'redeemed' THEN 0 ELSE CAST(discount_value AS REAL) END WHERE discount_type = 'fixed'");
+        }
+
+        // Check if coupon_redemptions table exists
+        const redemptionsTable = await db.all("SELECT name FROM sqlite_master WHERE type='table' AND name='coupon_redemptions'");
+        if (redemptionsTable.length === 0) {
+            console.log('Creating coupon_redemptions table...');
+            await db.exec(`
+                CREATE TABLE coupon_redemptions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    coupon_id INTEGER NOT NULL,
+                    tenant_id INTEGER,
+                    amount REAL,
+                    operator_id INTEGER,
+                    redeemed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE,
+                    FOREIGN KEY (operator_id) REFERENCES auth_users(id) ON DELETE SET NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id);
+            `);
+        }
+
+        // Void / reverse / reissue bookkeeping
+        const correctionCouponCols = (await db.all("PRAGMA table_info(coupons)")).map(c => c.name);
+        if (!correctionCouponCols.includes('void_reason')) {
+            console.log('Adding void_reason column to coupons...');
+            await db.exec('ALTER TABLE coupons ADD COLUMN void_reason TEXT');
+        }
+        if (!correctionCouponCols.includes('voided_at')) {
+            console.log('Adding voided_at column to coupons...');
+            await db.exec('ALTER TABLE coupons ADD COLUMN voided_at DATETIME');
+        }
+        if (!correctionCouponCols.includes('superseded_by')) {
+            console.log('Adding superseded_by column to coupons...');
+            await db.exec('ALTER TABLE coupons ADD COLUMN superseded_by INTEGER REFERENCES coupons(id)');
+        }
+        if (!correctionCouponCols.includes('reissued_from')) {
+            console.log('Adding reissued_from column to coupons...');
+            await db.exec('ALTER TABLE coupons ADD COLUMN reissued_from INTEGER REFERENCES coupons(id)');
+        }
+        const redemptionCols = (await db.all("PRAGMA table_info(coupon_redemptions)")).map(c => c.name);
+        if (!redemptionCols.includes('reversed_at')) {
+            console.log('Adding reversed_at column to coupon_redemptions...');
+            await db.exec('ALTER TABLE coupon_redemptions ADD COLUMN reversed_at DATETIME');
+        }
+        if (!redemptionCols.includes('location')) {
+            console.log('Adding location column to coupon_redemptions...');
+            await db.exec('ALTER TABLE coupon_redemptions ADD COLUMN location TEXT');
+        }
+        if (!redemptionCols.includes('receipt_ref')) {
+            console.log('Adding receipt_ref column to coupon_redemptions...');
+            await db.exec('ALTER TABLE coupon_redemptions ADD COLUMN receipt_ref TEXT');
+        }
+
+        // Pre-printed batches: coupons can exist before a customer claims them, so user_id becomes nullable.
+        // SQLite cannot drop NOT NULL in place: rebuild the table from its own definition.
+        const couponUserCol = (await db.all("PRAGMA table_info(coupons)")).find(c => c.name === 'user_id');
+        if (couponUserCol && couponUserCol.notnull) {
+            console.log('Making user_id nullable on coupons...');
+            const tableSql = (await db.get("SELECT sql FROM sqlite_master WHERE type='table' AND name='coupons'")).sql;
+            const indexSqls = (await db.all("SELECT sql FROM sqlite_master WHERE type='index' AND tbl_name='coupons' AND sql IS NOT NULL")).map(r => r.sql);
+            const columns = (await db.all("PRAGMA table_info(coupons)")).map(c => c.name).join(', ');
+            await db.exec('BEGIN');
+            try {
+                await db.exec(tableSql
+                    .replace(/CREATE TABLE\s+(IF NOT EXISTS\s+)?["`]?coupons["`]?/i, 'CREATE TABLE coupons_new')
+                    .replace(/user_id\s+INTEGER\s+NOT\s+NULL/i, 'user_id INTEGER'));
+                await db.exec(`INSERT INTO coupons_new (${columns}) SELECT ${columns} FROM coupons`);
+                await db.exec('DROP TABLE coupons');
+                await db.exec('ALTER TABLE coupons_new RENAME TO coupons');
+                for (const sql of indexSqls) await db.exec(sql);
+                await db.exec('COMMIT');
+            } catch (e) {
+                await db.exec('ROLLBACK');
+                throw e;
+            }
+        }
+        const batchCouponCols = (await db.all("PRAGMA table_info(coupons)")).map(c => c.name);
+        if (!batchCouponCols.includes('batch_id')) {
+            console.log('Adding batch_id column to coupons...');
+            await db.exec('ALTER TABLE coupons ADD COLUMN batch_id INTEGER');
+        }
+        if (!batchCouponCols.includes('claimed_at')) {
+            console.log('Adding claimed_at column to coupons...');
+            await db.exec('ALTER TABLE coupons ADD COLUMN claimed_at DATETIME');
+        }
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_coupons_batch ON coupons(batch_id)');
+
+        // Printable PDF coupons: tokenised download link + tenant branding (logo from uploads, terms)
+        const pdfCouponCols = (await db.all("PRAGMA table_info(coupons)")).map(c => c.name);
+        if (!pdfCouponCols.includes('pdf_token')) {
+            console.log('Adding pdf_token column to coupons...');
+            await db.exec('ALTER TABLE coupons ADD COLUMN pdf_token TEXT');
+        }
+        await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS ux_coupons_pdf_token ON coupons(pdf_token)');
+        const pdfTenantCols = (await db.all("PRAGMA table_info(tenants)")).map(c => c.name);
+        if (!pdfTenantCols.includes('coupon_logo_url')) {
+            console.log('Adding coupon_logo_url column to tenants...');
+            await db.exec('ALTER TABLE tenants ADD COLUMN coupon_logo_url TEXT');
+        }
+        if (!pdfTenantCols.includes('coupon_terms')) {
+            console.log('Adding coupon_terms column to tenants...');
+            await db.exec('ALTER TABLE tenants ADD COLUMN coupon_terms TEXT');
+        }
+
+        // Check if tenant_wallet_settings table exists
+        const walletSettingsTable = await db.all("SELECT name FROM sqlite_master WHERE type='table' AND name='tenant_wallet_settings'");
+        if (walletSettingsTable.length === 0) {
+            console.log('Creating tenant_wallet_settings table...');
+            await db.exec(`
+                CREATE TABLE tenant_wallet_settings (
+                    tenant_id INTEGER PRIMARY KEY,
+                    background_color TEXT,
+                    apple_pass_type_id TEXT,
+                    apple_team_id TEXT,
+                    apple_certificate TEXT,
+                    apple_private_key TEXT,
+                    apple_key_passphrase TEXT,
+                    apple_wwdr_certificate TEXT,
+                    google_issuer_id TEXT,
+                    google_service_account_email TEXT,
+                    google_private_key TEXT,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+        // Private keys and passphrase are stored encrypted with encryptSetting; encrypt rows saved in plaintext
+        const plainWalletRows = await db.all(
+            `SELECT tenant_id, apple_private_key, apple_key_passphrase, google_private_key FROM tenant_wallet_settings
+             WHERE apple_private_key NOT LIKE 'v1:%' OR apple_key_passphrase NOT LIKE 'v1:%' OR google_private_key NOT LIKE 'v1:%'`
+        );
+        if (plainWalletRows.length > 0 && !SETTINGS_ENCRYPTION_KEY) {
+            console.error('Wallet private keys stored in plaintext are left as they are until SETTINGS_ENCRYPTION_KEY is set');
+        } else if (plainWalletRows.length > 0) {
+            console.log('Encrypting wallet private keys...');
+            const encrypt = (value) => (value && !value.startsWith('v1:') ? encryptSetting(value) : value);
+            for (const row of plainWalletRows) {
+                await db.run(
+                    'UPDATE tenant_wallet_settings SET apple_private_key = ?, apple_key_passphrase = ?, google_private_key = ? WHERE tenant_id = ?',
+                    encrypt(row.apple_private_key), encrypt(row.apple_key_passphrase), encrypt(row.google_private_key), row.tenant_id
+                );
+            }
+        }
+
+        // Per-tenant email provider: connection settings and secrets are stored encrypted in `credentials`
+        const emailSettingsTable = await db.all("SELECT name FROM sqlite_master WHERE type='table' AND name='tenant_email_settings'");
+        if (emailSettingsTable.length === 0) {
+            console.log('Creating tenant_email_settings table...');
+            await db.exec(`
+                CREATE TABLE tenant_email_settings (
+                    tenant_id INTEGER PRIMARY KEY,
+                    provider TEXT NOT NULL, -- smtp | mailgun
+                    from_address TEXT NOT NULL,
+                    reply_to TEXT,
+                    credentials TEXT NOT NULL,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+
+        // Sending domains registered by tenants, with the DNS records to publish and the last check result
+        const tenantDomainsTable = await db.all("SELECT name FROM sqlite_master WHERE type='table' AND name='tenant_domains'");
+        if (tenantDomainsTable.length === 0) {
+            console.log('Creating tenant_domains table...');
+            await db.exec(`
+                CREATE TABLE tenant_domains (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tenant_id INTEGER NOT NULL,
+                    domain TEXT NOT NULL UNIQUE,
+                    status TEXT NOT NULL DEFAULT 'pending', -- pending | verified | active | suspended
+                    suspended_reason TEXT, -- dns | admin
+                    verification_token TEXT NOT NULL,
+                    dns_records TEXT, -- JSON: records to publish, each with the outcome of the last check
+                    last_checked_at DATETIME,
+                    verified_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.exec('CREATE INDEX idx_tenant_domains_tenant ON tenant_domains(tenant_id, status)');
+        }
+        const tenantDomainCols = (await db.all('PRAGMA table_info(tenant_domains)')).map(c => c.name);
+        if (!tenantDomainCols.includes('dkim_selector')) {
+            console.log('Adding DKIM key columns to tenant_domains...');
+            await db.exec('ALTER TABLE tenant_domains ADD COLUMN dkim_selector TEXT');
+            await db.exec('ALTER TABLE tenant_domains ADD COLUMN dkim_public_key TEXT'); // base64 SPKI, published as p=
+            await db.exec('ALTER TABLE tenant_domains ADD COLUMN dkim_private_key TEXT'); // PEM, encrypted with encryptSetting
+        }
+
+        // Check if coupon_batches table exists
+        const couponBatchesTable = await db.all("SELECT name FROM sqlite_master WHERE type='table' AND name='coupon_batches'");
+        if (couponBatchesTable.length === 0) {
+            console.log('Creating coupon_batches table...');
+            await db.exec(`
+                CREATE TABLE coupon_batches (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tenant_id INTEGER,
+                    campaign_id INTEGER NOT NULL,
+                    quantity INTEGER NOT NULL,
+                    label TEXT,
+                    created_by INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+
+        // Check if campaign_waitlist table exists
+        const campaignWaitlistTable = await db.all("SELECT name FROM sqlite_master WHERE type='table' AND name='campaign_waitlist'");
+        if (campaignWaitlistTable.length === 0) {
+            console.log('Creating campaign_waitlist table...');
+            await db.exec(`
+                CREATE TABLE campaign_waitlist (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tenant_id INTEGER,
+                    campaign_id INTEGER NOT NULL,
+                    email TEXT NOT NULL,
+                    first_name TEXT,
+                    last_name TEXT,
+                    phone TEXT,
+                    custom_data TEXT, -- JSON: the campaign's custom form fields
+                    redeem_base_url TEXT, -- where the customer signed up (e.g. https://host/t/slug), for the link in the email
+                    status TEXT NOT NULL DEFAULT 'pending', -- pending | issued | skipped
+                    coupon_id INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    processed_at DATETIME
+                )
+            `);
+            await db.exec('CREATE INDEX idx_campaign_waitlist_queue ON campaign_waitlist(campaign_id, status, id)');
+            // One pending entry per address and campaign: joining twice keeps the original place in the queue
+            await db.exec("CREATE UNIQUE INDEX idx_campaign_waitlist_pending ON campaign_waitlist(campaign_id, LOWER(email)) WHERE status = 'pending'");
+        }
+
+        // A/B variants: each coupon remembers the variant it was issued under
+        const campaignVariantsTable = await db.all("SELECT name FROM sqlite_master WHERE type='table' AND name='campaign_variants'");
+        if (campaignVariantsTable.length === 0) {
+            console.log('Creating campaign_variants table...');
+            await db.exec(`
+                CREATE TABLE campaign_variants (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    campaign_id INTEGER NOT NULL,
+                    label TEXT NOT NULL,
+                    weight INTEGER NOT NULL DEFAULT 1,
+                    discount_type TEXT NOT NULL,
+                    discount_value TEXT NOT NULL,
+                    email_subject TEXT,
+                    landing_text TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+        if (!(await db.all("PRAGMA table_info(coupons)")).some(c => c.name === 'variant_id')) {
+            console.log('Adding variant_id column to coupons...');
+            await db.exec('ALTER TABLE coupons ADD COLUMN variant_id INTEGER REFERENCES campaign_variants(id)');
+        }
+
+        // Referral campaigns: every coupon carries a share token, referrals link referrer and friend
+        const referralCampaignCols = (await db.all("PRAGMA table_info(campaigns)")).map(c => c.name);
+        if (!referralCampaignCols.includes('campaign_type')) {
+            console.log('Adding campaign_type column to campaigns...');
+            await db.exec("ALTER TABLE campaigns ADD COLUMN campaign_type TEXT DEFAULT 'standard'"); // standard | referral | instant_win
+        }
+        if (!referralCampaignCols.includes('referral_reward')) {
+            console.log('Adding referral_reward column to campaigns...');
+            await db.exec('ALTER TABLE campaigns ADD COLUMN referral_reward TEXT'); // JSON: { discount_type, discount_value }
+        }
+        const referralCouponCols = (await db.all("PRAGMA table_info(coupons)")).map(c => c.name);
+        if (!referralCouponCols.includes('referral_token')) {
+            console.log('Adding referral_token column to coupons...');
+            await db.exec('ALTER TABLE coupons ADD COLUMN referral_token TEXT');
+            await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_coupons_referral_token ON coupons(referral_token) WHERE referral_token IS NOT NULL');
+        }
+        if (!referralCouponCols.includes('signup_ip_hash')) {
+            console.log('Adding signup_ip_hash column to coupons...');
+            await db.exec('ALTER TABLE coupons ADD COLUMN signup_ip_hash TEXT');
+        }
+        if (!referralCouponCols.includes('referral_reward_for')) {
+            console.log('Adding referral_reward_for column to coupons...');
+            await db.exec('ALTER TABLE coupons ADD COLUMN referral_reward_for INTEGER'); // referrals.id the coupon rewards
+        }
+        const referralsTable = await db.all("SELECT name FROM sqlite_master WHERE type='table' AND name='referrals'");
+        if (referralsTable.length === 0) {
+            console.log('Creating referrals table...');
+            await db.exec(`
+                CREATE TABLE referrals (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tenant_id INTEGER,
+                    campaign_id INTEGER NOT NULL,
+                    referrer_coupon_id INTEGER NOT NULL,
+                    referrer_user_id INTEGER,
+                    referred_coupon_id INTEGER NOT NULL UNIQUE,
+                    referred_user_id INTEGER,
+                    status TEXT NOT NULL DEFAULT 'pending', -- pending | rewarded | rejected
+                    reject_reason TEXT, -- self_email | self_ip | existing_customer
+                    reward_coupon_id INTEGER,
+                    redeem_base_url TEXT, -- where the friend signed up, for the link in the reward email
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    rewarded_at DATETIME
+                )
+            `);
+            await db.exec('CREATE INDEX idx_referrals_referrer ON referrals(referrer_user_id, status)');
+            await db.exec('CREATE INDEX idx_referrals_campaign ON referrals(campaign_id, created_at)');
+        }
+
+        // Instant-win campaigns: prize table, message for non-winners and the draw log
+        if (!(await db.all("PRAGMA table_info(campaigns)")).some(c => c.name === 'consolation_message')) {
+            console.log('Adding consolation_message column to campaigns...');
+            await db.exec('ALTER TABLE campaigns ADD COLUMN consolation_message TEXT');
+        }
+        const campaignPrizesTable = await db.all("SELECT name FROM sqlite_master WHERE type='table' AND name='campaign_prizes'");
+        if (campaignPrizesTable.length === 0) {
+            console.log('Creating campaign_prizes table...');
+            await db.exec(`
+                CREATE TABLE campaign_prizes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    campaign_id INTEGER NOT NULL,
+                    label TEXT NOT NULL,
+                    probability REAL NOT NULL, -- chance per draw, 0..1; what the prizes leave is "no prize"
+                    quantity INTEGER, -- stock, NULL = unlimited
+                    awarded_count INTEGER NOT NULL DEFAULT 0,
+                    discount_type TEXT NOT NULL,
+                    discount_value TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+        if (!(await db.all("PRAGMA table_info(coupons)")).some(c => c.name === 'prize_id')) {
+            console.log('Adding prize_id column to coupons...');
+            await db.exec('ALTER TABLE coupons ADD COLUMN prize_id INTEGER REFERENCES campaign_prizes(id)');
+        }
+        const prizeDrawsTable = await db.all("SELECT name FROM sqlite_master WHERE type='table' AND name='prize_draws'");
+        if (prizeDrawsTable.length === 0) {
+            console.log('Creating prize_draws table...');
+            await db.exec(`
+                CREATE TABLE prize_draws (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tenant_id INTEGER,
+                    campaign_id INTEGER NOT NULL,
+                    user_id INTEGER,
+                    email TEXT NOT NULL,
+                    seed TEXT NOT NULL, -- random seed; roll = first 48 bits of SHA-256(seed) / 2^48
+                    roll REAL NOT NULL,
+                    odds TEXT NOT NULL, -- JSON: prize table at draw time [{ id, label, probability, quantity, awarded }]
+                    outcome TEXT NOT NULL, -- pending | won | lost | out_of_stock | cancelled
+                    prize_id INTEGER,
+                    coupon_id INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.exec('CREATE INDEX idx_prize_draws_campaign ON prize_draws(campaign_id, email)');
+        }
+
+        // Discount rules: structured conditions checked against the basket at redemption
+        if (!(await db.all("PRAGMA table_info(campaigns)")).some(c => c.name === 'discount_rules')) {
+            console.log('Adding discount_rules column to campaigns...');
+            await db.exec('ALTER TABLE campaigns ADD COLUMN discount_rules TEXT'); // JSON, see parseCampaignDiscountRules
+        }
+        if (!(await db.all("PRAGMA table_info(campaigns)")).some(c => c.name === 'stacking')) {
+            console.log('Adding stacking column to campaigns...');
+            await db.exec("ALTER TABLE campaigns ADD COLUMN stacking TEXT DEFAULT 'exclusive'"); // exclusive | same_campaign | any
+        }
+
+        // Email outbox: coupon emails are queued and delivered by a background worker with retries
+        const emailOutboxTable = await db.all("SELECT name FROM sqlite_master WHERE type='table' AND name='email_outbox'");
+        if (emailOutboxTable.length === 0) {
+            console.log('Creating email_outbox table...');
+            await db.exec(`
+                CREATE TABLE email_outbox (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tenant_id INTEGER,
+                    coupon_id INTEGER, -- barcode and PDF attachments are rendered from the coupon at send time
+                    redemption_url TEXT,
+                    to_email TEXT NOT NULL,
+                    from_address TEXT NOT NULL,
+                    subject TEXT NOT NULL,
+                    html TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'pending', -- pending | sending | sent | failed
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    last_error TEXT,
+                    provider_message_id TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    sent_at DATETIME
+                )
+            `);
+            await db.exec('CREATE INDEX idx_email_outbox_due ON email_outbox(status, next_attempt_at)');
+            await db.exec('CREATE INDEX idx_email_outbox_tenant ON email_outbox(tenant_id, status)');
+        }
+
+        // Check if campaign_templates table exists
+        const campaignTemplatesTable = await db.all("SELECT name FROM sqlite_master WHERE type='table' AND name='campaign_templates'");
+        if (campaignTemplatesTable.length === 0) {
+            console.log('Creating campaign_templates table...');
+            await db.exec(`
+                CREATE TABLE campaign_templates (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tenant_id INTEGER NOT NULL,
+                    name TEXT NOT NULL,
+                    settings TEXT NOT NULL, -- JSON snapshot, see campaignSettingsSnapshot
+                    created_by INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(tenant_id, name)
+                )
+            `);
+        }
+
+        // Check if locations table exists
+        const locationsTable = await db.all("SELECT name FROM sqlite_master WHERE type='table' AND name='locations'");
+        if (locationsTable.length === 0) {
+            console.log('Creating locations table...');
+            await db.exec(`
+                CREATE TABLE locations (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tenant_id INTEGER NOT NULL,
+                    name TEXT NOT NULL,
+                    address TEXT,
+                    opening_hours TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+                    UNIQUE(tenant_id, name)
+                );
+                CREATE TABLE IF NOT EXISTS auth_user_locations (
+                    auth_user_id INTEGER NOT NULL,
+                    location_id INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (auth_user_id) REFERENCES auth_users(id) ON DELETE CASCADE,
+                    FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE CASCADE,
+                    PRIMARY KEY (auth_user_id, location_id)
+                );
+                CREATE TABLE IF NOT EXISTS campaign_locations (
+                    campaign_id INTEGER NOT NULL,
+                    location_id INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE,
+                    FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE CASCADE,
+                    PRIMARY KEY (campaign_id, location_id)
+                );
+            `);
+        }
+        if (!(await db.all("PRAGMA table_info(coupon_redemptions)")).some(c => c.name === 'location_id')) {
+            console.log('Adding location_id column to coupon_redemptions...');
+            await db.exec('ALTER TABLE coupon_redemptions ADD COLUMN location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL');
+        }
+
+        // Check if idempotency_keys table exists
+        const idempotencyTable = await db.all("SELECT name FROM sqlite_master WHERE type='table' AND name='idempotency_keys'");
+        if (idempotencyTable.length === 0) {
+            console.log('Creating idempotency_keys table...');
+            await db.exec(`
+                CREATE TABLE idempotency_keys (
+                    scope TEXT NOT NULL,
+                    idem_key TEXT NOT NULL,
+                    request_hash TEXT NOT NULL,
+                    status_code INTEGER,
+                    response TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (scope, idem_key)
+                );
+                CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at);
+            `);
+        }
+
         // Re-enable foreign keys after migration
         await db.exec('PRAGMA foreign_keys = ON');
         
@@ -844,15 +1383,72 @@ async function getDb() {
     return db;
 }
 
+// Transactions
+// Requests share the connection above, so a transaction opened on it would take in the statements of
+// concurrent requests. withTransaction runs `work` on a second connection inside BEGIN IMMEDIATE … COMMIT,
+// rolling back if it throws; transactions take turns on that connection and writers on the shared one wait
+// for the lock (busy_timeout). `work` must use the connection it is given for every write.
+let transactionDb = null;
+let transactionQueue = Promise.resolve();
+
+async function withTransaction(work) {
+    const run = async () => {
+        if (!transactionDb) {
+            await getDb();
+            transactionDb = await open({ filename: path.join(DATA_DIR, 'coupons.db'), driver: sqlite3.Database });
+            await transactionDb.exec('PRAGMA busy_timeout = 30000; PRAGMA foreign_keys = ON;');
+        }
+        await transactionDb.exec('BEGIN IMMEDIATE');
+        try {
+            const result = await work(transactionDb);
+            await transactionDb.exec('COMMIT');
+            return result;
+        } catch (err) {
+            await transactionDb.exec('ROLLBACK');
+            throw err;
+        }
+    };
+    const result = transactionQueue.then(run, run);
+    transactionQueue = result.catch(() => {});
+    return result;
+}
+
 // Email transport
-function buildTransport() {
-    // Prefer Mailgun when configured
+const PLATFORM_MAIL_FROM = process.env.MAIL_FROM || process.env.MAILGUN_FROM || 'CouponGen <no-reply@send.coupongen.it>';
+
+// Platform provider from env: Mailgun when configured, else SMTP, else JSON (dev)
+function platformMailConfig() {
     if ((process.env.MAIL_PROVIDER || '').toLowerCase() === 'mailgun' && process.env.MAILGUN_API_KEY && process.env.MAILGUN_DOMAIN) {
+        return {
+            provider: 'mailgun',
+            apiKey: process.env.MAILGUN_API_KEY,
+            domain: process.env.MAILGUN_DOMAIN,
+            region: process.env.MAILGUN_REGION || 'eu',
+            from: process.env.MAILGUN_FROM || 'CouponGen <no-reply@send.coupongen.it>',
+            replyTo: process.env.MAILGUN_REPLY_TO || null,
+            tracking: process.env.MAILGUN_TRACKING !== 'false'
+        };
+    }
+    if (process.env.SMTP_HOST) {
+        return {
+            provider: 'smtp',
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT || 587),
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER || null,
+            pass: process.env.SMTP_PASS
+        };
+    }
+    return { provider: 'json' };
+}
+
+function buildTransport(config = platformMailConfig()) {
+    if (config.provider === 'mailgun') {
         const mailgun = new Mailgun(formData);
         const mg = mailgun.client({
             username: 'api',
-            key: process.env.MAILGUN_API_KEY,
-            url: (process.env.MAILGUN_REGION || 'eu') === 'us' ? 'https://api.mailgun.net' : 'https://api.eu.mailgun.net',
+            key: config.apiKey,
+            url: config.region === 'us' ? 'https://api.mailgun.net' : 'https://api.eu.mailgun.net',
             timeout: 30000  // 30 seconds timeout for Mailgun API calls
         });
         // Wrap Mailgun client in a Nodemailer-like interface used below
@@ -860,7 +1456,7 @@ function buildTransport() {
             async sendMail(message) {
                 // Build Mailgun message
                 const data = {
-                    from: message.from || (process.env.MAILGUN_FROM || 'CouponGen <no-reply@send.coupongen.it>'),
+                    from: message.from || config.from || PLATFORM_MAIL_FROM,
                     to: message.to,
                     subject: message.subject || 'Il tuo coupon',
                     html: message.html,
@@ -877,15 +1473,15 @@ function buildTransport() {
                     if (inline.length) data.inline = inline;
                 }
                 // Tracking options
-                if (process.env.MAILGUN_TRACKING === 'false') {
+                if (config.tracking === false) {
                     data['o:tracking'] = 'no';
                     data['o:tracking-clicks'] = 'no';
                     data['o:tracking-opens'] = 'no';
                 }
-                if (process.env.MAILGUN_REPLY_TO) {
-                    data['h:Reply-To'] = process.env.MAILGUN_REPLY_TO;
+                if (message.replyTo || config.replyTo) {
+                    data['h:Reply-To'] = message.replyTo || config.replyTo;
                 }
-                const domain = process.env.MAILGUN_DOMAIN;
+                const domain = config.domain;
                 
                 // Add timeout wrapper for Mailgun API call
                 const timeoutPromise = new Promise((_, reject) => 
@@ -902,14 +1498,16 @@ function buildTransport() {
         };
     }
     // If using Ethereal (dev) or SMTP credentials
-    if (process.env.SMTP_HOST) {
+    if (config.provider === 'smtp') {
         return nodemailer.createTransport({
-            host: process.env.SMTP_HOST,
-            port: Number(process.env.SMTP_PORT || 587),
-            secure: process.env.SMTP_SECURE === 'true',
-            auth: process.env.SMTP_USER ? {
-                user: process.env.SMTP_USER,
-                pass: process.env.SMTP_PASS
+            host: config.host,
+            // Set when host is an address resolved in advance: the name TLS certificates are checked against
+            servername: config.servername || undefined,
+            port: Number(config.port || 587),
+            secure: Boolean(config.secure),
+            auth: config.user ? {
+                user: config.user,
+                pass: config.pass
             } : undefined,
             // Add timeout configurations for SMTP
             connectionTimeout: 30000,  // 30 seconds to establish connection
@@ -928,6 +1526,108 @@ function buildTransport() {
 
 const transporter = buildTransport();
 
+// Secrets stored in the database (tenant email credentials, wallet and DKIM keys) are encrypted with AES-256-GCM.
+// The key is derived from SETTINGS_ENCRYPTION_KEY, falling back to SESSION_SECRET: changing it makes
+// stored secrets unreadable, so they have to be entered again. With neither set no tenant secret is stored.
+const SETTINGS_ENCRYPTION_SECRET = process.env.SETTINGS_ENCRYPTION_KEY || process.env.SESSION_SECRET || '';
+const SETTINGS_ENCRYPTION_KEY = SETTINGS_ENCRYPTION_SECRET ? crypto.createHash('sha256').update(SETTINGS_ENCRYPTION_SECRET).digest() : null;
+const SETTINGS_ENCRYPTION_MISSING_ERROR = 'Chiave di cifratura non configurata sul server: impossibile salvare le credenziali';
+if (!SETTINGS_ENCRYPTION_KEY) {
+    console.error('SETTINGS_ENCRYPTION_KEY (or SESSION_SECRET) is not set: tenant credentials and DKIM keys cannot be stored');
+}
+
+function encryptSetting(plaintext) {
+    if (!SETTINGS_ENCRYPTION_KEY) throw new Error('SETTINGS_ENCRYPTION_KEY is not set');
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', SETTINGS_ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return `v1:${Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')}`;
+}
+
+function decryptSetting(value) {
+    const m = /^v1:(.+)$/.exec(String(value || ''));
+    if (!m) throw new Error('Unsupported encrypted setting');
+    if (!SETTINGS_ENCRYPTION_KEY) throw new Error('SETTINGS_ENCRYPTION_KEY is not set');
+    const raw = Buffer.from(m[1], 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', SETTINGS_ENCRYPTION_KEY, raw.subarray(0, 12));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+}
+
+// Per-tenant transports, built on first use and rebuilt when the tenant's settings change. SMTP transports are
+// bound to the address their host resolved to and are rebuilt after TENANT_SMTP_RESOLVE_TTL_MS to follow it.
+const tenantTransports = new Map(); // tenantId -> { updatedAt, resolvedAt, transport }
+const TENANT_SMTP_RESOLVE_TTL_MS = 10 * 60 * 1000; // 10m
+
+// Stand-in for a transport that may not be built: every send fails, so the outbox retries it later
+function refusedTransport(reason) {
+    return { options: {}, sendMail: () => Promise.reject(new Error(reason)) };
+}
+
+function dropTenantTransport(tenantId) {
+    const cached = tenantTransports.get(Number(tenantId));
+    if (cached) {
+        tenantTransports.delete(Number(tenantId));
+        if (typeof cached.transport.close === 'function') cached.transport.close();
+    }
+}
+
+// Transport and sender for a tenant's emails: its own provider when configured, else the platform's.
+// A tenant's own provider sends from the tenant's sender as is: authenticating that domain is up to the provider.
+// The platform provider only sends for a tenant domain that is verified and active (see tenant_domains), which
+// gives the tenant a no-reply address of its own; otherwise mail goes out from the platform sender. Mail from an
+// active tenant domain carries `dkim` options signing it with the domain's key (pass them to sendMail).
+async function getTenantMailer(dbConn, tenantId) {
+    const platform = { transport: transporter, from: PLATFORM_MAIL_FROM, replyTo: null, provider: 'platform' };
+    if (!tenantId) return platform;
+    const row = await dbConn.get('SELECT * FROM tenant_email_settings WHERE tenant_id = ?', tenantId);
+    if (!row) {
+        dropTenantTransport(tenantId);
+        const active = await dbConn.get(
+            `SELECT d.*, t.email_from_name FROM tenant_domains d JOIN tenants t ON t.id = d.tenant_id
+             WHERE d.tenant_id = ? AND d.status = 'active' ORDER BY d.verified_at DESC, d.id DESC LIMIT 1`,
+            tenantId
+        );
+        return active
+            ? {
+                ...platform,
+                from: `${(active.email_from_name || 'CouponGen').replace(/[<>"]/g, '')} <no-reply@${active.domain}>`,
+                dkim: sendingDomainDkim(active, transporter)
+            }
+            : platform;
+    }
+    const domainRow = await getActiveSendingDomain(dbConn, tenantId, senderDomain(row.from_address));
+    let cached = tenantTransports.get(Number(tenantId));
+    if (!cached || cached.updatedAt !== row.updated_at || (cached.resolvedAt && Date.now() - cached.resolvedAt > TENANT_SMTP_RESOLVE_TTL_MS)) {
+        let credentials;
+        try {
+            credentials = JSON.parse(decryptSetting(row.credentials));
+        } catch (e) {
+            console.error(`Email settings of tenant ${tenantId} cannot be decrypted, using the platform provider:`, e.message);
+            return platform;
+        }
+        dropTenantTransport(tenantId);
+        const config = { ...credentials, provider: row.provider, from: row.from_address, replyTo: row.reply_to };
+        let resolvedAt = null;
+        if (row.provider === 'smtp') {
+            // Checked again on every build: the name may point elsewhere since the settings were saved
+            const resolved = await resolveTenantSmtpHost(credentials.host);
+            if (resolved.error) {
+                console.error(`SMTP host of tenant ${tenantId} refused (${credentials.host}): ${resolved.error}`);
+                return { transport: refusedTransport(resolved.error), from: row.from_address, replyTo: row.reply_to || null, provider: row.provider };
+            }
+            Object.assign(config, { host: resolved.address, servername: net.isIP(credentials.host) ? undefined : credentials.host });
+            resolvedAt = Date.now();
+        }
+        cached = { updatedAt: row.updated_at, resolvedAt, transport: buildTransport(config) };
+        tenantTransports.set(Number(tenantId), cached);
+    }
+    return {
+        transport: cached.transport, from: row.from_address, replyTo: row.reply_to || null, provider: row.provider,
+        dkim: domainRow ? sendingDomainDkim(domainRow, cached.transport) : undefined
+    };
+}
+
 // Utilities
 function toSlug(input) {
     return String(input || '')
@@ -938,457 +1638,4149 @@ function toSlug(input) {
         .slice(0, 64) || 'tenant';
 }
 
-// Logging utility function
-async function logAction(req, actionType, actionDescription, level = 'info', details = null) {
+// SQLite stores CURRENT_TIMESTAMP as 'YYYY-MM-DD HH:MM:SS' (UTC): keep our own timestamps in the same format
+function toSqlDateTime(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function parseSqlDateTime(value) {
+    if (!value) return null;
+    const d = new Date(String(value).replace(' ', 'T') + (/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? '' : 'Z'));
+    return isNaN(d.getTime()) ? null : d;
+}
+
+// Coupon code formats
+// Campaigns without a format keep the legacy generateId(12) codes. Formatted codes are stored as printed
+// (e.g. XMAS-7K3P-Q9); typed input is normalised back to that form before the lookup.
+const COUPON_CODE_ALPHABETS = {
+    safe: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789', // no 0/O, 1/I
+    alnum: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+    numeric: '0123456789'
+};
+const COUPON_CODE_MAX_ATTEMPTS = 10;
+const LEGACY_COUPON_CODE_RE = /^[A-Z0-9]{12}$/;
+
+// Validate a code format from admin input (object or JSON string). Returns { ok, codeFormat } with null meaning legacy codes.
+function parseCampaignCodeFormat(body) {
+    let raw = body?.code_format;
+    if (raw === undefined || raw === null || raw === '') return { ok: true, codeFormat: null };
+    if (typeof raw === 'string') {
+        try { raw = JSON.parse(raw); } catch (_) { return { ok: false, error: 'Formato codice non valido' }; }
+    }
+    if (typeof raw !== 'object') return { ok: false, error: 'Formato codice non valido' };
+
+    const length = raw.length === undefined || raw.length === '' ? 8 : Number(raw.length);
+    if (!Number.isInteger(length) || length < 4 || length > 32) {
+        return { ok: false, error: 'Lunghezza codice non valida (4-32 caratteri)' };
+    }
+    const alphabet = raw.alphabet || 'safe';
+    if (!COUPON_CODE_ALPHABETS[alphabet]) return { ok: false, error: 'Alfabeto codice non valido' };
+    const prefix = String(raw.prefix || '').trim().toUpperCase();
+    const suffix = String(raw.suffix || '').trim().toUpperCase();
+    if (!/^[A-Z0-9]{0,12}$/.test(prefix) || !/^[A-Z0-9]{0,12}$/.test(suffix)) {
+        return { ok: false, error: 'Prefisso e suffisso possono contenere solo lettere e numeri (max 12)' };
+    }
+    const groupSize = raw.groupSize === undefined || raw.groupSize === '' ? 0 : Number(raw.groupSize);
+    if (!Number.isInteger(groupSize) || (groupSize !== 0 && (groupSize < 2 || groupSize > 8))) {
+        return { ok: false, error: 'Raggruppamento non valido (2-8 caratteri, 0 per nessuno)' };
+    }
+    const checkDigit = raw.checkDigit === true || raw.checkDigit === 'true' || raw.checkDigit === 1 || raw.checkDigit === '1';
+    return { ok: true, codeFormat: { length, alphabet, prefix, suffix, groupSize, checkDigit } };
+}
+
+function getCampaignCodeFormat(campaign) {
+    if (!campaign || !campaign.code_format) return null;
     try {
-        const db = await getDb();
-        const user = req.session?.user;
-        const tenant = req.tenant;
-        
-        await db.run(`
-            INSERT INTO system_logs (
-                user_id, username, user_type, tenant_id, tenant_name, tenant_slug,
-                action_type, action_description, level, details, ip_address, user_agent
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            user?.id || null,
-            user?.username || 'Sistema',
-            user?.userType || 'system',
-            tenant?.id || user?.tenantId || null,
-            tenant?.name || null,
-            tenant?.slug || user?.tenantSlug || null,
-            actionType,
-            actionDescription,
-            level,
-            details ? JSON.stringify(details) : null,
-            req.ip || req.connection?.remoteAddress || null,
-            req.get('User-Agent') || null
-        ]);
-    } catch (error) {
-        console.error('Error logging action:', error);
-        // Don't throw error to avoid breaking the main flow
+        const parsed = parseCampaignCodeFormat({ code_format: campaign.code_format });
+        return parsed.ok ? parsed.codeFormat : null;
+    } catch (_) {
+        return null;
     }
 }
 
-// Authentication middleware
-function requireAuth(req, res, next) {
-    if (req.session && req.session.user) {
-        return next();
-    } else {
-        return res.redirect('/login');
-    }
+// Luhn mod N check character: catches every single-character typo and most swaps of adjacent characters
+function couponCheckCharacter(body, alphabet) {
+    const n = alphabet.length;
+    let factor = 2;
+    let sum = 0;
+    for (let i = body.length - 1; i >= 0; i--) {
+        let addend = factor * alphabet.indexOf(body[i]);
+        factor = factor === 2 ? 1 : 2;
+        addend = Math.floor(addend / n) + (addend % n);
+        sum += addend;
+    }
+    return alphabet[(n - (sum % n)) % n];
 }
 
-function requireAdmin(req, res, next) {
-    if (req.session && req.session.user && (req.session.user.userType === 'admin' || req.session.user.userType === 'superadmin')) {
-        return next();
-    } else {
-        return res.status(403).send('Accesso negato. Richiesto ruolo Admin.');
+function formatCouponCode(body, format) {
+    if (!format.groupSize) return `${format.prefix}${body}${format.suffix}`;
+    const parts = [];
+    if (format.prefix) parts.push(format.prefix);
+    for (let i = 0; i < body.length; i += format.groupSize) parts.push(body.slice(i, i + format.groupSize));
+    if (format.suffix) parts.push(format.suffix);
+    return parts.join('-');
+}
+
+function generateCouponCode(format) {
+    if (!format) return generateId(12);
+    const alphabet = COUPON_CODE_ALPHABETS[format.alphabet];
+    const bytes = crypto.randomBytes(format.length);
+    let body = '';
+    for (let i = 0; i < format.length; i++) {
+        body += alphabet[bytes[i] % alphabet.length];
     }
+    if (format.checkDigit) body += couponCheckCharacter(body, alphabet);
+    return formatCouponCode(body, format);
 }
 
-// Super admin middleware
-function requireSuperAdmin(req, res, next) {
-    if (req.session && req.session.user && req.session.user.userType === 'superadmin') {
-        return next();
+// Draw a code for a new coupon of the campaign; short formats can collide, so retry against existing codes
+async function issueCouponCode(dbConn, campaign) {
+    const format = getCampaignCodeFormat(campaign);
+    for (let attempt = 0; attempt < COUPON_CODE_MAX_ATTEMPTS; attempt++) {
+        const code = generateCouponCode(format);
+        const existing = await dbConn.get('SELECT id FROM coupons WHERE code = ?', code);
+        if (!existing) return code;
     }
-    return res.status(403).send('Accesso negato. Richiesto ruolo SuperAdmin.');
+    throw new Error('Unable to generate a unique coupon code, the campaign code format is too short');
 }
 
-// Super admin page already defined above
+// Formats in use, cached per process: typed codes are checked against them without querying coupons.
+// Reset whenever a campaign format changes; a stale entry only means a lookup falls through to "not found".
+let couponCodeFormatsCache = null;
 
-function requireStore(req, res, next) {
-    if (req.session && req.session.user && (req.session.user.userType === 'store' || req.session.user.userType === 'admin' || req.session.user.userType === 'superadmin')) {
-        return next();
-    } else {
-        return res.status(403).send('Accesso negato. Richiesto ruolo Store.');
+async function getCouponCodeFormats(dbConn) {
+    if (!couponCodeFormatsCache) {
+        const rows = await dbConn.all('SELECT DISTINCT tenant_id, code_format FROM campaigns WHERE code_format IS NOT NULL');
+        couponCodeFormatsCache = rows
+            .map(r => ({ tenantId: r.tenant_id, format: getCampaignCodeFormat(r) }))
+            .filter(f => f.format);
     }
+    return couponCodeFormatsCache;
 }
 
-// Simple password verification (in production, use bcrypt)
-function verifyPassword(password, hash) {
-    return Buffer.from(password).toString('base64') === hash;
+function invalidateCouponCodeFormats() {
+    couponCodeFormatsCache = null;
 }
 
-function hashPassword(password) {
-    return Buffer.from(password).toString('base64');
+// Returns { invalid: true } when the input has the shape of a formatted code but its check character is wrong,
+// or is a scanned link whose escapes do not decode.
+async function resolveCouponCodeInput(dbConn, rawCode, tenantId = null) {
+    let typed = String(rawCode || '').trim().toUpperCase();
+    // A scanner reading a URL barcode types the whole redemption link
+    const scannedUrl = typed.match(/\/REDEEM\/([^/?#\s]+)\/?(?:[?#].*)?$/);
+    if (scannedUrl) {
+        try {
+            typed = decodeURIComponent(scannedUrl[1]);
+        } catch (e) {
+            return { invalid: true }; // malformed %-escape: not a link this app printed
+        }
+    }
+    const compact = typed.replace(/[\s-]/g, '');
+    const codes = new Set([typed]);
+    // EAN-13 scans include the barcode's own check digit after the 12-digit coupon code
+    if (/^\d{13}$/.test(compact) && ean13CheckDigit(compact.slice(0, 12)) === compact[12]) {
+        codes.add(compact.slice(0, 12));
+    }
+    let failedCheck = false;
+    const formats = (await getCouponCodeFormats(dbConn)).filter(f => !tenantId || f.tenantId === tenantId);
+    for (const { format } of formats) {
+        if (!compact.startsWith(format.prefix) || !compact.endsWith(format.suffix)) continue;
+        const body = compact.slice(format.prefix.length, compact.length - format.suffix.length);
+        const alphabet = COUPON_CODE_ALPHABETS[format.alphabet];
+        if (body.length !== format.length + (format.checkDigit ? 1 : 0)) continue;
+        if ([...body].some(ch => !alphabet.includes(ch))) continue;
+        if (format.checkDigit && couponCheckCharacter(body.slice(0, -1), alphabet) !== body.slice(-1)) {
+            failedCheck = true;
+            continue;
+        }
+        codes.add(formatCouponCode(body, format));
+    }
+    // Legacy 12-character codes can look like a formatted one by chance: let the database decide for those
+    if (failedCheck && codes.size === 1 && !LEGACY_COUPON_CODE_RE.test(typed)) {
+        return { invalid: true, codes: [] };
+    }
+    return { invalid: false, codes: [...codes] };
 }
 
-// Helper function to check if a user is the first admin of their tenant
-async function isFirstAdmin(dbConn, userId, tenantId) {
-    const firstAdmin = await dbConn.get(
-        'SELECT id FROM auth_users WHERE tenant_id = ? AND user_type = ? ORDER BY created_at ASC LIMIT 1',
-        tenantId, 'admin'
+const INVALID_COUPON_CODE_ERROR = 'Codice non valido: controlla di averlo digitato correttamente';
+
+// Barcode symbologies for the coupon image (email, PDF, store pages).
+// QR stays on the qrcode package so existing campaigns render exactly as before; the rest is drawn by bwip-js.
+const BARCODE_SYMBOLOGIES = {
+    qr: { bcid: 'qrcode', linear: false },
+    code128: { bcid: 'code128', linear: true },
+    ean13: { bcid: 'ean13', linear: true },
+    datamatrix: { bcid: 'datamatrix', linear: false }
+};
+
+function ean13CheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < 12; i++) sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+    return String((10 - (sum % 10)) % 10);
+}
+
+// Validate the barcode setting from admin input (object or JSON string): { symbology, content: 'url'|'code' }.
+// Returns { ok, barcodeFormat } with null meaning the legacy QR of the redemption URL.
+function parseCampaignBarcodeFormat(body, codeFormat) {
+    let raw = body?.barcode_format;
+    if (raw === undefined || raw === null || raw === '') return { ok: true, barcodeFormat: null };
+    if (typeof raw === 'string') {
+        try { raw = JSON.parse(raw); } catch (_) { return { ok: false, error: 'Codice a barre non valido' }; }
+    }
+    if (typeof raw !== 'object') return { ok: false, error: 'Codice a barre non valido' };
+    const symbology = raw.symbology || 'qr';
+    if (!BARCODE_SYMBOLOGIES[symbology]) {
+        return { ok: false, error: 'Tipo di codice a barre non valido (qr, code128, ean13, datamatrix)' };
+    }
+    // Laser scanners type what they read into the till: default 1D barcodes to the bare code
+    const content = raw.content || (BARCODE_SYMBOLOGIES[symbology].linear ? 'code' : 'url');
+    if (!['url', 'code'].includes(content)) {
+        return { ok: false, error: 'Contenuto del codice a barre non valido (url o code)' };
+    }
+    const barcodeFormat = { symbology, content };
+    const conflict = barcodeFormatConflict(barcodeFormat, codeFormat);
+    if (conflict) return { ok: false, error: conflict };
+    return { ok: true, barcodeFormat };
+}
+
+// EAN-13 carries exactly 12 digits plus its own check digit, so the campaign must issue plain 12-digit numeric codes
+function barcodeFormatConflict(barcodeFormat, codeFormat) {
+    if (!barcodeFormat || barcodeFormat.symbology !== 'ean13') return null;
+    if (barcodeFormat.content !== 'code') return 'EAN-13 può contenere solo il codice, non il link di riscatto';
+    if (!codeFormat || codeFormat.alphabet !== 'numeric' || codeFormat.length !== 12
+        || codeFormat.prefix || codeFormat.suffix || codeFormat.groupSize || codeFormat.checkDigit) {
+        return 'EAN-13 richiede codici numerici di 12 cifre senza prefisso, suffisso, gruppi o carattere di controllo';
+    }
+    return null;
+}
+
+function getCampaignBarcodeFormat(campaign) {
+    if (!campaign || !campaign.barcode_format) return null;
+    try {
+        const parsed = parseCampaignBarcodeFormat({ barcode_format: campaign.barcode_format }, getCampaignCodeFormat(campaign));
+        return parsed.ok ? parsed.barcodeFormat : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+function couponBarcodeText(barcodeFormat, code, redemptionUrl) {
+    return barcodeFormat && barcodeFormat.content === 'code' ? code : redemptionUrl;
+}
+
+// Coupon barcode in the campaign's symbology: PNG Buffer, or SVG string with type 'svg'
+async function renderCouponBarcode(barcodeFormat, code, redemptionUrl, type = 'png') {
+    const text = couponBarcodeText(barcodeFormat, code, redemptionUrl);
+    const symbology = barcodeFormat ? barcodeFormat.symbology : 'qr';
+    if (symbology === 'qr') {
+        return type === 'svg'
+            ? QRCode.toString(text, { type: 'svg', margin: 2 })
+            : QRCode.toBuffer(text, { width: 300, margin: 2 });
+    }
+    const options = { bcid: BARCODE_SYMBOLOGIES[symbology].bcid, text, scale: 3, paddingwidth: 10, paddingheight: 10, backgroundcolor: 'FFFFFF' };
+    if (BARCODE_SYMBOLOGIES[symbology].linear) {
+        Object.assign(options, { height: 15, includetext: true, textxalign: 'center' });
+    }
+    return type === 'svg' ? bwipjs.toSVG(options) : bwipjs.toBuffer(options);
+}
+
+// Printable PDF coupons
+// Rendered in-process with pdfkit. The logo must be one of the tenant's uploads and is read from disk, never fetched.
+function resolveTenantUploadPath(tenantSlug, url) {
+    if (!tenantSlug || !url) return null;
+    const prefix = `/static/uploads/${tenantSlug}/`;
+    if (!url.startsWith(prefix)) return null;
+    const filePath = path.join(UPLOADS_BASE_DIR, tenantSlug, path.basename(url.slice(prefix.length)));
+    // pdfkit only embeds PNG and JPEG
+    if (!/\.(png|jpe?g)$/i.test(filePath) || !fs.existsSync(filePath)) return null;
+    return filePath;
+}
+
+function couponDiscountLabel(discountType, discountValue) {
+    if (discountType === 'percent') return `Sconto del ${discountValue}%`;
+    if (discountType === 'fixed') return `Sconto di € ${Number(discountValue).toFixed(2)}`;
+    return String(discountValue || '');
+}
+
+function couponRedemptionUrl(req, code, tenantSlug) {
+    return `${req.protocol}://${req.get('host')}${tenantSlug ? `/t/${tenantSlug}` : ''}/redeem/${code}`;
+}
+
+// Opaque token for the public download link; reused if the coupon already has one
+async function ensureCouponPdfToken(dbConn, couponId) {
+    await dbConn.run(
+        'UPDATE coupons SET pdf_token = ? WHERE id = ? AND pdf_token IS NULL',
+        crypto.randomBytes(24).toString('base64url'), couponId
     );
-    return firstAdmin && firstAdmin.id === parseInt(userId);
+    const row = await dbConn.get('SELECT pdf_token FROM coupons WHERE id = ?', couponId);
+    return row ? row.pdf_token : null;
 }
 
-// Login API endpoint
-app.post('/api/login', async (req, res) => {
+async function renderCouponPdf(dbConn, coupon, redemptionUrl) {
+    const campaign = coupon.campaign_id ? await dbConn.get('SELECT name, description, code_format, barcode_format FROM campaigns WHERE id = ?', coupon.campaign_id) : null;
+    const tenant = coupon.tenant_id ? await dbConn.get('SELECT slug, name, email_from_name, coupon_logo_url, coupon_terms, timezone FROM tenants WHERE id = ?', coupon.tenant_id) : null;
+    const barcodeFormat = getCampaignBarcodeFormat(campaign);
+    const barcodePng = await renderCouponBarcode(barcodeFormat, coupon.code, redemptionUrl);
+
+    const doc = new PDFDocument({ size: 'A5', margin: 36, info: { Title: `Coupon ${coupon.code}` } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const width = doc.page.width - 72;
+    const logoPath = tenant ? resolveTenantUploadPath(tenant.slug, tenant.coupon_logo_url) : null;
+    if (logoPath) {
+        try {
+            doc.image(logoPath, 36 + (width - 160) / 2, doc.y, { fit: [160, 60], align: 'center' });
+            doc.y += 70;
+        } catch (e) {
+            console.error('coupon pdf logo error', e.message);
+        }
+    }
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('#2d5a3d')
+        .text((tenant && (tenant.email_from_name || tenant.name)) || 'CouponGen', { align: 'center' });
+    if (campaign) {
+        doc.moveDown(0.3).font('Helvetica').fontSize(12).fillColor('#2c3e50').text(campaign.name, { align: 'center' });
+    }
+    doc.moveDown(0.6).font('Helvetica-Bold').fontSize(22).fillColor('#2c3e50')
+        .text(couponDiscountLabel(coupon.discount_type, coupon.discount_value), { align: 'center' });
+
+    // 1D barcodes are wide and short, 2D ones square
+    const barcodeBox = barcodeFormat && BARCODE_SYMBOLOGIES[barcodeFormat.symbology].linear ? [width, 100] : [170, 170];
+    doc.moveDown(0.6);
+    doc.image(barcodePng, 36 + (width - barcodeBox[0]) / 2, doc.y, { fit: barcodeBox, align: 'center', valign: 'center' });
+    doc.y += barcodeBox[1] + 8;
+    doc.font('Courier-Bold').fontSize(18).fillColor('#000000').text(coupon.code, { align: 'center' });
+
+    const expiresAt = parseSqlDateTime(coupon.expires_at);
+    doc.moveDown(0.4).font('Helvetica').fontSize(10).fillColor('#555555')
+        .text(expiresAt ? `Valido fino al ${expiresAt.toLocaleDateString('it-IT', { timeZone: tenant?.timezone || DEFAULT_TIMEZONE })}` : 'Nessuna scadenza', { align: 'center' });
+    if (campaign && campaign.description) {
+        doc.moveDown(0.6).fontSize(10).fillColor('#2c3e50').text(campaign.description, { align: 'center' });
+    }
+    if (tenant && tenant.coupon_terms) {
+        doc.moveDown(0.8).fontSize(7).fillColor('#777777').text(tenant.coupon_terms, { align: 'justify' });
+    }
+    doc.end();
+    return done;
+}
+
+// Coupon behind a public link (PDF, wallet passes): the token is the only credential
+async function findCouponByPublicToken(dbConn, req) {
+    const coupon = await dbConn.get('SELECT * FROM coupons WHERE pdf_token = ?', String(req.params.token || ''));
+    if (!coupon || (req.tenant && coupon.tenant_id !== req.tenant.id)) return null;
+    return coupon;
+}
+
+async function couponPdfHandler(req, res) {
     try {
-        const { username, password, userType } = req.body;
-        const ip = req.ip || req.connection?.remoteAddress || 'unknown';
-        const rate = checkLoginRateLimit(ip);
-        if (!rate.ok) {
-            return res.status(429).json({ error: 'Troppi tentativi. Riprova più tardi.' });
-        }
-        
-        if (!username || !password || !userType) {
-            return res.status(400).json({ error: 'Username, password e tipo utente sono richiesti' });
-        }
-        
         const dbConn = await getDb();
-        if (!dbConn) {
-            console.error('Database connection failed');
-            return res.status(500).json({ error: 'Errore di connessione al database' });
-        }
-        
-        const user = await dbConn.get(
-            'SELECT * FROM auth_users WHERE username = ? AND user_type = ? AND is_active = 1',
-            username, userType
-        );
-        
-        if (!user || !verifyPassword(password, user.password_hash)) {
-            recordLoginFailure(ip);
-            return res.status(401).json({ error: 'Credenziali non valide' });
-        }
-        
-        recordLoginSuccess(ip);
-        // Update last login
-        await dbConn.run(
-            'UPDATE auth_users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
-            user.id
-        );
-        
-        // Regenerate session to prevent fixation
-        try {
-            await new Promise((resolve, reject) => {
-                req.session.regenerate(err => err ? reject(err) : resolve());
-            });
-        } catch (sessionError) {
-            console.error('Session regeneration failed:', sessionError);
-            // Continue with login even if session regeneration fails
+        const coupon = await findCouponByPublicToken(dbConn, req);
+        if (!coupon) {
+            return res.status(404).json({ error: 'Coupon non trovato' });
         }
-        // Create session (tenant-scoped payload)
-        const superAdminUsername = process.env.SUPERADMIN_USERNAME || 'admin';
-        const isSuperAdmin = user && user.username === superAdminUsername;
-        req.session.user = {
-            id: user.id,
-            username: user.username,
-            userType: user.user_type,
-            tenantId: user.tenant_id,
-            tenantSlug: DEFAULT_TENANT_SLUG, // until path-based routing is introduced
-            isSuperAdmin
-        };
-        
-        // Debug: Log session creation
-        console.log('Session created:', req.session.user);
-        console.log('Session ID:', req.sessionID);
-        console.log('Request headers:', req.headers);
-        console.log('Request secure:', req.secure);
-        console.log('Request protocol:', req.protocol);
-        
-        // Determine redirect URL (simplified for debugging)
-        let redirectUrl;
-        if (userType === 'admin') {
-            redirectUrl = '/admin';
-        } else if (userType === 'store') {
-            redirectUrl = '/store';
-        } else {
-            redirectUrl = '/';
+        if (coupon.status === 'cancelled') {
+            return res.status(410).json({ error: 'Coupon annullato' });
         }
-        
-        // Log successful login
-        try {
-            await logAction(req, 'login', `Login effettuato come ${userType}`, 'success', {
-                username: user.username,
-                userType: user.user_type,
-                tenantId: user.tenant_id
-            });
-        } catch (logError) {
-            console.error('Failed to log login action:', logError);
-            // Continue with login even if logging fails
+        const tenant = coupon.tenant_id ? await dbConn.get('SELECT slug FROM tenants WHERE id = ?', coupon.tenant_id) : null;
+        const pdf = await renderCouponPdf(dbConn, coupon, couponRedemptionUrl(req, coupon.code, req.tenant ? req.tenant.slug : tenant?.slug));
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="coupon-${coupon.code}.pdf"`);
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.send(pdf);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+
+// Phone wallet passes
+// Apple: signed .pkpass bundle. Google: "Save to Google Wallet" JWT signed with the tenant's service account key.
+// Signing material is configured per tenant; no call to Apple or Google is made from here.
+const WALLET_DEFAULT_COLOR = '#2d5a3d';
+const GOOGLE_WALLET_SAVE_URL = 'https://pay.google.com/gp/v/save/';
+
+function hexToRgbString(hex) {
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(String(hex || ''));
+    if (!m) return hexToRgbString(WALLET_DEFAULT_COLOR);
+    return `rgb(${parseInt(m[1], 16)}, ${parseInt(m[2], 16)}, ${parseInt(m[3], 16)})`;
+}
+
+// Parse and cross-check the Apple signing material. Throws with a user-facing message.
+function loadAppleWalletCredentials({ certificate, privateKey, passphrase, wwdrCertificate }) {
+    let cert, key, wwdr;
+    try {
+        cert = forge.pki.certificateFromPem(certificate);
+        wwdr = forge.pki.certificateFromPem(wwdrCertificate);
+    } catch (e) {
+        throw new Error('Certificato non valido (serve un certificato PEM)');
+    }
+    try {
+        key = passphrase ? forge.pki.decryptRsaPrivateKey(privateKey, passphrase) : forge.pki.privateKeyFromPem(privateKey);
+    } catch (e) {
+        key = null;
+    }
+    if (!key) throw new Error('Chiave privata non valida o passphrase errata');
+    if (cert.publicKey.n.compareTo(key.n) !== 0) {
+        throw new Error('La chiave privata non corrisponde al certificato');
+    }
+    return { cert, key, wwdr };
+}
+
+// Google service account key: PEM RSA private key, as found in the "private_key" field of the JSON key file
+function loadGoogleWalletKey(pem) {
+    try {
+        const key = crypto.createPrivateKey(pem);
+        if (key.asymmetricKeyType === 'rsa') return key;
+    } catch (e) { /* fall through */ }
+    throw new Error('Chiave privata Google non valida (serve una chiave RSA PEM)');
+}
+
+// Solid-colour square used as the pass icon when the tenant has no PNG logo
+function solidColorPng(size, hex) {
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex) || /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(WALLET_DEFAULT_COLOR);
+    const png = new PNG({ width: size, height: size });
+    for (let i = 0; i < png.data.length; i += 4) {
+        png.data[i] = parseInt(m[1], 16);
+        png.data[i + 1] = parseInt(m[2], 16);
+        png.data[i + 2] = parseInt(m[3], 16);
+        png.data[i + 3] = 255;
+    }
+    return PNG.sync.write(png);
+}
+
+// Detached PKCS#7 signature of manifest.json, as required by Wallet
+function signPassManifest(manifest, credentials) {
+    const p7 = forge.pkcs7.createSignedData();
+    p7.content = forge.util.createBuffer(manifest.toString('binary'));
+    p7.addCertificate(credentials.cert);
+    p7.addCertificate(credentials.wwdr);
+    p7.addSigner({
+        key: credentials.key,
+        certificate: credentials.cert,
+        digestAlgorithm: forge.pki.oids.sha256,
+        authenticatedAttributes: [
+            { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+            { type: forge.pki.oids.messageDigest },
+            { type: forge.pki.oids.signingTime, value: new Date() }
+        ]
+    });
+    p7.sign({ detached: true });
+    return Buffer.from(forge.asn1.toDer(p7.toAsn1()).getBytes(), 'binary');
+}
+
+// Wallet apps draw the barcode themselves; Apple has no EAN-13/DataMatrix, so those fall back to QR with the same content
+function walletBarcode(wallet, barcodeFormat, code, redemptionUrl) {
+    const text = couponBarcodeText(barcodeFormat, code, redemptionUrl);
+    const symbology = barcodeFormat ? barcodeFormat.symbology : 'qr';
+    if (wallet === 'apple') {
+        const format = symbology === 'code128' ? 'PKBarcodeFormatCode128' : 'PKBarcodeFormatQR';
+        return { format, message: text, messageEncoding: 'iso-8859-1', altText: code };
+    }
+    const types = { qr: 'QR_CODE', code128: 'CODE_128', ean13: 'EAN_13', datamatrix: 'DATA_MATRIX' };
+    return { type: types[symbology], value: symbology === 'ean13' ? text + ean13CheckDigit(text) : text, alternateText: code };
+}
+
+async function loadWalletPassData(dbConn, coupon) {
+    const campaign = coupon.campaign_id ? await dbConn.get('SELECT id, name, description, code_format, barcode_format FROM campaigns WHERE id = ?', coupon.campaign_id) : null;
+    const tenant = await dbConn.get('SELECT id, slug, name, email_from_name, coupon_logo_url, coupon_terms FROM tenants WHERE id = ?', coupon.tenant_id);
+    const settings = tenant ? await dbConn.get('SELECT * FROM tenant_wallet_settings WHERE tenant_id = ?', tenant.id) : null;
+    if (settings) {
+        // Stored encrypted (see updateWalletSettingsHandler)
+        for (const key of ['apple_private_key', 'apple_key_passphrase', 'google_private_key']) {
+            if (settings[key]) settings[key] = decryptSetting(settings[key]);
         }
-        
-        // Debug: Log cookie headers
-        console.log('Response headers being set:', res.getHeaders());
-        console.log('Session cookie should be set with secure flag');
-        
-        res.json({ 
-            success: true, 
-            message: 'Login effettuato con successo',
-            redirect: redirectUrl
-        });
-        
-    } catch (error) {
-        console.error('Login error:', error);
-        console.error('Error stack:', error.stack);
-        res.status(500).json({ 
-            error: 'Errore interno del server',
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }
+    const brandName = (tenant && (tenant.email_from_name || tenant.name)) || 'CouponGen';
+    return { campaign, tenant, settings, brandName, color: (settings && settings.background_color) || WALLET_DEFAULT_COLOR };
+}
+
+async function buildApplePass(coupon, data, redemptionUrl) {
+    const { campaign, tenant, settings, brandName, color } = data;
+    const credentials = loadAppleWalletCredentials({
+        certificate: settings.apple_certificate,
+        privateKey: settings.apple_private_key,
+        passphrase: settings.apple_key_passphrase,
+        wwdrCertificate: settings.apple_wwdr_certificate
+    });
+    const expiresAt = parseSqlDateTime(coupon.expires_at);
+    const backFields = [];
+    if (campaign && campaign.description) backFields.push({ key: 'description', label: 'Dettagli', value: campaign.description });
+    if (tenant.coupon_terms) backFields.push({ key: 'terms', label: 'Termini e condizioni', value: tenant.coupon_terms });
+    const pass = {
+        formatVersion: 1,
+        passTypeIdentifier: settings.apple_pass_type_id,
+        teamIdentifier: settings.apple_team_id,
+        serialNumber: coupon.code,
+        organizationName: brandName,
+        description: campaign ? campaign.name : `Coupon ${brandName}`,
+        logoText: brandName,
+        backgroundColor: hexToRgbString(color),
+        foregroundColor: 'rgb(255, 255, 255)',
+        labelColor: 'rgb(255, 255, 255)',
+        barcodes: [walletBarcode('apple', getCampaignBarcodeFormat(campaign), coupon.code, redemptionUrl)],
+        coupon: {
+            primaryFields: [{ key: 'offer', label: campaign ? campaign.name : 'Coupon', value: couponDiscountLabel(coupon.discount_type, coupon.discount_value) }],
+            secondaryFields: [{ key: 'code', label: 'Codice', value: coupon.code }],
+            auxiliaryFields: expiresAt
+                ? [{ key: 'expires', label: 'Scadenza', value: expiresAt.toISOString(), dateStyle: 'PKDateStyleMedium', timeStyle: 'PKDateStyleNone' }]
+                : [],
+            backFields
+        }
+    };
+    if (expiresAt) pass.expirationDate = expiresAt.toISOString();
+    if (coupon.status !== 'active') pass.voided = true;
+
+    const files = { 'pass.json': Buffer.from(JSON.stringify(pass)) };
+    const logoPath = resolveTenantUploadPath(tenant.slug, tenant.coupon_logo_url);
+    if (logoPath && /\.png$/i.test(logoPath)) {
+        const logo = fs.readFileSync(logoPath);
+        files['logo.png'] = logo;
+        files['icon.png'] = logo;
+    } else {
+        files['icon.png'] = solidColorPng(29, color);
+        files['icon@2x.png'] = solidColorPng(58, color);
+    }
+    const manifest = {};
+    for (const [name, content] of Object.entries(files)) {
+        manifest[name] = crypto.createHash('sha1').update(content).digest('hex');
+    }
+    files['manifest.json'] = Buffer.from(JSON.stringify(manifest));
+    files['signature'] = signPassManifest(files['manifest.json'], credentials);
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const chunks = [];
+    archive.on('data', (chunk) => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        archive.on('end', () => resolve(Buffer.concat(chunks)));
+        archive.on('error', reject);
+    });
+    for (const [name, content] of Object.entries(files)) archive.append(content, { name });
+    await archive.finalize();
+    return done;
+}
+
+function buildGoogleWalletJwt(coupon, data, redemptionUrl, origin) {
+    const { campaign, tenant, settings, brandName, color } = data;
+    const issuerId = settings.google_issuer_id;
+    const idPart = (value) => String(value).replace(/[^A-Za-z0-9._-]/g, '_');
+    const classId = `${issuerId}.${idPart(`${tenant.slug}-campaign-${campaign ? campaign.id : 0}`)}`;
+    const offerClass = {
+        id: classId,
+        issuerName: brandName,
+        provider: brandName,
+        title: campaign ? campaign.name : `Coupon ${brandName}`,
+        redemptionChannel: 'INSTORE',
+        reviewStatus: 'UNDER_REVIEW',
+        hexBackgroundColor: /^#[0-9a-f]{6}$/i.test(color) ? color : WALLET_DEFAULT_COLOR
+    };
+    if (campaign && campaign.description) offerClass.details = campaign.description;
+    if (tenant.coupon_terms) offerClass.finePrint = tenant.coupon_terms;
+    if (tenant.coupon_logo_url && resolveTenantUploadPath(tenant.slug, tenant.coupon_logo_url)) {
+        offerClass.titleImage = { sourceUri: { uri: `${origin}${tenant.coupon_logo_url}` } };
+    }
+    const expiresAt = parseSqlDateTime(coupon.expires_at);
+    const offerObject = {
+        id: `${issuerId}.${idPart(`${tenant.slug}-${coupon.code}`)}`,
+        classId,
+        state: coupon.status === 'active' ? 'ACTIVE' : (coupon.status === 'expired' ? 'EXPIRED' : 'INACTIVE'),
+        barcode: walletBarcode('google', getCampaignBarcodeFormat(campaign), coupon.code, redemptionUrl),
+        textModulesData: [{ id: 'discount', header: 'Sconto', body: couponDiscountLabel(coupon.discount_type, coupon.discount_value) }]
+    };
+    if (expiresAt) offerObject.validTimeInterval = { end: { date: expiresAt.toISOString() } };
+
+    const claims = {
+        iss: settings.google_service_account_email,
+        aud: 'google',
+        typ: 'savetowallet',
+        iat: Math.floor(Date.now() / 1000),
+        origins: [origin],
+        payload: { offerClasses: [offerClass], offerObjects: [offerObject] }
+    };
+    const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(claims)}`;
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), loadGoogleWalletKey(settings.google_private_key));
+    return `${unsigned}.${signature.toString('base64url')}`;
+}
+
+// What the thanks page shows for the coupon: buttons for the wallets the tenant has configured,
+// the landing text of the coupon's A/B variant, the prize won in instant-win campaigns and, in referral
+// campaigns, the share link
+async function couponWalletInfoHandler(req, res) {
+    try {
+        const dbConn = await getDb();
+        const coupon = await findCouponByPublicToken(dbConn, req);
+        if (!coupon) return res.status(404).json({ error: 'Coupon non trovato' });
+        const settings = await dbConn.get('SELECT apple_certificate, google_private_key FROM tenant_wallet_settings WHERE tenant_id = ?', coupon.tenant_id);
+        const variant = coupon.variant_id ? await dbConn.get('SELECT landing_text FROM campaign_variants WHERE id = ?', coupon.variant_id) : null;
+        const prize = coupon.prize_id ? await dbConn.get('SELECT label FROM campaign_prizes WHERE id = ?', coupon.prize_id) : null;
+        const campaign = coupon.referral_token ? await dbConn.get('SELECT campaign_code FROM campaigns WHERE id = ?', coupon.campaign_id) : null;
+        res.json({
+            apple: !!(settings && settings.apple_certificate),
+            google: !!(settings && settings.google_private_key),
+            landing_text: variant?.landing_text || null,
+            prize_label: prize?.label || null,
+            referral_url: campaign
+                ? referralShareUrl(`${req.protocol}://${req.get('host')}${req.tenant ? `/t/${req.tenant.slug}` : ''}`, campaign, coupon.referral_token)
+                : null
         });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
-});
+}
 
-// Tenant provisioning: create tenant + first admin user, then login
-app.post('/api/signup', async (req, res) => {
+async function appleWalletPassHandler(req, res) {
     try {
-        const { tenantName, tenantSlug, adminUsername, adminPassword } = req.body || {};
-        if (!tenantName || !adminUsername || !adminPassword) {
-            return res.status(400).json({ error: 'tenantName, adminUsername e adminPassword sono richiesti' });
-        }
-        const slug = toSlug(tenantSlug || tenantName);
         const dbConn = await getDb();
+        const coupon = await findCouponByPublicToken(dbConn, req);
+        if (!coupon) return res.status(404).json({ error: 'Coupon non trovato' });
+        if (coupon.status === 'cancelled') return res.status(410).json({ error: 'Coupon annullato' });
+        const data = await loadWalletPassData(dbConn, coupon);
+        // Passes are issued under a tenant's brand and keys: legacy coupons without one have none
+        if (!data.tenant) return res.status(404).json({ error: 'Apple Wallet non disponibile per questo coupon' });
+        if (!data.settings || !data.settings.apple_certificate) {
+            return res.status(404).json({ error: 'Apple Wallet non configurato' });
+        }
+        const pass = await buildApplePass(coupon, data, couponRedemptionUrl(req, coupon.code, data.tenant.slug));
+        res.setHeader('Content-Type', 'application/vnd.apple.pkpass');
+        res.setHeader('Content-Disposition', `attachment; filename="coupon-${coupon.code}.pkpass"`);
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.send(pass);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
 
-        // Check slug uniqueness
-        const existing = await dbConn.get('SELECT id FROM tenants WHERE slug = ?', slug);
-        if (existing) {
-            return res.status(409).json({ error: 'Slug tenant già in uso' });
-        }
+async function googleWalletSaveHandler(req, res) {
+    try {
+        const dbConn = await getDb();
+        const coupon = await findCouponByPublicToken(dbConn, req);
+        if (!coupon) return res.status(404).json({ error: 'Coupon non trovato' });
+        if (coupon.status === 'cancelled') return res.status(410).json({ error: 'Coupon annullato' });
+        const data = await loadWalletPassData(dbConn, coupon);
+        if (!data.tenant) return res.status(404).json({ error: 'Google Wallet non disponibile per questo coupon' });
+        if (!data.settings || !data.settings.google_private_key) {
+            return res.status(404).json({ error: 'Google Wallet non configurato' });
+        }
+        const origin = `${req.protocol}://${req.get('host')}`;
+        const jwt = buildGoogleWalletJwt(coupon, data, couponRedemptionUrl(req, coupon.code, data.tenant.slug), origin);
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.redirect(GOOGLE_WALLET_SAVE_URL + jwt);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
 
-        // Create tenant
-        const resultTenant = await dbConn.run('INSERT INTO tenants (slug, name) VALUES (?, ?)', slug, tenantName);
-        const newTenantId = resultTenant.lastID;
+// Campaign scheduling
+// starts_at/ends_at are stored in UTC; admins type wall-clock times in the tenant's time zone.
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Europe/Rome';
 
-        // Create default email template for new tenant
-        const defaultTemplateHtml = `<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="utf-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Il tuo coupon</title>
-</head>
-<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
-    <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4;">
-        <tr>
-            <td align="center" style="padding: 20px 0;">
-                <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-                    <tr>
-                        <td style="padding: 30px; text-align: center; background-color: #2d5a3d; border-radius: 8px 8px 0 0;">
-                            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">🎫 Il tuo Coupon</h1>
-                        </td>
-                    </tr>
-                    <tr>
-                        <td style="padding: 30px;">
-                            <p style="font-size: 16px; color: #333333; margin: 0 0 20px 0;">Ciao {{firstName}} {{lastName}},</p>
-                            <p style="font-size: 16px; color: #333333; margin: 0 0 20px 0;">Ecco il tuo coupon personale che vale <strong style="color: #2d5a3d;">{{discountText}}</strong>!</p>
-                            <div style="background-color: #f8f9fa; border: 2px dashed #2d5a3d; border-radius: 8px; padding: 20px; margin: 20px 0; text-align: center;">
-                                <p style="font-size: 14px; color: #666666; margin: 0 0 10px 0;">Codice Coupon</p>
-                                <p style="font-size: 32px; font-weight: bold; color: #2d5a3d; margin: 0; letter-spacing: 2px;">{{code}}</p>
-                            </div>
-                            <div style="text-align: center; margin: 30px 0; padding: 20px; background-color: #f8f9fa; border-radius: 8px;">
-                                <p style="font-size: 14px; color: #666666; margin: 0 0 15px 0;">Scansiona il QR Code</p>
-                                <img src="cid:couponqr" alt="QR Code" style="max-width: 200px; height: auto; border: 1px solid #ddd; border-radius: 8px; display: block; margin: 0 auto;">
-                            </div>
-                            <p style="font-size: 16px; color: #333333; margin: 20px 0;">Mostra questo codice in negozio oppure usa il link qui sotto:</p>
-                            <div style="text-align: center; margin: 30px 0;">
-                                <a href="{{redemptionUrl}}" style="display: inline-block; background-color: #2d5a3d; color: #ffffff; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; font-size: 16px;">🚀 Vai alla Cassa</a>
-                            </div>
-                            <p style="font-size: 14px; color: #666666; margin: 20px 0 0 0;">Grazie per averci scelto!</p>
-                        </td>
-                    </tr>
-                    <tr>
-                        <td style="padding: 20px 30px; background-color: #f8f9fa; border-radius: 0 0 8px 8px; text-align: center;">
-                            <p style="font-size: 12px; color: #999999; margin: 0;">CouponGen - Sistema di Coupon Digitali</p>
-                        </td>
-                    </tr>
-                </table>
-            </td>
-        </tr>
-    </table>
-</body>
-</html>`;
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+async function getTenantTimeZone(dbConn, tenantId) {
+    const row = tenantId ? await dbConn.get('SELECT timezone FROM tenants WHERE id = ?', tenantId) : null;
+    return (row && row.timezone) || DEFAULT_TIMEZONE;
+}
+
+// Offset (ms) of the time zone from UTC at the given instant
+function timeZoneOffsetMs(timestamp, timeZone) {
+    const parts = {};
+    for (const { type, value } of new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(timestamp))) {
+        parts[type] = value;
+    }
+    return Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second) - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Wall-clock time in a time zone -> UTC Date. Times skipped by a DST jump resolve to the instant after the gap.
+function zonedTimeToUtc(year, month, day, hour, minute, second, timeZone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    let result = asUtc - timeZoneOffsetMs(asUtc, timeZone);
+    const secondOffset = timeZoneOffsetMs(result, timeZone);
+    if (asUtc - secondOffset !== result) result = asUtc - secondOffset;
+    return new Date(result);
+}
+
+// "2026-12-01", "2026-12-01T09:00", "2026-12-01 09:00:00" are local to the tenant; values with Z or an offset are absolute.
+// A bare date means the start of that day, or its end when endOfDay is set.
+function parseZonedDateTime(value, timeZone, endOfDay = false) {
+    const str = String(value).trim();
+    if (/([zZ]|[+-]\d\d:?\d\d)$/.test(str)) {
+        const d = new Date(str);
+        return isNaN(d.getTime()) ? null : d;
+    }
+    const m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(str);
+    if (!m) return null;
+    const [year, month, day] = [+m[1], +m[2], +m[3]];
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    const time = m[4] !== undefined ? [+m[4], +m[5], +(m[6] || 0)] : (endOfDay ? [23, 59, 59] : [0, 0, 0]);
+    if (time[0] > 23 || time[1] > 59 || time[2] > 59) return null;
+    return zonedTimeToUtc(year, month, day, time[0], time[1], time[2], timeZone);
+}
+
+// Validate starts_at/ends_at from admin input. Returns { ok, startsAt, endsAt } as SQL UTC datetimes (null = open-ended).
+function parseCampaignScheduleInput(body, timeZone) {
+    let startsAt = null;
+    let endsAt = null;
+    if (body?.starts_at !== undefined && body.starts_at !== null && body.starts_at !== '') {
+        const parsed = parseZonedDateTime(body.starts_at, timeZone);
+        if (!parsed) return { ok: false, error: 'Data di inizio non valida' };
+        startsAt = parsed;
+    }
+    if (body?.ends_at !== undefined && body.ends_at !== null && body.ends_at !== '') {
+        const parsed = parseZonedDateTime(body.ends_at, timeZone, true);
+        if (!parsed) return { ok: false, error: 'Data di fine non valida' };
+        endsAt = parsed;
+    }
+    if (startsAt && endsAt && endsAt.getTime() <= startsAt.getTime()) {
+        return { ok: false, error: 'La data di fine deve essere successiva alla data di inizio' };
+    }
+    return { ok: true, startsAt: startsAt && toSqlDateTime(startsAt), endsAt: endsAt && toSqlDateTime(endsAt) };
+}
+
+// 'inactive' (switched off by hand), 'upcoming', 'running' or 'ended'
+function campaignScheduleStatus(campaign, now = new Date()) {
+    if (!campaign.is_active) return 'inactive';
+    const startsAt = parseSqlDateTime(campaign.starts_at);
+    const endsAt = parseSqlDateTime(campaign.ends_at);
+    if (startsAt && now.getTime() < startsAt.getTime()) return 'upcoming';
+    if (endsAt && now.getTime() >= endsAt.getTime()) return 'ended';
+    return 'running';
+}
+
+const CAMPAIGN_NOT_STARTED_ERROR = 'La campagna non è ancora iniziata';
+const CAMPAIGN_ENDED_ERROR = 'La campagna è terminata';
+
+// Campaign rows for the admin list, with the computed window status
+function withCampaignScheduleStatus(campaigns, now = new Date()) {
+    return campaigns.map(c => ({ ...c, schedule_status: campaignScheduleStatus(c, now) }));
+}
+
+// Issuance caps
+// max_coupons limits the coupons issued through the public form ("first 500 signups"): pre-printed
+// batch codes, reissues and referral rewards don't count, and voiding a coupon frees its slot.
+// max_per_customer limits the coupons one customer (same email or phone) ever gets from the campaign,
+// batch claims included.
+const CAMPAIGN_SOLD_OUT_ERROR = 'I coupon di questa campagna sono esauriti';
+const CUSTOMER_LIMIT_ERROR = 'Hai già ricevuto il coupon di questa campagna';
+
+// Coupons of a campaign that count against max_coupons
+const ISSUED_COUPONS_SQL = `SELECT COUNT(*) AS n FROM coupons WHERE campaign_id = ? AND batch_id IS NULL AND reissued_from IS NULL
+    AND referral_reward_for IS NULL AND (voided_at IS NULL OR superseded_by IS NOT NULL)`;
+// Coupons of a campaign already held by a customer (params: campaign id, email, phone, phone)
+const CUSTOMER_COUPONS_SQL = `SELECT COUNT(*) AS n FROM coupons cc JOIN users cu ON cu.id = cc.user_id
+    WHERE cc.campaign_id = ? AND cc.reissued_from IS NULL AND cc.referral_reward_for IS NULL
+    AND (LOWER(cu.email) = LOWER(?) OR (? IS NOT NULL AND cu.phone = ?))`;
+
+// Admin list columns: coupons counted against max_coupons, people on the waitlist, friends referred and
+// instant-win draws/prizes
+const CAMPAIGN_COUNTERS_SQL = `(SELECT COUNT(*) FROM coupons WHERE campaign_id = c.id AND batch_id IS NULL AND reissued_from IS NULL
+        AND referral_reward_for IS NULL AND (voided_at IS NULL OR superseded_by IS NOT NULL)) AS issued_count,
+    (SELECT COUNT(*) FROM campaign_waitlist WHERE campaign_id = c.id AND status = 'pending') AS waiting_count,
+    (SELECT COUNT(*) FROM referrals WHERE campaign_id = c.id AND status != 'rejected') AS referral_count,
+    (SELECT COUNT(*) FROM prize_draws WHERE campaign_id = c.id AND outcome != 'cancelled') AS draw_count,
+    (SELECT COALESCE(SUM(awarded_count), 0) FROM campaign_prizes WHERE campaign_id = c.id) AS prizes_awarded`;
+
+// Validate caps from admin input; empty means unlimited. Returns { ok, maxCoupons, maxPerCustomer }
+function parseCampaignIssuanceCaps(body) {
+    const parse = (raw) => {
+        if (raw === undefined || raw === null || raw === '') return null;
+        const n = Number(raw);
+        return Number.isInteger(n) && n >= 1 ? n : NaN;
+    };
+    const maxCoupons = parse(body?.max_coupons);
+    if (Number.isNaN(maxCoupons)) return { ok: false, error: 'Numero massimo di coupon non valido' };
+    const maxPerCustomer = parse(body?.max_per_customer);
+    if (Number.isNaN(maxPerCustomer)) return { ok: false, error: 'Numero massimo di coupon per cliente non valido' };
+    return { ok: true, maxCoupons, maxPerCustomer };
+}
+
+// Phone as stored on users and matched by the per-customer cap: digits only, keeping a leading +
+function normalizeCustomerPhone(raw) {
+    if (typeof raw !== 'string') return null;
+    const digits = raw.replace(/\D/g, '');
+    if (digits.length < 6) return null;
+    return (raw.trim().startsWith('+') ? '+' : '') + digits;
+}
+
+// How many coupons the public form can still issue (null when the campaign has no total cap)
+async function getCampaignRemainingCoupons(dbConn, campaign) {
+    if (!campaign.max_coupons) return null;
+    const row = await dbConn.get(ISSUED_COUPONS_SQL, campaign.id);
+    return Math.max(0, campaign.max_coupons - row.n);
+}
+
+// Public campaign payload: remaining count for capped campaigns
+async function withCampaignAvailability(dbConn, campaign) {
+    const remaining = await getCampaignRemainingCoupons(dbConn, campaign);
+    return { ...campaign, remaining, sold_out: remaining === 0 };
+}
+
+// What the public form needs to offer the waitlist for a campaign that isn't open yet (null for
+// instant-win campaigns: a coupon is only ever issued by a draw)
+function waitlistCampaignInfo(campaign) {
+    if (campaign.campaign_type === 'instant_win') return null;
+    return {
+        campaign_code: campaign.campaign_code,
+        name: campaign.name,
+        description: campaign.description,
+        discount_type: campaign.discount_type,
+        discount_value: campaign.discount_value,
+        form_config: JSON.parse(campaign.form_config || '{}')
+    };
+}
+
+// Which cap a refused issuance ran into
+async function issuanceCapError(dbConn, campaign, customer) {
+    if (campaign.max_per_customer) {
+        const row = await dbConn.get(CUSTOMER_COUPONS_SQL, campaign.id, customer.email, customer.phone, customer.phone);
+        if (row.n >= campaign.max_per_customer) return { customerLimit: true, error: CUSTOMER_LIMIT_ERROR };
+    }
+    return { soldOut: true, error: CAMPAIGN_SOLD_OUT_ERROR };
+}
+
+// A/B variants
+// A campaign with variants issues each form coupon under one of them: discount, email subject and the text on
+// the thanks page come from the variant. The pick is a hash of the email, so a customer always lands in the
+// same variant; weights set each variant's share of customers (0 pauses it). Printed batch codes keep the
+// campaign's own discount.
+const CAMPAIGN_VARIANTS_MAX = 10;
+// Below this many coupons per variant the significance indicator stays off
+const VARIANT_MIN_SAMPLE = 30;
+
+async function getCampaignVariants(dbConn, campaignId) {
+    return dbConn.all('SELECT * FROM campaign_variants WHERE campaign_id = ? ORDER BY id', campaignId);
+}
+
+function pickVariantForEmail(variants, campaignId, email) {
+    const weighted = variants.filter(v => v.weight > 0);
+    if (weighted.length === 0) return null;
+    const total = weighted.reduce((sum, v) => sum + v.weight, 0);
+    const hash = crypto.createHash('sha256').update(`${campaignId}:${String(email).trim().toLowerCase()}`).digest();
+    let point = (hash.readUInt32BE(0) / 0x100000000) * total;
+    for (const variant of weighted) {
+        if (point < variant.weight) return variant;
+        point -= variant.weight;
+    }
+    return weighted[weighted.length - 1];
+}
+
+// Campaign row as issuance sees it for this customer: the variant's discount replaces the campaign's
+async function withCampaignVariant(dbConn, campaign, email) {
+    const variant = pickVariantForEmail(await getCampaignVariants(dbConn, campaign.id), campaign.id, email);
+    if (!variant) return campaign;
+    return { ...campaign, discount_type: variant.discount_type, discount_value: variant.discount_value, variant };
+}
+
+// Validate the full variant list from admin input. Returns { ok, variants }
+function parseCampaignVariants(body) {
+    const raw = body?.variants;
+    if (!Array.isArray(raw)) return { ok: false, error: 'Varianti non valide' };
+    if (raw.length > CAMPAIGN_VARIANTS_MAX) return { ok: false, error: `Massimo ${CAMPAIGN_VARIANTS_MAX} varianti` };
+    const labels = new Set();
+    const variants = [];
+    for (const item of raw) {
+        const label = typeof item?.label === 'string' ? item.label.trim() : '';
+        if (!label || label.length > 40) return { ok: false, error: 'Etichetta variante non valida' };
+        if (labels.has(label.toLowerCase())) return { ok: false, error: `Etichetta variante duplicata: ${label}` };
+        labels.add(label.toLowerCase());
+        const weight = item.weight === undefined || item.weight === null || item.weight === '' ? 1 : Number(item.weight);
+        if (!Number.isInteger(weight) || weight < 0 || weight > 1000) return { ok: false, error: `Peso non valido per la variante ${label}` };
+        if (!['percent', 'fixed', 'text'].includes(String(item.discount_type))) return { ok: false, error: `Tipo sconto non valido per la variante ${label}` };
+        const discountValue = String(item.discount_value ?? '').trim();
+        if (!discountValue || (item.discount_type !== 'text' && isNaN(Number(discountValue)))) {
+            return { ok: false, error: `Valore sconto non valido per la variante ${label}` };
+        }
+        const emailSubject = typeof item.email_subject === 'string' ? item.email_subject.trim().slice(0, 200) : '';
+        const landingText = typeof item.landing_text === 'string' ? item.landing_text.trim().slice(0, 1000) : '';
+        variants.push({
+            id: item.id ? Number(item.id) : null,
+            label, weight,
+            discount_type: item.discount_type,
+            discount_value: discountValue,
+            email_subject: emailSubject || null,
+            landing_text: landingText || null
+        });
+    }
+    if (variants.length > 0 && !variants.some(v => v.weight > 0)) {
+        return { ok: false, error: 'Almeno una variante deve avere peso maggiore di zero' };
+    }
+    return { ok: true, variants };
+}
+
+// Standard normal CDF (Abramowitz-Stegun 7.1.26, error < 1.5e-7)
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Best vs runner-up redemption rate, two-proportion z-test. null with fewer than two variants issued
+function variantSignificance(variants) {
+    const ranked = variants.filter(v => v.issued > 0).sort((a, b) => b.redemptionRate - a.redemptionRate);
+    if (ranked.length < 2) return null;
+    const [leader, runnerUp] = ranked;
+    const pooled = (leader.redeemed + runnerUp.redeemed) / (leader.issued + runnerUp.issued);
+    const stdErr = Math.sqrt(pooled * (1 - pooled) * (1 / leader.issued + 1 / runnerUp.issued));
+    const z = stdErr > 0 ? (leader.redemptionRate - runnerUp.redemptionRate) / stdErr : 0;
+    const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+    const enoughData = leader.issued >= VARIANT_MIN_SAMPLE && runnerUp.issued >= VARIANT_MIN_SAMPLE;
+    return {
+        leader: leader.label,
+        runnerUp: runnerUp.label,
+        pValue,
+        significant: enoughData && pValue < 0.05,
+        enoughData
+    };
+}
+
+// Referral campaigns
+// In a referral campaign every coupon carries a personal share link (the campaign form with ?ref=TOKEN).
+// A friend who signs up through it is recorded as referred by the link's owner; the first time the friend's
+// coupon is redeemed the referrer automatically receives a reward coupon of the same campaign. Signups from
+// the referrer's own email or IP, or from someone who already had a coupon of the campaign, are recorded
+// as rejected and never rewarded. Reward coupons don't count against the issuance caps.
+const CAMPAIGN_TYPES = ['standard', 'referral', 'instant_win'];
+
+// Validate campaign type (and the referral reward) from admin input. Returns { ok, campaignType, referralReward }
+function parseCampaignType(body) {
+    const rawType = body?.campaign_type;
+    const campaignType = rawType === undefined || rawType === null || rawType === '' ? 'standard' : String(rawType);
+    if (!CAMPAIGN_TYPES.includes(campaignType)) return { ok: false, error: 'Tipo campagna non valido' };
+    if (campaignType !== 'referral') return { ok: true, campaignType, referralReward: null };
+    let reward = body.referral_reward;
+    if (typeof reward === 'string') {
+        try { reward = JSON.parse(reward); } catch (e) { reward = null; }
+    }
+    const discountValue = String(reward?.discount_value ?? '').trim();
+    if (!['percent', 'fixed', 'text'].includes(String(reward?.discount_type)) || !discountValue
+        || (reward.discount_type !== 'text' && isNaN(Number(discountValue)))) {
+        return { ok: false, error: 'Premio referral non valido' };
+    }
+    return { ok: true, campaignType, referralReward: { discount_type: reward.discount_type, discount_value: discountValue } };
+}
+
+// Signup IPs are only stored hashed, for the self-referral check
+function hashSignupIp(req) {
+    const ip = req.ip || req.connection?.remoteAddress;
+    if (!ip) return null;
+    return crypto.createHash('sha256').update(`${process.env.SESSION_SECRET || ''}:${ip}`).digest('hex');
+}
+
+// baseUrl is the form's origin, e.g. https://host/t/slug
+function referralShareUrl(baseUrl, campaign, token) {
+    return `${baseUrl}/?campaign=${encodeURIComponent(campaign.campaign_code)}&ref=${encodeURIComponent(token)}`;
+}
+
+// Give a coupon of a referral campaign its share token. Returns the share link, null for other campaigns
+async function enableCouponReferral(dbConn, campaign, couponId, { baseUrl, ipHash }) {
+    if (campaign.campaign_type !== 'referral') return null;
+    const token = crypto.randomBytes(9).toString('base64url');
+    await dbConn.run('UPDATE coupons SET referral_token = ?, signup_ip_hash = ? WHERE id = ?', token, ipHash || null, couponId);
+    return referralShareUrl(baseUrl, campaign, token);
+}
+
+// Link a signup made through a share link to its referrer. Unknown tokens are ignored; rejected
+// signups are kept with the reason so the referral graph stays complete.
+async function recordReferral(dbConn, campaign, refToken, { couponId, userId, email, ipHash, baseUrl }) {
+    if (campaign.campaign_type !== 'referral' || typeof refToken !== 'string' || !refToken) return null;
+    const referrer = await dbConn.get(
+        `SELECT c.id, c.user_id, c.signup_ip_hash, u.email FROM coupons c LEFT JOIN users u ON u.id = c.user_id
+         WHERE c.referral_token = ? AND c.campaign_id = ?`,
+        refToken, campaign.id
+    );
+    if (!referrer || referrer.id === couponId) return null;
+
+    let rejectReason = null;
+    if (referrer.user_id === userId || String(referrer.email || '').toLowerCase() === String(email).trim().toLowerCase()) {
+        rejectReason = 'self_email';
+    } else if (ipHash && referrer.signup_ip_hash === ipHash) {
+        rejectReason = 'self_ip';
+    } else {
+        const earlier = await dbConn.get(
+            `SELECT 1 FROM coupons cc JOIN users cu ON cu.id = cc.user_id
+             WHERE cc.campaign_id = ? AND cc.id != ? AND LOWER(cu.email) = LOWER(?) LIMIT 1`,
+            campaign.id, couponId, email
+        );
+        if (earlier) rejectReason = 'existing_customer';
+    }
+    await dbConn.run(
+        `INSERT OR IGNORE INTO referrals (tenant_id, campaign_id, referrer_coupon_id, referrer_user_id, referred_coupon_id, referred_user_id, status, reject_reason, redeem_base_url)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        campaign.tenant_id, campaign.id, referrer.id, referrer.user_id, couponId, userId,
+        rejectReason ? 'rejected' : 'pending', rejectReason, baseUrl
+    );
+    return rejectReason ? { rejected: rejectReason } : { referrerCouponId: referrer.id };
+}
+
+// First redemption of a referred coupon: claim the referral with a conditional UPDATE, so two tills
+// can't both reward it, then issue and email the referrer's reward coupon. Returns its id or null.
+async function rewardReferrer(dbConn, referredCouponId) {
+    const referral = await dbConn.get("SELECT * FROM referrals WHERE referred_coupon_id = ? AND status = 'pending'", referredCouponId);
+    if (!referral) return null;
+    const campaign = await dbConn.get('SELECT * FROM campaigns WHERE id = ?', referral.campaign_id);
+    const reward = campaign?.referral_reward ? JSON.parse(campaign.referral_reward) : null;
+    const referrer = await dbConn.get('SELECT * FROM users WHERE id = ?', referral.referrer_user_id);
+    if (!reward || !referrer) return null;
+    // Claim and reward coupon commit together: on failure the referral stays pending, never rewarded without a coupon
+    const issued = await withTransaction(async (tx) => {
+        const claimed = await tx.run(
+            "UPDATE referrals SET status = 'rewarded', rewarded_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+            referral.id
+        );
+        if (!claimed.changes) return null;
+        const couponCode = await issueCouponCode(tx, campaign);
+        const result = await tx.run(
+            `INSERT INTO coupons (code, user_id, campaign_id, discount_type, discount_value, status, tenant_id, expires_at, max_uses, balance, referral_reward_for)
+             VALUES (?, ?, ?, ?, ?, 'active', ?, ?, ?, ?, ?)`,
+            couponCode, referrer.id, campaign.id, reward.discount_type, reward.discount_value, campaign.tenant_id,
+            computeCouponExpiry(campaign), campaign.max_uses || null, initialCouponBalance(reward.discount_type, reward.discount_value),
+            referral.id
+        );
+        await tx.run('UPDATE referrals SET reward_coupon_id = ? WHERE id = ?', result.lastID, referral.id);
+        return { couponId: result.lastID, couponCode };
+    });
+    if (!issued) return null;
+    const { couponId, couponCode } = issued;
+    await queueCouponEmail(dbConn, {
+        tenantId: campaign.tenant_id,
+        campaign: { ...campaign, discount_type: reward.discount_type, discount_value: reward.discount_value },
+        couponId, couponCode,
+        redemptionUrl: `${referral.redeem_base_url}/redeem/${couponCode}`,
+        email: referrer.email, firstName: referrer.first_name, lastName: referrer.last_name
+    });
+    console.log(JSON.stringify({ level: 'info', msg: 'referral-rewarded', referralId: referral.id, campaignId: campaign.id, couponId }));
+    return couponId;
+}
+
+// Instant-win campaigns
+// Every form submission is a draw against the campaign's prize table: each prize owns a band of
+// probability in table order and whatever the prizes leave is "no prize". A prize whose stock has run out
+// is not redrawn: the player gets the consolation message. Stock is claimed with a conditional UPDATE, so
+// concurrent winners can't exceed it. Each draw is logged before its outcome, with the seed the roll
+// derives from and the odds in force, so every result can be recomputed for regulatory checks.
+// max_per_customer caps the draws per email (losing draws included).
+const CAMPAIGN_PRIZES_MAX = 20;
+const NO_PRIZE_MESSAGE = 'Questa volta non hai vinto. Grazie per aver partecipato!';
+
+function prizeDrawRoll(seed) {
+    return crypto.createHash('sha256').update(seed).digest().readUIntBE(0, 6) / 2 ** 48;
+}
+
+function pickPrize(prizes, roll) {
+    let upper = 0;
+    for (const prize of prizes) {
+        upper += prize.probability;
+        if (roll < upper) return prize;
+    }
+    return null;
+}
+
+// Validate the prize table and consolation message from admin input. Returns { ok, prizes, consolationMessage }
+function parseCampaignPrizes(body) {
+    const raw = body?.prizes;
+    if (!Array.isArray(raw)) return { ok: false, error: 'Premi non validi' };
+    if (raw.length > CAMPAIGN_PRIZES_MAX) return { ok: false, error: `Massimo ${CAMPAIGN_PRIZES_MAX} premi` };
+    const prizes = [];
+    let total = 0;
+    for (const item of raw) {
+        const label = typeof item?.label === 'string' ? item.label.trim() : '';
+        if (!label || label.length > 60) return { ok: false, error: 'Nome premio non valido' };
+        const probability = Number(item.probability);
+        if (!Number.isFinite(probability) || probability <= 0 || probability > 1) {
+            return { ok: false, error: `Probabilità non valida per il premio ${label}` };
+        }
+        const quantity = item.quantity === undefined || item.quantity === null || item.quantity === '' ? null : Number(item.quantity);
+        if (quantity !== null && (!Number.isInteger(quantity) || quantity < 0)) {
+            return { ok: false, error: `Quantità non valida per il premio ${label}` };
+        }
+        if (!['percent', 'fixed', 'text'].includes(String(item.discount_type))) return { ok: false, error: `Tipo sconto non valido per il premio ${label}` };
+        const discountValue = String(item.discount_value ?? '').trim();
+        if (!discountValue || (item.discount_type !== 'text' && isNaN(Number(discountValue)))) {
+            return { ok: false, error: `Valore sconto non valido per il premio ${label}` };
+        }
+        total += probability;
+        prizes.push({ id: item.id ? Number(item.id) : null, label, probability, quantity, discount_type: item.discount_type, discount_value: discountValue });
+    }
+    if (total > 1 + 1e-9) return { ok: false, error: 'La somma delle probabilità supera il 100%' };
+    const consolation = typeof body.consolation_message === 'string' ? body.consolation_message.trim().slice(0, 500) : '';
+    return { ok: true, prizes, consolationMessage: consolation || null };
+}
+
+// Campaign row as issuance sees it for a winner: the prize's discount replaces the campaign's
+function withCampaignPrize(campaign, prize) {
+    return { ...campaign, discount_type: prize.discount_type, discount_value: prize.discount_value, prize };
+}
+
+// Draw for one submission and, on a win, issue the prize coupon. A win that can't be issued (campaign
+// sold out meanwhile) gives the prize back and marks the draw cancelled.
+// Returns { customerLimit } | { soldOut } | { lost, drawId } | { id, code, issuing, drawId }
+async function playInstantWin(dbConn, campaign, { userId, tenantId }, customer) {
+    const prizes = await dbConn.all('SELECT * FROM campaign_prizes WHERE campaign_id = ? ORDER BY id', campaign.id);
+    const seed = crypto.randomBytes(16).toString('hex');
+    const roll = prizeDrawRoll(seed);
+    const odds = prizes.map(p => ({ id: p.id, label: p.label, probability: p.probability, quantity: p.quantity, awarded: p.awarded_count }));
+    const draw = await dbConn.run(
+        `INSERT INTO prize_draws (tenant_id, campaign_id, user_id, email, seed, roll, odds, outcome)
+         SELECT ?, ?, ?, ?, ?, ?, ?, 'pending'
+         WHERE (? IS NULL OR (SELECT COUNT(*) FROM prize_draws WHERE campaign_id = ? AND LOWER(email) = LOWER(?) AND outcome != 'cancelled') < ?)`,
+        campaign.tenant_id, campaign.id, userId, customer.email, seed, roll, JSON.stringify(odds),
+        campaign.max_per_customer || null, campaign.id, customer.email, campaign.max_per_customer || null
+    );
+    if (!draw.changes) return { customerLimit: true, error: CUSTOMER_LIMIT_ERROR };
+    const drawId = draw.lastID;
+    const setOutcome = (outcome, prizeId = null, couponId = null) => dbConn.run(
+        'UPDATE prize_draws SET outcome = ?, prize_id = ?, coupon_id = ? WHERE id = ?', outcome, prizeId, couponId, drawId
+    );
+
+    const prize = pickPrize(prizes, roll);
+    if (!prize) {
+        await setOutcome('lost');
+        return { lost: true, drawId };
+    }
+    const claimed = await dbConn.run(
+        'UPDATE campaign_prizes SET awarded_count = awarded_count + 1 WHERE id = ? AND (quantity IS NULL OR awarded_count < quantity)',
+        prize.id
+    );
+    if (!claimed.changes) {
+        await setOutcome('out_of_stock', prize.id);
+        return { lost: true, drawId };
+    }
+
+    const issuing = withCampaignPrize(campaign, prize);
+    const code = await issueCouponCode(dbConn, campaign);
+    const inserted = await insertCappedCoupon(dbConn, issuing, { code, userId, tenantId }, customer);
+    if (inserted.error) {
+        await dbConn.run('UPDATE campaign_prizes SET awarded_count = awarded_count - 1 WHERE id = ?', prize.id);
+        await setOutcome('cancelled', prize.id);
+        return inserted;
+    }
+    await setOutcome('won', prize.id, inserted.id);
+    return { id: inserted.id, code, issuing, drawId };
+}
 
+// Campaign waitlist
+// When a campaign is sold out or not open yet the public form queues the customer instead. The queue is
+// served in join order as soon as the campaign runs with free capacity: triggered by cap changes, voids,
+// activation and schedule edits, plus a periodic sweep that catches scheduled openings.
+const WAITLIST_SWEEP_INTERVAL_MS = Number(process.env.WAITLIST_SWEEP_INTERVAL_MS || 60 * 1000); // 1m
+
+// Runs per campaign are chained so two triggers never serve the same entry twice
+const waitlistRuns = new Map();
+
+function runCampaignWaitlist(campaignId) {
+    campaignId = Number(campaignId);
+    const previous = waitlistRuns.get(campaignId) || Promise.resolve();
+    const run = previous
+        .then(() => processCampaignWaitlist(campaignId))
+        .catch(e => { console.error('Waitlist error:', e); return 0; });
+    waitlistRuns.set(campaignId, run);
+    run.finally(() => { if (waitlistRuns.get(campaignId) === run) waitlistRuns.delete(campaignId); });
+    return run;
+}
+
+// Issue coupons to pending entries in order; stops when the campaign sells out.
+// Entries already at the per-customer cap are skipped. Returns the number of coupons issued.
+async function processCampaignWaitlist(campaignId) {
+    const dbConn = await getDb();
+    const campaign = await dbConn.get('SELECT * FROM campaigns WHERE id = ?', campaignId);
+    if (!campaign || campaignScheduleStatus(campaign) !== 'running') return 0;
+    let issued = 0;
+    for (;;) {
+        const entry = await dbConn.get(
+            "SELECT * FROM campaign_waitlist WHERE campaign_id = ? AND status = 'pending' ORDER BY id LIMIT 1",
+            campaign.id
+        );
+        if (!entry) break;
+        const customer = { email: entry.email, phone: entry.phone };
+        const userId = await findOrCreateCouponCustomer(dbConn, campaign.tenant_id, {
+            email: entry.email, firstName: entry.first_name, lastName: entry.last_name, phone: entry.phone
+        });
+        const issuing = await withCampaignVariant(dbConn, campaign, entry.email);
+        const couponCode = await issueCouponCode(dbConn, campaign);
+        const inserted = await insertCappedCoupon(dbConn, issuing, { code: couponCode, userId, tenantId: campaign.tenant_id }, customer);
+        if (inserted.soldOut) break;
+        if (inserted.customerLimit) {
+            await dbConn.run("UPDATE campaign_waitlist SET status = 'skipped', processed_at = CURRENT_TIMESTAMP WHERE id = ?", entry.id);
+            continue;
+        }
         await dbConn.run(
-            'INSERT INTO email_template (tenant_id, subject, html) VALUES (?, ?, ?)',
-            newTenantId, 'Il tuo coupon', defaultTemplateHtml
+            "UPDATE campaign_waitlist SET status = 'issued', coupon_id = ?, processed_at = CURRENT_TIMESTAMP WHERE id = ?",
+            inserted.id, entry.id
+        );
+        issued++;
+
+        const customData = entry.custom_data ? JSON.parse(entry.custom_data) : {};
+        for (const [fieldName, fieldValue] of Object.entries(customData)) {
+            await dbConn.run(
+                'INSERT INTO user_custom_data (user_id, field_name, field_value, tenant_id) VALUES (?, ?, ?, ?)',
+                userId, fieldName, fieldValue, campaign.tenant_id
+            );
+        }
+        const referralUrl = await enableCouponReferral(dbConn, campaign, inserted.id, { baseUrl: entry.redeem_base_url });
+        await queueCouponEmail(dbConn, {
+            tenantId: campaign.tenant_id,
+            campaign: issuing, couponId: inserted.id, couponCode,
+            redemptionUrl: `${entry.redeem_base_url}/redeem/${couponCode}`, referralUrl,
+            email: entry.email, firstName: entry.first_name, lastName: entry.last_name
+        });
+    }
+    if (issued > 0) {
+        console.log(JSON.stringify({ level: 'info', msg: 'waitlist-issued', campaignId: campaign.id, issued }));
+    }
+    return issued;
+}
+
+// Serve every running campaign that still has people waiting
+async function sweepWaitlists() {
+    const dbConn = await getDb();
+    const rows = await dbConn.all("SELECT DISTINCT campaign_id FROM campaign_waitlist WHERE status = 'pending'");
+    for (const row of rows) await runCampaignWaitlist(row.campaign_id);
+}
+
+function startWaitlistSweep() {
+    const run = () => sweepWaitlists().catch(e => console.error('Waitlist sweep error:', e));
+    run();
+    const timer = setInterval(run, WAITLIST_SWEEP_INTERVAL_MS);
+    timer.unref();
+}
+
+// Issue a form coupon only while both caps allow it. The checks run inside the INSERT itself, so
+// concurrent submissions can't overshoot. Discount, variant and prize come from `campaign` (see withCampaignVariant
+// and withCampaignPrize).
+// Returns { id } or { error, soldOut | customerLimit }
+async function insertCappedCoupon(dbConn, campaign, coupon, customer) {
+    const result = await dbConn.run(
+        `INSERT INTO coupons (code, user_id, campaign_id, discount_type, discount_value, status, tenant_id, expires_at, max_uses, balance, variant_id, prize_id)
+         SELECT ?, ?, ?, ?, ?, 'active', ?, ?, ?, ?, ?, ?
+         WHERE (? IS NULL OR (${ISSUED_COUPONS_SQL}) < ?)
+           AND (? IS NULL OR (${CUSTOMER_COUPONS_SQL}) < ?)`,
+        coupon.code, coupon.userId, campaign.id, campaign.discount_type, campaign.discount_value, coupon.tenantId,
+        computeCouponExpiry(campaign), campaign.max_uses || null, initialCouponBalance(campaign.discount_type, campaign.discount_value),
+        campaign.variant?.id ?? null, campaign.prize?.id ?? null,
+        campaign.max_coupons || null, campaign.id, campaign.max_coupons || null,
+        campaign.max_per_customer || null, campaign.id, customer.email, customer.phone, customer.phone, campaign.max_per_customer || null
+    );
+    if (result.changes === 1) return { id: result.lastID };
+    return issuanceCapError(dbConn, campaign, customer);
+}
+
+// Coupon expiry
+const EXPIRY_SWEEP_INTERVAL_MS = Number(process.env.EXPIRY_SWEEP_INTERVAL_MS || 60 * 60 * 1000); // 1h
+
+// Validate campaign expiry settings from admin input. Dates are local to the tenant (see parseZonedDateTime).
+// Returns { ok, expiryDate, validityDays } where a date-only value means "valid until the end of that day".
+function parseCampaignExpiryInput(body, timeZone) {
+    const rawDate = body?.coupon_expiry_date;
+    const rawDays = body?.coupon_validity_days;
+    let expiryDate = null;
+    let validityDays = null;
+    if (rawDate !== undefined && rawDate !== null && rawDate !== '') {
+        const parsed = parseZonedDateTime(rawDate, timeZone, true);
+        if (!parsed) return { ok: false, error: 'Data di scadenza non valida' };
+        expiryDate = toSqlDateTime(parsed);
+    }
+    if (rawDays !== undefined && rawDays !== null && rawDays !== '') {
+        const days = Number(rawDays);
+        if (!Number.isInteger(days) || days <= 0) return { ok: false, error: 'Giorni di validità non validi' };
+        validityDays = days;
+    }
+    return { ok: true, expiryDate, validityDays };
+}
+
+// Compute the expires_at value for a coupon issued now: the earliest of the campaign end date and issue + N days
+function computeCouponExpiry(campaign, issuedAt = new Date()) {
+    const candidates = [];
+    if (campaign && campaign.coupon_validity_days) {
+        candidates.push(issuedAt.getTime() + Number(campaign.coupon_validity_days) * 24 * 60 * 60 * 1000);
+    }
+    const endDate = campaign ? parseSqlDateTime(campaign.coupon_expiry_date) : null;
+    if (endDate) candidates.push(endDate.getTime());
+    if (candidates.length === 0) return null;
+    return toSqlDateTime(new Date(Math.min(...candidates)));
+}
+
+function isCouponExpired(coupon, now = new Date()) {
+    if (!coupon) return false;
+    if (coupon.status === 'expired') return true;
+    const expiresAt = parseSqlDateTime(coupon.expires_at);
+    return !!expiresAt && expiresAt.getTime() <= now.getTime();
+}
+
+// Flip overdue active coupons to 'expired'
+async function expireOverdueCoupons() {
+    const dbConn = await getDb();
+    const result = await dbConn.run(
+        "UPDATE coupons SET status = 'expired' WHERE status = 'active' AND expires_at IS NOT NULL AND expires_at <= datetime('now')"
+    );
+    if (result.changes > 0) {
+        console.log(JSON.stringify({ level: 'info', msg: 'coupon-expiry-sweep', expired: result.changes }));
+    }
+    return result.changes;
+}
+
+function startExpirySweep() {
+    const run = () => expireOverdueCoupons().catch(e => console.error('Expiry sweep error:', e));
+    run();
+    const timer = setInterval(run, EXPIRY_SWEEP_INTERVAL_MS);
+    timer.unref();
+}
+
+// Multi-use coupons
+function parseCampaignMaxUses(body) {
+    const raw = body?.max_uses;
+    if (raw === undefined || raw === null || raw === '') return { ok: true, maxUses: null };
+    const maxUses = Number(raw);
+    if (!Number.isInteger(maxUses) || maxUses < 1) return { ok: false, error: 'Numero di utilizzi non valido' };
+    return { ok: true, maxUses };
+}
+
+// Initial balance for a newly issued coupon: only fixed-amount coupons carry a spendable balance
+function initialCouponBalance(discountType, discountValue) {
+    return discountType === 'fixed' ? Number(discountValue) : null;
+}
+
+// Remaining uses and (for fixed discounts) remaining balance of a coupon row.
+// maxUses/remainingUses are null when only the balance limits a fixed coupon.
+function getCouponUsage(coupon) {
+    const isFixed = coupon.discount_type === 'fixed';
+    const maxUses = Number(coupon.max_uses) || (isFixed ? null : 1);
+    const usesCount = Number(coupon.uses_count) || 0;
+    let balance = null;
+    if (isFixed) {
+        balance = coupon.balance !== null && coupon.balance !== undefined ? Number(coupon.balance) : Number(coupon.discount_value);
+    }
+    return { maxUses, usesCount, remainingUses: maxUses === null ? null : Math.max(0, maxUses - usesCount), balance };
+}
+
+// Discount rules
+// Conditions on top of discount_type, evaluated at the till against the basket the cashier sends:
+// min_basket (basket total in €), max_discount (cap of a percent discount in €), buy_x_get_y (text coupons
+// such as "3x2": in every group of buy + get items the cheapest get are free) and products_only (only lines
+// whose SKU belongs to a product linked to the campaign count).
+const BASKET_MAX_LINES = 200;
+const BASKET_MAX_QUANTITY = 999;
+const BASKET_REQUIRED_ERROR = 'Inserisci il carrello: questa promozione ha regole di sconto';
+
+// Validate discount rules from admin input against the discount types the campaign's coupons can carry
+// (see campaignDiscountTypes): a rule that none of them can use is rejected.
+// Returns { ok, discountRules } where discountRules is null when no rule is set.
+function parseCampaignDiscountRules(body, discountTypes) {
+    let raw = body?.discount_rules;
+    if (raw === undefined || raw === null || raw === '') return { ok: true, discountRules: null };
+    if (typeof raw === 'string') {
+        try { raw = JSON.parse(raw); } catch (e) { return { ok: false, error: 'Regole di sconto non valide' }; }
+    }
+    if (typeof raw !== 'object' || Array.isArray(raw)) return { ok: false, error: 'Regole di sconto non valide' };
+    const amount = (value) => {
+        if (value === undefined || value === null || value === '') return null;
+        const n = Number(value);
+        return Number.isFinite(n) && n > 0 ? Math.round(n * 100) / 100 : NaN;
+    };
+    const rules = {};
+    const minBasket = amount(raw.min_basket);
+    if (Number.isNaN(minBasket)) return { ok: false, error: 'Spesa minima non valida' };
+    if (minBasket !== null) rules.min_basket = minBasket;
+    const maxDiscount = amount(raw.max_discount);
+    if (Number.isNaN(maxDiscount)) return { ok: false, error: 'Sconto massimo non valido' };
+    if (maxDiscount !== null) {
+        if (!discountTypes.includes('percent')) return { ok: false, error: 'Lo sconto massimo vale solo per sconti percentuali' };
+        rules.max_discount = maxDiscount;
+    }
+    if (raw.buy_x_get_y !== undefined && raw.buy_x_get_y !== null && raw.buy_x_get_y !== '') {
+        const buy = Number(raw.buy_x_get_y.buy);
+        const get = Number(raw.buy_x_get_y.get);
+        if (!Number.isInteger(buy) || !Number.isInteger(get) || buy < 1 || get < 1 || buy + get > 50) {
+            return { ok: false, error: 'Regola "prendi X paghi Y" non valida' };
+        }
+        if (!discountTypes.includes('text')) return { ok: false, error: 'La regola "prendi X paghi Y" vale solo per sconti di tipo testo' };
+        rules.buy_x_get_y = { buy, get };
+    }
+    if (raw.products_only === true || raw.products_only === 'true' || raw.products_only === 1) rules.products_only = true;
+    return { ok: true, discountRules: Object.keys(rules).length > 0 ? rules : null };
+}
+
+// Discount types a campaign's coupons can carry: its own (printed batches always use it), its A/B variants',
+// its prizes' and the referral reward's. `replaced` holds the lists an admin is about to save.
+async function campaignDiscountTypes(dbConn, campaign, replaced = {}) {
+    const variants = replaced.variants || await dbConn.all('SELECT discount_type FROM campaign_variants WHERE campaign_id = ?', campaign.id);
+    const prizes = replaced.prizes || await dbConn.all('SELECT discount_type FROM campaign_prizes WHERE campaign_id = ?', campaign.id);
+    const reward = 'referralReward' in replaced
+        ? replaced.referralReward
+        : (campaign.campaign_type === 'referral' && campaign.referral_reward ? JSON.parse(campaign.referral_reward) : null);
+    return [...new Set([campaign.discount_type, ...variants.map(v => v.discount_type), ...prizes.map(p => p.discount_type), ...(reward ? [reward.discount_type] : [])])];
+}
+
+// Rules of a campaign as they apply to a coupon of `discountType` (the coupon's own, which a variant, prize
+// or referral reward may have changed): max_discount only caps percent coupons and buy_x_get_y only prices
+// text ones. null when none applies.
+function getCampaignDiscountRules(campaign, discountType = campaign?.discount_type) {
+    if (!campaign || !campaign.discount_rules) return null;
+    try {
+        const parsed = parseCampaignDiscountRules({ discount_rules: campaign.discount_rules }, ['percent', 'fixed', 'text']);
+        if (!parsed.ok || !parsed.discountRules) return null;
+        const rules = { ...parsed.discountRules };
+        if (discountType !== 'percent') delete rules.max_discount;
+        if (discountType !== 'text') delete rules.buy_x_get_y;
+        return Object.keys(rules).length > 0 ? rules : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+// Customer-facing summary of the rules, e.g. "Spesa minima € 20.00 · Sconto massimo € 10.00"
+function discountRulesLabel(rules) {
+    if (!rules) return '';
+    const parts = [];
+    if (rules.buy_x_get_y) parts.push(`Prendi ${rules.buy_x_get_y.buy + rules.buy_x_get_y.get}, paghi ${rules.buy_x_get_y.buy}`);
+    if (rules.min_basket) parts.push(`Spesa minima € ${rules.min_basket.toFixed(2)}`);
+    if (rules.max_discount) parts.push(`Sconto massimo € ${rules.max_discount.toFixed(2)}`);
+    if (rules.products_only) parts.push('Solo sui prodotti in promozione');
+    return parts.join(' · ');
+}
+
+// Basket lines from the till: [{ sku, price, quantity }], price per unit in €, quantity defaults to 1
+function parseRedemptionBasket(raw) {
+    if (!Array.isArray(raw) || raw.length === 0 || raw.length > BASKET_MAX_LINES) return { ok: false, error: 'Carrello non valido' };
+    const lines = [];
+    for (const item of raw) {
+        const sku = typeof item?.sku === 'string' ? item.sku.trim().toUpperCase() : '';
+        const price = Number(item?.price);
+        const quantity = item?.quantity === undefined || item?.quantity === null || item?.quantity === '' ? 1 : Number(item.quantity);
+        if (!sku || sku.length > 64) return { ok: false, error: 'Codice articolo non valido nel carrello' };
+        if (!Number.isFinite(price) || price < 0) return { ok: false, error: `Prezzo non valido per l'articolo ${sku}` };
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > BASKET_MAX_QUANTITY) {
+            return { ok: false, error: `Quantità non valida per l'articolo ${sku}` };
+        }
+        lines.push({ sku, price, quantity });
+    }
+    return { ok: true, lines };
+}
+
+// Discount owed on a basket. `balance` is the spendable amount of fixed coupons, `campaignSkus` the SKUs
+// linked to the campaign (upper case). Returns { error } or { subtotal, eligible_total, discount, total };
+// discount is null for text coupons without a computable rule (the cashier applies the offer by hand).
+function computeBasketDiscount(coupon, rules, lines, { balance, campaignSkus }) {
+    const cents = (n) => Math.round(n * 100) / 100;
+    const subtotal = cents(lines.reduce((sum, l) => sum + l.price * l.quantity, 0));
+    if (rules?.min_basket && subtotal < rules.min_basket) {
+        return { error: `Spesa minima di € ${rules.min_basket.toFixed(2)} non raggiunta (carrello € ${subtotal.toFixed(2)})` };
+    }
+    const eligible = rules?.products_only ? lines.filter(l => campaignSkus.includes(l.sku)) : lines;
+    if (eligible.length === 0) return { error: 'Nessun articolo del carrello rientra nella promozione' };
+    const eligibleTotal = cents(eligible.reduce((sum, l) => sum + l.price * l.quantity, 0));
+
+    let discount = null;
+    if (coupon.discount_type === 'percent') {
+        discount = eligibleTotal * Number(coupon.discount_value) / 100;
+        if (rules?.max_discount) discount = Math.min(discount, rules.max_discount);
+    } else if (coupon.discount_type === 'fixed') {
+        discount = Math.min(balance, eligibleTotal);
+    } else if (rules?.buy_x_get_y) {
+        const { buy, get } = rules.buy_x_get_y;
+        const units = eligible.flatMap(l => Array(l.quantity).fill(l.price)).sort((a, b) => b - a);
+        const groupSize = buy + get;
+        if (units.length < groupSize) return { error: `Servono almeno ${groupSize} articoli in promozione` };
+        discount = 0;
+        for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+            for (let i = start + buy; i < start + groupSize; i++) discount += units[i];
+        }
+    }
+    if (discount === null) return { subtotal, eligible_total: eligibleTotal, discount: null, total: subtotal };
+    discount = cents(discount);
+    if (coupon.discount_type === 'fixed' && discount <= 0) return { error: 'Importo del carrello non valido' };
+    return { subtotal, eligible_total: eligibleTotal, discount, total: cents(subtotal - discount) };
+}
+
+// Price the basket sent with a redemption against the campaign rules that apply to the coupon's discount type.
+// Returns { error } or { basket } (null when no basket was sent and no rule applies). Inactive coupons are
+// left to redeemCoupon.
+async function priceRedemptionBasket(dbConn, coupon, rawBasket) {
+    if (coupon.status !== 'active') return { basket: null };
+    const campaign = coupon.campaign_id
+        ? await dbConn.get('SELECT discount_type, discount_rules FROM campaigns WHERE id = ?', coupon.campaign_id)
+        : null;
+    const rules = getCampaignDiscountRules(campaign, coupon.discount_type);
+    if (rawBasket === undefined || rawBasket === null || rawBasket === '') {
+        return rules ? { error: BASKET_REQUIRED_ERROR } : { basket: null };
+    }
+    const parsed = parseRedemptionBasket(rawBasket);
+    if (!parsed.ok) return { error: parsed.error };
+    const campaignSkus = rules?.products_only
+        ? (await dbConn.all(
+            'SELECT UPPER(p.sku) AS sku FROM campaign_products cp JOIN products p ON p.id = cp.product_id WHERE cp.campaign_id = ? AND p.sku IS NOT NULL',
+            coupon.campaign_id
+        )).map(r => r.sku)
+        : [];
+    const basket = computeBasketDiscount(coupon, rules, parsed.lines, { balance: getCouponUsage(coupon).balance, campaignSkus });
+    if (basket.error) return { error: basket.error };
+    return { basket };
+}
+
+// Coupon stacking
+// Whether a campaign's coupons can be used together with others in one multi-code redemption:
+// exclusive (alone), same_campaign (only with coupons of the same campaign) or any.
+const COUPON_STACKING = ['exclusive', 'same_campaign', 'any'];
+const REDEEM_MULTIPLE_MAX_CODES = 20;
+
+function parseCampaignStacking(body) {
+    const raw = body?.stacking;
+    if (raw === undefined || raw === null || raw === '') return { ok: true, stacking: 'exclusive' };
+    if (!COUPON_STACKING.includes(String(raw))) return { ok: false, error: 'Regola di cumulabilità non valida' };
+    return { ok: true, stacking: String(raw) };
+}
+
+// Why coupon b can't join coupon a in the same redemption, or null when they stack.
+// Coupons without a campaign are exclusive.
+function couponStackingConflict(a, b) {
+    const stackingOf = (c) => (c.campaign_id && c.stacking) || 'exclusive';
+    if (stackingOf(a) === 'exclusive' || stackingOf(b) === 'exclusive') {
+        return `Non cumulabile con ${stackingOf(b) === 'exclusive' ? 'altri coupon' : `il coupon ${a.code}`}`;
+    }
+    if ((stackingOf(a) === 'same_campaign' || stackingOf(b) === 'same_campaign') && a.campaign_id !== b.campaign_id) {
+        return `Cumulabile solo con coupon della stessa campagna (${a.code})`;
+    }
+    return null;
+}
+
+// Apply one use of a coupon: spends `amount` from the balance of fixed coupons (the whole balance when omitted)
+// and marks the coupon redeemed once uses or balance are exhausted. The write is a conditional UPDATE on the
+// state we read, so concurrent tills cannot both win: the loser re-reads the coupon and tries again, which
+// lets multi-use coupons absorb simultaneous uses while single-use ones fail with "Coupon già utilizzato" (409).
+// Returns { error, statusCode } on failure, otherwise the updated usage.
+const REDEEM_MAX_ATTEMPTS = 5;
+
+async function redeemCoupon(dbConn, coupon, { amount, operatorId, locationId, location, receiptRef, rewardReferral = true } = {}) {
+    for (let attempt = 0; attempt < REDEEM_MAX_ATTEMPTS && coupon; attempt++) {
+        if (coupon.status === 'active' && isCouponExpired(coupon)) {
+            await dbConn.run("UPDATE coupons SET status = 'expired' WHERE id = ? AND status = 'active'", coupon.id);
+            return { error: 'Coupon scaduto' };
+        }
+        if (coupon.status === 'redeemed') return { error: 'Coupon già utilizzato', statusCode: 409 };
+        if (coupon.status !== 'active') return { error: coupon.status === 'expired' ? 'Coupon scaduto' : 'Coupon non attivo' };
+
+        const usage = getCouponUsage(coupon);
+        let spent = null;
+        let balance = usage.balance;
+        if (coupon.discount_type === 'fixed') {
+            spent = amount === undefined || amount === null || amount === '' ? usage.balance : Number(amount);
+            if (!Number.isFinite(spent) || spent <= 0) return { error: 'Importo non valido' };
+            if (spent > usage.balance) return { error: 'Importo superiore al saldo disponibile' };
+            balance = Math.round((usage.balance - spent) * 100) / 100;
+        }
+        const usesCount = usage.usesCount + 1;
+        const exhausted = (usage.maxUses !== null && usesCount >= usage.maxUses) || (balance !== null && balance <= 0);
+        const status = exhausted ? 'redeemed' : 'active';
+
+        const result = await dbConn.run(
+            `UPDATE coupons SET uses_count = ?, balance = ?, status = ?${exhausted ? ', redeemed_at = CURRENT_TIMESTAMP' : ''}
+             WHERE id = ? AND status = 'active' AND COALESCE(uses_count, 0) = ? AND balance IS ?`,
+            usesCount, balance, status, coupon.id, usage.usesCount, coupon.balance
         );
+        if (result.changes === 1) {
+            await dbConn.run(
+                'INSERT INTO coupon_redemptions (coupon_id, tenant_id, amount, operator_id, location_id, location, receipt_ref) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                coupon.id, coupon.tenant_id || null, spent, operatorId || null, locationId || null, location || null, receiptRef || null
+            );
+            // A referred friend's first visit earns the referrer a reward; the till doesn't wait for the email
+            if (usage.usesCount === 0 && rewardReferral) {
+                rewardReferrer(dbConn, coupon.id).catch(e => console.error('Referral reward error:', e));
+            }
+            const remainingUses = usage.maxUses === null ? null : Math.max(0, usage.maxUses - usesCount);
+            return { status, amount: spent, maxUses: usage.maxUses, usesCount, remainingUses, balance };
+        }
+        // Someone else changed the coupon in between: retry on fresh state
+        coupon = await dbConn.get('SELECT * FROM coupons WHERE id = ?', coupon.id);
+    }
+    if (!coupon) return { error: 'Non trovato', statusCode: 404 };
+    return { error: 'Coupon in uso su un\'altra cassa, riprova', statusCode: 409 };
+}
+
+// Who/where/which receipt for a redemption request: operator from the session, the rest from the body
+function getRedemptionContext(req) {
+    const clean = (value) => {
+        const str = value === undefined || value === null ? '' : String(value).trim();
+        return str ? str.slice(0, 100) : null;
+    };
+    return {
+        operatorId: req.session?.user?.id || null,
+        location: clean(req.body?.location),
+        receiptRef: clean(req.body?.receipt_ref)
+    };
+}
+
+// Work out the shop a redemption happens at and enforce campaign location restrictions.
+// An explicit location_id must belong to the coupon's tenant and, for store users with assigned shops, be one of them;
+// without one we fall back to the operator's only shop. Returns { error, statusCode } or { location } (possibly null).
+async function resolveRedemptionLocation(dbConn, req, coupon) {
+    const operatorId = req.session?.user?.id || null;
+    const assigned = operatorId
+        ? (await dbConn.all('SELECT location_id FROM auth_user_locations WHERE auth_user_id = ?', operatorId)).map(r => r.location_id)
+        : [];
+    const requestedId = req.body?.location_id;
+    let location = null;
+    if (requestedId !== undefined && requestedId !== null && requestedId !== '') {
+        location = await dbConn.get('SELECT * FROM locations WHERE id = ? AND tenant_id IS ?', Number(requestedId), coupon.tenant_id);
+        if (!location) return { error: 'Sede non valida' };
+        if (assigned.length > 0 && !assigned.includes(location.id)) {
+            return { error: 'Sede non assegnata al tuo utente', statusCode: 403 };
+        }
+    } else if (assigned.length === 1) {
+        location = await dbConn.get('SELECT * FROM locations WHERE id = ?', assigned[0]);
+    }
+
+    // Inactive coupons are rejected by redeemCoupon with their own status message
+    if (coupon.campaign_id && coupon.status === 'active') {
+        const covered = (await dbConn.all('SELECT location_id FROM campaign_locations WHERE campaign_id = ?', coupon.campaign_id)).map(r => r.location_id);
+        if (covered.length > 0) {
+            if (!location) return { error: 'Seleziona la sede in cui viene usato il coupon' };
+            if (!covered.includes(location.id)) return { error: 'Coupon non valido in questa sede' };
+        }
+    }
+    return { location };
+}
+
+// Latest non-reversed redemption (alias r) of coupon c and the operator who made it (alias op)
+const LAST_REDEMPTION_JOIN = `
+    LEFT JOIN coupon_redemptions r ON r.id = (SELECT MAX(id) FROM coupon_redemptions WHERE coupon_id = c.id AND reversed_at IS NULL)
+    LEFT JOIN auth_users op ON op.id = r.operator_id`;
+
+// Idempotency-Key support: the first final response for a (scope, key) pair is stored and replayed on retries.
+// Outcomes a retry may change (server errors, 408/409/425/429 such as "Coupon in uso") release the key instead,
+// and so does a request that ends without a response. A reservation older than IDEMPOTENCY_PENDING_TIMEOUT_MS
+// belongs to a request that died with the process and is dropped.
+const IDEMPOTENCY_KEY_TTL_MS = Number(process.env.IDEMPOTENCY_KEY_TTL_MS || 24 * 60 * 60 * 1000); // 24h
+const IDEMPOTENCY_PENDING_TIMEOUT_MS = 2 * 60 * 1000; // 2m, well past the request timeout
+const IDEMPOTENCY_RETRYABLE_STATUSES = [408, 409, 425, 429];
+
+function idempotencyGuard(scope) {
+    return async function(req, res, next) {
+        const key = req.get('Idempotency-Key');
+        if (!key) return next();
+        if (key.length > 255) return res.status(400).json({ error: 'Idempotency-Key non valida' });
+        try {
+            const dbConn = await getDb();
+            const fullScope = `${scope}:${req.tenant?.id || ''}`;
+            const requestHash = crypto.createHash('sha256')
+                .update(JSON.stringify({ method: req.method, path: req.path, body: req.body || {} }))
+                .digest('hex');
+
+            await dbConn.run(
+                "DELETE FROM idempotency_keys WHERE created_at < datetime('now', ?) OR (status_code IS NULL AND created_at < datetime('now', ?))",
+                `-${Math.floor(IDEMPOTENCY_KEY_TTL_MS / 1000)} seconds`, `-${Math.floor(IDEMPOTENCY_PENDING_TIMEOUT_MS / 1000)} seconds`
+            );
+            // Reserve the key; a row without status_code means the original request is still running
+            const reserved = await dbConn.run(
+                'INSERT OR IGNORE INTO idempotency_keys (scope, idem_key, request_hash) VALUES (?, ?, ?)',
+                fullScope, key, requestHash
+            );
+            if (reserved.changes === 0) {
+                const stored = await dbConn.get('SELECT * FROM idempotency_keys WHERE scope = ? AND idem_key = ?', fullScope, key);
+                if (stored.request_hash !== requestHash) {
+                    return res.status(422).json({ error: 'Idempotency-Key già usata per una richiesta diversa' });
+                }
+                if (stored.status_code === null) {
+                    return res.status(409).json({ error: 'Richiesta in elaborazione, riprova' });
+                }
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(stored.status_code).json(JSON.parse(stored.response));
+            }
+
+            // Store the outcome before it reaches the client; retryable ones release the key so the call runs again
+            const release = () => dbConn.run('DELETE FROM idempotency_keys WHERE scope = ? AND idem_key = ? AND status_code IS NULL', fullScope, key);
+            let settled = false;
+            const sendJson = res.json.bind(res);
+            res.json = (body) => {
+                settled = true;
+                const save = res.statusCode >= 500 || IDEMPOTENCY_RETRYABLE_STATUSES.includes(res.statusCode)
+                    ? release()
+                    : dbConn.run(
+                        'UPDATE idempotency_keys SET status_code = ?, response = ? WHERE scope = ? AND idem_key = ?',
+                        res.statusCode, JSON.stringify(body), fullScope, key
+                    );
+                save.catch(e => console.error('Idempotency store error:', e)).then(() => sendJson(body));
+                return res;
+            };
+            res.on('close', () => {
+                if (!settled) release().catch(e => console.error('Idempotency store error:', e));
+            });
+            next();
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Errore server' });
+        }
+    };
+}
+
+// Coupon corrections (reverse / void / reissue)
+const REDEMPTION_REVERSAL_WINDOW_MS = Number(process.env.REDEMPTION_REVERSAL_WINDOW_MS || 30 * 60 * 1000); // 30m
+
+// Subset of a coupon row recorded as before/after state in the audit log
+function couponAuditState(coupon) {
+    if (!coupon) return null;
+    return {
+        id: coupon.id,
+        code: coupon.code,
+        status: coupon.status,
+        uses_count: coupon.uses_count,
+        balance: coupon.balance,
+        redeemed_at: coupon.redeemed_at,
+        void_reason: coupon.void_reason,
+        superseded_by: coupon.superseded_by
+    };
+}
+
+// Undo the most recent redemption of a coupon, as long as it happened within the reversal window.
+// Returns { error } or { coupon } with the updated row.
+async function reverseLastRedemption(dbConn, coupon) {
+    if (coupon.status !== 'active' && coupon.status !== 'redeemed') return { error: 'Coupon non stornabile' };
+    const last = await dbConn.get(
+        'SELECT * FROM coupon_redemptions WHERE coupon_id = ? AND reversed_at IS NULL ORDER BY id DESC LIMIT 1',
+        coupon.id
+    );
+    if (!last) return { error: 'Nessun riscatto da stornare' };
+    const redeemedAt = parseSqlDateTime(last.redeemed_at);
+    if (!redeemedAt || Date.now() - redeemedAt.getTime() > REDEMPTION_REVERSAL_WINDOW_MS) {
+        return { error: 'Tempo massimo per lo storno superato' };
+    }
+
+    // Claim the ledger row first so two concurrent reversals cannot both restore the same use
+    const claimed = await dbConn.run('UPDATE coupon_redemptions SET reversed_at = CURRENT_TIMESTAMP WHERE id = ? AND reversed_at IS NULL', last.id);
+    if (claimed.changes === 0) return { error: 'Riscatto già stornato' };
+    const status = isCouponExpired({ expires_at: coupon.expires_at }) ? 'expired' : 'active';
+    await dbConn.run(
+        `UPDATE coupons SET uses_count = MAX(COALESCE(uses_count, 0) - 1, 0),
+            balance = CASE WHEN balance IS NULL OR ? IS NULL THEN balance ELSE ROUND(balance + ?, 2) END,
+            status = ?, redeemed_at = NULL
+         WHERE id = ?`,
+        last.amount, last.amount, status, coupon.id
+    );
+    return { coupon: await dbConn.get('SELECT * FROM coupons WHERE id = ?', coupon.id) };
+}
+
+// Logging utility function
+async function logAction(req, actionType, actionDescription, level = 'info', details = null) {
+    try {
+        const db = await getDb();
+        const user = req.session?.user;
+        const tenant = req.tenant;
+        
+        await db.run(`
+            INSERT INTO system_logs (
+                user_id, username, user_type, tenant_id, tenant_name, tenant_slug,
+                action_type, action_description, level, details, ip_address, user_agent
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            user?.id || null,
+            user?.username || 'Sistema',
+            user?.userType || 'system',
+            tenant?.id || user?.tenantId || null,
+            tenant?.name || null,
+            tenant?.slug || user?.tenantSlug || null,
+            actionType,
+            actionDescription,
+            level,
+            details ? JSON.stringify(details) : null,
+            req.ip || req.connection?.remoteAddress || null,
+            req.get('User-Agent') || null
+        ]);
+    } catch (error) {
+        console.error('Error logging action:', error);
+        // Don't throw error to avoid breaking the main flow
+    }
+}
+
+// Authentication middleware
+function requireAuth(req, res, next) {
+    if (req.session && req.session.user) {
+        return next();
+    } else {
+        return res.redirect('/login');
+    }
+}
+
+function requireAdmin(req, res, next) {
+    if (req.session && req.session.user && (req.session.user.userType === 'admin' || req.session.user.userType === 'superadmin')) {
+        return next();
+    } else {
+        return res.status(403).send('Accesso negato. Richiesto ruolo Admin.');
+    }
+}
+
+// Super admin middleware
+function requireSuperAdmin(req, res, next) {
+    if (req.session && req.session.user && req.session.user.userType === 'superadmin') {
+        return next();
+    }
+    return res.status(403).send('Accesso negato. Richiesto ruolo SuperAdmin.');
+}
+
+// Super admin page already defined above
+
+function requireStore(req, res, next) {
+    if (req.session && req.session.user && (req.session.user.userType === 'store' || req.session.user.userType === 'admin' || req.session.user.userType === 'superadmin')) {
+        return next();
+    } else {
+        return res.status(403).send('Accesso negato. Richiesto ruolo Store.');
+    }
+}
+
+// Simple password verification (in production, use bcrypt)
+function verifyPassword(password, hash) {
+    return Buffer.from(password).toString('base64') === hash;
+}
+
+function hashPassword(password) {
+    return Buffer.from(password).toString('base64');
+}
+
+// Helper function to check if a user is the first admin of their tenant
+async function isFirstAdmin(dbConn, userId, tenantId) {
+    const firstAdmin = await dbConn.get(
+        'SELECT id FROM auth_users WHERE tenant_id = ? AND user_type = ? ORDER BY created_at ASC LIMIT 1',
+        tenantId, 'admin'
+    );
+    return firstAdmin && firstAdmin.id === parseInt(userId);
+}
+
+// Login API endpoint
+app.post('/api/login', async (req, res) => {
+    try {
+        const { username, password, userType } = req.body;
+        const ip = req.ip || req.connection?.remoteAddress || 'unknown';
+        const rate = checkLoginRateLimit(ip);
+        if (!rate.ok) {
+            return res.status(429).json({ error: 'Troppi tentativi. Riprova più tardi.' });
+        }
+        
+        if (!username || !password || !userType) {
+            return res.status(400).json({ error: 'Username, password e tipo utente sono richiesti' });
+        }
+        
+        const dbConn = await getDb();
+        if (!dbConn) {
+            console.error('Database connection failed');
+            return res.status(500).json({ error: 'Errore di connessione al database' });
+        }
+        
+        const user = await dbConn.get(
+            'SELECT * FROM auth_users WHERE username = ? AND user_type = ? AND is_active = 1',
+            username, userType
+        );
+        
+        if (!user || !verifyPassword(password, user.password_hash)) {
+            recordLoginFailure(ip);
+            return res.status(401).json({ error: 'Credenziali non valide' });
+        }
+        
+        recordLoginSuccess(ip);
+        // Update last login
+        await dbConn.run(
+            'UPDATE auth_users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
+            user.id
+        );
+        
+        // Regenerate session to prevent fixation
+        try {
+            await new Promise((resolve, reject) => {
+                req.session.regenerate(err => err ? reject(err) : resolve());
+            });
+        } catch (sessionError) {
+            console.error('Session regeneration failed:', sessionError);
+            // Continue with login even if session regeneration fails
+        }
+        // Create session (tenant-scoped payload)
+        const superAdminUsername = process.env.SUPERADMIN_USERNAME || 'admin';
+        const isSuperAdmin = user && user.username === superAdminUsername;
+        req.session.user = {
+            id: user.id,
+            username: user.username,
+            userType: user.user_type,
+            tenantId: user.tenant_id,
+            tenantSlug: DEFAULT_TENANT_SLUG, // until path-based routing is introduced
+            isSuperAdmin
+        };
+        
+        // Debug: Log session creation
+        console.log('Session created:', req.session.user);
+        console.log('Session ID:', req.sessionID);
+        console.log('Request headers:', req.headers);
+        console.log('Request secure:', req.secure);
+        console.log('Request protocol:', req.protocol);
+        
+        // Determine redirect URL (simplified for debugging)
+        let redirectUrl;
+        if (userType === 'admin') {
+            redirectUrl = '/admin';
+        } else if (userType === 'store') {
+            redirectUrl = '/store';
+        } else {
+            redirectUrl = '/';
+        }
+        
+        // Log successful login
+        try {
+            await logAction(req, 'login', `Login effettuato come ${userType}`, 'success', {
+                username: user.username,
+                userType: user.user_type,
+                tenantId: user.tenant_id
+            });
+        } catch (logError) {
+            console.error('Failed to log login action:', logError);
+            // Continue with login even if logging fails
+        }
+        
+        // Debug: Log cookie headers
+        console.log('Response headers being set:', res.getHeaders());
+        console.log('Session cookie should be set with secure flag');
+        
+        res.json({ 
+            success: true, 
+            message: 'Login effettuato con successo',
+            redirect: redirectUrl
+        });
+        
+    } catch (error) {
+        console.error('Login error:', error);
+        console.error('Error stack:', error.stack);
+        res.status(500).json({ 
+            error: 'Errore interno del server',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Tenant provisioning: create tenant + first admin user, then login
+app.post('/api/signup', async (req, res) => {
+    try {
+        const { tenantName, tenantSlug, adminUsername, adminPassword } = req.body || {};
+        if (!tenantName || !adminUsername || !adminPassword) {
+            return res.status(400).json({ error: 'tenantName, adminUsername e adminPassword sono richiesti' });
+        }
+        const slug = toSlug(tenantSlug || tenantName);
+        const dbConn = await getDb();
+
+        // Check slug uniqueness
+        const existing = await dbConn.get('SELECT id FROM tenants WHERE slug = ?', slug);
+        if (existing) {
+            return res.status(409).json({ error: 'Slug tenant già in uso' });
+        }
+
+        // Create tenant
+        const resultTenant = await dbConn.run('INSERT INTO tenants (slug, name) VALUES (?, ?)', slug, tenantName);
+        const newTenantId = resultTenant.lastID;
+
+        // Create default email template for new tenant
+        const defaultTemplateHtml = `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Il tuo coupon</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4;">
+        <tr>
+            <td align="center" style="padding: 20px 0;">
+                <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+                    <tr>
+                        <td style="padding: 30px; text-align: center; background-color: #2d5a3d; border-radius: 8px 8px 0 0;">
+                            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">🎫 Il tuo Coupon</h1>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 30px;">
+                            <p style="font-size: 16px; color: #333333; margin: 0 0 20px 0;">Ciao {{firstName}} {{lastName}},</p>
+                            <p style="font-size: 16px; color: #333333; margin: 0 0 20px 0;">Ecco il tuo coupon personale che vale <strong style="color: #2d5a3d;">{{discountText}}</strong>!</p>
+                            <div style="background-color: #f8f9fa; border: 2px dashed #2d5a3d; border-radius: 8px; padding: 20px; margin: 20px 0; text-align: center;">
+                                <p style="font-size: 14px; color: #666666; margin: 0 0 10px 0;">Codice Coupon</p>
+                                <p style="font-size: 32px; font-weight: bold; color: #2d5a3d; margin: 0; letter-spacing: 2px;">{{code}}</p>
+                            </div>
+                            <div style="text-align: center; margin: 30px 0; padding: 20px; background-color: #f8f9fa; border-radius: 8px;">
+                                <p style="font-size: 14px; color: #666666; margin: 0 0 15px 0;">Scansiona il QR Code</p>
+                                <img src="cid:couponqr" alt="QR Code" style="max-width: 200px; height: auto; border: 1px solid #ddd; border-radius: 8px; display: block; margin: 0 auto;">
+                            </div>
+                            <p style="font-size: 16px; color: #333333; margin: 20px 0;">Mostra questo codice in negozio oppure usa il link qui sotto:</p>
+                            <div style="text-align: center; margin: 30px 0;">
+                                <a href="{{redemptionUrl}}" style="display: inline-block; background-color: #2d5a3d; color: #ffffff; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; font-size: 16px;">🚀 Vai alla Cassa</a>
+                            </div>
+                            <p style="font-size: 14px; color: #666666; margin: 20px 0 0 0;">Grazie per averci scelto!</p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 20px 30px; background-color: #f8f9fa; border-radius: 0 0 8px 8px; text-align: center;">
+                            <p style="font-size: 12px; color: #999999; margin: 0;">CouponGen - Sistema di Coupon Digitali</p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+
+        await dbConn.run(
+            'INSERT INTO email_template (tenant_id, subject, html) VALUES (?, ?, ?)',
+            newTenantId, 'Il tuo coupon', defaultTemplateHtml
+        );
+
+        // Create first admin user (auth)
+        const existingAdmin = await dbConn.get('SELECT id FROM auth_users WHERE username = ? AND tenant_id = ?', adminUsername, newTenantId);
+        if (existingAdmin) {
+            return res.status(409).json({ error: 'Username già in uso per questo tenant' });
+        }
+        const adminInsert = await dbConn.run(
+            'INSERT INTO auth_users (username, password_hash, user_type, is_active, tenant_id) VALUES (?, ?, ?, 1, ?)',
+            adminUsername, hashPassword(adminPassword), 'admin', newTenantId
+        );
+
+        // Login session
+        await new Promise((resolve, reject) => req.session.regenerate(err => err ? reject(err) : resolve()));
+        const superAdminUsername = process.env.SUPERADMIN_USERNAME || 'admin';
+        const isSuperAdmin = adminUsername === superAdminUsername;
+        req.session.user = {
+            id: adminInsert.lastID,
+            username: adminUsername,
+            userType: 'admin',
+            tenantId: newTenantId,
+            tenantSlug: slug,
+            isSuperAdmin
+        };
+        
+        // Log tenant creation
+        await logAction(req, 'create', `Nuovo tenant creato: ${tenantName}`, 'success', {
+            tenantName: tenantName,
+            tenantSlug: slug,
+            adminUsername: adminUsername,
+            tenantId: newTenantId
+        });
+        
+        return res.json({ ok: true, redirect: `/t/${slug}/admin` });
+    } catch (e) {
+        console.error('Signup error', e);
+        res.status(500).json({ error: 'Errore durante la registrazione' });
+    }
+});
+
+// Logout API endpoint
+app.post('/api/logout', async (req, res) => {
+    // Log logout action before destroying session
+    if (req.session && req.session.user) {
+        await logAction(req, 'logout', 'Logout effettuato', 'info', {
+            username: req.session.user.username,
+            userType: req.session.user.userType
+        });
+    }
+    
+    if (req.session) {
+        req.session.destroy((err) => {
+            if (err) {
+                console.error('Logout error:', err);
+                return res.status(500).json({ error: 'Errore durante il logout' });
+            }
+            res.clearCookie('connect.sid');
+            res.json({ success: true, message: 'Logout effettuato con successo' });
+        });
+    } else {
+        res.json({ success: true, message: 'Logout effettuato con successo' });
+    }
+});
+
+// Tenant-scoped logout API for convenience
+app.post('/t/:tenantSlug/api/logout', tenantLoader, (req, res) => {
+    if (req.session) {
+        req.session.destroy((err) => {
+            if (err) {
+                console.error('Logout error:', err);
+                return res.status(500).json({ error: 'Errore durante il logout' });
+            }
+            res.clearCookie('connect.sid');
+            res.json({ success: true, message: 'Logout effettuato con successo' });
+        });
+    } else {
+        res.json({ success: true, message: 'Logout effettuato con successo' });
+    }
+});
+
+// Tenant info API - get current tenant information
+app.get('/t/:tenantSlug/api/tenant-info', tenantLoader, requireSameTenantAsSession, (req, res) => {
+    try {
+        res.json({
+            id: req.tenant.id,
+            slug: req.tenant.slug,
+            name: req.tenant.name
+        });
+    } catch (e) {
+        console.error('Error getting tenant info:', e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+});
+
+// GET convenience routes that redirect to /access
+app.get('/logout', (req, res) => {
+    if (req.session) {
+        req.session.destroy(() => {
+            res.clearCookie('connect.sid');
+            return res.redirect('/access');
+        });
+    } else {
+        return res.redirect('/access');
+    }
+});
+app.get('/t/:tenantSlug/logout', tenantLoader, (req, res) => {
+    if (req.session) {
+        req.session.destroy(() => {
+            res.clearCookie('connect.sid');
+            return res.redirect('/access');
+        });
+    } else {
+        return res.redirect('/access');
+    }
+});
+
+// Login page
+app.get('/login', (req, res) => {
+    // If already logged in, redirect to appropriate page
+    if (req.session && req.session.user) {
+        const base = req.session.user.tenantSlug ? `/t/${req.session.user.tenantSlug}` : '';
+        if (req.session.user.userType === 'admin') return res.redirect(base + '/admin');
+        if (req.session.user.userType === 'store') return res.redirect(base + '/store');
+    }
+    res.sendFile(path.join(__dirname, 'views', 'login.html'));
+});
+
+// Store login page
+app.get('/store-login', (req, res) => {
+    // If already logged in as store, redirect to store page
+    if (req.session && req.session.user && req.session.user.userType === 'store') {
+        const base = req.session.user.tenantSlug ? `/t/${req.session.user.tenantSlug}` : '';
+        return res.redirect(base + '/store');
+    }
+    res.sendFile(path.join(__dirname, 'views', 'store-login.html'));
+});
+
+// Test email endpoint (admin protected)
+app.get('/api/admin/test-email', requireAdmin, async (req, res) => {
+    try {
+        const to = req.query.to || process.env.MAIL_TEST_TO || 'test@example.com';
+        
+        // Try to get custom sender name from user's tenant
+        let senderName = 'CouponGen';
+        const dbConn = await getDb();
+        if (req.session && req.session.user && req.session.user.tenantSlug) {
+            try {
+                const tenant = await dbConn.get('SELECT email_from_name FROM tenants WHERE slug = ?', req.session.user.tenantSlug);
+                if (tenant && tenant.email_from_name) {
+                    senderName = tenant.email_from_name;
+                }
+            } catch (e) {
+                console.error('Error getting tenant sender name:', e);
+            }
+        }
+        
+        const mailer = await getTenantMailer(dbConn, req.session?.user?.tenantId);
+        const html = `<p>Test email da ${senderName} - Mailgun integrazione da CouponGen.</p>`;
+        const message = {
+            from: mailer.from === PLATFORM_MAIL_FROM ? `${senderName} <no-reply@send.coupongen.it>` : mailer.from,
+            replyTo: mailer.replyTo || undefined,
+            dkim: mailer.dkim,
+            to,
+            subject: `Test Email - ${senderName}`,
+            html
+        };
+        const info = await mailer.transport.sendMail(message);
+        res.json({ ok: true, provider: mailer.provider, from: message.from, info });
+    } catch (e) {
+        console.error('Test email error:', e);
+        res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+});
+
+// Global: update email from name (for non-tenant mode)
+app.put('/api/admin/email-from-name', requireAdmin, async (req, res) => {
+    try {
+        const { emailFromName } = req.body || {};
+        if (!emailFromName || typeof emailFromName !== 'string' || emailFromName.trim().length === 0) {
+            return res.status(400).json({ error: 'Nome mittente email richiesto' });
+        }
+        
+        // Update the tenant's email_from_name if user has a tenant
+        if (req.session && req.session.user && req.session.user.tenantSlug) {
+            const dbConn = await getDb();
+            await dbConn.run('UPDATE tenants SET email_from_name = ? WHERE slug = ?', emailFromName.trim(), req.session.user.tenantSlug);
+            
+            // Log the action
+            await logAction(req, 'update', `Nome mittente email aggiornato: ${emailFromName.trim()}`, 'info');
+        }
+        
+        res.json({ ok: true, emailFromName: emailFromName.trim() });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+});
+
+// Global: get current email from name (for non-tenant mode)
+app.get('/api/admin/email-from-name', requireAdmin, async (req, res) => {
+    try {
+        let emailFromName = 'CouponGen';
+        
+        // Get the tenant's email_from_name if user has a tenant
+        if (req.session && req.session.user && req.session.user.tenantSlug) {
+            const dbConn = await getDb();
+            const tenant = await dbConn.get('SELECT email_from_name FROM tenants WHERE slug = ?', req.session.user.tenantSlug);
+            emailFromName = tenant?.email_from_name || 'CouponGen';
+        }
+        
+        res.json({ emailFromName });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+});
+
+
+
+// Tenant email provider: sender addresses
+const EMAIL_ADDRESS_RE = /^[^@\s<>]+@[^@\s<>]+\.[^@\s<>]+$/;
+
+// "Name <email>" or a bare address
+function parseSenderAddress(value) {
+    const raw = String(value || '').trim();
+    const m = /^(.*)<([^<>]+)>$/.exec(raw);
+    const email = (m ? m[2] : raw).trim();
+    if (!EMAIL_ADDRESS_RE.test(email) || raw.length > 200) return null;
+    return m && m[1].trim() ? `${m[1].trim().replace(/"/g, '')} <${email}>` : email;
+}
+
+// Tenant SMTP servers must be on the public internet: loopback, private, link-local and unspecified addresses
+// (and names that only resolve inside our network) are refused, so the settings and the test email can't be
+// used to reach internal services.
+const INTERNAL_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+    INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+    INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+function isInternalAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && INTERNAL_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Resolve a tenant SMTP host to the address to connect to: { address } or { error } when the tenant may not use it.
+// Every address of a name is checked. Transports connect to the address checked here, never to the name, so a
+// record repointed at an internal address after the check (DNS rebinding) isn't followed.
+async function resolveTenantSmtpHost(host) {
+    if (!/^[a-z0-9.-]+$/i.test(host)) return { error: 'Host SMTP non valido' };
+    if (net.isIP(host)) return isInternalAddress(host) ? { error: 'Host SMTP non consentito (indirizzo di rete interna)' } : { address: host };
+    if (!host.includes('.') || /(^|\.)(localhost|local|internal|localdomain)\.?$/i.test(host)) {
+        return { error: 'Host SMTP non consentito (nome di rete interna)' };
+    }
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (e) {
+        return { error: 'Host SMTP non trovato' };
+    }
+    if (addresses.length === 0 || addresses.some(a => isInternalAddress(a.address))) {
+        return { error: 'Host SMTP non consentito (indirizzo di rete interna)' };
+    }
+    return { address: addresses[0].address };
+}
+
+
+// Sending domains
+// A tenant registers its domain and publishes three records: a TXT proving ownership, SPF authorising the
+// platform's servers and a DKIM CNAME delegating signing to the platform. Checks move the domain through
+// pending -> verified (the three records found); the tenant admin then activates it to send from it. An active domain
+// whose records disappear is suspended until they are back; the superadmin can also suspend one.
+const SENDING_DOMAIN_CHECK_INTERVAL_MS = Number(process.env.SENDING_DOMAIN_CHECK_INTERVAL_MS || 6 * 60 * 60 * 1000); // 6h
+const MAIL_SPF_INCLUDE = process.env.MAIL_SPF_INCLUDE || 'mailgun.org';
+const MAIL_DKIM_SELECTOR = process.env.MAIL_DKIM_SELECTOR || 'coupongen';
+const MAIL_DKIM_DOMAIN = process.env.MAIL_DKIM_DOMAIN || process.env.MAILGUN_DOMAIN || 'send.coupongen.it';
+const generateKeyPairAsync = promisify(crypto.generateKeyPair);
+const FREEMAIL_DOMAINS = new Set([
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.it', 'hotmail.com', 'hotmail.it', 'outlook.com', 'outlook.it',
+    'live.com', 'live.it', 'msn.com', 'icloud.com', 'me.com', 'aol.com', 'gmx.com', 'proton.me', 'protonmail.com',
+    'libero.it', 'virgilio.it', 'tiscali.it', 'alice.it', 'tim.it', 'email.it'
+]);
+
+// Resolver for the checks. checkSendingDomain accepts any object with its resolveTxt/resolveCname methods.
+const sendingDomainResolver = new dns.promises.Resolver({ timeout: 5000, tries: 2 });
+
+function senderDomain(address) {
+    const m = /@([^@\s<>]+)>?\s*$/.exec(String(address || ''));
+    return m ? m[1].toLowerCase() : null;
+}
+
+async function getActiveSendingDomain(dbConn, tenantId, domain) {
+    if (!domain) return null;
+    return (await dbConn.get("SELECT * FROM tenant_domains WHERE tenant_id = ? AND domain = ? AND status = 'active'", tenantId, domain)) || null;
+}
+
+// The DKIM CNAME covers mail the platform provider signs itself (Mailgun). Mail we build and hand to SMTP
+// relays is signed here with a key of the domain's own, published as the dkim_key record.
+function sendingDomainDnsRecords(row) {
+    const records = [
+        { purpose: 'verification', type: 'TXT', name: `_coupongen.${row.domain}`, value: `coupongen-verification=${row.verification_token}` },
+        { purpose: 'spf', type: 'TXT', name: row.domain, value: `v=spf1 include:${MAIL_SPF_INCLUDE} ~all` },
+        { purpose: 'dkim', type: 'CNAME', name: `${MAIL_DKIM_SELECTOR}._domainkey.${row.domain}`, value: `${MAIL_DKIM_SELECTOR}._domainkey.${MAIL_DKIM_DOMAIN}` }
+    ];
+    if (row.dkim_selector && row.dkim_public_key) {
+        records.push({ purpose: 'dkim_key', type: 'TXT', name: `${row.dkim_selector}._domainkey.${row.domain}`, value: `v=DKIM1; k=rsa; p=${row.dkim_public_key}` });
+    }
+    return records;
+}
+
+// New RSA key per domain; the selector carries the month so a rotated key can sit next to the old one.
+// None without an encryption key to store it with: the domain's mail then goes out unsigned.
+async function generateSendingDomainDkimKey() {
+    if (!SETTINGS_ENCRYPTION_KEY) return null;
+    const { publicKey, privateKey } = await generateKeyPairAsync('rsa', { modulusLength: 2048 });
+    const now = new Date();
+    return {
+        selector: `cg${now.getUTCFullYear()}${String(now.getUTCMonth() + 1).padStart(2, '0')}`,
+        publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+        privateKey: encryptSetting(privateKey.export({ type: 'pkcs8', format: 'pem' }))
+    };
+}
+
+// Domains registered before DKIM keys existed get one the first time they are looked at
+async function ensureSendingDomainDkimKey(dbConn, row) {
+    if (row.dkim_private_key) return row;
+    const key = await generateSendingDomainDkimKey();
+    if (!key) return row;
+    await dbConn.run(
+        'UPDATE tenant_domains SET dkim_selector = ?, dkim_public_key = ?, dkim_private_key = ? WHERE id = ? AND dkim_private_key IS NULL',
+        key.selector, key.publicKey, key.privateKey, row.id
+    );
+    return { ...row, ...(await dbConn.get('SELECT dkim_selector, dkim_public_key, dkim_private_key FROM tenant_domains WHERE id = ?', row.id)) };
+}
+
+// Nodemailer `dkim` options for mail from the domain. None for the Mailgun API, which builds the message itself,
+// nor for the dev JSON transport, which would echo the key in the logged message.
+function sendingDomainDkim(domainRow, transport) {
+    if (!domainRow.dkim_private_key || transport.options?.provider === 'mailgun' || transport.options?.jsonTransport) return undefined;
+    try {
+        return { domainName: domainRow.domain, keySelector: domainRow.dkim_selector, privateKey: decryptSetting(domainRow.dkim_private_key) };
+    } catch (e) {
+        console.error(`DKIM key of ${domainRow.domain} cannot be decrypted, sending unsigned:`, e.message);
+        return undefined;
+    }
+}
+
+// { values } on success (none when the name doesn't exist), { error } when the lookup itself failed
+async function lookupDnsRecords(type, name, resolver = sendingDomainResolver) {
+    try {
+        if (type === 'TXT') {
+            return { values: (await resolver.resolveTxt(name)).map(chunks => chunks.join('')) };
+        }
+        return { values: await resolver.resolveCname(name) };
+    } catch (err) {
+        if (['ENOTFOUND', 'ENODATA', 'NXDOMAIN'].includes(err.code)) return { values: [] };
+        return { error: err.code || err.message };
+    }
+}
+
+// Each record gets status ok | missing | error. SPF only needs the platform include in the domain's SPF
+// record, which may authorise other senders too.
+async function checkDnsRecord(record, resolver) {
+    const { values, error } = await lookupDnsRecords(record.type, record.name, resolver);
+    if (error) return { ...record, status: 'error', error };
+    const normalize = (v) => String(v).trim().toLowerCase().replace(/\.$/, '');
+    let ok;
+    if (record.purpose === 'spf') {
+        const include = record.value.split(/\s+/).find(part => part.startsWith('include:'));
+        ok = values.some(v => /^v=spf1(\s|$)/i.test(v.trim()) && v.toLowerCase().split(/\s+/).includes(include.toLowerCase()));
+    } else if (record.purpose === 'dkim_key') {
+        // Compare the key itself: providers split long TXT values and reformat the tags
+        const key = (v) => (/(?:^|;)p=([^;]*)/.exec(String(v).replace(/["\s]/g, '')) || [])[1];
+        ok = values.some(v => key(v) && key(v) === key(record.value));
+    } else if (record.type === 'CNAME') {
+        ok = values.some(v => normalize(v) === normalize(record.value));
+    } else {
+        ok = values.some(v => v.trim() === record.value);
+    }
+    return ok ? { ...record, status: 'ok' } : { ...record, status: 'missing', found: values.slice(0, 5) };
+}
+
+// Look the records up and apply the status transition. Lookup errors leave the status alone, so a DNS
+// outage never suspends a domain. The dkim_key record is checked and reported but doesn't move the status:
+// keys are added to domains that are already active, whose owners haven't been shown the record yet.
+async function checkSendingDomain(dbConn, domainRow, resolver = sendingDomainResolver) {
+    domainRow = await ensureSendingDomainDkimKey(dbConn, domainRow);
+    const records = await Promise.all(sendingDomainDnsRecords(domainRow).map(record => checkDnsRecord(record, resolver)));
+    const required = records.filter(r => r.purpose !== 'dkim_key');
+    const allOk = required.every(r => r.status === 'ok');
+    const lookupFailed = required.some(r => r.status === 'error');
+    let status = domainRow.status;
+    let reason = domainRow.suspended_reason;
+    if (allOk) {
+        if (status === 'pending') status = 'verified';
+        else if (status === 'suspended' && reason === 'dns') { status = 'active'; reason = null; }
+    } else if (!lookupFailed) {
+        if (status === 'verified') status = 'pending';
+        else if (status === 'active') { status = 'suspended'; reason = 'dns'; }
+    }
+    await dbConn.run(
+        `UPDATE tenant_domains SET status = ?, suspended_reason = ?, dns_records = ?, last_checked_at = CURRENT_TIMESTAMP,
+            verified_at = CASE WHEN ? = 'verified' AND verified_at IS NULL THEN CURRENT_TIMESTAMP ELSE verified_at END
+         WHERE id = ?`,
+        status, status === 'suspended' ? reason : null, JSON.stringify(records), status, domainRow.id
+    );
+    if (status !== domainRow.status) {
+        console.log(JSON.stringify({
+            level: status === 'suspended' ? 'warn' : 'info', msg: 'sending-domain-status',
+            domainId: domainRow.id, tenantId: domainRow.tenant_id, domain: domainRow.domain, from: domainRow.status, to: status
+        }));
+    }
+    return dbConn.get('SELECT * FROM tenant_domains WHERE id = ?', domainRow.id);
+}
+
+// Records to publish, each with the outcome of the last check when there was one for it
+function sendingDomainResponse(row) {
+    let checked = [];
+    try {
+        checked = row.dns_records ? JSON.parse(row.dns_records) : [];
+    } catch (e) {
+        checked = [];
+    }
+    const records = sendingDomainDnsRecords(row).map(record => {
+        const last = checked.find(c => c.type === record.type && c.name === record.name && c.value === record.value);
+        return last ? { ...record, status: last.status, ...(last.found ? { found: last.found } : {}), ...(last.error ? { error: last.error } : {}) } : record;
+    });
+    return {
+        id: row.id,
+        domain: row.domain,
+        status: row.status,
+        suspended_reason: row.suspended_reason || null,
+        dns_records: records,
+        last_checked_at: row.last_checked_at,
+        verified_at: row.verified_at,
+        created_at: row.created_at
+    };
+}
+
+
+// Periodic re-check of every domain not suspended by the superadmin
+async function sweepSendingDomains() {
+    const dbConn = await getDb();
+    const rows = await dbConn.all("SELECT * FROM tenant_domains WHERE suspended_reason IS NULL OR suspended_reason != 'admin'");
+    for (const row of rows) await checkSendingDomain(dbConn, row);
+}
+
+function startSendingDomainSweep() {
+    const run = () => sweepSendingDomains().catch(e => console.error('Sending domain sweep error:', e));
+    const timer = setInterval(run, SENDING_DOMAIN_CHECK_INTERVAL_MS);
+    timer.unref();
+}
+
+// Tenant-scoped: test email with custom sender name
+app.get('/t/:tenantSlug/api/admin/test-email', tenantLoader, requireSameTenantAsSession, requireRole('admin'), async (req, res) => {
+    try {
+        const to = req.query.to || process.env.MAIL_TEST_TO || 'test@example.com';
+        
+        // Get the custom sender name from the tenant
+        const dbConn = await getDb();
+        const tenant = await dbConn.get('SELECT email_from_name FROM tenants WHERE id = ?', req.tenant.id);
+        const senderName = tenant?.email_from_name || 'CouponGen';
+        
+        // Sent through the tenant's own provider when it has one, so the settings can be checked
+        const mailer = await getTenantMailer(dbConn, req.tenant.id);
+        const html = `<p>Test email da ${senderName} - Mailgun integrazione da CouponGen.</p>`;
+        const message = {
+            from: mailer.from === PLATFORM_MAIL_FROM ? `${senderName} <no-reply@send.coupongen.it>` : mailer.from,
+            replyTo: mailer.replyTo || undefined,
+            dkim: mailer.dkim,
+            to,
+            subject: `Test Email - ${senderName}`,
+            html
+        };
+        const info = await mailer.transport.sendMail(message);
+        res.json({ ok: true, provider: mailer.provider, from: message.from, info });
+    } catch (e) {
+        console.error('Test email error:', e);
+        res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+});
+
+// API per configurazione personalizzazione form
+app.get('/api/admin/form-customization', requireAdmin, async (req, res) => {
+    try {
+        const config = await db.get('SELECT * FROM form_customization WHERE id = 1');
+        if (config) {
+            res.json(JSON.parse(config.config_data));
+        } else {
+            res.json({});
+        }
+    } catch (error) {
+        console.error('Errore caricamento configurazione form:', error);
+        res.status(500).json({ success: false, message: 'Errore durante il caricamento della configurazione' });
+    }
+});
+
+// Email template APIs (admin) - multitenant
+app.get('/api/admin/email-template', requireAdmin, async (req, res) => {
+    try {
+        const dbConn = await getDb();
+        const tenantId = req.session.user.tenantId;
+        const row = await dbConn.get('SELECT subject, html, updated_at FROM email_template WHERE tenant_id = ?', tenantId);
+        if (!row) {
+            return res.json({ subject: 'Il tuo coupon', html: '', updated_at: null });
+        }
+        res.json(row);
+    } catch (e) {
+        console.error('Errore get email template:', e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+});
+
+app.post('/api/admin/email-template', requireAdmin, async (req, res) => {
+    try {
+        const { subject, html } = req.body || {};
+        if (!subject || !html) {
+            return res.status(400).json({ error: 'Subject e html sono richiesti' });
+        }
+        const dbConn = await getDb();
+        const tenantId = req.session.user.tenantId;
+        const templateError = await emailTemplateValidationError(dbConn, tenantId, subject, html);
+        if (templateError) {
+            return res.status(400).json({ error: templateError });
+        }
+        
+        // Check if template exists for this tenant
+        const existing = await dbConn.get('SELECT id FROM email_template WHERE tenant_id = ?', tenantId);
+        
+        if (existing) {
+            // Update existing template
+            await dbConn.run(
+                'UPDATE email_template SET subject = ?, html = ?, updated_at = datetime("now") WHERE tenant_id = ?',
+                subject, html, tenantId
+            );
+        } else {
+            // Create new template for tenant
+            await dbConn.run(
+                'INSERT INTO email_template (tenant_id, subject, html, updated_at) VALUES (?, ?, ?, datetime("now"))',
+                tenantId, subject, html
+            );
+        }
+        
+        res.json({ success: true });
+    } catch (e) {
+        console.error('Errore save email template:', e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+});
+
+app.post('/api/admin/form-customization', requireAdmin, async (req, res) => {
+    try {
+        const configData = JSON.stringify(req.body);
+        
+        // Inserisci o aggiorna la configurazione
+        await db.run(`
+            INSERT OR REPLACE INTO form_customization (id, config_data, updated_at) 
+            VALUES (1, ?, datetime('now'))
+        `, configData);
+        
+        res.json({ success: true, message: 'Configurazione salvata con successo!' });
+    } catch (error) {
+        console.error('Errore salvataggio configurazione form:', error);
+        res.status(500).json({ success: false, message: 'Errore durante il salvataggio della configurazione' });
+    }
+});
+
+// Simple image upload endpoint for admin (base64 data URL)
+// Saves under static/uploads and returns a public URL
+app.post('/api/admin/upload-image', requireAdmin, async (req, res) => {
+    try {
+        const { dataUrl } = req.body || {};
+        if (!dataUrl || typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) {
+            return res.status(400).json({ error: 'dataUrl mancante o non valido' });
+        }
+        const match = dataUrl.match(/^data:(.*?);base64,(.*)$/);
+        if (!match) return res.status(400).json({ error: 'Formato dataUrl non valido' });
+        const mime = match[1];
+        const base64 = match[2];
+        // Whitelist mime types and size limit (~2MB)
+        const allowed = ['image/png', 'image/jpeg', 'image/jpg', 'image/webp'];
+        if (!allowed.includes(mime)) {
+            return res.status(400).json({ error: 'Tipo file non consentito' });
+        }
+        const buffer = Buffer.from(base64, 'base64');
+        if (buffer.length > (Number(process.env.UPLOAD_MAX_BYTES || 2 * 1024 * 1024))) {
+            return res.status(400).json({ error: 'File troppo grande' });
+        }
+        const ext = mime.includes('png') ? 'png' : mime.includes('jpeg') || mime.includes('jpg') ? 'jpg' : mime.includes('webp') ? 'webp' : 'png';
+        // Ensure uploads dir exists
+        const tenantSlug = (req.session && req.session.user && req.session.user.tenantSlug) || DEFAULT_TENANT_SLUG;
+        const uploadsDir = path.join(UPLOADS_BASE_DIR, tenantSlug);
+        if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
+        const filename = `header-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.${ext}`;
+        const filePath = path.join(uploadsDir, filename);
+        fs.writeFileSync(filePath, buffer);
+        const publicUrl = `/static/uploads/${tenantSlug}/${filename}`;
+        res.json({ url: publicUrl });
+    } catch (e) {
+        console.error('Upload image error:', e);
+        res.status(500).json({ error: 'Errore durante il caricamento immagine' });
+    }
+});
+
+// Tenant-scoped admin upload
+app.post('/t/:tenantSlug/api/admin/upload-image', tenantLoader, requireSameTenantAsSession, requireRole('admin'), async (req, res) => {
+    try {
+        const { dataUrl } = req.body || {};
+        if (!dataUrl || typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) {
+            return res.status(400).json({ error: 'dataUrl mancante o non valido' });
+        }
+        const match = dataUrl.match(/^data:(.*?);base64,(.*)$/);
+        if (!match) return res.status(400).json({ error: 'Formato dataUrl non valido' });
+        const mime = match[1];
+        const base64 = match[2];
+        const allowed = ['image/png', 'image/jpeg', 'image/jpg', 'image/webp'];
+        if (!allowed.includes(mime)) {
+            return res.status(400).json({ error: 'Tipo file non consentito' });
+        }
+        const buffer = Buffer.from(base64, 'base64');
+        if (buffer.length > (Number(process.env.UPLOAD_MAX_BYTES || 2 * 1024 * 1024))) {
+            return res.status(400).json({ error: 'File troppo grande' });
+        }
+        const ext = mime.includes('png') ? 'png' : mime.includes('jpeg') || mime.includes('jpg') ? 'jpg' : mime.includes('webp') ? 'webp' : 'png';
+        const uploadsDir = path.join(UPLOADS_BASE_DIR, req.tenant.slug);
+        if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
+        const filename = `header-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.${ext}`;
+        const filePath = path.join(uploadsDir, filename);
+        fs.writeFileSync(filePath, buffer);
+        const publicUrl = `/static/uploads/${req.tenant.slug}/${filename}`;
+        res.json({ url: publicUrl });
+    } catch (e) {
+        console.error('Upload image error:', e);
+        res.status(500).json({ error: 'Errore durante il caricamento immagine' });
+    }
+});
+
+// Tenant-scoped: API per configurazione form (pubblica)
+app.get('/t/:tenantSlug/api/form-customization', tenantLoader, async (req, res) => {
+    try {
+        const config = await db.get('SELECT * FROM form_customization WHERE id = 1');
+        if (config) {
+            res.json(JSON.parse(config.config_data));
+        } else {
+            res.json({});
+        }
+    } catch (error) {
+        console.error('Errore caricamento configurazione form:', error);
+        res.json({});
+    }
+});
+
+// Legacy: API per configurazione form (pubblica)
+app.get('/api/form-customization', async (req, res) => {
+    try {
+        const config = await db.get('SELECT * FROM form_customization WHERE id = 1');
+        if (config) {
+            res.json(JSON.parse(config.config_data));
+        } else {
+            res.json({});
+        }
+    } catch (error) {
+        console.error('Errore caricamento configurazione form:', error);
+        res.json({});
+    }
+});
+
+// Endpoint pubblico per salvare la configurazione del form (per la pagina di personalizzazione)
+app.post('/api/form-customization', async (req, res) => {
+    try {
+        console.log('=== RICHIESTA FORM-CUSTOMIZATION ===');
+        console.log('Headers ricevuti:', req.headers);
+        console.log('Content-Type:', req.get('Content-Type'));
+        console.log('Body ricevuto:', req.body);
+        console.log('Tipo del body:', typeof req.body);
+        console.log('=====================================');
+        
+        // Verifica che il body sia un oggetto valido
+        if (!req.body || typeof req.body !== 'object') {
+            console.error('Body non valido o vuoto');
+            return res.status(400).json({ success: false, message: 'Body della richiesta non valido' });
+        }
+        
+        const configData = JSON.stringify(req.body);
+        console.log('Config data da salvare:', configData);
+        
+        // Inserisci o aggiorna la configurazione
+        await db.run(`
+            INSERT OR REPLACE INTO form_customization (id, config_data, updated_at) 
+            VALUES (1, ?, datetime('now'))
+        `, configData);
+        
+        console.log('Configurazione salvata con successo (pubblico)');
+        res.json({ success: true, message: 'Configurazione salvata con successo!' });
+    } catch (error) {
+        console.error('Errore salvataggio configurazione form:', error);
+        res.status(500).json({ success: false, message: 'Errore durante il salvataggio della configurazione' });
+    }
+});
+
+// Views
+// Public form - support for campaign parameter
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'index.html'));
+});
+// Tenant-prefixed read-only equivalents (M1)
+app.get('/t/:tenantSlug', tenantLoader, (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'index.html'));
+});
+
+app.get('/thanks', (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'thanks.html'));
+});
+app.get('/t/:tenantSlug/thanks', tenantLoader, (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'thanks.html'));
+});
+// Capped campaigns that ran out (or a customer who already got their coupon)
+app.get('/sold-out', (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'sold-out.html'));
+});
+app.get('/t/:tenantSlug/sold-out', tenantLoader, (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'sold-out.html'));
+});
+
+// Printable coupon PDF (tokenised link from the thanks page)
+app.get('/coupon-pdf/:token', couponPdfHandler);
+app.get('/t/:tenantSlug/coupon-pdf/:token', tenantLoader, couponPdfHandler);
+
+// Phone wallet passes for the same coupon
+app.get('/coupon-wallet/:token', couponWalletInfoHandler);
+app.get('/t/:tenantSlug/coupon-wallet/:token', tenantLoader, couponWalletInfoHandler);
+app.get('/coupon-wallet/:token/apple', appleWalletPassHandler);
+app.get('/t/:tenantSlug/coupon-wallet/:token/apple', tenantLoader, appleWalletPassHandler);
+app.get('/coupon-wallet/:token/google', googleWalletSaveHandler);
+app.get('/t/:tenantSlug/coupon-wallet/:token/google', tenantLoader, googleWalletSaveHandler);
+
+// Email template engine
+// A small Handlebars-like language, interpreted without eval:
+//   {{path}} (HTML-escaped), {{{path}}} (raw), {{! comment}},
+//   {{#if path}}…{{else}}…{{/if}}, {{#unless path}}…{{/unless}},
+//   {{#each list}}…{{else}}…{{/each}} (inside: the item's fields, {{this}}, {{@index}}, {{@number}}).
+// Paths are dotted names looked up as own properties of the plain data built for each email (innermost
+// loop item first), so nothing but that data is reachable. EMAIL_TEMPLATE_SCHEMA lists the variables.
+const EMAIL_TEMPLATE_SCHEMA = {
+    firstName: 'text', lastName: 'text', email: 'text', code: 'text',
+    discountText: 'text', redemptionUrl: 'text', referralUrl: 'text',
+    customer: {
+        firstName: 'text', lastName: 'text', email: 'text', phone: 'text',
+        fields: [{ name: 'text', value: 'text' }],
+        custom: 'custom' // the tenant's form custom fields, by id or by name (lowercase, "_" for spaces)
+    },
+    campaign: {
+        name: 'text', description: 'text', expiry: 'text', conditions: 'text',
+        products: [{ name: 'text', sku: 'text', price: 'text' }]
+    },
+    coupon: { code: 'text', expiry: 'text', discountText: 'text', redemptionUrl: 'text', referralUrl: 'text' },
+    tenant: { name: 'text', brandName: 'text', logoUrl: 'text', color: 'text' }
+};
+const EMAIL_TEMPLATE_MAX_DEPTH = 10;
+const EMAIL_TEMPLATE_PATH_RE = /^(?:this|@index|@number|[A-Za-z_][\w-]*(?:\.[A-Za-z0-9_][\w-]*)*)$/;
+
+function emailTemplateLine(source, index) {
+    return source.slice(0, index).split('\n').length;
+}
+
+// Source -> tree of { type: 'text' | 'var' | 'if' | 'each', ... }. Throws on syntax errors (message in Italian).
+function parseEmailTemplate(source) {
+    source = String(source || '');
+    const root = { type: 'root', body: [] };
+    const stack = [root];
+    const target = () => {
+        const node = stack[stack.length - 1];
+        return node.inElse ? node.elseBody : node.body;
+    };
+    const re = /\{\{\{\s*([^{}]*?)\s*\}\}\}|\{\{\s*([^{}]*?)\s*\}\}/g;
+    let last = 0;
+    let m;
+    while ((m = re.exec(source))) {
+        if (m.index > last) target().push({ type: 'text', value: source.slice(last, m.index) });
+        last = re.lastIndex;
+        const line = emailTemplateLine(source, m.index);
+        if (m[1] !== undefined) {
+            if (!EMAIL_TEMPLATE_PATH_RE.test(m[1])) throw new Error(`Espressione non valida {{{${m[1]}}}} (riga ${line})`);
+            target().push({ type: 'var', path: m[1], raw: true, line });
+            continue;
+        }
+        const tag = m[2];
+        if (tag.startsWith('!')) continue;
+        const open = /^#(if|unless|each)\s+(\S+)$/.exec(tag);
+        if (open) {
+            if (!EMAIL_TEMPLATE_PATH_RE.test(open[2])) throw new Error(`Espressione non valida {{${tag}}} (riga ${line})`);
+            const node = { type: open[1] === 'each' ? 'each' : 'if', negate: open[1] === 'unless', block: open[1], path: open[2], line, body: [], elseBody: [], inElse: false };
+            target().push(node);
+            stack.push(node);
+            if (stack.length > EMAIL_TEMPLATE_MAX_DEPTH) throw new Error(`Troppi blocchi annidati (riga ${line})`);
+            continue;
+        }
+        if (tag === 'else') {
+            const node = stack[stack.length - 1];
+            if (node.type === 'root' || node.inElse) throw new Error(`{{else}} fuori posto (riga ${line})`);
+            node.inElse = true;
+            continue;
+        }
+        const close = /^\/(if|unless|each)$/.exec(tag);
+        if (close) {
+            const node = stack[stack.length - 1];
+            if (node.type === 'root' || node.block !== close[1]) throw new Error(`{{/${close[1]}}} senza {{#${close[1]}}} corrispondente (riga ${line})`);
+            stack.pop();
+            continue;
+        }
+        if (!EMAIL_TEMPLATE_PATH_RE.test(tag)) throw new Error(`Espressione non valida {{${tag}}} (riga ${line})`);
+        target().push({ type: 'var', path: tag, raw: false, line });
+    }
+    if (stack.length > 1) {
+        const node = stack[stack.length - 1];
+        throw new Error(`{{#${node.block}}} non chiuso (riga ${node.line})`);
+    }
+    if (last < source.length) root.body.push({ type: 'text', value: source.slice(last) });
+    return root;
+}
+
+function ownValue(obj, key) {
+    return obj !== null && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : undefined;
+}
+
+// scopes: innermost last, each { data, index? }
+function resolveTemplatePath(path, scopes) {
+    const inner = scopes[scopes.length - 1];
+    if (path === 'this') return inner.data;
+    if (path === '@index') return inner.index;
+    if (path === '@number') return inner.index === undefined ? undefined : inner.index + 1;
+    const [first, ...rest] = path.split('.');
+    let value;
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        value = ownValue(scopes[i].data, first);
+        if (value !== undefined) break;
+    }
+    for (const key of rest) value = ownValue(value, key);
+    return typeof value === 'function' ? undefined : value;
+}
+
+function escapeTemplateHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// escape: false for plain-text output (the subject line)
+function renderEmailTemplate(source, data, { escape = true } = {}) {
+    const renderNodes = (nodes, scopes) => nodes.map(node => {
+        if (node.type === 'text') return node.value;
+        const value = resolveTemplatePath(node.path, scopes);
+        if (node.type === 'var') {
+            if (value === undefined || value === null || typeof value === 'object') return '';
+            return escape && !node.raw ? escapeTemplateHtml(value) : String(value);
+        }
+        if (node.type === 'if') {
+            const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+            return renderNodes(truthy !== node.negate ? node.body : node.elseBody, scopes);
+        }
+        // each
+        if (!Array.isArray(value) || value.length === 0) return renderNodes(node.elseBody, scopes);
+        return value.map((item, index) => renderNodes(node.body, [...scopes, { data: item, index }])).join('');
+    }).join('');
+    return renderNodes(parseEmailTemplate(source).body, [{ data }]);
+}
+
+// Variables the template uses that are not in EMAIL_TEMPLATE_SCHEMA (or the tenant's custom fields).
+// Throws on syntax errors.
+function unknownEmailTemplateVariables(source, customFieldKeys) {
+    const unknown = new Set();
+    const lookup = (path, scopes) => {
+        const inner = scopes[scopes.length - 1];
+        if (path === 'this') return scopes.length > 1 ? inner.schema : undefined;
+        if (path === '@index' || path === '@number') return scopes.length > 1 ? 'text' : undefined;
+        const [first, ...rest] = path.split('.');
+        let schema;
+        for (let i = scopes.length - 1; i >= 0 && schema === undefined; i--) schema = ownValue(scopes[i].schema, first);
+        for (const key of rest) {
+            if (schema === 'custom') schema = customFieldKeys.has(key) ? 'text' : undefined;
+            else schema = Array.isArray(schema) ? undefined : ownValue(schema, key);
+        }
+        return schema === 'custom' ? undefined : schema;
+    };
+    const walk = (nodes, scopes) => {
+        for (const node of nodes) {
+            if (node.type === 'text') continue;
+            const schema = lookup(node.path, scopes);
+            if (schema === undefined) unknown.add(node.path);
+            if (node.type === 'if') {
+                walk(node.body, scopes);
+                walk(node.elseBody, scopes);
+            } else if (node.type === 'each') {
+                if (schema !== undefined && !Array.isArray(schema)) throw new Error(`{{#each ${node.path}}} richiede una lista (riga ${node.line})`);
+                walk(node.body, [...scopes, { schema: Array.isArray(schema) ? schema[0] : {} }]);
+                walk(node.elseBody, scopes);
+            }
+        }
+    };
+    walk(parseEmailTemplate(source).body, [{ schema: EMAIL_TEMPLATE_SCHEMA }]);
+    return [...unknown];
+}
+
+// Custom field key usable in templates: the field id, or its name lowercased with "_" for anything else
+function customFieldTemplateKey(name) {
+    return toSlug(name).replace(/-/g, '_');
+}
+
+// Ids and name keys of the custom fields across the tenant's campaign forms
+async function tenantCustomFieldKeys(dbConn, tenantId) {
+    const keys = new Set();
+    const rows = await dbConn.all('SELECT form_config FROM campaigns WHERE tenant_id = ?', tenantId);
+    for (const row of rows) {
+        let config;
+        try {
+            config = JSON.parse(row.form_config || '{}');
+        } catch (e) {
+            continue;
+        }
+        for (const field of config.customFields || []) {
+            if (field.id) keys.add(String(field.id));
+            if (field.name) keys.add(customFieldTemplateKey(field.name));
+        }
+    }
+    return keys;
+}
+
+// 400 message for a template that doesn't parse or uses unknown variables, null when it is fine
+async function emailTemplateValidationError(dbConn, tenantId, subject, html) {
+    try {
+        const keys = await tenantCustomFieldKeys(dbConn, tenantId);
+        const unknown = [...new Set([...unknownEmailTemplateVariables(subject, keys), ...unknownEmailTemplateVariables(html, keys)])];
+        if (unknown.length) {
+            return `Variabili sconosciute nel template: ${unknown.map(v => `{{${v}}}`).join(', ')}`;
+        }
+        return null;
+    } catch (err) {
+        return `Errore nel template: ${err.message}`;
+    }
+}
+
+// Data for one coupon email, shaped like EMAIL_TEMPLATE_SCHEMA
+async function buildEmailTemplateData(dbConn, { tenantId, campaign, couponId, couponCode, redemptionUrl, referralUrl, email, firstName, lastName, discountText, discountConditions }) {
+    const coupon = await dbConn.get(
+        'SELECT c.expires_at, c.user_id, u.phone FROM coupons c LEFT JOIN users u ON u.id = c.user_id WHERE c.id = ?',
+        couponId
+    );
+
+    // Latest value of each custom field the customer filled in, keyed by field id and by name
+    const values = {};
+    if (coupon?.user_id) {
+        const rows = await dbConn.all('SELECT field_name, field_value FROM user_custom_data WHERE user_id = ? ORDER BY id', coupon.user_id);
+        for (const row of rows) values[row.field_name] = row.field_value;
+    }
+    let definitions = [];
+    try {
+        definitions = JSON.parse(campaign.form_config || '{}').customFields || [];
+    } catch (e) {
+        definitions = [];
+    }
+    const custom = { ...values };
+    const fields = [];
+    for (const def of definitions) {
+        const value = values[def.id];
+        if (value === undefined || value === null || value === '') continue;
+        if (def.name) custom[customFieldTemplateKey(def.name)] = value;
+        fields.push({ name: def.name || def.id, value });
+    }
+
+    const products = campaign.id ? await dbConn.all(
+        'SELECT p.name, p.sku, p.value FROM campaign_products cp JOIN products p ON p.id = cp.product_id WHERE cp.campaign_id = ? ORDER BY p.name',
+        campaign.id
+    ) : [];
+    const tenant = tenantId ? await dbConn.get(
+        `SELECT t.name, t.email_from_name, t.coupon_logo_url, t.timezone, w.background_color
+         FROM tenants t LEFT JOIN tenant_wallet_settings w ON w.tenant_id = t.id WHERE t.id = ?`,
+        tenantId
+    ) : null;
+    // The expiry day as the tenant's customers count it
+    const expiresAt = parseSqlDateTime(coupon?.expires_at);
+    const expiry = expiresAt ? expiresAt.toLocaleDateString('it-IT', { timeZone: tenant?.timezone || DEFAULT_TIMEZONE }) : '';
+    let logoUrl = '';
+    if (tenant?.coupon_logo_url) {
+        try {
+            logoUrl = new URL(tenant.coupon_logo_url, redemptionUrl).href;
+        } catch (e) {
+            logoUrl = '';
+        }
+    }
+
+    return {
+        firstName: firstName || '', lastName: lastName || '', email: email || '', code: couponCode,
+        discountText, redemptionUrl, referralUrl: referralUrl || '',
+        customer: { firstName: firstName || '', lastName: lastName || '', email: email || '', phone: coupon?.phone || '', fields, custom },
+        campaign: {
+            name: campaign.name || '', description: campaign.description || '', expiry, conditions: discountConditions || '',
+            products: products.map(p => ({ name: p.name, sku: p.sku || '', price: Number(p.value).toFixed(2).replace('.', ',') }))
+        },
+        coupon: { code: couponCode, expiry, discountText, redemptionUrl, referralUrl: referralUrl || '' },
+        tenant: {
+            name: tenant?.name || '',
+            brandName: tenant?.email_from_name || tenant?.name || 'CouponGen',
+            logoUrl,
+            color: tenant?.background_color || WALLET_DEFAULT_COLOR
+        }
+    };
+}
+
+// Form submission - create user and coupon, send email with QR
+// Coupon email from the tenant template, queued in the outbox: barcode inline and printable PDF are attached
+// when the worker sends it. Returns the PDF token for the link on the thanks page.
+async function queueCouponEmail(dbConn, { tenantId, campaign, couponId, couponCode, redemptionUrl, referralUrl, email, firstName, lastName }) {
+    const discountType = campaign.discount_type;
+    const discountValue = campaign.discount_value;
+    const discountConditions = discountRulesLabel(getCampaignDiscountRules(campaign));
+    const discountText = (discountType === 'percent' ? `uno sconto del ${discountValue}%` : 
+                        discountType === 'fixed' ? `uno sconto di €${discountValue}` : discountValue)
+                        + (discountConditions ? ` (${discountConditions})` : '');
+    // Load email template (multitenant)
+    let templateSubject = process.env.MAIL_SUBJECT || 'Il tuo coupon';
+    let templateHtml = '';
+    try {
+        if (tenantId) {
+            const t = await dbConn.get('SELECT subject, html FROM email_template WHERE tenant_id = ?', tenantId);
+            if (t) { templateSubject = t.subject || templateSubject; templateHtml = t.html || templateHtml; }
+        }
+    } catch (e) { /* ignore, fallback below */ }
+    // A/B variant with its own subject line
+    if (campaign.variant?.email_subject) templateSubject = campaign.variant.email_subject;
+
+    // Fallback template if DB empty
+    if (!templateHtml) {
+        templateHtml = `<p>Ciao {{firstName}} {{lastName}},</p>
+        <p>Ecco il tuo coupon: <strong>{{code}}</strong> che vale {{discountText}}.</p>
+        <p>Mostra questo codice in negozio. Puoi anche usare questo link per la cassa: <a href="{{redemptionUrl}}">{{redemptionUrl}}</a></p>
+        <p><img src="cid:couponqr" alt="QR Code" /></p>
+        <p>Grazie!</p>`;
+    }
+    // Referral campaigns: the share link goes in every email, at the end when the template has no placeholder
+    if (referralUrl && !/\{\{\{?\s*(coupon\.)?referralUrl\s*\}/.test(templateHtml)) {
+        templateHtml += `<p>Invita un amico con il tuo link personale: quando userà il suo coupon ne riceverai uno in regalo.<br><a href="{{referralUrl}}">{{referralUrl}}</a></p>`;
+    }
+
+    const data = await buildEmailTemplateData(dbConn, {
+        tenantId, campaign, couponId, couponCode, redemptionUrl, referralUrl, email, firstName, lastName, discountText, discountConditions
+    });
+    // Saved templates are validated; one stored before that may not parse, so fall back to the default text
+    const render = (source, fallback, options) => {
+        try {
+            return renderEmailTemplate(source, data, options);
+        } catch (templateErr) {
+            console.error('Email template error:', templateErr.message);
+            return renderEmailTemplate(fallback, data, options);
+        }
+    };
+    const html = render(templateHtml, `<p>Ciao {{firstName}} {{lastName}},</p>
+        <p>Ecco il tuo coupon: <strong>{{code}}</strong> che vale {{discountText}}.</p>
+        <p>Mostra questo codice in negozio. Puoi anche usare questo link per la cassa: <a href="{{redemptionUrl}}">{{redemptionUrl}}</a></p>
+        <p><img src="cid:couponqr" alt="QR Code" /></p>`);
+    const subject = render(templateSubject, 'Il tuo coupon', { escape: false });
+
+    // Printable PDF: attached to the email and downloadable from the thanks page
+    const pdfToken = await ensureCouponPdfToken(dbConn, couponId);
+    const mailer = await getTenantMailer(dbConn, tenantId);
+    await dbConn.run(
+        'INSERT INTO email_outbox (tenant_id, coupon_id, redemption_url, to_email, from_address, subject, html) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        tenantId || null, couponId, redemptionUrl, email, mailer.from, subject, html
+    );
+    runEmailOutbox();
+    return pdfToken;
+}
+
+// Email outbox
+// Queued emails are sent by a single worker: right after they are queued and by a periodic sweep that picks
+// up retries. A failed send is retried with exponential backoff (base, 2x, 4x...) until EMAIL_OUTBOX_MAX_ATTEMPTS;
+// errors that won't go away on retry (rejected address, bad request) fail at once. Failed emails are listed
+// to the tenant admin, who can send them again.
+const EMAIL_OUTBOX_INTERVAL_MS = Number(process.env.EMAIL_OUTBOX_INTERVAL_MS || 30 * 1000); // 30s
+const EMAIL_OUTBOX_RETRY_BASE_MS = Number(process.env.EMAIL_OUTBOX_RETRY_BASE_MS || 60 * 1000); // 1m
+const EMAIL_OUTBOX_MAX_ATTEMPTS = Number(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS || 6);
+const EMAIL_OUTBOX_BATCH_SIZE = 20;
+
+// SMTP 5xx replies and provider 4xx responses (except rate limiting) are permanent
+function isPermanentEmailError(err) {
+    if (err?.responseCode) return Number(err.responseCode) >= 500;
+    const status = Number(err?.status || err?.statusCode);
+    return status >= 400 && status < 500 && status !== 429;
+}
+
+// Inline barcode and printable PDF of the coupon an outbox email is about. A PDF error only drops the PDF.
+async function couponEmailAttachments(dbConn, item) {
+    if (!item.coupon_id) return [];
+    const coupon = await dbConn.get(`
+        SELECT c.*, camp.code_format, camp.barcode_format
+        FROM coupons c LEFT JOIN campaigns camp ON camp.id = c.campaign_id
+        WHERE c.id = ?
+    `, item.coupon_id);
+    if (!coupon) return [];
+    const attachments = [
+        {   // inline QR (Mailgun risolve per filename)
+            filename: 'couponqr.png',
+            cid: 'couponqr',
+            content: await renderCouponBarcode(getCampaignBarcodeFormat(coupon), coupon.code, item.redemption_url),
+            contentType: 'image/png'
+        }
+    ];
+    try {
+        const pdf = await renderCouponPdf(dbConn, coupon, item.redemption_url);
+        attachments.push({ filename: `coupon-${coupon.code}.pdf`, content: pdf, contentType: 'application/pdf' });
+    } catch (pdfErr) {
+        console.error('Coupon PDF error:', pdfErr);
+    }
+    return attachments;
+}
+
+// Sent through the tenant's provider as configured at send time; from_address records the sender actually used
+async function deliverOutboxEmail(dbConn, item) {
+    try {
+        const mailer = await getTenantMailer(dbConn, item.tenant_id);
+        const info = await mailer.transport.sendMail({
+            from: mailer.from,
+            replyTo: mailer.replyTo || undefined,
+            dkim: mailer.dkim,
+            to: item.to_email,
+            subject: item.subject,
+            html: item.html,
+            attachments: await couponEmailAttachments(dbConn, item)
+        });
+        if (mailer.transport.options?.jsonTransport) {
+            // Log to console in dev
+            console.log('Email simulata:', info.message);
+        }
+        await dbConn.run(
+            "UPDATE email_outbox SET status = 'sent', attempts = attempts + 1, sent_at = CURRENT_TIMESTAMP, last_error = NULL, from_address = ?, provider_message_id = ? WHERE id = ?",
+            mailer.from, info?.id || info?.messageId || null, item.id
+        );
+        return true;
+    } catch (emailErr) {
+        const attempts = item.attempts + 1;
+        const permanent = isPermanentEmailError(emailErr) || attempts >= EMAIL_OUTBOX_MAX_ATTEMPTS;
+        const nextAttemptAt = toSqlDateTime(new Date(Date.now() + EMAIL_OUTBOX_RETRY_BASE_MS * 2 ** (attempts - 1)));
+        await dbConn.run(
+            'UPDATE email_outbox SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ? WHERE id = ?',
+            permanent ? 'failed' : 'pending', attempts, permanent ? null : nextAttemptAt,
+            String(emailErr?.message || emailErr).slice(0, 500), item.id
+        );
+        console.log(JSON.stringify({
+            level: permanent ? 'error' : 'warn', msg: permanent ? 'email-outbox-failed' : 'email-outbox-retry',
+            outboxId: item.id, tenantId: item.tenant_id, attempts, error: String(emailErr?.message || emailErr)
+        }));
+        return false;
+    }
+}
+
+// Send everything that is due. Each row is claimed with a conditional UPDATE before sending.
+async function processEmailOutbox() {
+    const dbConn = await getDb();
+    let sent = 0;
+    for (;;) {
+        const due = await dbConn.all(
+            "SELECT * FROM email_outbox WHERE status = 'pending' AND next_attempt_at <= datetime('now') ORDER BY id LIMIT ?",
+            EMAIL_OUTBOX_BATCH_SIZE
+        );
+        if (due.length === 0) break;
+        for (const item of due) {
+            const claimed = await dbConn.run("UPDATE email_outbox SET status = 'sending' WHERE id = ? AND status = 'pending'", item.id);
+            if (!claimed.changes) continue;
+            if (await deliverOutboxEmail(dbConn, item)) sent++;
+        }
+    }
+    return sent;
+}
+
+// One worker run at a time; a request to run during a run makes it go round once more
+let emailOutboxRun = null;
+let emailOutboxRerun = false;
+
+function runEmailOutbox() {
+    if (emailOutboxRun) {
+        emailOutboxRerun = true;
+        return emailOutboxRun;
+    }
+    emailOutboxRun = (async () => {
+        try {
+            do {
+                emailOutboxRerun = false;
+                await processEmailOutbox();
+            } while (emailOutboxRerun);
+        } catch (e) {
+            console.error('Email outbox error:', e);
+        } finally {
+            emailOutboxRun = null;
+        }
+    })();
+    return emailOutboxRun;
+}
+
+async function startEmailOutboxWorker() {
+    // Rows left 'sending' by a previous process that stopped mid-send go back in the queue
+    const dbConn = await getDb();
+    await dbConn.run("UPDATE email_outbox SET status = 'pending' WHERE status = 'sending'");
+    runEmailOutbox();
+    const timer = setInterval(runEmailOutbox, EMAIL_OUTBOX_INTERVAL_MS);
+    timer.unref();
+}
+
+
+app.post('/submit', checkSubmitRateLimit, verifyRecaptchaIfEnabled, async (req, res) => {
+    try {
+        const { email, firstName, lastName, phone, campaign_id, coupon_code, ref, ...customFields } = req.body;
+        if (!email) {
+            return res.status(400).send('Email richiesta');
+        }
+        const dbConn = await getDb();
+        
+        let discountType = 'percent';
+        let discountValue = process.env.DEFAULT_DISCOUNT_PERCENT || '10';
+        let campaignId = null;
+        let specificCampaign = null;
+        
+        // Check if specific campaign is requested
+        if (campaign_id) {
+            specificCampaign = await dbConn.get('SELECT * FROM campaigns WHERE campaign_code = ?', campaign_id);
+            if (specificCampaign) {
+                // Check if campaign is active
+                if (!specificCampaign.is_active) {
+                    return res.status(400).send('Questo coupon non esiste o è scaduto');
+                }
+                const scheduleStatus = campaignScheduleStatus(specificCampaign);
+                if (scheduleStatus === 'upcoming') {
+                    return res.status(400).send(CAMPAIGN_NOT_STARTED_ERROR);
+                }
+                if (scheduleStatus === 'ended') {
+                    return res.status(400).send(CAMPAIGN_ENDED_ERROR);
+                }
+                discountType = specificCampaign.discount_type;
+                discountValue = specificCampaign.discount_value;
+                campaignId = specificCampaign.id;
+            } else {
+                return res.status(400).send('Questo coupon non esiste o è scaduto');
+            }
+        } else {
+            return res.status(400).send('Questo coupon non esiste o è scaduto');
+        }
+
+        // Registering a pre-printed code instead of issuing a new one
+        let batchCoupon = null;
+        if (coupon_code) {
+            batchCoupon = await findClaimableCoupon(dbConn, coupon_code, specificCampaign);
+            if (!batchCoupon) {
+                return res.status(400).send('Codice non valido o già registrato');
+            }
+        } else if (await getCampaignRemainingCoupons(dbConn, specificCampaign) === 0) {
+            return res.redirect(`/sold-out?campaign=${encodeURIComponent(specificCampaign.campaign_code)}`);
+        }
+        const customer = { email, phone: normalizeCustomerPhone(phone) };
+
+        const user = await dbConn.get('SELECT * FROM users WHERE email = ?', email);
+        let userId;
+        if (user) {
+            userId = user.id;
+            if (customer.phone && !user.phone) {
+                await dbConn.run('UPDATE users SET phone = ? WHERE id = ?', customer.phone, userId);
+            }
+        } else {
+            const result = await dbConn.run(
+                'INSERT INTO users (email, first_name, last_name, phone) VALUES (?, ?, ?, ?)',
+                email, firstName || null, lastName || null, customer.phone
+            );
+            userId = result.lastID;
+        }
+
+        // Save custom fields
+        const formConfig = JSON.parse(specificCampaign.form_config);
+        if (formConfig.customFields && formConfig.customFields.length > 0) {
+            for (const customField of formConfig.customFields) {
+                const fieldValue = customFields[customField.id];
+                if (fieldValue !== undefined && fieldValue !== '') {
+                    await dbConn.run(
+                        'INSERT INTO user_custom_data (user_id, field_name, field_value) VALUES (?, ?, ?)',
+                        userId, customField.id, fieldValue
+                    );
+                }
+            }
+        }
+
+        let couponCode;
+        let couponId;
+        let issuing = specificCampaign;
+        if (batchCoupon) {
+            const claim = await attachCouponCustomer(dbConn, batchCoupon, userId, { campaign: specificCampaign, customer });
+            if (claim.customerLimit) return res.redirect('/sold-out?reason=customer_limit');
+            if (claim.error) return res.status(400).send(claim.error);
+            couponCode = batchCoupon.code;
+            couponId = batchCoupon.id;
+        } else if (specificCampaign.campaign_type === 'instant_win') {
+            const play = await playInstantWin(dbConn, specificCampaign, { userId, tenantId: null }, customer);
+            if (play.customerLimit) return res.redirect('/sold-out?reason=customer_limit');
+            if (play.soldOut) return res.redirect('/sold-out');
+            if (play.lost) return res.redirect(`/sold-out?reason=no_win&campaign=${encodeURIComponent(specificCampaign.campaign_code)}`);
+            issuing = play.issuing;
+            couponCode = play.code;
+            couponId = play.id;
+        } else {
+            issuing = await withCampaignVariant(dbConn, specificCampaign, email);
+            couponCode = await issueCouponCode(dbConn, specificCampaign);
+            const inserted = await insertCappedCoupon(dbConn, issuing, { code: couponCode, userId, tenantId: null }, customer);
+            if (inserted.customerLimit) return res.redirect('/sold-out?reason=customer_limit');
+            if (inserted.soldOut) return res.redirect(`/sold-out?campaign=${encodeURIComponent(specificCampaign.campaign_code)}`);
+            couponId = inserted.id;
+        }
+
+        // Redemption URL per staff cassa; il QR deve puntare a questa pagina
+        const redemptionUrl = `${req.protocol}://${req.get('host')}/redeem/${couponCode}`;
+        const formBaseUrl = `${req.protocol}://${req.get('host')}`;
+        const ipHash = hashSignupIp(req);
+        const referralUrl = await enableCouponReferral(dbConn, specificCampaign, couponId, { baseUrl: formBaseUrl, ipHash });
+        await recordReferral(dbConn, specificCampaign, ref, { couponId, userId, email, ipHash, baseUrl: formBaseUrl });
+        const pdfToken = await queueCouponEmail(dbConn, {
+            tenantId: req.tenant?.id || req.session?.user?.tenantId,
+            campaign: issuing, couponId, couponCode, redemptionUrl, referralUrl,
+            email, firstName, lastName
+        });
+
+        res.redirect(`/thanks?pdf=${encodeURIComponent(pdfToken)}`);
+    } catch (err) {
+        console.error('Error in submit:', err);
+        console.error('Error stack:', err.stack);
+        res.status(500).send('Errore durante la creazione del coupon');
+    }
+});
+
+// Tenant-scoped form submission (M3)
+app.post('/t/:tenantSlug/submit', tenantLoader, checkSubmitRateLimit, verifyRecaptchaIfEnabled, async (req, res) => {
+    try {
+        const { email, firstName, lastName, phone, campaign_id, coupon_code, ref, ...customFields } = req.body;
+        if (!email) {
+            return res.status(400).send('Email richiesta');
+        }
+        const dbConn = await getDb();
+        let discountType = 'percent';
+        let discountValue = process.env.DEFAULT_DISCOUNT_PERCENT || '10';
+        let campaignId = null;
+        let specificCampaign = null;
+
+        if (campaign_id) {
+            specificCampaign = await dbConn.get('SELECT * FROM campaigns WHERE campaign_code = ? AND tenant_id = ?', campaign_id, req.tenant.id);
+            if (specificCampaign) {
+                if (!specificCampaign.is_active) {
+                    return res.status(400).send('Questo coupon non esiste o è scaduto');
+                }
+                const scheduleStatus = campaignScheduleStatus(specificCampaign);
+                if (scheduleStatus === 'upcoming') {
+                    return res.status(400).send(CAMPAIGN_NOT_STARTED_ERROR);
+                }
+                if (scheduleStatus === 'ended') {
+                    return res.status(400).send(CAMPAIGN_ENDED_ERROR);
+                }
+                discountType = specificCampaign.discount_type;
+                discountValue = specificCampaign.discount_value;
+                campaignId = specificCampaign.id;
+            } else {
+                return res.status(400).send('Questo coupon non esiste o è scaduto');
+            }
+        } else {
+            return res.status(400).send('Questo coupon non esiste o è scaduto');
+        }
+
+        // Registering a pre-printed code instead of issuing a new one
+        let batchCoupon = null;
+        if (coupon_code) {
+            batchCoupon = await findClaimableCoupon(dbConn, coupon_code, specificCampaign);
+            if (!batchCoupon) {
+                return res.status(400).send('Codice non valido o già registrato');
+            }
+        } else if (await getCampaignRemainingCoupons(dbConn, specificCampaign) === 0) {
+            return res.redirect(`/t/${req.tenant.slug}/sold-out?campaign=${encodeURIComponent(specificCampaign.campaign_code)}`);
+        }
+        const customer = { email, phone: normalizeCustomerPhone(phone) };
+
+        const userId = await findOrCreateCouponCustomer(dbConn, req.tenant.id, { ...customer, firstName: firstName || null, lastName: lastName || null });
+
+        // Save custom fields
+        const formConfig = JSON.parse(specificCampaign.form_config);
+        if (formConfig.customFields && formConfig.customFields.length > 0) {
+            for (const customField of formConfig.customFields) {
+                const fieldValue = customFields[customField.id];
+                if (fieldValue !== undefined && fieldValue !== '') {
+                    await dbConn.run(
+                        'INSERT INTO user_custom_data (user_id, field_name, field_value, tenant_id) VALUES (?, ?, ?, ?)',
+                        userId, customField.id, fieldValue, req.tenant.id
+                    );
+                }
+            }
+        }
+
+        let couponCode;
+        let couponId;
+        let issuing = specificCampaign;
+        if (batchCoupon) {
+            const claim = await attachCouponCustomer(dbConn, batchCoupon, userId, { campaign: specificCampaign, customer });
+            if (claim.customerLimit) return res.redirect(`/t/${req.tenant.slug}/sold-out?reason=customer_limit`);
+            if (claim.error) return res.status(400).send(claim.error);
+            couponCode = batchCoupon.code;
+            couponId = batchCoupon.id;
+        } else if (specificCampaign.campaign_type === 'instant_win') {
+            const play = await playInstantWin(dbConn, specificCampaign, { userId, tenantId: req.tenant.id }, customer);
+            if (play.customerLimit) return res.redirect(`/t/${req.tenant.slug}/sold-out?reason=customer_limit`);
+            if (play.soldOut) return res.redirect(`/t/${req.tenant.slug}/sold-out`);
+            if (play.lost) return res.redirect(`/t/${req.tenant.slug}/sold-out?reason=no_win&campaign=${encodeURIComponent(specificCampaign.campaign_code)}`);
+            issuing = play.issuing;
+            couponCode = play.code;
+            couponId = play.id;
+        } else {
+            issuing = await withCampaignVariant(dbConn, specificCampaign, email);
+            couponCode = await issueCouponCode(dbConn, specificCampaign);
+            const inserted = await insertCappedCoupon(dbConn, issuing, { code: couponCode, userId, tenantId: req.tenant.id }, customer);
+            if (inserted.customerLimit) return res.redirect(`/t/${req.tenant.slug}/sold-out?reason=customer_limit`);
+            if (inserted.soldOut) return res.redirect(`/t/${req.tenant.slug}/sold-out?campaign=${encodeURIComponent(specificCampaign.campaign_code)}`);
+            couponId = inserted.id;
+        }
+
+        const redemptionUrl = `${req.protocol}://${req.get('host')}/t/${req.tenant.slug}/redeem/${couponCode}`;
+        const formBaseUrl = `${req.protocol}://${req.get('host')}/t/${req.tenant.slug}`;
+        const ipHash = hashSignupIp(req);
+        const referralUrl = await enableCouponReferral(dbConn, specificCampaign, couponId, { baseUrl: formBaseUrl, ipHash });
+        await recordReferral(dbConn, specificCampaign, ref, { couponId, userId, email, ipHash, baseUrl: formBaseUrl });
+        const pdfToken = await queueCouponEmail(dbConn, {
+            tenantId: req.tenant.id,
+            campaign: issuing, couponId, couponCode, redemptionUrl, referralUrl,
+            email, firstName, lastName
+        });
+
+        // Log coupon creation
+        await logAction(req, 'create', `Coupon creato: ${couponCode}`, 'success', {
+            couponCode: couponCode,
+            campaignId: campaignId,
+            discountType: issuing.discount_type,
+            discountValue: issuing.discount_value,
+            variant: issuing.variant?.label,
+            prize: issuing.prize?.label,
+            userEmail: email
+        });
+
+        res.redirect(`/t/${req.tenant.slug}/thanks?pdf=${encodeURIComponent(pdfToken)}`);
+    } catch (err) {
+        console.error('Error in submit (tenant):', err);
+        res.status(500).send('Errore durante la creazione del coupon');
+    }
+});
+
+// Public form while a campaign is sold out or not open yet: queue the customer for the next free coupon
+async function joinWaitlistHandler(req, res) {
+    const base = req.tenant ? `/t/${req.tenant.slug}` : '';
+    try {
+        const { email, firstName, lastName, phone, campaign_id, ...customFields } = req.body;
+        if (!email) {
+            return res.status(400).send('Email richiesta');
+        }
+        const dbConn = await getDb();
+        const campaign = req.tenant
+            ? await dbConn.get('SELECT * FROM campaigns WHERE campaign_code = ? AND tenant_id = ?', campaign_id, req.tenant.id)
+            : await dbConn.get('SELECT * FROM campaigns WHERE campaign_code = ?', campaign_id);
+        if (!campaign || !campaign.is_active) {
+            return res.status(400).send('Questo coupon non esiste o è scaduto');
+        }
+        if (campaignScheduleStatus(campaign) === 'ended') {
+            return res.status(400).send(CAMPAIGN_ENDED_ERROR);
+        }
+        if (campaign.campaign_type === 'instant_win') {
+            return res.status(400).send('Lista d\'attesa non disponibile per questa campagna');
+        }
+        const customer = { email, phone: normalizeCustomerPhone(phone) };
+        if (campaign.max_per_customer) {
+            const held = await dbConn.get(CUSTOMER_COUPONS_SQL, campaign.id, customer.email, customer.phone, customer.phone);
+            if (held.n >= campaign.max_per_customer) return res.redirect(`${base}/sold-out?reason=customer_limit`);
+        }
+
+        // Same fields as the coupon form; custom fields are saved on the customer once the coupon is issued
+        const formConfig = JSON.parse(campaign.form_config);
+        const customData = {};
+        for (const customField of formConfig.customFields || []) {
+            const fieldValue = customFields[customField.id];
+            if (fieldValue !== undefined && fieldValue !== '') customData[customField.id] = fieldValue;
+        }
+        const result = await dbConn.run(
+            `INSERT OR IGNORE INTO campaign_waitlist (tenant_id, campaign_id, email, first_name, last_name, phone, custom_data, redeem_base_url)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            campaign.tenant_id, campaign.id, email, firstName || null, lastName || null, customer.phone,
+            JSON.stringify(customData), `${req.protocol}://${req.get('host')}${base}`
+        );
+        if (result.changes) {
+            await logAction(req, 'create', `Iscrizione alla lista d'attesa: ${campaign.name}`, 'info', {
+                campaignId: campaign.id,
+                userEmail: email
+            });
+        }
+        // Capacity may have freed up since the form was loaded
+        runCampaignWaitlist(campaign.id);
+        res.redirect(`${base}/sold-out?reason=waitlist`);
+    } catch (err) {
+        console.error('Error joining waitlist:', err);
+        res.status(500).send('Errore durante l\'iscrizione alla lista d\'attesa');
+    }
+}
+app.post('/waitlist', checkSubmitRateLimit, verifyRecaptchaIfEnabled, joinWaitlistHandler);
+app.post('/t/:tenantSlug/waitlist', tenantLoader, checkSubmitRateLimit, verifyRecaptchaIfEnabled, joinWaitlistHandler);
+
+// Legacy protected areas (kept for now)
+app.use('/store', requireAuth);
+app.use('/api/store', requireStore);
+app.use('/admin', requireAuth);
+app.use('/api/admin', requireAdmin);
+
+// Super admin login page
+app.get('/superadmin-login', (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'superadmin-login.html'));
+});
+
+// Super admin page (defined after /admin middleware to avoid conflicts)
+app.get('/superadmin', (req, res) => {
+    // Check if user is logged in and is superadmin
+    if (!req.session || !req.session.user) {
+        return res.redirect('/superadmin-login');
+    }
+    if (req.session.user.userType !== 'superadmin') {
+        return res.status(403).send('Accesso negato. Richiesto ruolo SuperAdmin.');
+    }
+    res.sendFile(path.join(__dirname, 'views', 'superadmin.html'));
+});
+
+app.get('/superadmin/logs', (req, res) => {
+    // Check if user is logged in and is superadmin
+    if (!req.session || !req.session.user) {
+        return res.redirect('/superadmin-login');
+    }
+    if (req.session.user.userType !== 'superadmin') {
+        return res.status(403).send('Accesso negato. Richiesto ruolo SuperAdmin.');
+    }
+    res.sendFile(path.join(__dirname, 'views', 'logs.html'));
+});
+
+// Tenant-scoped protected areas (soft-enforce in M2)
+app.use('/t/:tenantSlug/admin', tenantLoader, requireSameTenantAsSession, requireRole('admin'));
+app.use('/t/:tenantSlug/api/admin', tenantLoader, requireSameTenantAsSession, requireRole('admin'));
+app.use('/t/:tenantSlug/store', tenantLoader, requireSameTenantAsSession, requireRole('store'));
+app.use('/t/:tenantSlug/api/store', tenantLoader, requireSameTenantAsSession, requireRole('store'));
+
+app.get('/store', (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'store.html'));
+});
+app.get('/t/:tenantSlug/store', tenantLoader, (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'store.html'));
+});
+
+// Lookup coupon status (for store UI)
+app.get('/api/coupons/:code', async (req, res) => {
+    try {
+        const dbConn = await getDb();
+        const lookup = await resolveCouponCodeInput(dbConn, req.params.code);
+        if (lookup.invalid) return res.status(400).json({ error: INVALID_COUPON_CODE_ERROR });
+        const coupon = await dbConn.get(`
+            SELECT c.*, camp.name AS campaignName, camp.discount_rules
+            FROM coupons c 
+            LEFT JOIN campaigns camp ON camp.id = c.campaign_id 
+            WHERE c.code IN (${lookup.codes.map(() => '?').join(',')})
+        `, lookup.codes);
+        if (!coupon) return res.status(404).json({ error: 'Non trovato' });
+        const usage = getCouponUsage(coupon);
+        const rules = getCampaignDiscountRules({ discount_rules: coupon.discount_rules }, coupon.discount_type);
+        res.json({ 
+            code: coupon.code, 
+            status: coupon.status === 'active' && isCouponExpired(coupon) ? 'expired' : coupon.status, 
+            discountType: coupon.discount_type,
+            discountValue: coupon.discount_value,
+            campaignName: coupon.campaignName,
+            expiresAt: coupon.expires_at,
+            maxUses: usage.maxUses,
+            usesCount: usage.usesCount,
+            remainingUses: usage.remainingUses,
+            balance: usage.balance,
+            assigned: !!coupon.user_id,
+            discountConditions: discountRulesLabel(rules) || null,
+            basketRequired: !!rules
+        });
+    } catch (e) {
+        res.status(500).json({ error: 'Errore server' });
+    }
+});
+app.get('/t/:tenantSlug/api/coupons/:code', tenantLoader, async (req, res) => {
+    try {
+        const dbConn = await getDb();
+        const lookup = await resolveCouponCodeInput(dbConn, req.params.code, req.tenant.id);
+        if (lookup.invalid) return res.status(400).json({ error: INVALID_COUPON_CODE_ERROR });
+        const coupon = await dbConn.get(`
+            SELECT c.*, camp.name AS campaignName, camp.discount_rules
+            FROM coupons c 
+            LEFT JOIN campaigns camp ON camp.id = c.campaign_id 
+            WHERE c.code IN (${lookup.codes.map(() => '?').join(',')}) AND c.tenant_id = ?
+        `, ...lookup.codes, req.tenant.id);
+        if (!coupon) return res.status(404).json({ error: 'Non trovato' });
+        const usage = getCouponUsage(coupon);
+        const rules = getCampaignDiscountRules({ discount_rules: coupon.discount_rules }, coupon.discount_type);
+        res.json({ 
+            code: coupon.code, 
+            status: coupon.status === 'active' && isCouponExpired(coupon) ? 'expired' : coupon.status, 
+            discountType: coupon.discount_type,
+            discountValue: coupon.discount_value,
+            campaignName: coupon.campaignName,
+            expiresAt: coupon.expires_at,
+            maxUses: usage.maxUses,
+            usesCount: usage.usesCount,
+            remainingUses: usage.remainingUses,
+            balance: usage.balance,
+            assigned: !!coupon.user_id,
+            discountConditions: discountRulesLabel(rules) || null,
+            basketRequired: !!rules
+        });
+    } catch (e) {
+        res.status(500).json({ error: 'Errore server' });
+    }
+});
+
+// Store: get active coupons with user info
+app.get('/api/store/coupons/active', async (req, res) => {
+    try {
+        const dbConn = await getDb();
+        const coupons = await dbConn.all(`
+            SELECT c.code, c.discount_type AS discountType, c.discount_value AS discountValue, c.issued_at AS issuedAt, c.expires_at AS expiresAt,
+                   c.max_uses AS maxUses, c.uses_count AS usesCount, c.balance,
+                   u.first_name AS firstName, u.last_name AS lastName, u.email, camp.name AS campaignName
+            FROM coupons c
+            LEFT JOIN users u ON u.id = c.user_id
+            LEFT JOIN campaigns camp ON camp.id = c.campaign_id
+            WHERE c.status = 'active' AND (c.expires_at IS NULL OR c.expires_at > datetime('now'))
+            ORDER BY c.issued_at DESC
+        `);
+        res.json(coupons);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+});
+app.get('/t/:tenantSlug/api/store/coupons/active', tenantLoader, async (req, res) => {
+    try {
+        const dbConn = await getDb();
+        const coupons = await dbConn.all(`
+            SELECT c.code, c.discount_type AS discountType, c.discount_value AS discountValue, c.issued_at AS issuedAt, c.expires_at AS expiresAt,
+                   c.max_uses AS maxUses, c.uses_count AS usesCount, c.balance,
+                   u.first_name AS firstName, u.last_name AS lastName, u.email, camp.name AS campaignName
+            FROM coupons c
+            LEFT JOIN users u ON u.id = c.user_id
+            LEFT JOIN campaigns camp ON camp.id = c.campaign_id
+            WHERE c.status = 'active' AND (c.expires_at IS NULL OR c.expires_at > datetime('now')) AND c.tenant_id = ?
+            ORDER BY c.issued_at DESC
+        `, req.tenant.id);
+        res.json(coupons);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+});
+
+// Store: get redeemed coupons with user info
+app.get('/api/store/coupons/redeemed', async (req, res) => {
+    try {
+        const dbConn = await getDb();
+        const coupons = await dbConn.all(`
+            SELECT c.code, c.discount_type AS discountType, c.discount_value AS discountValue, c.issued_at AS issuedAt, c.redeemed_at AS redeemedAt,
+                   u.first_name AS firstName, u.last_name AS lastName, u.email, camp.name AS campaignName,
+                   r.operator_id AS operatorId, op.username AS redeemedBy, r.location, r.receipt_ref AS receiptRef
+            FROM coupons c
+            LEFT JOIN users u ON u.id = c.user_id
+            LEFT JOIN campaigns camp ON camp.id = c.campaign_id
+            ${LAST_REDEMPTION_JOIN}
+            WHERE c.status = 'redeemed'
+            ORDER BY c.redeemed_at DESC
+        `);
+        res.json(coupons);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+});
+app.get('/t/:tenantSlug/api/store/coupons/redeemed', tenantLoader, async (req, res) => {
+    try {
+        const dbConn = await getDb();
+        const coupons = await dbConn.all(`
+            SELECT c.code, c.discount_type AS discountType, c.discount_value AS discountValue, c.issued_at AS issuedAt, c.redeemed_at AS redeemedAt,
+                   u.first_name AS firstName, u.last_name AS lastName, u.email, camp.name AS campaignName,
+                   r.operator_id AS operatorId, op.username AS redeemedBy, r.location, r.receipt_ref AS receiptRef
+            FROM coupons c
+            LEFT JOIN users u ON u.id = c.user_id
+            LEFT JOIN campaigns camp ON camp.id = c.campaign_id
+            ${LAST_REDEMPTION_JOIN}
+            WHERE c.status = 'redeemed' AND c.tenant_id = ?
+            ORDER BY c.redeemed_at DESC
+        `, req.tenant.id);
+        res.json(coupons);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+});
+
+// Store: search coupons by code (partial) or last name
+app.get('/api/store/coupons/search', async (req, res) => {
+    try {
+        const { q } = req.query;
+        if (!q || q.trim().length < 2) {
+            return res.json([]);
+        }
+        
+        const dbConn = await getDb();
+        const searchTerm = `%${q.trim().toUpperCase()}%`;
+        const lookup = await resolveCouponCodeInput(dbConn, q);
+        if (lookup.invalid) return res.status(400).json({ error: INVALID_COUPON_CODE_ERROR });
+        
+        const coupons = await dbConn.all(`
+            SELECT c.code, c.discount_type AS discountType, c.discount_value AS discountValue, c.status, c.issued_at AS issuedAt, c.redeemed_at AS redeemedAt, c.expires_at AS expiresAt,
+                   u.first_name AS firstName, u.last_name AS lastName, u.email, camp.name AS campaignName
+            FROM coupons c
+            LEFT JOIN users u ON u.id = c.user_id
+            LEFT JOIN campaigns camp ON camp.id = c.campaign_id
+            WHERE c.code LIKE ? OR UPPER(u.last_name) LIKE ? OR c.code IN (${lookup.codes.map(() => '?').join(',')})
+            ORDER BY c.issued_at DESC
+            LIMIT 50
+        `, searchTerm, searchTerm, ...lookup.codes);
+        
+        res.json(coupons);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+});
+app.get('/t/:tenantSlug/api/store/coupons/search', tenantLoader, async (req, res) => {
+    try {
+        const { q } = req.query;
+        if (!q || q.trim().length < 2) {
+            return res.json([]);
+        }
+        const dbConn = await getDb();
+        const searchTerm = `%${q.trim().toUpperCase()}%`;
+        const lookup = await resolveCouponCodeInput(dbConn, q, req.tenant.id);
+        if (lookup.invalid) return res.status(400).json({ error: INVALID_COUPON_CODE_ERROR });
+        const coupons = await dbConn.all(`
+            SELECT c.code, c.discount_type AS discountType, c.discount_value AS discountValue, c.status, c.issued_at AS issuedAt, c.redeemed_at AS redeemedAt, c.expires_at AS expiresAt,
+                   u.first_name AS firstName, u.last_name AS lastName, u.email, camp.name AS campaignName
+            FROM coupons c
+            LEFT JOIN users u ON u.id = c.user_id
+            LEFT JOIN campaigns camp ON camp.id = c.campaign_id
+            WHERE (c.code LIKE ? OR UPPER(u.last_name) LIKE ? OR c.code IN (${lookup.codes.map(() => '?').join(',')})) AND c.tenant_id = ?
+            ORDER BY c.issued_at DESC
+            LIMIT 50
+        `, searchTerm, searchTerm, ...lookup.codes, req.tenant.id);
+        res.json(coupons);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+});
 
-        // Create first admin user (auth)
-        const existingAdmin = await dbConn.get('SELECT id FROM auth_users WHERE username = ? AND tenant_id = ?', adminUsername, newTenantId);
-        if (existingAdmin) {
-            return res.status(409).json({ error: 'Username già in uso per questo tenant' });
+// Store: coupon barcode in the campaign's symbology, for the lookup pages (SVG by default, ?format=png)
+async function storeCouponBarcodeHandler(req, res) {
+    try {
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const coupon = await dbConn.get(`
+            SELECT c.code, camp.code_format, camp.barcode_format
+            FROM coupons c
+            LEFT JOIN campaigns camp ON camp.id = c.campaign_id
+            WHERE c.code = ? AND c.tenant_id = ?
+        `, String(req.params.code || '').toUpperCase(), tenantId);
+        if (!coupon) return res.status(404).json({ error: 'Non trovato' });
+        const redemptionUrl = couponRedemptionUrl(req, coupon.code, req.tenant?.slug);
+        const barcodeFormat = getCampaignBarcodeFormat(coupon);
+        res.setHeader('Cache-Control', 'private, max-age=300');
+        if (req.query.format === 'png') {
+            res.type('png').send(await renderCouponBarcode(barcodeFormat, coupon.code, redemptionUrl));
+        } else {
+            res.type('svg').send(await renderCouponBarcode(barcodeFormat, coupon.code, redemptionUrl, 'svg'));
         }
-        await dbConn.run(
-            'INSERT INTO auth_users (username, password_hash, user_type, is_active, tenant_id) VALUES (?, ?, ?, 1, ?)',
-            adminUsername, hashPassword(adminPassword), 'admin', newTenantId
-        );
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+app.get('/api/store/coupons/:code/barcode', storeCouponBarcodeHandler);
+app.get('/t/:tenantSlug/api/store/coupons/:code/barcode', tenantLoader, storeCouponBarcodeHandler);
 
-        // Login session
-        await new Promise((resolve, reject) => req.session.regenerate(err => err ? reject(err) : resolve()));
-        const superAdminUsername = process.env.SUPERADMIN_USERNAME || 'admin';
-        const isSuperAdmin = adminUsername === superAdminUsername;
-        req.session.user = {
-            id: null,
-            username: adminUsername,
-            userType: 'admin',
-            tenantId: newTenantId,
-            tenantSlug: slug,
-            isSuperAdmin
-        };
+// Admin: search coupons by code (partial) or last name
+app.get('/api/admin/coupons/search', async (req, res) => {
+    try {
+        const { q } = req.query;
+        if (!q || q.trim().length < 2) {
+            return res.json([]);
+        }
         
-        // Log tenant creation
-        await logAction(req, 'create', `Nuovo tenant creato: ${tenantName}`, 'success', {
-            tenantName: tenantName,
-            tenantSlug: slug,
-            adminUsername: adminUsername,
-            tenantId: newTenantId
-        });
+        const dbConn = await getDb();
+        const searchTerm = `%${q.trim().toUpperCase()}%`;
         
-        return res.json({ ok: true, redirect: `/t/${slug}/admin` });
+        const coupons = await dbConn.all(`
+            SELECT c.id, c.code, c.discount_type AS discountType, c.discount_value AS discountValue, c.status, c.issued_at AS issuedAt, c.redeemed_at AS redeemedAt, c.expires_at AS expiresAt,
+                   u.first_name AS firstName, u.last_name AS lastName, u.email, camp.name AS campaignName
+            FROM coupons c
+            LEFT JOIN users u ON u.id = c.user_id
+            LEFT JOIN campaigns camp ON camp.id = c.campaign_id
+            WHERE c.code LIKE ? OR UPPER(u.last_name) LIKE ?
+            ORDER BY c.issued_at DESC
+            LIMIT 100
+        `, searchTerm, searchTerm);
+        
+        res.json(coupons);
     } catch (e) {
-        console.error('Signup error', e);
-        res.status(500).json({ error: 'Errore durante la registrazione' });
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
 });
 
-// Logout API endpoint
-app.post('/api/logout', async (req, res) => {
-    // Log logout action before destroying session
-    if (req.session && req.session.user) {
-        await logAction(req, 'logout', 'Logout effettuato', 'info', {
-            username: req.session.user.username,
-            userType: req.session.user.userType
-        });
-    }
-    
-    if (req.session) {
-        req.session.destroy((err) => {
-            if (err) {
-                console.error('Logout error:', err);
-                return res.status(500).json({ error: 'Errore durante il logout' });
-            }
-            res.clearCookie('connect.sid');
-            res.json({ success: true, message: 'Logout effettuato con successo' });
+// Redeem coupon (burn)
+app.post('/api/coupons/:code/redeem', idempotencyGuard('redeem'), async (req, res) => {
+    try {
+        const dbConn = await getDb();
+        const lookup = await resolveCouponCodeInput(dbConn, req.params.code);
+        if (lookup.invalid) return res.status(400).json({ error: INVALID_COUPON_CODE_ERROR });
+        const coupon = await dbConn.get(`SELECT * FROM coupons WHERE code IN (${lookup.codes.map(() => '?').join(',')})`, lookup.codes);
+        if (!coupon) return res.status(404).json({ error: 'Non trovato' });
+
+        const place = await resolveRedemptionLocation(dbConn, req, coupon);
+        if (place.error) return res.status(place.statusCode || 400).json({ error: place.error });
+        // Unassigned batch coupons: optional customer details are linked on redemption
+        const customer = coupon.user_id ? { ok: true, customer: null } : parseCouponCustomer(req.body);
+        if (!customer.ok) return res.status(400).json({ error: customer.error });
+        // With a basket the discount is computed; a fixed coupon spends exactly that from its balance
+        const pricing = await priceRedemptionBasket(dbConn, coupon, req.body?.basket);
+        if (pricing.error) return res.status(400).json({ error: pricing.error });
+        const context = getRedemptionContext(req);
+        const result = await redeemCoupon(dbConn, coupon, {
+            amount: pricing.basket && coupon.discount_type === 'fixed' ? pricing.basket.discount : req.body?.amount,
+            ...context,
+            locationId: place.location?.id,
+            location: place.location ? place.location.name : context.location
         });
-    } else {
-        res.json({ success: true, message: 'Logout effettuato con successo' });
+        if (result.error) return res.status(result.statusCode || 400).json({ error: result.error });
+        if (customer.customer) {
+            const userId = await findOrCreateCouponCustomer(dbConn, coupon.tenant_id, customer.customer);
+            await attachCouponCustomer(dbConn, coupon, userId);
+        }
+        res.json({ ok: true, code: coupon.code, ...result, basket: pricing.basket });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
 });
-
-// Tenant-scoped logout API for convenience
-app.post('/t/:tenantSlug/api/logout', tenantLoader, (req, res) => {
-    if (req.session) {
-        req.session.destroy((err) => {
-            if (err) {
-                console.error('Logout error:', err);
-                return res.status(500).json({ error: 'Errore durante il logout' });
-            }
-            res.clearCookie('connect.sid');
-            res.json({ success: true, message: 'Logout effettuato con successo' });
+app.post('/t/:tenantSlug/api/coupons/:code/redeem', tenantLoader, idempotencyGuard('redeem'), async (req, res) => {
+    try {
+        const dbConn = await getDb();
+        const lookup = await resolveCouponCodeInput(dbConn, req.params.code, req.tenant.id);
+        if (lookup.invalid) return res.status(400).json({ error: INVALID_COUPON_CODE_ERROR });
+        const coupon = await dbConn.get(`SELECT * FROM coupons WHERE code IN (${lookup.codes.map(() => '?').join(',')}) AND tenant_id = ?`, ...lookup.codes, req.tenant.id);
+        if (!coupon) return res.status(404).json({ error: 'Non trovato' });
+        const place = await resolveRedemptionLocation(dbConn, req, coupon);
+        if (place.error) return res.status(place.statusCode || 400).json({ error: place.error });
+        // Unassigned batch coupons: optional customer details are linked on redemption
+        const customer = coupon.user_id ? { ok: true, customer: null } : parseCouponCustomer(req.body);
+        if (!customer.ok) return res.status(400).json({ error: customer.error });
+        // With a basket the discount is computed; a fixed coupon spends exactly that from its balance
+        const pricing = await priceRedemptionBasket(dbConn, coupon, req.body?.basket);
+        if (pricing.error) return res.status(400).json({ error: pricing.error });
+        const context = getRedemptionContext(req);
+        const result = await redeemCoupon(dbConn, coupon, {
+            amount: pricing.basket && coupon.discount_type === 'fixed' ? pricing.basket.discount : req.body?.amount,
+            ...context,
+            locationId: place.location?.id,
+            location: place.location ? place.location.name : context.location
         });
-    } else {
-        res.json({ success: true, message: 'Logout effettuato con successo' });
+        if (result.error) return res.status(result.statusCode || 400).json({ error: result.error });
+        if (customer.customer) {
+            const userId = await findOrCreateCouponCustomer(dbConn, coupon.tenant_id, customer.customer);
+            await attachCouponCustomer(dbConn, coupon, userId);
+        }
+        res.json({ ok: true, code: coupon.code, ...result, basket: pricing.basket });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
 });
 
-// Tenant info API - get current tenant information
-app.get('/t/:tenantSlug/api/tenant-info', tenantLoader, requireSameTenantAsSession, (req, res) => {
+// Redeem several coupons presented together. Codes are taken in the order given: each one must be usable
+// here and stack with those already accepted, otherwise it is rejected with the reason. With a basket every
+// coupon is priced on the whole basket and the total discount never exceeds it. The accepted coupons are
+// redeemed in one transaction: if one fails at the last moment (e.g. burnt on another till) none is redeemed.
+async function redeemMultipleCouponsHandler(req, res) {
     try {
+        const rawCodes = req.body?.codes;
+        if (!Array.isArray(rawCodes) || rawCodes.length === 0 || rawCodes.length > REDEEM_MULTIPLE_MAX_CODES) {
+            return res.status(400).json({ error: `Inserisci da 1 a ${REDEEM_MULTIPLE_MAX_CODES} codici` });
+        }
+        const rawBasket = req.body?.basket;
+        const hasBasket = rawBasket !== undefined && rawBasket !== null && rawBasket !== '';
+        const basketLines = hasBasket ? parseRedemptionBasket(rawBasket) : null;
+        if (basketLines && !basketLines.ok) return res.status(400).json({ error: basketLines.error });
+        const subtotal = basketLines ? Math.round(basketLines.lines.reduce((sum, l) => sum + l.price * l.quantity, 0) * 100) / 100 : null;
+
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session?.user?.tenantId || null;
+        const accepted = [];
+        const rejected = [];
+        let totalDiscount = 0;
+        for (const rawCode of rawCodes) {
+            const typed = String(rawCode || '').trim();
+            const lookup = await resolveCouponCodeInput(dbConn, typed, tenantId);
+            const coupon = lookup.invalid ? null : await dbConn.get(`
+                SELECT c.*, camp.stacking FROM coupons c LEFT JOIN campaigns camp ON camp.id = c.campaign_id
+                WHERE c.code IN (${lookup.codes.map(() => '?').join(',')})${tenantId ? ' AND c.tenant_id = ?' : ''}
+            `, ...lookup.codes, ...(tenantId ? [tenantId] : []));
+            if (!coupon) {
+                rejected.push({ code: typed, reason: lookup.invalid ? INVALID_COUPON_CODE_ERROR : 'Non trovato' });
+                continue;
+            }
+            if (accepted.some(a => a.coupon.id === coupon.id)) {
+                rejected.push({ code: coupon.code, reason: 'Codice già inserito' });
+                continue;
+            }
+            if (coupon.status !== 'active' || isCouponExpired(coupon)) {
+                rejected.push({ code: coupon.code, reason: coupon.status === 'expired' || isCouponExpired(coupon) ? 'Coupon scaduto' : 'Coupon non attivo' });
+                continue;
+            }
+            const place = await resolveRedemptionLocation(dbConn, req, coupon);
+            if (place.error) {
+                rejected.push({ code: coupon.code, reason: place.error });
+                continue;
+            }
+            const conflict = accepted.map(a => couponStackingConflict(a.coupon, coupon)).find(Boolean);
+            if (conflict) {
+                rejected.push({ code: coupon.code, reason: conflict });
+                continue;
+            }
+            const pricing = await priceRedemptionBasket(dbConn, coupon, rawBasket);
+            if (pricing.error) {
+                rejected.push({ code: coupon.code, reason: pricing.error });
+                continue;
+            }
+            let discount = pricing.basket ? pricing.basket.discount : null;
+            if (discount !== null) {
+                discount = Math.min(discount, Math.round((subtotal - totalDiscount) * 100) / 100);
+                if (discount <= 0) {
+                    rejected.push({ code: coupon.code, reason: 'Carrello già interamente scontato' });
+                    continue;
+                }
+                totalDiscount = Math.round((totalDiscount + discount) * 100) / 100;
+            }
+            accepted.push({ coupon, place, discount });
+        }
+        if (accepted.length === 0) {
+            return res.status(400).json({ error: 'Nessun coupon applicabile', applied: [], rejected });
+        }
+
+        const context = getRedemptionContext(req);
+        let failed = null;
+        let applied;
+        try {
+            applied = await withTransaction(async (tx) => {
+                const done = [];
+                for (const { coupon, place, discount } of accepted) {
+                    const result = await redeemCoupon(tx, coupon, {
+                        amount: discount !== null && coupon.discount_type === 'fixed' ? discount : undefined,
+                        ...context,
+                        locationId: place.location?.id,
+                        location: place.location ? place.location.name : context.location,
+                        rewardReferral: false
+                    });
+                    if (result.error) {
+                        failed = { coupon, result };
+                        throw new Error(result.error);
+                    }
+                    done.push({ id: coupon.id, code: coupon.code, discount, ...result });
+                }
+                return done;
+            });
+        } catch (e) {
+            if (!failed) throw e;
+            const { coupon, result } = failed;
+            return res.status(result.statusCode || 409).json({ error: `Coupon ${coupon.code}: ${result.error}`, applied: [], rejected });
+        }
+        // Referral rewards only once the whole group went through
+        for (const item of applied) {
+            if (item.usesCount === 1) rewardReferrer(dbConn, item.id).catch(e => console.error('Referral reward error:', e));
+        }
         res.json({
-            id: req.tenant.id,
-            slug: req.tenant.slug,
-            name: req.tenant.name
+            ok: true,
+            applied: applied.map(({ id, ...item }) => item),
+            rejected,
+            basket: basketLines ? { subtotal, discount: totalDiscount, total: Math.round((subtotal - totalDiscount) * 100) / 100 } : null
         });
     } catch (e) {
-        console.error('Error getting tenant info:', e);
+        console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
+app.post('/api/coupons/redeem-multiple', idempotencyGuard('redeem-multiple'), redeemMultipleCouponsHandler);
+app.post('/t/:tenantSlug/api/coupons/redeem-multiple', tenantLoader, idempotencyGuard('redeem-multiple'), redeemMultipleCouponsHandler);
 
-// GET convenience routes that redirect to /access
-app.get('/logout', (req, res) => {
-    if (req.session) {
-        req.session.destroy(() => {
-            res.clearCookie('connect.sid');
-            return res.redirect('/access');
-        });
-    } else {
-        return res.redirect('/access');
+// Admin: list coupons (JSON). Protected via Basic Auth under /api/admin
+// Note: Authentication is already applied above
+
+// Campaigns management
+app.get('/api/admin/campaigns', async (req, res) => {
+    try {
+        const dbConn = await getDb();
+        const campaigns = await dbConn.all(`SELECT c.*, ${CAMPAIGN_COUNTERS_SQL} FROM campaigns c ORDER BY created_at DESC`);
+        res.json(withCampaignScheduleStatus(campaigns));
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
 });
-app.get('/t/:tenantSlug/logout', tenantLoader, (req, res) => {
-    if (req.session) {
-        req.session.destroy(() => {
-            res.clearCookie('connect.sid');
-            return res.redirect('/access');
-        });
-    } else {
-        return res.redirect('/access');
+app.get('/t/:tenantSlug/api/admin/campaigns', tenantLoader, requireSameTenantAsSession, requireRole('admin'), async (req, res) => {
+    try {
+        const dbConn = await getDb();
+        const campaigns = await dbConn.all(`SELECT c.*, ${CAMPAIGN_COUNTERS_SQL} FROM campaigns c WHERE c.tenant_id = ? ORDER BY created_at DESC`, req.tenant.id);
+        res.json(withCampaignScheduleStatus(campaigns));
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
 });
 
-// Login page
-app.get('/login', (req, res) => {
-    // If already logged in, redirect to appropriate page
-    if (req.session && req.session.user) {
-        const base = req.session.user.tenantSlug ? `/t/${req.session.user.tenantSlug}` : '';
-        if (req.session.user.userType === 'admin') return res.redirect(base + '/admin');
-        if (req.session.user.userType === 'store') return res.redirect(base + '/store');
+// Tenant-scoped: create campaign
+app.post('/t/:tenantSlug/api/admin/campaigns', tenantLoader, requireSameTenantAsSession, requireRole('admin'), async (req, res) => {
+    try {
+        const { name, description, discount_type, discount_value } = req.body || {};
+        if (!name || !discount_type || !discount_value) {
+            return res.status(400).json({ error: 'Nome, tipo sconto e valore richiesti' });
+        }
+        if (!['percent', 'fixed', 'text'].includes(String(discount_type))) {
+            return res.status(400).json({ error: 'Tipo sconto non valido' });
+        }
+        if (discount_type !== 'text' && isNaN(Number(discount_value))) {
+            return res.status(400).json({ error: 'Valore sconto non valido' });
+        }
+        const expiry = parseCampaignExpiryInput(req.body, await getTenantTimeZone(await getDb(), req.tenant.id));
+        if (!expiry.ok) {
+            return res.status(400).json({ error: expiry.error });
+        }
+        const uses = parseCampaignMaxUses(req.body);
+        if (!uses.ok) {
+            return res.status(400).json({ error: uses.error });
+        }
+        const caps = parseCampaignIssuanceCaps(req.body);
+        if (!caps.ok) {
+            return res.status(400).json({ error: caps.error });
+        }
+        const codeFormat = parseCampaignCodeFormat(req.body);
+        if (!codeFormat.ok) {
+            return res.status(400).json({ error: codeFormat.error });
+        }
+        const barcode = parseCampaignBarcodeFormat(req.body, codeFormat.codeFormat);
+        if (!barcode.ok) {
+            return res.status(400).json({ error: barcode.error });
+        }
+        const campaignType = parseCampaignType(req.body);
+        if (!campaignType.ok) {
+            return res.status(400).json({ error: campaignType.error });
+        }
+        const rules = parseCampaignDiscountRules(req.body, [discount_type, ...(campaignType.referralReward ? [campaignType.referralReward.discount_type] : [])]);
+        if (!rules.ok) {
+            return res.status(400).json({ error: rules.error });
+        }
+        const stacking = parseCampaignStacking(req.body);
+        if (!stacking.ok) {
+            return res.status(400).json({ error: stacking.error });
+        }
+        const dbConn = await getDb();
+        const schedule = parseCampaignScheduleInput(req.body, await getTenantTimeZone(dbConn, req.tenant.id));
+        if (!schedule.ok) {
+            return res.status(400).json({ error: schedule.error });
+        }
+        const campaignCode = generateId(12);
+        const defaultFormConfig = JSON.stringify({ 
+            email: { visible: true, required: true }, 
+            firstName: { visible: true, required: true }, 
+            lastName: { visible: true, required: true },
+            phone: { visible: false, required: false },
+            address: { visible: false, required: false },
+            allergies: { visible: false, required: false },
+            customFields: []
+        });
+        const result = await dbConn.run(
+            'INSERT INTO campaigns (campaign_code, name, description, discount_type, discount_value, form_config, tenant_id, is_active, coupon_expiry_date, coupon_validity_days, max_uses, code_format, barcode_format, starts_at, ends_at, max_coupons, max_per_customer, campaign_type, referral_reward, discount_rules, stacking) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            campaignCode, name, description || null, discount_type, discount_value, defaultFormConfig, req.tenant.id,
+            // A scheduled campaign is armed straight away and opens/closes itself
+            schedule.startsAt || schedule.endsAt ? 1 : 0,
+            expiry.expiryDate, expiry.validityDays, uses.maxUses,
+            codeFormat.codeFormat ? JSON.stringify(codeFormat.codeFormat) : null,
+            barcode.barcodeFormat ? JSON.stringify(barcode.barcodeFormat) : null,
+            schedule.startsAt, schedule.endsAt, caps.maxCoupons, caps.maxPerCustomer,
+            campaignType.campaignType, campaignType.referralReward ? JSON.stringify(campaignType.referralReward) : null,
+            rules.discountRules ? JSON.stringify(rules.discountRules) : null, stacking.stacking
+        );
+        if (codeFormat.codeFormat) invalidateCouponCodeFormats();
+        res.json({ id: result.lastID, campaign_code: campaignCode, name, description, discount_type, discount_value, coupon_expiry_date: expiry.expiryDate, coupon_validity_days: expiry.validityDays, max_uses: uses.maxUses, code_format: codeFormat.codeFormat, barcode_format: barcode.barcodeFormat, starts_at: schedule.startsAt, ends_at: schedule.endsAt, max_coupons: caps.maxCoupons, max_per_customer: caps.maxPerCustomer, campaign_type: campaignType.campaignType, referral_reward: campaignType.referralReward, discount_rules: rules.discountRules, stacking: stacking.stacking });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
-    res.sendFile(path.join(__dirname, 'views', 'login.html'));
 });
 
-// Store login page
-app.get('/store-login', (req, res) => {
-    // If already logged in as store, redirect to store page
-    if (req.session && req.session.user && req.session.user.userType === 'store') {
-        const base = req.session.user.tenantSlug ? `/t/${req.session.user.tenantSlug}` : '';
-        return res.redirect(base + '/store');
+// Tenant-scoped: activate/deactivate campaign
+app.put('/t/:tenantSlug/api/admin/campaigns/:id/activate', tenantLoader, requireSameTenantAsSession, requireRole('admin'), async (req, res) => {
+    try {
+        const dbConn = await getDb();
+        await dbConn.run('UPDATE campaigns SET is_active = 1 WHERE id = ? AND tenant_id = ?', req.params.id, req.tenant.id);
+        runCampaignWaitlist(req.params.id);
+        res.json({ ok: true });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
-    res.sendFile(path.join(__dirname, 'views', 'store-login.html'));
 });
-
-// Test email endpoint (admin protected)
-app.get('/api/admin/test-email', requireAdmin, async (req, res) => {
+app.put('/t/:tenantSlug/api/admin/campaigns/:id/deactivate', tenantLoader, requireSameTenantAsSession, requireRole('admin'), async (req, res) => {
     try {
-        const to = req.query.to || process.env.MAIL_TEST_TO || 'test@example.com';
-        
-        // Try to get custom sender name from user's tenant
-        let senderName = 'CouponGen';
-        if (req.session && req.session.user && req.session.user.tenantSlug) {
-            try {
-                const dbConn = await getDb();
-                const tenant = await dbConn.get('SELECT email_from_name FROM tenants WHERE slug = ?', req.session.user.tenantSlug);
-                if (tenant && tenant.email_from_name) {
-                    senderName = tenant.email_from_name;
-                }
-            } catch (e) {
-                console.error('Error getting tenant sender name:', e);
-            }
-        }
-        
-        const html = `<p>Test email da ${senderName} - Mailgun integrazione da CouponGen.</p>`;
-        const message = {
-            from: `${senderName} <no-reply@send.coupongen.it>`,
-            to,
-            subject: `Test Email - ${senderName}`,
-            html
-        };
-        const info = await transporter.sendMail(message);
-        res.json({ ok: true, info });
+        const dbConn = await getDb();
+        await dbConn.run('UPDATE campaigns SET is_active = 0 WHERE id = ? AND tenant_id = ?', req.params.id, req.tenant.id);
+        res.json({ ok: true });
     } catch (e) {
-        console.error('Test email error:', e);
-        res.status(500).json({ ok: false, error: String(e?.message || e) });
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
 });
 
-// Global: update email from name (for non-tenant mode)
-app.put('/api/admin/email-from-name', requireAdmin, async (req, res) => {
+// Tenant-scoped: update email from name
+app.put('/t/:tenantSlug/api/admin/email-from-name', tenantLoader, requireSameTenantAsSession, requireRole('admin'), async (req, res) => {
     try {
         const { emailFromName } = req.body || {};
         if (!emailFromName || typeof emailFromName !== 'string' || emailFromName.trim().length === 0) {
             return res.status(400).json({ error: 'Nome mittente email richiesto' });
         }
         
-        // Update the tenant's email_from_name if user has a tenant
-        if (req.session && req.session.user && req.session.user.tenantSlug) {
-            const dbConn = await getDb();
-            await dbConn.run('UPDATE tenants SET email_from_name = ? WHERE slug = ?', emailFromName.trim(), req.session.user.tenantSlug);
-            
-            // Log the action
-            await logAction(req, 'update', `Nome mittente email aggiornato: ${emailFromName.trim()}`, 'info');
-        }
+        const dbConn = await getDb();
+        await dbConn.run('UPDATE tenants SET email_from_name = ? WHERE id = ?', emailFromName.trim(), req.tenant.id);
+        
+        // Log the action
+        await logAction(req, 'update', `Nome mittente email aggiornato: ${emailFromName.trim()}`, 'info');
         
         res.json({ ok: true, emailFromName: emailFromName.trim() });
     } catch (e) {
@@ -1397,1074 +5789,1602 @@ app.put('/api/admin/email-from-name', requireAdmin, async (req, res) => {
     }
 });
 
-// Global: get current email from name (for non-tenant mode)
-app.get('/api/admin/email-from-name', requireAdmin, async (req, res) => {
+// Tenant-scoped: get current email from name
+app.get('/t/:tenantSlug/api/admin/email-from-name', tenantLoader, requireSameTenantAsSession, requireRole('admin'), async (req, res) => {
     try {
-        let emailFromName = 'CouponGen';
-        
-        // Get the tenant's email_from_name if user has a tenant
-        if (req.session && req.session.user && req.session.user.tenantSlug) {
-            const dbConn = await getDb();
-            const tenant = await dbConn.get('SELECT email_from_name FROM tenants WHERE slug = ?', req.session.user.tenantSlug);
-            emailFromName = tenant?.email_from_name || 'CouponGen';
-        }
-        
-        res.json({ emailFromName });
+        const dbConn = await getDb();
+        const tenant = await dbConn.get('SELECT email_from_name FROM tenants WHERE id = ?', req.tenant.id);
+        res.json({ emailFromName: tenant?.email_from_name || 'CouponGen' });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
 });
 
-// Tenant-scoped: test email with custom sender name
-app.get('/t/:tenantSlug/api/admin/test-email', tenantLoader, requireSameTenantAsSession, requireRole('admin'), async (req, res) => {
+// Tenant-scoped: get campaign by code (for form parameter)
+app.get('/t/:tenantSlug/api/campaigns/:code', tenantLoader, async (req, res) => {
     try {
-        const to = req.query.to || process.env.MAIL_TEST_TO || 'test@example.com';
-        
-        // Get the custom sender name from the tenant
         const dbConn = await getDb();
-        const tenant = await dbConn.get('SELECT email_from_name FROM tenants WHERE id = ?', req.tenant.id);
-        const senderName = tenant?.email_from_name || 'CouponGen';
+        const campaign = await dbConn.get('SELECT * FROM campaigns WHERE campaign_code = ? AND tenant_id = ?', req.params.code, req.tenant.id);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campagna non trovata' });
+        }
+        // Check if campaign is active
+        if (!campaign.is_active) {
+            return res.status(404).json({ error: 'Campagna non trovata' });
+        }
+        const scheduleStatus = campaignScheduleStatus(campaign);
+        if (scheduleStatus === 'upcoming') {
+            return res.status(403).json({ error: CAMPAIGN_NOT_STARTED_ERROR, status: 'not_started', starts_at: campaign.starts_at, waitlist: waitlistCampaignInfo(campaign) });
+        }
+        if (scheduleStatus === 'ended') {
+            return res.status(410).json({ error: CAMPAIGN_ENDED_ERROR, status: 'ended', ends_at: campaign.ends_at });
+        }
         
-        const html = `<p>Test email da ${senderName} - Mailgun integrazione da CouponGen.</p>`;
-        const message = {
-            from: `${senderName} <no-reply@send.coupongen.it>`,
-            to,
-            subject: `Test Email - ${senderName}`,
-            html
-        };
-        const info = await transporter.sendMail(message);
-        res.json({ ok: true, info });
+        // Parse form config
+        const formConfig = JSON.parse(campaign.form_config || '{"email": {"visible": true, "required": true}, "firstName": {"visible": true, "required": true}, "lastName": {"visible": true, "required": true}}');
+        campaign.form_config = formConfig;
+        campaign.discount_conditions = discountRulesLabel(getCampaignDiscountRules(campaign)) || null;
+        
+        res.json(await withCampaignAvailability(dbConn, campaign));
     } catch (e) {
-        console.error('Test email error:', e);
-        res.status(500).json({ ok: false, error: String(e?.message || e) });
-    }
-});
-
-// API per configurazione personalizzazione form
-app.get('/api/admin/form-customization', requireAdmin, async (req, res) => {
-    try {
-        const config = await db.get('SELECT * FROM form_customization WHERE id = 1');
-        if (config) {
-            res.json(JSON.parse(config.config_data));
-        } else {
-            res.json({});
-        }
-    } catch (error) {
-        console.error('Errore caricamento configurazione form:', error);
-        res.status(500).json({ success: false, message: 'Errore durante il caricamento della configurazione' });
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
 });
 
-// Email template APIs (admin) - multitenant
-app.get('/api/admin/email-template', requireAdmin, async (req, res) => {
+// Legacy: get campaign by code (DEPRECATED - use tenant-scoped endpoint)
+app.get('/api/campaigns/:code', async (req, res) => {
     try {
         const dbConn = await getDb();
-        const tenantId = req.session.user.tenantId;
-        const row = await dbConn.get('SELECT subject, html, updated_at FROM email_template WHERE tenant_id = ?', tenantId);
-        if (!row) {
-            return res.json({ subject: 'Il tuo coupon', html: '', updated_at: null });
+        const campaign = await dbConn.get('SELECT * FROM campaigns WHERE campaign_code = ?', req.params.code);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campagna non trovata' });
         }
-        res.json(row);
+        // Check if campaign is active
+        if (!campaign.is_active) {
+            return res.status(404).json({ error: 'Campagna non trovata' });
+        }
+        const scheduleStatus = campaignScheduleStatus(campaign);
+        if (scheduleStatus === 'upcoming') {
+            return res.status(403).json({ error: CAMPAIGN_NOT_STARTED_ERROR, status: 'not_started', starts_at: campaign.starts_at, waitlist: waitlistCampaignInfo(campaign) });
+        }
+        if (scheduleStatus === 'ended') {
+            return res.status(410).json({ error: CAMPAIGN_ENDED_ERROR, status: 'ended', ends_at: campaign.ends_at });
+        }
+        
+        // Parse form config
+        const formConfig = JSON.parse(campaign.form_config || '{"email": {"visible": true, "required": true}, "firstName": {"visible": true, "required": true}, "lastName": {"visible": true, "required": true}}');
+        campaign.form_config = formConfig;
+        campaign.discount_conditions = discountRulesLabel(getCampaignDiscountRules(campaign)) || null;
+        
+        res.json(await withCampaignAvailability(dbConn, campaign));
     } catch (e) {
-        console.error('Errore get email template:', e);
+        console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
 });
 
-app.post('/api/admin/email-template', requireAdmin, async (req, res) => {
+app.post('/api/admin/campaigns', async (req, res) => {
     try {
-        const { subject, html } = req.body || {};
-        if (!subject || !html) {
-            return res.status(400).json({ error: 'Subject e html sono richiesti' });
+        const { name, description, discount_type, discount_value } = req.body;
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'Nome non valido' });
+        }
+        if (!['percent', 'fixed', 'text'].includes(String(discount_type))) {
+            return res.status(400).json({ error: 'Tipo sconto non valido' });
+        }
+        if (discount_type !== 'text' && isNaN(Number(discount_value))) {
+            return res.status(400).json({ error: 'Valore sconto non valido' });
         }
-        const dbConn = await getDb();
-        const tenantId = req.session.user.tenantId;
-        
-        // Check if template exists for this tenant
-        const existing = await dbConn.get('SELECT id FROM email_template WHERE tenant_id = ?', tenantId);
         
-        if (existing) {
-            // Update existing template
-            await dbConn.run(
-                'UPDATE email_template SET subject = ?, html = ?, updated_at = datetime("now") WHERE tenant_id = ?',
-                subject, html, tenantId
-            );
-        } else {
-            // Create new template for tenant
-            await dbConn.run(
-                'INSERT INTO email_template (tenant_id, subject, html, updated_at) VALUES (?, ?, ?, datetime("now"))',
-                tenantId, subject, html
-            );
+        if (!name || !discount_type || !discount_value) {
+            return res.status(400).json({ error: 'Nome, tipo sconto e valore richiesti' });
+        }
+        const expiry = parseCampaignExpiryInput(req.body, await getTenantTimeZone(await getDb(), req.session.user.tenantId));
+        if (!expiry.ok) {
+            return res.status(400).json({ error: expiry.error });
+        }
+        const uses = parseCampaignMaxUses(req.body);
+        if (!uses.ok) {
+            return res.status(400).json({ error: uses.error });
+        }
+        const caps = parseCampaignIssuanceCaps(req.body);
+        if (!caps.ok) {
+            return res.status(400).json({ error: caps.error });
+        }
+        const codeFormat = parseCampaignCodeFormat(req.body);
+        if (!codeFormat.ok) {
+            return res.status(400).json({ error: codeFormat.error });
+        }
+        const barcode = parseCampaignBarcodeFormat(req.body, codeFormat.codeFormat);
+        if (!barcode.ok) {
+            return res.status(400).json({ error: barcode.error });
+        }
+        const campaignType = parseCampaignType(req.body);
+        if (!campaignType.ok) {
+            return res.status(400).json({ error: campaignType.error });
+        }
+        const rules = parseCampaignDiscountRules(req.body, [discount_type, ...(campaignType.referralReward ? [campaignType.referralReward.discount_type] : [])]);
+        if (!rules.ok) {
+            return res.status(400).json({ error: rules.error });
+        }
+        const stacking = parseCampaignStacking(req.body);
+        if (!stacking.ok) {
+            return res.status(400).json({ error: stacking.error });
         }
         
-        res.json({ success: true });
+        const dbConn = await getDb();
+        const schedule = parseCampaignScheduleInput(req.body, await getTenantTimeZone(dbConn, req.session.user.tenantId));
+        if (!schedule.ok) {
+            return res.status(400).json({ error: schedule.error });
+        }
+        const campaignCode = generateId(12).toUpperCase();
+        const defaultFormConfig = JSON.stringify({ 
+            email: { visible: true, required: true }, 
+            firstName: { visible: true, required: true }, 
+            lastName: { visible: true, required: true },
+            phone: { visible: false, required: false },
+            address: { visible: false, required: false },
+            allergies: { visible: false, required: false },
+            customFields: []
+        });
+        const result = await dbConn.run(
+            'INSERT INTO campaigns (campaign_code, name, description, discount_type, discount_value, form_config, tenant_id, is_active, coupon_expiry_date, coupon_validity_days, max_uses, code_format, barcode_format, starts_at, ends_at, max_coupons, max_per_customer, campaign_type, referral_reward, discount_rules, stacking) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            campaignCode, name, description || null, discount_type, discount_value, defaultFormConfig, req.session.user.tenantId || null,
+            // A scheduled campaign is armed straight away and opens/closes itself
+            schedule.startsAt || schedule.endsAt ? 1 : 0,
+            expiry.expiryDate, expiry.validityDays, uses.maxUses,
+            codeFormat.codeFormat ? JSON.stringify(codeFormat.codeFormat) : null,
+            barcode.barcodeFormat ? JSON.stringify(barcode.barcodeFormat) : null,
+            schedule.startsAt, schedule.endsAt, caps.maxCoupons, caps.maxPerCustomer,
+            campaignType.campaignType, campaignType.referralReward ? JSON.stringify(campaignType.referralReward) : null,
+            rules.discountRules ? JSON.stringify(rules.discountRules) : null, stacking.stacking
+        );
+        if (codeFormat.codeFormat) invalidateCouponCodeFormats();
+        res.json({ id: result.lastID, campaign_code: campaignCode, name, description, discount_type, discount_value, coupon_expiry_date: expiry.expiryDate, coupon_validity_days: expiry.validityDays, max_uses: uses.maxUses, code_format: codeFormat.codeFormat, barcode_format: barcode.barcodeFormat, starts_at: schedule.startsAt, ends_at: schedule.endsAt, max_coupons: caps.maxCoupons, max_per_customer: caps.maxPerCustomer, campaign_type: campaignType.campaignType, referral_reward: campaignType.referralReward, discount_rules: rules.discountRules, stacking: stacking.stacking });
     } catch (e) {
-        console.error('Errore save email template:', e);
+        console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
 });
 
-app.post('/api/admin/form-customization', requireAdmin, async (req, res) => {
-    try {
-        const configData = JSON.stringify(req.body);
-        
-        // Inserisci o aggiorna la configurazione
-        await db.run(`
-            INSERT OR REPLACE INTO form_customization (id, config_data, updated_at) 
-            VALUES (1, ?, datetime('now'))
-        `, configData);
-        
-        res.json({ success: true, message: 'Configurazione salvata con successo!' });
-    } catch (error) {
-        console.error('Errore salvataggio configurazione form:', error);
-        res.status(500).json({ success: false, message: 'Errore durante il salvataggio della configurazione' });
-    }
-});
-
-// Simple image upload endpoint for admin (base64 data URL)
-// Saves under static/uploads and returns a public URL
-app.post('/api/admin/upload-image', requireAdmin, async (req, res) => {
+app.put('/api/admin/campaigns/:id/activate', async (req, res) => {
     try {
-        const { dataUrl } = req.body || {};
-        if (!dataUrl || typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) {
-            return res.status(400).json({ error: 'dataUrl mancante o non valido' });
-        }
-        const match = dataUrl.match(/^data:(.*?);base64,(.*)$/);
-        if (!match) return res.status(400).json({ error: 'Formato dataUrl non valido' });
-        const mime = match[1];
-        const base64 = match[2];
-        // Whitelist mime types and size limit (~2MB)
-        const allowed = ['image/png', 'image/jpeg', 'image/jpg', 'image/webp'];
-        if (!allowed.includes(mime)) {
-            return res.status(400).json({ error: 'Tipo file non consentito' });
-        }
-        const buffer = Buffer.from(base64, 'base64');
-        if (buffer.length > (Number(process.env.UPLOAD_MAX_BYTES || 2 * 1024 * 1024))) {
-            return res.status(400).json({ error: 'File troppo grande' });
-        }
-        const ext = mime.includes('png') ? 'png' : mime.includes('jpeg') || mime.includes('jpg') ? 'jpg' : mime.includes('webp') ? 'webp' : 'png';
-        // Ensure uploads dir exists
-        const tenantSlug = (req.session && req.session.user && req.session.user.tenantSlug) || DEFAULT_TENANT_SLUG;
-        const uploadsDir = path.join(UPLOADS_BASE_DIR, tenantSlug);
-        if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
-        const filename = `header-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.${ext}`;
-        const filePath = path.join(uploadsDir, filename);
-        fs.writeFileSync(filePath, buffer);
-        const publicUrl = `/static/uploads/${tenantSlug}/${filename}`;
-        res.json({ url: publicUrl });
+        const dbConn = await getDb();
+        // Simply activate the selected campaign (no need to deactivate others)
+        await dbConn.run('UPDATE campaigns SET is_active = 1 WHERE id = ?', req.params.id);
+        runCampaignWaitlist(req.params.id);
+        res.json({ ok: true });
     } catch (e) {
-        console.error('Upload image error:', e);
-        res.status(500).json({ error: 'Errore durante il caricamento immagine' });
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
 });
 
-// Tenant-scoped admin upload
-app.post('/t/:tenantSlug/api/admin/upload-image', tenantLoader, requireSameTenantAsSession, requireRole('admin'), async (req, res) => {
+app.put('/api/admin/campaigns/:id/deactivate', async (req, res) => {
     try {
-        const { dataUrl } = req.body || {};
-        if (!dataUrl || typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) {
-            return res.status(400).json({ error: 'dataUrl mancante o non valido' });
-        }
-        const match = dataUrl.match(/^data:(.*?);base64,(.*)$/);
-        if (!match) return res.status(400).json({ error: 'Formato dataUrl non valido' });
-        const mime = match[1];
-        const base64 = match[2];
-        const allowed = ['image/png', 'image/jpeg', 'image/jpg', 'image/webp'];
-        if (!allowed.includes(mime)) {
-            return res.status(400).json({ error: 'Tipo file non consentito' });
-        }
-        const buffer = Buffer.from(base64, 'base64');
-        if (buffer.length > (Number(process.env.UPLOAD_MAX_BYTES || 2 * 1024 * 1024))) {
-            return res.status(400).json({ error: 'File troppo grande' });
-        }
-        const ext = mime.includes('png') ? 'png' : mime.includes('jpeg') || mime.includes('jpg') ? 'jpg' : mime.includes('webp') ? 'webp' : 'png';
-        const uploadsDir = path.join(UPLOADS_BASE_DIR, req.tenant.slug);
-        if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
-        const filename = `header-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.${ext}`;
-        const filePath = path.join(uploadsDir, filename);
-        fs.writeFileSync(filePath, buffer);
-        const publicUrl = `/static/uploads/${req.tenant.slug}/${filename}`;
-        res.json({ url: publicUrl });
+        const dbConn = await getDb();
+        // Deactivate the specific campaign
+        await dbConn.run('UPDATE campaigns SET is_active = 0 WHERE id = ?', req.params.id);
+        res.json({ ok: true });
     } catch (e) {
-        console.error('Upload image error:', e);
-        res.status(500).json({ error: 'Errore durante il caricamento immagine' });
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
 });
 
-// Tenant-scoped: API per configurazione form (pubblica)
-app.get('/t/:tenantSlug/api/form-customization', tenantLoader, async (req, res) => {
+app.delete('/api/admin/campaigns/:id', async (req, res) => {
     try {
-        const config = await db.get('SELECT * FROM form_customization WHERE id = 1');
-        if (config) {
-            res.json(JSON.parse(config.config_data));
-        } else {
-            res.json({});
-        }
-    } catch (error) {
-        console.error('Errore caricamento configurazione form:', error);
-        res.json({});
+        const dbConn = await getDb();
+        await dbConn.run('DELETE FROM campaigns WHERE id = ?', req.params.id);
+        await dbConn.run('DELETE FROM campaign_waitlist WHERE campaign_id = ?', req.params.id);
+        // Issued coupons outlive the campaign: detach them from the variant and prize rows removed below
+        await dbConn.run('UPDATE coupons SET variant_id = NULL, prize_id = NULL WHERE campaign_id = ?', req.params.id);
+        await dbConn.run('DELETE FROM campaign_variants WHERE campaign_id = ?', req.params.id);
+        await dbConn.run('DELETE FROM referrals WHERE campaign_id = ?', req.params.id);
+        // The prize table goes, the draw log (with the odds of each draw) is kept for regulatory checks
+        await dbConn.run('DELETE FROM campaign_prizes WHERE campaign_id = ?', req.params.id);
+        res.json({ ok: true });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
 });
 
-// Legacy: API per configurazione form (pubblica)
-app.get('/api/form-customization', async (req, res) => {
+// Form configuration APIs
+app.get('/api/admin/campaigns/:id/form-config', async (req, res) => {
     try {
-        const config = await db.get('SELECT * FROM form_customization WHERE id = 1');
-        if (config) {
-            res.json(JSON.parse(config.config_data));
-        } else {
-            res.json({});
+        const dbConn = await getDb();
+        const campaign = await dbConn.get('SELECT form_config FROM campaigns WHERE id = ?', req.params.id);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campagna non trovata' });
         }
-    } catch (error) {
-        console.error('Errore caricamento configurazione form:', error);
-        res.json({});
+        const formConfig = JSON.parse(campaign.form_config || '{"email": {"visible": true, "required": true}, "firstName": {"visible": true, "required": true}, "lastName": {"visible": true, "required": true}}');
+        res.json(formConfig);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
 });
 
-// Endpoint pubblico per salvare la configurazione del form (per la pagina di personalizzazione)
-app.post('/api/form-customization', async (req, res) => {
+app.put('/api/admin/campaigns/:id/form-config', async (req, res) => {
     try {
-        console.log('=== RICHIESTA FORM-CUSTOMIZATION ===');
-        console.log('Headers ricevuti:', req.headers);
-        console.log('Content-Type:', req.get('Content-Type'));
-        console.log('Body ricevuto:', req.body);
-        console.log('Tipo del body:', typeof req.body);
-        console.log('=====================================');
-        
-        // Verifica che il body sia un oggetto valido
-        if (!req.body || typeof req.body !== 'object') {
-            console.error('Body non valido o vuoto');
-            return res.status(400).json({ success: false, message: 'Body della richiesta non valido' });
+        const { formConfig } = req.body;
+        if (!formConfig || typeof formConfig !== 'object') {
+            return res.status(400).json({ error: 'Configurazione form non valida' });
         }
         
-        const configData = JSON.stringify(req.body);
-        console.log('Config data da salvare:', configData);
-        
-        // Inserisci o aggiorna la configurazione
-        await db.run(`
-            INSERT OR REPLACE INTO form_customization (id, config_data, updated_at) 
-            VALUES (1, ?, datetime('now'))
-        `, configData);
-        
-        console.log('Configurazione salvata con successo (pubblico)');
-        res.json({ success: true, message: 'Configurazione salvata con successo!' });
-    } catch (error) {
-        console.error('Errore salvataggio configurazione form:', error);
-        res.status(500).json({ success: false, message: 'Errore durante il salvataggio della configurazione' });
+        const dbConn = await getDb();
+        await dbConn.run('UPDATE campaigns SET form_config = ? WHERE id = ?', JSON.stringify(formConfig), req.params.id);
+        res.json({ ok: true });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
 });
 
-// Views
-// Public form - support for campaign parameter
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'views', 'index.html'));
-});
-// Tenant-prefixed read-only equivalents (M1)
-app.get('/t/:tenantSlug', tenantLoader, (req, res) => {
-    res.sendFile(path.join(__dirname, 'views', 'index.html'));
-});
-
-app.get('/thanks', (req, res) => {
-    res.sendFile(path.join(__dirname, 'views', 'thanks.html'));
-});
-app.get('/t/:tenantSlug/thanks', tenantLoader, (req, res) => {
-    res.sendFile(path.join(__dirname, 'views', 'thanks.html'));
-});
-
-// Form submission - create user and coupon, send email with QR
-app.post('/submit', checkSubmitRateLimit, verifyRecaptchaIfEnabled, async (req, res) => {
+// Coupon expiry rules for a campaign (applies to coupons issued from now on)
+async function updateCampaignExpiry(req, res) {
     try {
-        const { email, firstName, lastName, campaign_id, ...customFields } = req.body;
-        if (!email) {
-            return res.status(400).send('Email richiesta');
-        }
-        const couponCode = generateId(12);
-
         const dbConn = await getDb();
-        
-        let discountType = 'percent';
-        let discountValue = process.env.DEFAULT_DISCOUNT_PERCENT || '10';
-        let campaignId = null;
-        let specificCampaign = null;
-        
-        // Check if specific campaign is requested
-        if (campaign_id) {
-            specificCampaign = await dbConn.get('SELECT * FROM campaigns WHERE campaign_code = ?', campaign_id);
-            if (specificCampaign) {
-                // Check if campaign is active
-                if (!specificCampaign.is_active) {
-                    return res.status(400).send('Questo coupon non esiste o è scaduto');
-                }
-                discountType = specificCampaign.discount_type;
-                discountValue = specificCampaign.discount_value;
-                campaignId = specificCampaign.id;
-            } else {
-                return res.status(400).send('Questo coupon non esiste o è scaduto');
-            }
-        } else {
-            return res.status(400).send('Questo coupon non esiste o è scaduto');
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const expiry = parseCampaignExpiryInput(req.body, await getTenantTimeZone(dbConn, tenantId));
+        if (!expiry.ok) {
+            return res.status(400).json({ error: expiry.error });
         }
-
-        const user = await dbConn.get('SELECT * FROM users WHERE email = ?', email);
-        let userId;
-        if (user) {
-            userId = user.id;
-        } else {
-            const result = await dbConn.run(
-                'INSERT INTO users (email, first_name, last_name) VALUES (?, ?, ?)',
-                email, firstName || null, lastName || null
-            );
-            userId = result.lastID;
+        const result = await dbConn.run(
+            'UPDATE campaigns SET coupon_expiry_date = ?, coupon_validity_days = ? WHERE id = ? AND tenant_id = ?',
+            expiry.expiryDate, expiry.validityDays, req.params.id, tenantId
+        );
+        if (!result.changes) {
+            return res.status(404).json({ error: 'Campagna non trovata' });
         }
+        await logAction(req, 'update', `Scadenza coupon aggiornata per campagna ${req.params.id}`, 'info', {
+            campaignId: req.params.id,
+            couponExpiryDate: expiry.expiryDate,
+            couponValidityDays: expiry.validityDays
+        });
+        res.json({ ok: true, coupon_expiry_date: expiry.expiryDate, coupon_validity_days: expiry.validityDays });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+app.put('/api/admin/campaigns/:id/expiry', updateCampaignExpiry);
+app.put('/t/:tenantSlug/api/admin/campaigns/:id/expiry', tenantLoader, requireSameTenantAsSession, requireRole('admin'), updateCampaignExpiry);
 
-        // Save custom fields
-        const formConfig = JSON.parse(specificCampaign.form_config);
-        if (formConfig.customFields && formConfig.customFields.length > 0) {
-            for (const customField of formConfig.customFields) {
-                const fieldValue = customFields[customField.id];
-                if (fieldValue !== undefined && fieldValue !== '') {
-                    await dbConn.run(
-                        'INSERT INTO user_custom_data (user_id, field_name, field_value) VALUES (?, ?, ?)',
-                        userId, customField.id, fieldValue
-                    );
-                }
-            }
+// Scheduling window for a campaign. Setting a window arms the campaign (is_active = 1) so it opens and closes itself;
+// deactivate still works as a manual stop. Clearing both dates leaves is_active as it is.
+async function updateCampaignSchedule(req, res) {
+    try {
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const campaign = await dbConn.get('SELECT id FROM campaigns WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campagna non trovata' });
+        }
+        const timeZone = await getTenantTimeZone(dbConn, tenantId);
+        const schedule = parseCampaignScheduleInput(req.body, timeZone);
+        if (!schedule.ok) {
+            return res.status(400).json({ error: schedule.error });
         }
-
         await dbConn.run(
-            'INSERT INTO coupons (code, user_id, campaign_id, discount_type, discount_value, status) VALUES (?, ?, ?, ?, ?, ?)',
-            couponCode, userId, campaignId, discountType, discountValue, 'active'
+            `UPDATE campaigns SET starts_at = ?, ends_at = ?${schedule.startsAt || schedule.endsAt ? ', is_active = 1' : ''} WHERE id = ?`,
+            schedule.startsAt, schedule.endsAt, campaign.id
         );
+        await logAction(req, 'update', `Programmazione aggiornata per campagna ${campaign.id}`, 'info', {
+            campaignId: campaign.id,
+            startsAt: schedule.startsAt,
+            endsAt: schedule.endsAt,
+            timeZone
+        });
+        runCampaignWaitlist(campaign.id);
+        const updated = await dbConn.get('SELECT * FROM campaigns WHERE id = ?', campaign.id);
+        res.json({ ok: true, starts_at: updated.starts_at, ends_at: updated.ends_at, schedule_status: campaignScheduleStatus(updated), timezone: timeZone });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+app.put('/api/admin/campaigns/:id/schedule', updateCampaignSchedule);
+app.put('/t/:tenantSlug/api/admin/campaigns/:id/schedule', tenantLoader, requireSameTenantAsSession, requireRole('admin'), updateCampaignSchedule);
 
-        // Redemption URL per staff cassa; il QR deve puntare a questa pagina
-        const redemptionUrl = `${req.protocol}://${req.get('host')}/redeem/${couponCode}`;
-        const qrDataUrl = await QRCode.toDataURL(redemptionUrl, { width: 300, margin: 2 });
-
-        const discountText = discountType === 'percent' ? `uno sconto del ${discountValue}%` : 
-                            discountType === 'fixed' ? `uno sconto di &euro;${discountValue}` : discountValue;
-        // Load email template (multitenant)
-        let templateSubject = process.env.MAIL_SUBJECT || 'Il tuo coupon';
-        let templateHtml = '';
-        try {
-            const tenantId = req.tenant?.id || req.session?.user?.tenantId;
-            if (tenantId) {
-                const t = await dbConn.get('SELECT subject, html FROM email_template WHERE tenant_id = ?', tenantId);
-                if (t) { templateSubject = t.subject || templateSubject; templateHtml = t.html || templateHtml; }
-            }
-        } catch (e) { /* ignore, fallback below */ }
-
-        // Fallback template if DB empty
-        if (!templateHtml) {
-            templateHtml = `<p>Ciao {{firstName}} {{lastName}},</p>
-            <p>Ecco il tuo coupon: <strong>{{code}}</strong> che vale {{discountText}}.</p>
-            <p>Mostra questo codice in negozio. Puoi anche usare questo link per la cassa: <a href="{{redemptionUrl}}">{{redemptionUrl}}</a></p>
-            <p><img src="cid:couponqr" alt="QR Code" /></p>
-            <p>Grazie!</p>`;
+// Issuance caps for a campaign. Lowering max_coupons below what was already issued just sells the campaign out;
+// coupons already issued are never touched. Raising it serves the waitlist.
+async function updateCampaignIssuanceCaps(req, res) {
+    try {
+        const caps = parseCampaignIssuanceCaps(req.body);
+        if (!caps.ok) {
+            return res.status(400).json({ error: caps.error });
         }
-
-        const html = templateHtml
-            .replaceAll('{{firstName}}', firstName || '')
-            .replaceAll('{{lastName}}', lastName || '')
-            .replaceAll('{{code}}', couponCode)
-            .replaceAll('{{discountText}}', discountText)
-            .replaceAll('{{redemptionUrl}}', redemptionUrl);
-
-        const message = {
-            from: process.env.MAIL_FROM || process.env.MAILGUN_FROM || 'CouponGen <no-reply@send.coupongen.it>',
-            to: email,
-            subject: templateSubject,
-            html,
-            attachments: [
-                {   // inline QR (Mailgun risolve per filename)
-                    filename: 'couponqr.png',
-                    cid: 'couponqr',
-                    content: Buffer.from(qrDataUrl.split(',')[1], 'base64'),
-                    contentType: 'image/png'
-                }
-            ]
-        };
-
-        try {
-            const info = await transporter.sendMail(message);
-            if (transporter.options.jsonTransport) {
-                // Log to console in dev
-                console.log('Email simulata:', info.message);
-            }
-        } catch (emailErr) {
-            console.error('Email error:', emailErr);
-            // Continue without failing the request
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const result = await dbConn.run(
+            'UPDATE campaigns SET max_coupons = ?, max_per_customer = ? WHERE id = ? AND tenant_id = ?',
+            caps.maxCoupons, caps.maxPerCustomer, req.params.id, tenantId
+        );
+        if (!result.changes) {
+            return res.status(404).json({ error: 'Campagna non trovata' });
         }
-
-        res.redirect('/thanks');
-    } catch (err) {
-        console.error('Error in submit:', err);
-        console.error('Error stack:', err.stack);
-        res.status(500).send('Errore durante la creazione del coupon');
+        await logAction(req, 'update', `Limiti di emissione aggiornati per campagna ${req.params.id}`, 'info', {
+            campaignId: req.params.id,
+            maxCoupons: caps.maxCoupons,
+            maxPerCustomer: caps.maxPerCustomer
+        });
+        const campaign = await dbConn.get('SELECT * FROM campaigns WHERE id = ?', req.params.id);
+        runCampaignWaitlist(campaign.id);
+        res.json({ ok: true, max_coupons: caps.maxCoupons, max_per_customer: caps.maxPerCustomer, remaining: await getCampaignRemainingCoupons(dbConn, campaign) });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
-});
+}
+app.put('/api/admin/campaigns/:id/limits', updateCampaignIssuanceCaps);
+app.put('/t/:tenantSlug/api/admin/campaigns/:id/limits', tenantLoader, requireSameTenantAsSession, requireRole('admin'), updateCampaignIssuanceCaps);
 
-// Tenant-scoped form submission (M3)
-app.post('/t/:tenantSlug/submit', tenantLoader, checkSubmitRateLimit, verifyRecaptchaIfEnabled, async (req, res) => {
+// A/B variants of a campaign, with the coupons issued under each
+async function listCampaignVariantsHandler(req, res) {
     try {
-        const { email, firstName, lastName, campaign_id, ...customFields } = req.body;
-        if (!email) {
-            return res.status(400).send('Email richiesta');
-        }
-        const couponCode = generateId(12);
-
         const dbConn = await getDb();
-        let discountType = 'percent';
-        let discountValue = process.env.DEFAULT_DISCOUNT_PERCENT || '10';
-        let campaignId = null;
-        let specificCampaign = null;
-
-        if (campaign_id) {
-            specificCampaign = await dbConn.get('SELECT * FROM campaigns WHERE campaign_code = ? AND tenant_id = ?', campaign_id, req.tenant.id);
-            if (specificCampaign) {
-                if (!specificCampaign.is_active) {
-                    return res.status(400).send('Questo coupon non esiste o è scaduto');
-                }
-                discountType = specificCampaign.discount_type;
-                discountValue = specificCampaign.discount_value;
-                campaignId = specificCampaign.id;
-            } else {
-                return res.status(400).send('Questo coupon non esiste o è scaduto');
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const campaign = await dbConn.get('SELECT id FROM campaigns WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!campaign) return res.status(404).json({ error: 'Campagna non trovata' });
+        const variants = await dbConn.all(`
+            SELECT v.*, (SELECT COUNT(*) FROM coupons c WHERE c.variant_id = v.id) AS issued_count
+            FROM campaign_variants v WHERE v.campaign_id = ? ORDER BY v.id
+        `, campaign.id);
+        res.json(variants);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+
+// Replace the variant list: entries with an id are updated, new ones inserted, missing ones removed.
+// A variant that already issued coupons cannot be removed (analytics still reports it): set its weight to 0.
+// An empty list turns A/B testing off.
+async function updateCampaignVariantsHandler(req, res) {
+    try {
+        const parsed = parseCampaignVariants(req.body);
+        if (!parsed.ok) return res.status(400).json({ error: parsed.error });
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const campaign = await dbConn.get('SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!campaign) return res.status(404).json({ error: 'Campagna non trovata' });
+        const rules = parseCampaignDiscountRules(campaign, await campaignDiscountTypes(dbConn, campaign, { variants: parsed.variants }));
+        if (!rules.ok) return res.status(400).json({ error: rules.error });
+
+        const existing = await getCampaignVariants(dbConn, campaign.id);
+        const existingIds = new Set(existing.map(v => v.id));
+        const keptIds = new Set();
+        for (const variant of parsed.variants) {
+            if (variant.id === null) continue;
+            if (!existingIds.has(variant.id)) return res.status(400).json({ error: `Variante non trovata: ${variant.label}` });
+            keptIds.add(variant.id);
+        }
+        const removed = existing.filter(v => !keptIds.has(v.id));
+        for (const variant of removed) {
+            const used = await dbConn.get('SELECT 1 FROM coupons WHERE variant_id = ? LIMIT 1', variant.id);
+            if (used) {
+                return res.status(400).json({ error: `La variante ${variant.label} ha già emesso coupon: imposta il peso a 0 per sospenderla` });
             }
-        } else {
-            return res.status(400).send('Questo coupon non esiste o è scaduto');
         }
 
-        const user = await dbConn.get('SELECT * FROM users WHERE email = ? AND tenant_id = ?', email, req.tenant.id);
-        let userId;
-        if (user) {
-            userId = user.id;
-        } else {
-            const result = await dbConn.run(
-                'INSERT INTO users (email, first_name, last_name, tenant_id) VALUES (?, ?, ?, ?)',
-                email, firstName || null, lastName || null, req.tenant.id
-            );
-            userId = result.lastID;
+        for (const variant of removed) {
+            await dbConn.run('DELETE FROM campaign_variants WHERE id = ?', variant.id);
         }
-
-        // Save custom fields
-        const formConfig = JSON.parse(specificCampaign.form_config);
-        if (formConfig.customFields && formConfig.customFields.length > 0) {
-            for (const customField of formConfig.customFields) {
-                const fieldValue = customFields[customField.id];
-                if (fieldValue !== undefined && fieldValue !== '') {
-                    await dbConn.run(
-                        'INSERT INTO user_custom_data (user_id, field_name, field_value, tenant_id) VALUES (?, ?, ?, ?)',
-                        userId, customField.id, fieldValue, req.tenant.id
-                    );
-                }
+        for (const variant of parsed.variants) {
+            const values = [variant.label, variant.weight, variant.discount_type, variant.discount_value, variant.email_subject, variant.landing_text];
+            if (variant.id !== null) {
+                await dbConn.run(
+                    'UPDATE campaign_variants SET label = ?, weight = ?, discount_type = ?, discount_value = ?, email_subject = ?, landing_text = ? WHERE id = ?',
+                    ...values, variant.id
+                );
+            } else {
+                await dbConn.run(
+                    'INSERT INTO campaign_variants (label, weight, discount_type, discount_value, email_subject, landing_text, campaign_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                    ...values, campaign.id
+                );
             }
         }
-
+        await logAction(req, 'update', `Varianti A/B aggiornate per campagna ${campaign.id}`, 'info', {
+            campaignId: campaign.id,
+            variants: parsed.variants.map(v => `${v.label}:${v.weight}`)
+        });
+        res.json(await getCampaignVariants(dbConn, campaign.id));
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+app.get('/api/admin/campaigns/:id/variants', listCampaignVariantsHandler);
+app.get('/t/:tenantSlug/api/admin/campaigns/:id/variants', tenantLoader, requireSameTenantAsSession, requireRole('admin'), listCampaignVariantsHandler);
+app.put('/api/admin/campaigns/:id/variants', updateCampaignVariantsHandler);
+app.put('/t/:tenantSlug/api/admin/campaigns/:id/variants', tenantLoader, requireSameTenantAsSession, requireRole('admin'), updateCampaignVariantsHandler);
+
+// Switch a campaign between standard, referral and instant-win, or change the referral reward. Coupons
+// issued before the switch keep what they got (no share link, their own discount).
+async function updateCampaignType(req, res) {
+    try {
+        const campaignType = parseCampaignType(req.body);
+        if (!campaignType.ok) {
+            return res.status(400).json({ error: campaignType.error });
+        }
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const campaign = await dbConn.get('SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campagna non trovata' });
+        }
+        const rules = parseCampaignDiscountRules(campaign, await campaignDiscountTypes(dbConn, campaign, { referralReward: campaignType.referralReward }));
+        if (!rules.ok) {
+            return res.status(400).json({ error: rules.error });
+        }
         await dbConn.run(
-            'INSERT INTO coupons (code, user_id, campaign_id, discount_type, discount_value, status, tenant_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
-            couponCode, userId, campaignId, discountType, discountValue, 'active', req.tenant.id
+            'UPDATE campaigns SET campaign_type = ?, referral_reward = ? WHERE id = ?',
+            campaignType.campaignType, campaignType.referralReward ? JSON.stringify(campaignType.referralReward) : null, campaign.id
         );
-
-        const redemptionUrl = `${req.protocol}://${req.get('host')}/t/${req.tenant.slug}/redeem/${couponCode}`;
-        const qrDataUrl = await QRCode.toDataURL(redemptionUrl, { width: 300, margin: 2 });
-
-        const discountText = discountType === 'percent' ? `uno sconto del ${discountValue}%` : 
-                            discountType === 'fixed' ? `uno sconto di &euro;${discountValue}` : discountValue;
-        let templateSubject = process.env.MAIL_SUBJECT || 'Il tuo coupon';
-        let templateHtml = '';
-        try {
-            const tenantId = req.tenant?.id || req.session?.user?.tenantId;
-            if (tenantId) {
-                const t = await dbConn.get('SELECT subject, html FROM email_template WHERE tenant_id = ?', tenantId);
-                if (t) { templateSubject = t.subject || templateSubject; templateHtml = t.html || templateHtml; }
-            }
-        } catch (e) {}
-        if (!templateHtml) {
-            templateHtml = `<p>Ciao {{firstName}} {{lastName}},</p>
-            <p>Ecco il tuo coupon: <strong>{{code}}</strong> che vale {{discountText}}.</p>
-            <p>Mostra questo codice in negozio. Puoi anche usare questo link per la cassa: <a href="{{redemptionUrl}}">{{redemptionUrl}}</a></p>
-            <p><img src="cid:couponqr" alt="QR Code" /></p>
-            <p>Grazie!</p>`;
-        }
-        const html = templateHtml
-            .replaceAll('{{firstName}}', firstName || '')
-            .replaceAll('{{lastName}}', lastName || '')
-            .replaceAll('{{code}}', couponCode)
-            .replaceAll('{{discountText}}', discountText)
-            .replaceAll('{{redemptionUrl}}', redemptionUrl);
-
-        const message = {
-            from: process.env.MAIL_FROM || process.env.MAILGUN_FROM || 'CouponGen <no-reply@send.coupongen.it>',
-            to: email,
-            subject: templateSubject,
-            html,
-            attachments: [
-                { filename: 'couponqr.png', cid: 'couponqr', content: Buffer.from(qrDataUrl.split(',')[1], 'base64'), contentType: 'image/png' }
-            ]
-        };
-        try { await transporter.sendMail(message); } catch (emailErr) { console.error('Email error:', emailErr); }
-
-        // Log coupon creation
-        await logAction(req, 'create', `Coupon creato: ${couponCode}`, 'success', {
-            couponCode: couponCode,
-            campaignId: campaignId,
-            discountType: discountType,
-            discountValue: discountValue,
-            userEmail: email
+        await logAction(req, 'update', `Tipo campagna aggiornato per campagna ${req.params.id}`, 'info', {
+            campaignId: req.params.id,
+            campaignType: campaignType.campaignType,
+            referralReward: campaignType.referralReward
         });
-
-        res.redirect(`/t/${req.tenant.slug}/thanks`);
-    } catch (err) {
-        console.error('Error in submit (tenant):', err);
-        res.status(500).send('Errore durante la creazione del coupon');
+        res.json({ ok: true, campaign_type: campaignType.campaignType, referral_reward: campaignType.referralReward });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
-});
-
-// Legacy protected areas (kept for now)
-app.use('/store', requireAuth);
-app.use('/api/store', requireStore);
-app.use('/admin', requireAuth);
-app.use('/api/admin', requireAdmin);
-
-// Super admin login page
-app.get('/superadmin-login', (req, res) => {
-    res.sendFile(path.join(__dirname, 'views', 'superadmin-login.html'));
-});
+}
+app.put('/api/admin/campaigns/:id/type', updateCampaignType);
+app.put('/t/:tenantSlug/api/admin/campaigns/:id/type', tenantLoader, requireSameTenantAsSession, requireRole('admin'), updateCampaignType);
 
-// Super admin page (defined after /admin middleware to avoid conflicts)
-app.get('/superadmin', (req, res) => {
-    // Check if user is logged in and is superadmin
-    if (!req.session || !req.session.user) {
-        return res.redirect('/superadmin-login');
-    }
-    if (req.session.user.userType !== 'superadmin') {
-        return res.status(403).send('Accesso negato. Richiesto ruolo SuperAdmin.');
+// Discount rules of a campaign; they apply to every coupon from the next redemption on
+async function updateCampaignDiscountRules(req, res) {
+    try {
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const campaign = await dbConn.get('SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campagna non trovata' });
+        }
+        const rules = parseCampaignDiscountRules(req.body, await campaignDiscountTypes(dbConn, campaign));
+        if (!rules.ok) {
+            return res.status(400).json({ error: rules.error });
+        }
+        await dbConn.run('UPDATE campaigns SET discount_rules = ? WHERE id = ?', rules.discountRules ? JSON.stringify(rules.discountRules) : null, campaign.id);
+        await logAction(req, 'update', `Regole di sconto aggiornate per campagna ${campaign.id}`, 'info', {
+            campaignId: campaign.id,
+            discountRules: rules.discountRules
+        });
+        res.json({ ok: true, discount_rules: rules.discountRules });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
-    res.sendFile(path.join(__dirname, 'views', 'superadmin.html'));
-});
+}
+app.put('/api/admin/campaigns/:id/discount-rules', updateCampaignDiscountRules);
+app.put('/t/:tenantSlug/api/admin/campaigns/:id/discount-rules', tenantLoader, requireSameTenantAsSession, requireRole('admin'), updateCampaignDiscountRules);
 
-app.get('/superadmin/logs', (req, res) => {
-    // Check if user is logged in and is superadmin
-    if (!req.session || !req.session.user) {
-        return res.redirect('/superadmin-login');
-    }
-    if (req.session.user.userType !== 'superadmin') {
-        return res.status(403).send('Accesso negato. Richiesto ruolo SuperAdmin.');
+// Stacking rule of a campaign for multi-code redemptions
+async function updateCampaignStacking(req, res) {
+    try {
+        const stacking = parseCampaignStacking(req.body);
+        if (!stacking.ok) {
+            return res.status(400).json({ error: stacking.error });
+        }
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const result = await dbConn.run('UPDATE campaigns SET stacking = ? WHERE id = ? AND tenant_id = ?', stacking.stacking, req.params.id, tenantId);
+        if (!result.changes) {
+            return res.status(404).json({ error: 'Campagna non trovata' });
+        }
+        await logAction(req, 'update', `Cumulabilità aggiornata per campagna ${req.params.id}: ${stacking.stacking}`, 'info', {
+            campaignId: req.params.id,
+            stacking: stacking.stacking
+        });
+        res.json({ ok: true, stacking: stacking.stacking });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
     }
-    res.sendFile(path.join(__dirname, 'views', 'logs.html'));
-});
-
-// Tenant-scoped protected areas (soft-enforce in M2)
-app.use('/t/:tenantSlug/admin', tenantLoader, requireSameTenantAsSession, requireRole('admin'));
-app.use('/t/:tenantSlug/api/admin', tenantLoader, requireSameTenantAsSession, requireRole('admin'));
-app.use('/t/:tenantSlug/store', tenantLoader, requireSameTenantAsSession, requireRole('store'));
-app.use('/t/:tenantSlug/api/store', tenantLoader, requireSameTenantAsSession, requireRole('store'));
-
-app.get('/store', (req, res) => {
-    res.sendFile(path.join(__dirname, 'views', 'store.html'));
-});
-app.get('/t/:tenantSlug/store', tenantLoader, (req, res) => {
-    res.sendFile(path.join(__dirname, 'views', 'store.html'));
-});
+}
+app.put('/api/admin/campaigns/:id/stacking', updateCampaignStacking);
+app.put('/t/:tenantSlug/api/admin/campaigns/:id/stacking', tenantLoader, requireSameTenantAsSession, requireRole('admin'), updateCampaignStacking);
 
-// Lookup coupon status (for store UI)
-app.get('/api/coupons/:code', async (req, res) => {
+// Prize table of an instant-win campaign, with stock used and the draw totals
+async function getCampaignPrizesHandler(req, res) {
     try {
         const dbConn = await getDb();
-        const coupon = await dbConn.get(`
-            SELECT c.*, camp.name AS campaignName 
-            FROM coupons c 
-            LEFT JOIN campaigns camp ON camp.id = c.campaign_id 
-            WHERE c.code = ?
-        `, req.params.code);
-        if (!coupon) return res.status(404).json({ error: 'Non trovato' });
-        res.json({ 
-            code: coupon.code, 
-            status: coupon.status, 
-            discountType: coupon.discount_type,
-            discountValue: coupon.discount_value,
-            campaignName: coupon.campaignName
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const campaign = await dbConn.get('SELECT id, consolation_message FROM campaigns WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!campaign) return res.status(404).json({ error: 'Campagna non trovata' });
+        const prizes = await dbConn.all('SELECT * FROM campaign_prizes WHERE campaign_id = ? ORDER BY id', campaign.id);
+        const draws = await dbConn.all('SELECT outcome, COUNT(*) AS n FROM prize_draws WHERE campaign_id = ? GROUP BY outcome', campaign.id);
+        res.json({
+            prizes,
+            consolation_message: campaign.consolation_message,
+            draws: Object.fromEntries(draws.map(d => [d.outcome, d.n]))
         });
     } catch (e) {
+        console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
-app.get('/t/:tenantSlug/api/coupons/:code', tenantLoader, async (req, res) => {
+}
+
+// Replace the prize table, like the A/B variants: entries with an id are updated, new ones inserted,
+// missing ones removed. A prize already awarded stays (set its quantity to what was awarded to stop it)
+// and its quantity can't drop below the awarded count. Odds changes apply to later draws only.
+async function updateCampaignPrizesHandler(req, res) {
     try {
+        const parsed = parseCampaignPrizes(req.body);
+        if (!parsed.ok) return res.status(400).json({ error: parsed.error });
         const dbConn = await getDb();
-        const coupon = await dbConn.get(`
-            SELECT c.*, camp.name AS campaignName 
-            FROM coupons c 
-            LEFT JOIN campaigns camp ON camp.id = c.campaign_id 
-            WHERE c.code = ? AND c.tenant_id = ?
-        `, req.params.code, req.tenant.id);
-        if (!coupon) return res.status(404).json({ error: 'Non trovato' });
-        res.json({ 
-            code: coupon.code, 
-            status: coupon.status, 
-            discountType: coupon.discount_type,
-            discountValue: coupon.discount_value,
-            campaignName: coupon.campaignName
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const campaign = await dbConn.get('SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!campaign) return res.status(404).json({ error: 'Campagna non trovata' });
+        const rules = parseCampaignDiscountRules(campaign, await campaignDiscountTypes(dbConn, campaign, { prizes: parsed.prizes }));
+        if (!rules.ok) return res.status(400).json({ error: rules.error });
+
+        const existing = new Map((await dbConn.all('SELECT * FROM campaign_prizes WHERE campaign_id = ?', campaign.id)).map(p => [p.id, p]));
+        const keptIds = new Set();
+        for (const prize of parsed.prizes) {
+            if (prize.id === null) continue;
+            const current = existing.get(prize.id);
+            if (!current) return res.status(400).json({ error: `Premio non trovato: ${prize.label}` });
+            if (prize.quantity !== null && prize.quantity < current.awarded_count) {
+                return res.status(400).json({ error: `Il premio ${prize.label} è già stato assegnato ${current.awarded_count} volte` });
+            }
+            keptIds.add(prize.id);
+        }
+        const removed = [...existing.values()].filter(p => !keptIds.has(p.id));
+        const awarded = removed.find(p => p.awarded_count > 0);
+        if (awarded) {
+            return res.status(400).json({ error: `Il premio ${awarded.label} è già stato assegnato: imposta la quantità a ${awarded.awarded_count} per esaurirlo` });
+        }
+
+        for (const prize of removed) {
+            await dbConn.run('DELETE FROM campaign_prizes WHERE id = ?', prize.id);
+        }
+        for (const prize of parsed.prizes) {
+            const values = [prize.label, prize.probability, prize.quantity, prize.discount_type, prize.discount_value];
+            if (prize.id !== null) {
+                await dbConn.run(
+                    'UPDATE campaign_prizes SET label = ?, probability = ?, quantity = ?, discount_type = ?, discount_value = ? WHERE id = ?',
+                    ...values, prize.id
+                );
+            } else {
+                await dbConn.run(
+                    'INSERT INTO campaign_prizes (label, probability, quantity, discount_type, discount_value, campaign_id) VALUES (?, ?, ?, ?, ?, ?)',
+                    ...values, campaign.id
+                );
+            }
+        }
+        await dbConn.run('UPDATE campaigns SET consolation_message = ? WHERE id = ?', parsed.consolationMessage, campaign.id);
+        await logAction(req, 'update', `Premi aggiornati per campagna ${campaign.id}`, 'info', {
+            campaignId: campaign.id,
+            prizes: parsed.prizes.map(p => `${p.label}:${p.probability}:${p.quantity ?? '∞'}`)
         });
+        res.json(await dbConn.all('SELECT * FROM campaign_prizes WHERE campaign_id = ? ORDER BY id', campaign.id));
     } catch (e) {
+        console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
 
-// Store: get active coupons with user info
-app.get('/api/store/coupons/active', async (req, res) => {
+// Draw log for regulators: every roll can be recomputed from its seed and checked against the odds in force
+async function exportPrizeDrawsCsvHandler(req, res) {
     try {
         const dbConn = await getDb();
-        const coupons = await dbConn.all(`
-            SELECT c.code, c.discount_type AS discountType, c.discount_value AS discountValue, c.issued_at AS issuedAt,
-                   u.first_name AS firstName, u.last_name AS lastName, u.email, camp.name AS campaignName
-            FROM coupons c
-            JOIN users u ON u.id = c.user_id
-            LEFT JOIN campaigns camp ON camp.id = c.campaign_id
-            WHERE c.status = 'active'
-            ORDER BY c.issued_at DESC
-        `);
-        res.json(coupons);
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const campaign = await dbConn.get('SELECT id FROM campaigns WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!campaign) return res.status(404).json({ error: 'Campagna non trovata' });
+        const draws = await dbConn.all(`
+            SELECT d.*, p.label AS prize_label, c.code AS coupon_code
+            FROM prize_draws d
+            LEFT JOIN campaign_prizes p ON p.id = d.prize_id
+            LEFT JOIN coupons c ON c.id = d.coupon_id
+            WHERE d.campaign_id = ?
+            ORDER BY d.id
+        `, campaign.id);
+        const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+        const headers = ['Draw', 'Created At', 'Email', 'Seed', 'Roll', 'Outcome', 'Prize', 'Coupon', 'Odds'];
+        const csvContent = [
+            headers.join(','),
+            ...draws.map(d => [
+                d.id,
+                d.created_at,
+                quote(d.email),
+                d.seed,
+                d.roll,
+                d.outcome,
+                quote(d.prize_label),
+                d.coupon_code || '',
+                quote(d.odds)
+            ].join(','))
+        ].join('\n');
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="campaign-${campaign.id}-draws.csv"`);
+        res.send(csvContent);
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
-app.get('/t/:tenantSlug/api/store/coupons/active', tenantLoader, async (req, res) => {
+}
+app.get('/api/admin/campaigns/:id/prizes', getCampaignPrizesHandler);
+app.get('/t/:tenantSlug/api/admin/campaigns/:id/prizes', tenantLoader, requireSameTenantAsSession, requireRole('admin'), getCampaignPrizesHandler);
+app.put('/api/admin/campaigns/:id/prizes', updateCampaignPrizesHandler);
+app.put('/t/:tenantSlug/api/admin/campaigns/:id/prizes', tenantLoader, requireSameTenantAsSession, requireRole('admin'), updateCampaignPrizesHandler);
+app.get('/api/admin/campaigns/:id/draws.csv', exportPrizeDrawsCsvHandler);
+app.get('/t/:tenantSlug/api/admin/campaigns/:id/draws.csv', tenantLoader, requireSameTenantAsSession, requireRole('admin'), exportPrizeDrawsCsvHandler);
+
+// Campaign cloning and templates
+// Everything that defines a campaign except its identity (code, name), schedule and state, A/B variants
+// and the prize table (stock counters reset) included. Coupons, batches, the waitlist and draws are never copied. The email template, PDF and wallet settings are per tenant, so a copy
+// already shares them.
+const CAMPAIGN_SETTINGS_COLUMNS = [
+    'description', 'discount_type', 'discount_value', 'form_config',
+    'coupon_expiry_date', 'coupon_validity_days', 'max_uses', 'code_format', 'barcode_format',
+    'max_coupons', 'max_per_customer', 'campaign_type', 'referral_reward', 'consolation_message', 'discount_rules', 'stacking'
+];
+
+async function campaignSettingsSnapshot(dbConn, campaign) {
+    const settings = {};
+    for (const column of CAMPAIGN_SETTINGS_COLUMNS) settings[column] = campaign[column] ?? null;
+    settings.product_ids = (await dbConn.all('SELECT product_id FROM campaign_products WHERE campaign_id = ? ORDER BY product_id', campaign.id)).map(r => r.product_id);
+    settings.location_ids = (await dbConn.all('SELECT location_id FROM campaign_locations WHERE campaign_id = ? ORDER BY location_id', campaign.id)).map(r => r.location_id);
+    settings.variants = (await getCampaignVariants(dbConn, campaign.id)).map(v => ({
+        label: v.label, weight: v.weight, discount_type: v.discount_type, discount_value: v.discount_value,
+        email_subject: v.email_subject, landing_text: v.landing_text
+    }));
+    settings.prizes = (await dbConn.all('SELECT * FROM campaign_prizes WHERE campaign_id = ? ORDER BY id', campaign.id)).map(p => ({
+        label: p.label, probability: p.probability, quantity: p.quantity, discount_type: p.discount_type, discount_value: p.discount_value
+    }));
+    return settings;
+}
+
+// New campaign from a snapshot. Products and shops deleted in the meantime are dropped; a schedule arms
+// the campaign like on create, otherwise it starts inactive.
+async function createCampaignFromSettings(dbConn, tenantId, settings, { name, startsAt, endsAt }) {
+    const campaignCode = generateId(12);
+    const columns = ['campaign_code', 'name', 'tenant_id', 'is_active', 'starts_at', 'ends_at', ...CAMPAIGN_SETTINGS_COLUMNS];
+    const values = [campaignCode, name, tenantId, startsAt || endsAt ? 1 : 0, startsAt, endsAt, ...CAMPAIGN_SETTINGS_COLUMNS.map(c => settings[c] ?? null)];
+    const result = await dbConn.run(
+        `INSERT INTO campaigns (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        ...values
+    );
+    await dbConn.run(
+        'INSERT INTO campaign_products (campaign_id, product_id) SELECT ?, id FROM products WHERE id IN (SELECT value FROM json_each(?))',
+        result.lastID, JSON.stringify(settings.product_ids || [])
+    );
+    await dbConn.run(
+        'INSERT INTO campaign_locations (campaign_id, location_id) SELECT ?, id FROM locations WHERE tenant_id = ? AND id IN (SELECT value FROM json_each(?))',
+        result.lastID, tenantId, JSON.stringify(settings.location_ids || [])
+    );
+    for (const v of settings.variants || []) {
+        await dbConn.run(
+            'INSERT INTO campaign_variants (campaign_id, label, weight, discount_type, discount_value, email_subject, landing_text) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            result.lastID, v.label, v.weight, v.discount_type, v.discount_value, v.email_subject, v.landing_text
+        );
+    }
+    for (const p of settings.prizes || []) {
+        await dbConn.run(
+            'INSERT INTO campaign_prizes (campaign_id, label, probability, quantity, discount_type, discount_value) VALUES (?, ?, ?, ?, ?, ?)',
+            result.lastID, p.label, p.probability, p.quantity, p.discount_type, p.discount_value
+        );
+    }
+    if (settings.code_format) invalidateCouponCodeFormats();
+    return dbConn.get('SELECT * FROM campaigns WHERE id = ?', result.lastID);
+}
+
+// Name and dates for a campaign created from a copy or a template
+async function parseCampaignCopyInput(dbConn, tenantId, body, defaultName) {
+    const name = typeof body?.name === 'string' && body.name.trim() ? body.name.trim() : defaultName;
+    if (!name) return { ok: false, error: 'Nome non valido' };
+    const schedule = parseCampaignScheduleInput(body, await getTenantTimeZone(dbConn, tenantId));
+    if (!schedule.ok) return schedule;
+    return { ok: true, name, startsAt: schedule.startsAt, endsAt: schedule.endsAt };
+}
+
+async function duplicateCampaignHandler(req, res) {
     try {
         const dbConn = await getDb();
-        const coupons = await dbConn.all(`
-            SELECT c.code, c.discount_type AS discountType, c.discount_value AS discountValue, c.issued_at AS issuedAt,
-                   u.first_name AS firstName, u.last_name AS lastName, u.email, camp.name AS campaignName
-            FROM coupons c
-            JOIN users u ON u.id = c.user_id
-            LEFT JOIN campaigns camp ON camp.id = c.campaign_id
-            WHERE c.status = 'active' AND c.tenant_id = ?
-            ORDER BY c.issued_at DESC
-        `, req.tenant.id);
-        res.json(coupons);
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const source = await dbConn.get('SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!source) return res.status(404).json({ error: 'Campagna non trovata' });
+        const input = await parseCampaignCopyInput(dbConn, tenantId, req.body, `${source.name} (copia)`);
+        if (!input.ok) return res.status(400).json({ error: input.error });
+
+        const campaign = await createCampaignFromSettings(dbConn, tenantId, await campaignSettingsSnapshot(dbConn, source), input);
+        await logAction(req, 'create', `Campagna duplicata: ${source.name} -> ${campaign.name}`, 'info', {
+            sourceCampaignId: source.id,
+            campaignId: campaign.id
+        });
+        res.json(campaign);
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
+app.post('/api/admin/campaigns/:id/duplicate', duplicateCampaignHandler);
+app.post('/t/:tenantSlug/api/admin/campaigns/:id/duplicate', tenantLoader, requireSameTenantAsSession, requireRole('admin'), duplicateCampaignHandler);
 
-// Store: get redeemed coupons with user info
-app.get('/api/store/coupons/redeemed', async (req, res) => {
+async function listCampaignTemplatesHandler(req, res) {
     try {
         const dbConn = await getDb();
-        const coupons = await dbConn.all(`
-            SELECT c.code, c.discount_type AS discountType, c.discount_value AS discountValue, c.issued_at AS issuedAt, c.redeemed_at AS redeemedAt,
-                   u.first_name AS firstName, u.last_name AS lastName, u.email, camp.name AS campaignName
-            FROM coupons c
-            JOIN users u ON u.id = c.user_id
-            LEFT JOIN campaigns camp ON camp.id = c.campaign_id
-            WHERE c.status = 'redeemed'
-            ORDER BY c.redeemed_at DESC
-        `);
-        res.json(coupons);
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const rows = await dbConn.all('SELECT * FROM campaign_templates WHERE tenant_id = ? ORDER BY name', tenantId);
+        res.json(rows.map(row => ({ id: row.id, name: row.name, created_at: row.created_at, settings: JSON.parse(row.settings) })));
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
-app.get('/t/:tenantSlug/api/store/coupons/redeemed', tenantLoader, async (req, res) => {
+}
+
+// Save an existing campaign's setup as a reusable template
+async function createCampaignTemplateHandler(req, res) {
     try {
+        const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+        if (!name) return res.status(400).json({ error: 'Nome non valido' });
         const dbConn = await getDb();
-        const coupons = await dbConn.all(`
-            SELECT c.code, c.discount_type AS discountType, c.discount_value AS discountValue, c.issued_at AS issuedAt, c.redeemed_at AS redeemedAt,
-                   u.first_name AS firstName, u.last_name AS lastName, u.email, camp.name AS campaignName
-            FROM coupons c
-            JOIN users u ON u.id = c.user_id
-            LEFT JOIN campaigns camp ON camp.id = c.campaign_id
-            WHERE c.status = 'redeemed' AND c.tenant_id = ?
-            ORDER BY c.redeemed_at DESC
-        `, req.tenant.id);
-        res.json(coupons);
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const source = await dbConn.get('SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?', req.body?.campaign_id, tenantId);
+        if (!source) return res.status(404).json({ error: 'Campagna non trovata' });
+        const settings = await campaignSettingsSnapshot(dbConn, source);
+        const result = await dbConn.run(
+            'INSERT OR IGNORE INTO campaign_templates (tenant_id, name, settings, created_by) VALUES (?, ?, ?, ?)',
+            tenantId, name, JSON.stringify(settings), req.session.user.id || null
+        );
+        if (!result.changes) return res.status(409).json({ error: 'Esiste già un modello con questo nome' });
+        await logAction(req, 'create', `Modello campagna salvato: ${name}`, 'info', { templateId: result.lastID, sourceCampaignId: source.id });
+        res.json({ id: result.lastID, name, settings });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
 
-// Store: search coupons by code (partial) or last name
-app.get('/api/store/coupons/search', async (req, res) => {
+async function deleteCampaignTemplateHandler(req, res) {
     try {
-        const { q } = req.query;
-        if (!q || q.trim().length < 2) {
-            return res.json([]);
-        }
-        
         const dbConn = await getDb();
-        const searchTerm = `%${q.trim().toUpperCase()}%`;
-        
-        const coupons = await dbConn.all(`
-            SELECT c.code, c.discount_type AS discountType, c.discount_value AS discountValue, c.status, c.issued_at AS issuedAt, c.redeemed_at AS redeemedAt,
-                   u.first_name AS firstName, u.last_name AS lastName, u.email, camp.name AS campaignName
-            FROM coupons c
-            JOIN users u ON u.id = c.user_id
-            LEFT JOIN campaigns camp ON camp.id = c.campaign_id
-            WHERE c.code LIKE ? OR UPPER(u.last_name) LIKE ?
-            ORDER BY c.issued_at DESC
-            LIMIT 50
-        `, searchTerm, searchTerm);
-        
-        res.json(coupons);
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const template = await dbConn.get('SELECT id, name FROM campaign_templates WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!template) return res.status(404).json({ error: 'Modello non trovato' });
+        await dbConn.run('DELETE FROM campaign_templates WHERE id = ?', template.id);
+        await logAction(req, 'delete', `Modello campagna eliminato: ${template.name}`, 'info', { templateId: template.id });
+        res.json({ ok: true });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
-app.get('/t/:tenantSlug/api/store/coupons/search', tenantLoader, async (req, res) => {
+}
+
+// New campaign from a template: the name is required, dates are optional
+async function instantiateCampaignTemplateHandler(req, res) {
     try {
-        const { q } = req.query;
-        if (!q || q.trim().length < 2) {
-            return res.json([]);
-        }
         const dbConn = await getDb();
-        const searchTerm = `%${q.trim().toUpperCase()}%`;
-        const coupons = await dbConn.all(`
-            SELECT c.code, c.discount_type AS discountType, c.discount_value AS discountValue, c.status, c.issued_at AS issuedAt, c.redeemed_at AS redeemedAt,
-                   u.first_name AS firstName, u.last_name AS lastName, u.email, camp.name AS campaignName
-            FROM coupons c
-            JOIN users u ON u.id = c.user_id
-            LEFT JOIN campaigns camp ON camp.id = c.campaign_id
-            WHERE (c.code LIKE ? OR UPPER(u.last_name) LIKE ?) AND c.tenant_id = ?
-            ORDER BY c.issued_at DESC
-            LIMIT 50
-        `, searchTerm, searchTerm, req.tenant.id);
-        res.json(coupons);
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const template = await dbConn.get('SELECT * FROM campaign_templates WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!template) return res.status(404).json({ error: 'Modello non trovato' });
+        const input = await parseCampaignCopyInput(dbConn, tenantId, req.body, null);
+        if (!input.ok) return res.status(400).json({ error: input.error });
+
+        const campaign = await createCampaignFromSettings(dbConn, tenantId, JSON.parse(template.settings), input);
+        await logAction(req, 'create', `Campagna creata da modello: ${template.name} -> ${campaign.name}`, 'info', {
+            templateId: template.id,
+            campaignId: campaign.id
+        });
+        res.json(campaign);
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
-
-// Admin: search coupons by code (partial) or last name
-app.get('/api/admin/coupons/search', async (req, res) => {
+}
+app.get('/api/admin/campaign-templates', listCampaignTemplatesHandler);
+app.post('/api/admin/campaign-templates', createCampaignTemplateHandler);
+app.delete('/api/admin/campaign-templates/:id', deleteCampaignTemplateHandler);
+app.post('/api/admin/campaign-templates/:id/campaigns', instantiateCampaignTemplateHandler);
+app.get('/t/:tenantSlug/api/admin/campaign-templates', tenantLoader, requireSameTenantAsSession, requireRole('admin'), listCampaignTemplatesHandler);
+app.post('/t/:tenantSlug/api/admin/campaign-templates', tenantLoader, requireSameTenantAsSession, requireRole('admin'), createCampaignTemplateHandler);
+app.delete('/t/:tenantSlug/api/admin/campaign-templates/:id', tenantLoader, requireSameTenantAsSession, requireRole('admin'), deleteCampaignTemplateHandler);
+app.post('/t/:tenantSlug/api/admin/campaign-templates/:id/campaigns', tenantLoader, requireSameTenantAsSession, requireRole('admin'), instantiateCampaignTemplateHandler);
+
+// Tenant time zone used to read campaign start/end times
+async function getTimeZoneHandler(req, res) {
     try {
-        const { q } = req.query;
-        if (!q || q.trim().length < 2) {
-            return res.json([]);
-        }
-        
         const dbConn = await getDb();
-        const searchTerm = `%${q.trim().toUpperCase()}%`;
-        
-        const coupons = await dbConn.all(`
-            SELECT c.id, c.code, c.discount_type AS discountType, c.discount_value AS discountValue, c.status, c.issued_at AS issuedAt, c.redeemed_at AS redeemedAt,
-                   u.first_name AS firstName, u.last_name AS lastName, u.email, camp.name AS campaignName
-            FROM coupons c
-            JOIN users u ON u.id = c.user_id
-            LEFT JOIN campaigns camp ON camp.id = c.campaign_id
-            WHERE c.code LIKE ? OR UPPER(u.last_name) LIKE ?
-            ORDER BY c.issued_at DESC
-            LIMIT 100
-        `, searchTerm, searchTerm);
-        
-        res.json(coupons);
+        res.json({ timezone: await getTenantTimeZone(dbConn, req.tenant?.id || req.session.user.tenantId) });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
 
-// Redeem coupon (burn)
-app.post('/api/coupons/:code/redeem', async (req, res) => {
+async function updateTimeZoneHandler(req, res) {
     try {
+        const timeZone = String(req.body?.timezone || '').trim();
+        if (!timeZone || !isValidTimeZone(timeZone)) {
+            return res.status(400).json({ error: 'Fuso orario non valido (es. Europe/Rome)' });
+        }
         const dbConn = await getDb();
-        const coupon = await dbConn.get('SELECT * FROM coupons WHERE code = ?', req.params.code);
-        if (!coupon) return res.status(404).json({ error: 'Non trovato' });
-        if (coupon.status !== 'active') return res.status(400).json({ error: 'Coupon non attivo' });
-
-        await dbConn.run('UPDATE coupons SET status = ?, redeemed_at = CURRENT_TIMESTAMP WHERE id = ?', 'redeemed', coupon.id);
-        res.json({ ok: true, code: coupon.code, status: 'redeemed' });
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        await dbConn.run('UPDATE tenants SET timezone = ? WHERE id = ?', timeZone, tenantId);
+        await logAction(req, 'update', `Fuso orario aggiornato: ${timeZone}`, 'info');
+        res.json({ ok: true, timezone: timeZone });
     } catch (e) {
+        console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
-app.post('/t/:tenantSlug/api/coupons/:code/redeem', tenantLoader, async (req, res) => {
+}
+app.get('/api/admin/timezone', getTimeZoneHandler);
+app.get('/t/:tenantSlug/api/admin/timezone', tenantLoader, requireSameTenantAsSession, requireRole('admin'), getTimeZoneHandler);
+app.put('/api/admin/timezone', updateTimeZoneHandler);
+app.put('/t/:tenantSlug/api/admin/timezone', tenantLoader, requireSameTenantAsSession, requireRole('admin'), updateTimeZoneHandler);
+
+// Branding of the printable PDF coupon: logo (one of the tenant's uploads) and terms & conditions
+async function getCouponPdfSettingsHandler(req, res) {
     try {
         const dbConn = await getDb();
-        const coupon = await dbConn.get('SELECT * FROM coupons WHERE code = ? AND tenant_id = ?', req.params.code, req.tenant.id);
-        if (!coupon) return res.status(404).json({ error: 'Non trovato' });
-        if (coupon.status !== 'active') return res.status(400).json({ error: 'Coupon non attivo' });
-        await dbConn.run('UPDATE coupons SET status = ?, redeemed_at = CURRENT_TIMESTAMP WHERE id = ?', 'redeemed', coupon.id);
-        res.json({ ok: true, code: coupon.code, status: 'redeemed' });
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const tenant = await dbConn.get('SELECT coupon_logo_url, coupon_terms FROM tenants WHERE id = ?', tenantId);
+        res.json({ logo_url: tenant?.coupon_logo_url || '', terms: tenant?.coupon_terms || '' });
     } catch (e) {
+        console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
-
-// Admin: list coupons (JSON). Protected via Basic Auth under /api/admin
-// Note: Authentication is already applied above
+}
 
-// Campaigns management
-app.get('/api/admin/campaigns', async (req, res) => {
+async function updateCouponPdfSettingsHandler(req, res) {
     try {
         const dbConn = await getDb();
-        const campaigns = await dbConn.all('SELECT * FROM campaigns ORDER BY created_at DESC');
-        res.json(campaigns);
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const tenant = await dbConn.get('SELECT id, slug FROM tenants WHERE id = ?', tenantId);
+        if (!tenant) return res.status(404).json({ error: 'Tenant non trovato' });
+        const logoUrl = String(req.body?.logo_url || '').trim();
+        const terms = String(req.body?.terms || '').trim().slice(0, 2000);
+        if (logoUrl && !resolveTenantUploadPath(tenant.slug, logoUrl)) {
+            return res.status(400).json({ error: 'Il logo deve essere un\'immagine PNG o JPG caricata per questo tenant' });
+        }
+        await dbConn.run('UPDATE tenants SET coupon_logo_url = ?, coupon_terms = ? WHERE id = ?', logoUrl || null, terms || null, tenant.id);
+        await logAction(req, 'update', 'Impostazioni PDF coupon aggiornate', 'info', { logoUrl: logoUrl || null });
+        res.json({ ok: true, logo_url: logoUrl, terms });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
-app.get('/t/:tenantSlug/api/admin/campaigns', tenantLoader, requireSameTenantAsSession, requireRole('admin'), async (req, res) => {
+}
+app.get('/api/admin/coupon-pdf-settings', getCouponPdfSettingsHandler);
+app.get('/t/:tenantSlug/api/admin/coupon-pdf-settings', tenantLoader, requireSameTenantAsSession, requireRole('admin'), getCouponPdfSettingsHandler);
+app.put('/api/admin/coupon-pdf-settings', updateCouponPdfSettingsHandler);
+app.put('/t/:tenantSlug/api/admin/coupon-pdf-settings', tenantLoader, requireSameTenantAsSession, requireRole('admin'), updateCouponPdfSettingsHandler);
+
+// Wallet pass signing material. Secrets are write-only: GET only reports what is configured, and the
+// private keys and passphrase are stored encrypted with encryptSetting.
+async function getWalletSettingsHandler(req, res) {
     try {
         const dbConn = await getDb();
-        const campaigns = await dbConn.all('SELECT * FROM campaigns WHERE tenant_id = ? ORDER BY created_at DESC', req.tenant.id);
-        res.json(campaigns);
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const row = await dbConn.get('SELECT * FROM tenant_wallet_settings WHERE tenant_id = ?', tenantId);
+        let apple = null;
+        if (row && row.apple_certificate) {
+            const cert = forge.pki.certificateFromPem(row.apple_certificate);
+            apple = {
+                pass_type_id: row.apple_pass_type_id,
+                team_id: row.apple_team_id,
+                certificate_subject: cert.subject.getField('CN')?.value || null,
+                certificate_expires_at: cert.validity.notAfter.toISOString()
+            };
+        }
+        const google = row && row.google_private_key
+            ? { issuer_id: row.google_issuer_id, service_account_email: row.google_service_account_email }
+            : null;
+        res.json({ background_color: (row && row.background_color) || WALLET_DEFAULT_COLOR, apple, google });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
 
-// Tenant-scoped: create campaign
-app.post('/t/:tenantSlug/api/admin/campaigns', tenantLoader, requireSameTenantAsSession, requireRole('admin'), async (req, res) => {
+// Body: { background_color?, apple?: {...} | null, google?: {...} | null }.
+// A section left out is kept as is; null removes it; an object replaces it and must be complete.
+async function updateWalletSettingsHandler(req, res) {
     try {
-        const { name, description, discount_type, discount_value } = req.body || {};
-        if (!name || !discount_type || !discount_value) {
-            return res.status(400).json({ error: 'Nome, tipo sconto e valore richiesti' });
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const body = req.body || {};
+        if (!SETTINGS_ENCRYPTION_KEY && (body.apple || body.google)) {
+            return res.status(503).json({ error: SETTINGS_ENCRYPTION_MISSING_ERROR });
+        }
+        const current = await dbConn.get('SELECT * FROM tenant_wallet_settings WHERE tenant_id = ?', tenantId) || {};
+        const next = { ...current };
+
+        if (body.background_color !== undefined) {
+            const color = String(body.background_color || '').trim();
+            if (color && !/^#[0-9a-f]{6}$/i.test(color)) {
+                return res.status(400).json({ error: 'Colore non valido (formato #rrggbb)' });
+            }
+            next.background_color = color || null;
+        }
+        if (body.apple === null) {
+            Object.assign(next, { apple_pass_type_id: null, apple_team_id: null, apple_certificate: null, apple_private_key: null, apple_key_passphrase: null, apple_wwdr_certificate: null });
+        } else if (body.apple !== undefined) {
+            const apple = body.apple || {};
+            const passTypeId = String(apple.pass_type_id || '').trim();
+            const teamId = String(apple.team_id || '').trim();
+            if (!/^pass\.[A-Za-z0-9.-]+$/.test(passTypeId)) {
+                return res.status(400).json({ error: 'Pass Type ID non valido (es. pass.it.negozio.coupon)' });
+            }
+            if (!/^[A-Z0-9]{10}$/.test(teamId)) {
+                return res.status(400).json({ error: 'Team ID non valido (10 caratteri)' });
+            }
+            const credentials = {
+                certificate: String(apple.certificate || ''),
+                privateKey: String(apple.private_key || ''),
+                passphrase: apple.key_passphrase ? String(apple.key_passphrase) : null,
+                wwdrCertificate: String(apple.wwdr_certificate || '')
+            };
+            try {
+                loadAppleWalletCredentials(credentials);
+            } catch (err) {
+                return res.status(400).json({ error: err.message });
+            }
+            Object.assign(next, {
+                apple_pass_type_id: passTypeId,
+                apple_team_id: teamId,
+                apple_certificate: credentials.certificate,
+                apple_private_key: encryptSetting(credentials.privateKey),
+                apple_key_passphrase: credentials.passphrase ? encryptSetting(credentials.passphrase) : null,
+                apple_wwdr_certificate: credentials.wwdrCertificate
+            });
         }
-        if (!['percent', 'fixed', 'text'].includes(String(discount_type))) {
-            return res.status(400).json({ error: 'Tipo sconto non valido' });
+        if (body.google === null) {
+            Object.assign(next, { google_issuer_id: null, google_service_account_email: null, google_private_key: null });
+        } else if (body.google !== undefined) {
+            const google = body.google || {};
+            const issuerId = String(google.issuer_id || '').trim();
+            const email = String(google.service_account_email || '').trim();
+            const privateKey = String(google.private_key || '');
+            if (!/^\d+$/.test(issuerId)) {
+                return res.status(400).json({ error: 'Issuer ID non valido' });
+            }
+            if (!/^[^@\s]+@[^@\s]+$/.test(email)) {
+                return res.status(400).json({ error: 'Email del service account non valida' });
+            }
+            try {
+                loadGoogleWalletKey(privateKey);
+            } catch (err) {
+                return res.status(400).json({ error: err.message });
+            }
+            Object.assign(next, { google_issuer_id: issuerId, google_service_account_email: email, google_private_key: encryptSetting(privateKey) });
         }
-        if (discount_type !== 'text' && isNaN(Number(discount_value))) {
-            return res.status(400).json({ error: 'Valore sconto non valido' });
+
+        const values = [
+            next.background_color || null,
+            next.apple_pass_type_id || null, next.apple_team_id || null, next.apple_certificate || null,
+            next.apple_private_key || null, next.apple_key_passphrase || null, next.apple_wwdr_certificate || null,
+            next.google_issuer_id || null, next.google_service_account_email || null, next.google_private_key || null
+        ];
+        if (current.tenant_id) {
+            await dbConn.run(
+                `UPDATE tenant_wallet_settings SET background_color = ?, apple_pass_type_id = ?, apple_team_id = ?, apple_certificate = ?,
+                    apple_private_key = ?, apple_key_passphrase = ?, apple_wwdr_certificate = ?, google_issuer_id = ?,
+                    google_service_account_email = ?, google_private_key = ?, updated_at = CURRENT_TIMESTAMP WHERE tenant_id = ?`,
+                ...values, tenantId
+            );
+        } else {
+            await dbConn.run(
+                `INSERT INTO tenant_wallet_settings (background_color, apple_pass_type_id, apple_team_id, apple_certificate,
+                    apple_private_key, apple_key_passphrase, apple_wwdr_certificate, google_issuer_id,
+                    google_service_account_email, google_private_key, tenant_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                ...values, tenantId
+            );
         }
-        const dbConn = await getDb();
-        const campaignCode = generateId(12);
-        const defaultFormConfig = JSON.stringify({ 
-            email: { visible: true, required: true }, 
-            firstName: { visible: true, required: true }, 
-            lastName: { visible: true, required: true },
-            phone: { visible: false, required: false },
-            address: { visible: false, required: false },
-            allergies: { visible: false, required: false },
-            customFields: []
+        await logAction(req, 'update', 'Impostazioni wallet aggiornate', 'info', {
+            apple: !!next.apple_certificate,
+            google: !!next.google_private_key
         });
-        const result = await dbConn.run(
-            'INSERT INTO campaigns (campaign_code, name, description, discount_type, discount_value, form_config, tenant_id, is_active) VALUES (?, ?, ?, ?, ?, ?, ?, 0)',
-            campaignCode, name, description || null, discount_type, discount_value, defaultFormConfig, req.tenant.id
-        );
-        res.json({ id: result.lastID, campaign_code: campaignCode, name, description, discount_type, discount_value });
+        res.json({ ok: true, apple: !!next.apple_certificate, google: !!next.google_private_key });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
+app.get('/api/admin/wallet-settings', getWalletSettingsHandler);
+app.get('/t/:tenantSlug/api/admin/wallet-settings', tenantLoader, requireSameTenantAsSession, requireRole('admin'), getWalletSettingsHandler);
+app.put('/api/admin/wallet-settings', updateWalletSettingsHandler);
+app.put('/t/:tenantSlug/api/admin/wallet-settings', tenantLoader, requireSameTenantAsSession, requireRole('admin'), updateWalletSettingsHandler);
 
-// Tenant-scoped: activate/deactivate campaign
-app.put('/t/:tenantSlug/api/admin/campaigns/:id/activate', tenantLoader, requireSameTenantAsSession, requireRole('admin'), async (req, res) => {
+// Admin: the tenant's queued emails by status (failed by default), with totals per status
+async function listEmailOutboxHandler(req, res) {
     try {
+        const status = ['pending', 'sending', 'sent', 'failed'].includes(req.query.status) ? req.query.status : 'failed';
         const dbConn = await getDb();
-        await dbConn.run('UPDATE campaigns SET is_active = 1 WHERE id = ? AND tenant_id = ?', req.params.id, req.tenant.id);
-        res.json({ ok: true });
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const emails = await dbConn.all(`
+            SELECT o.id, o.to_email, o.subject, o.status, o.attempts, o.last_error, o.next_attempt_at, o.created_at, o.sent_at, c.code AS coupon_code
+            FROM email_outbox o
+            LEFT JOIN coupons c ON c.id = o.coupon_id
+            WHERE o.tenant_id = ? AND o.status = ?
+            ORDER BY o.id DESC
+            LIMIT 100
+        `, tenantId, status);
+        const counts = {};
+        for (const row of await dbConn.all('SELECT status, COUNT(*) AS n FROM email_outbox WHERE tenant_id = ? GROUP BY status', tenantId)) {
+            counts[row.status] = row.n;
+        }
+        res.json({ counts, emails });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
-app.put('/t/:tenantSlug/api/admin/campaigns/:id/deactivate', tenantLoader, requireSameTenantAsSession, requireRole('admin'), async (req, res) => {
+}
+
+// Admin: queue a failed (or already sent) email again, starting a fresh round of attempts
+async function resendOutboxEmailHandler(req, res) {
     try {
         const dbConn = await getDb();
-        await dbConn.run('UPDATE campaigns SET is_active = 0 WHERE id = ? AND tenant_id = ?', req.params.id, req.tenant.id);
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const result = await dbConn.run(
+            `UPDATE email_outbox SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, last_error = NULL
+             WHERE id = ? AND tenant_id = ? AND status IN ('failed', 'sent')`,
+            req.params.id, tenantId
+        );
+        if (!result.changes) {
+            return res.status(404).json({ error: 'Email non trovata o già in coda' });
+        }
+        const item = await dbConn.get('SELECT to_email FROM email_outbox WHERE id = ?', req.params.id);
+        await logAction(req, 'update', `Email reinviata a ${item.to_email}`, 'info', { outboxId: Number(req.params.id) });
+        runEmailOutbox();
         res.json({ ok: true });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
+app.get('/api/admin/email-outbox', listEmailOutboxHandler);
+app.get('/t/:tenantSlug/api/admin/email-outbox', tenantLoader, requireSameTenantAsSession, requireRole('admin'), listEmailOutboxHandler);
+app.post('/api/admin/email-outbox/:id/resend', resendOutboxEmailHandler);
+app.post('/t/:tenantSlug/api/admin/email-outbox/:id/resend', tenantLoader, requireSameTenantAsSession, requireRole('admin'), resendOutboxEmailHandler);
 
-// Tenant-scoped: update email from name
-app.put('/t/:tenantSlug/api/admin/email-from-name', tenantLoader, requireSameTenantAsSession, requireRole('admin'), async (req, res) => {
+// Tenant email provider settings; secrets are write-only
+async function getEmailProviderHandler(req, res) {
     try {
-        const { emailFromName } = req.body || {};
-        if (!emailFromName || typeof emailFromName !== 'string' || emailFromName.trim().length === 0) {
-            return res.status(400).json({ error: 'Nome mittente email richiesto' });
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const row = await dbConn.get('SELECT * FROM tenant_email_settings WHERE tenant_id = ?', tenantId);
+        if (!row) {
+            return res.json({ provider: 'platform', from_address: PLATFORM_MAIL_FROM, reply_to: null });
         }
-        
+        let credentials = {};
+        let readable = true;
+        try {
+            credentials = JSON.parse(decryptSetting(row.credentials));
+        } catch (e) {
+            readable = false;
+        }
+        const settings = {
+            provider: row.provider, from_address: row.from_address, reply_to: row.reply_to, updated_at: row.updated_at, readable,
+            // Without an active sending domain for the sender, emails go out from the platform
+            sender_domain_active: Boolean(await getActiveSendingDomain(dbConn, tenantId, senderDomain(row.from_address)))
+        };
+        if (row.provider === 'smtp') {
+            settings.smtp = { host: credentials.host || null, port: credentials.port || null, secure: Boolean(credentials.secure), user: credentials.user || null, has_password: Boolean(credentials.pass) };
+        } else {
+            settings.mailgun = { domain: credentials.domain || null, region: credentials.region || 'eu', has_api_key: Boolean(credentials.apiKey) };
+        }
+        res.json(settings);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+
+// Body: { provider: 'smtp'|'mailgun'|'platform', from_address, reply_to?, smtp?: { host, port, secure, user, password }, mailgun?: { domain, api_key, region } }.
+// A password or API key left out keeps the stored one; 'platform' removes the tenant's settings.
+async function updateEmailProviderHandler(req, res) {
+    try {
         const dbConn = await getDb();
-        await dbConn.run('UPDATE tenants SET email_from_name = ? WHERE id = ?', emailFromName.trim(), req.tenant.id);
-        
-        // Log the action
-        await logAction(req, 'update', `Nome mittente email aggiornato: ${emailFromName.trim()}`, 'info');
-        
-        res.json({ ok: true, emailFromName: emailFromName.trim() });
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const body = req.body || {};
+        const provider = String(body.provider || '').toLowerCase();
+        if (provider === 'platform') {
+            await dbConn.run('DELETE FROM tenant_email_settings WHERE tenant_id = ?', tenantId);
+            dropTenantTransport(tenantId);
+            await logAction(req, 'update', 'Provider email: piattaforma', 'info');
+            return res.json({ ok: true, provider: 'platform' });
+        }
+        if (!['smtp', 'mailgun'].includes(provider)) {
+            return res.status(400).json({ error: 'Provider non valido (smtp, mailgun o platform)' });
+        }
+        if (!SETTINGS_ENCRYPTION_KEY) {
+            return res.status(503).json({ error: SETTINGS_ENCRYPTION_MISSING_ERROR });
+        }
+        const fromAddress = parseSenderAddress(body.from_address);
+        if (!fromAddress) {
+            return res.status(400).json({ error: 'Mittente non valido (es. Negozio <promo@negozio.it>)' });
+        }
+        let replyTo = null;
+        if (body.reply_to) {
+            replyTo = String(body.reply_to).trim();
+            if (!EMAIL_ADDRESS_RE.test(replyTo)) {
+                return res.status(400).json({ error: 'Indirizzo di risposta non valido' });
+            }
+        }
+
+        // Stored secrets are reused when the provider stays the same and no new one is given
+        const current = await dbConn.get('SELECT * FROM tenant_email_settings WHERE tenant_id = ?', tenantId);
+        let previous = {};
+        if (current && current.provider === provider) {
+            try {
+                previous = JSON.parse(decryptSetting(current.credentials));
+            } catch (e) {
+                previous = {};
+            }
+        }
+        let credentials;
+        if (provider === 'smtp') {
+            const smtp = body.smtp || {};
+            const host = String(smtp.host || '').trim();
+            const port = Number(smtp.port || 587);
+            const resolved = await resolveTenantSmtpHost(host);
+            if (resolved.error) {
+                return res.status(400).json({ error: resolved.error });
+            }
+            if (!Number.isInteger(port) || port < 1 || port > 65535) {
+                return res.status(400).json({ error: 'Porta SMTP non valida' });
+            }
+            const user = String(smtp.user || '').trim() || null;
+            const pass = smtp.password ? String(smtp.password) : (user && user === previous.user ? previous.pass : null);
+            if (user && !pass) {
+                return res.status(400).json({ error: 'Password SMTP richiesta' });
+            }
+            credentials = { host, port, secure: smtp.secure === true || smtp.secure === 'true', user, pass };
+        } else {
+            const mailgun = body.mailgun || {};
+            const domain = String(mailgun.domain || '').trim().toLowerCase();
+            const region = mailgun.region === 'us' ? 'us' : 'eu';
+            if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+                return res.status(400).json({ error: 'Dominio Mailgun non valido' });
+            }
+            const apiKey = mailgun.api_key ? String(mailgun.api_key).trim() : previous.apiKey;
+            if (!apiKey) {
+                return res.status(400).json({ error: 'API key Mailgun richiesta' });
+            }
+            credentials = { domain, region, apiKey };
+        }
+
+        const values = [provider, fromAddress, replyTo, encryptSetting(JSON.stringify(credentials))];
+        if (current) {
+            await dbConn.run(
+                'UPDATE tenant_email_settings SET provider = ?, from_address = ?, reply_to = ?, credentials = ?, updated_at = CURRENT_TIMESTAMP WHERE tenant_id = ?',
+                ...values, tenantId
+            );
+        } else {
+            await dbConn.run(
+                'INSERT INTO tenant_email_settings (provider, from_address, reply_to, credentials, tenant_id) VALUES (?, ?, ?, ?, ?)',
+                ...values, tenantId
+            );
+        }
+        dropTenantTransport(tenantId);
+        await logAction(req, 'update', `Provider email: ${provider} (${fromAddress})`, 'info');
+        res.json({
+            ok: true, provider, from_address: fromAddress, reply_to: replyTo,
+            sender_domain_active: Boolean(await getActiveSendingDomain(dbConn, tenantId, senderDomain(fromAddress)))
+        });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
+app.get('/api/admin/email-provider', getEmailProviderHandler);
+app.get('/t/:tenantSlug/api/admin/email-provider', tenantLoader, requireSameTenantAsSession, requireRole('admin'), getEmailProviderHandler);
+app.put('/api/admin/email-provider', updateEmailProviderHandler);
+app.put('/t/:tenantSlug/api/admin/email-provider', tenantLoader, requireSameTenantAsSession, requireRole('admin'), updateEmailProviderHandler);
 
-// Tenant-scoped: get current email from name
-app.get('/t/:tenantSlug/api/admin/email-from-name', tenantLoader, requireSameTenantAsSession, requireRole('admin'), async (req, res) => {
+// Tenant sending domains
+async function listSendingDomainsHandler(req, res) {
     try {
         const dbConn = await getDb();
-        const tenant = await dbConn.get('SELECT email_from_name FROM tenants WHERE id = ?', req.tenant.id);
-        res.json({ emailFromName: tenant?.email_from_name || 'CouponGen' });
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const rows = await dbConn.all('SELECT * FROM tenant_domains WHERE tenant_id = ? ORDER BY id', tenantId);
+        const withKeys = [];
+        for (const row of rows) withKeys.push(await ensureSendingDomainDkimKey(dbConn, row));
+        res.json(withKeys.map(sendingDomainResponse));
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
 
-// Tenant-scoped: get campaign by code (for form parameter)
-app.get('/t/:tenantSlug/api/campaigns/:code', tenantLoader, async (req, res) => {
+async function createSendingDomainHandler(req, res) {
     try {
         const dbConn = await getDb();
-        const campaign = await dbConn.get('SELECT * FROM campaigns WHERE campaign_code = ? AND tenant_id = ?', req.params.code, req.tenant.id);
-        if (!campaign) {
-            return res.status(404).json({ error: 'Campagna non trovata' });
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const domain = String(req.body?.domain || '').trim().toLowerCase().replace(/\.$/, '');
+        if (domain.length > 253 || !/^(?!-)[a-z0-9-]{1,63}(\.(?!-)[a-z0-9-]{1,63})+$/.test(domain) || /^[0-9.]+$/.test(domain)) {
+            return res.status(400).json({ error: 'Dominio non valido (es. negozio.it)' });
         }
-        // Check if campaign is active
-        if (!campaign.is_active) {
-            return res.status(404).json({ error: 'Campagna non trovata' });
+        if (FREEMAIL_DOMAINS.has(domain)) {
+            return res.status(400).json({ error: 'Non è possibile inviare da un dominio di posta gratuita' });
         }
-        
-        // Parse form config
-        const formConfig = JSON.parse(campaign.form_config || '{"email": {"visible": true, "required": true}, "firstName": {"visible": true, "required": true}, "lastName": {"visible": true, "required": true}}');
-        campaign.form_config = formConfig;
-        
-        res.json(campaign);
+        if (domain === senderDomain(PLATFORM_MAIL_FROM) || domain === MAIL_DKIM_DOMAIN) {
+            return res.status(400).json({ error: 'Dominio riservato alla piattaforma' });
+        }
+        if (await dbConn.get('SELECT id FROM tenant_domains WHERE domain = ?', domain)) {
+            return res.status(409).json({ error: 'Dominio già registrato' });
+        }
+        const token = crypto.randomBytes(16).toString('hex');
+        const dkim = await generateSendingDomainDkimKey();
+        const result = await dbConn.run(
+            'INSERT INTO tenant_domains (tenant_id, domain, verification_token, dkim_selector, dkim_public_key, dkim_private_key) VALUES (?, ?, ?, ?, ?, ?)',
+            tenantId, domain, token, dkim?.selector || null, dkim?.publicKey || null, dkim?.privateKey || null
+        );
+        await logAction(req, 'create', `Dominio di invio aggiunto: ${domain}`, 'info', { domainId: result.lastID });
+        res.json(sendingDomainResponse(await dbConn.get('SELECT * FROM tenant_domains WHERE id = ?', result.lastID)));
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
 
-// Legacy: get campaign by code (DEPRECATED - use tenant-scoped endpoint)
-app.get('/api/campaigns/:code', async (req, res) => {
+async function checkSendingDomainHandler(req, res) {
     try {
         const dbConn = await getDb();
-        const campaign = await dbConn.get('SELECT * FROM campaigns WHERE campaign_code = ?', req.params.code);
-        if (!campaign) {
-            return res.status(404).json({ error: 'Campagna non trovata' });
-        }
-        // Check if campaign is active
-        if (!campaign.is_active) {
-            return res.status(404).json({ error: 'Campagna non trovata' });
-        }
-        
-        // Parse form config
-        const formConfig = JSON.parse(campaign.form_config || '{"email": {"visible": true, "required": true}, "firstName": {"visible": true, "required": true}, "lastName": {"visible": true, "required": true}}');
-        campaign.form_config = formConfig;
-        
-        res.json(campaign);
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const row = await dbConn.get('SELECT * FROM tenant_domains WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!row) return res.status(404).json({ error: 'Dominio non trovato' });
+        res.json(sendingDomainResponse(await checkSendingDomain(dbConn, row)));
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
 
-app.post('/api/admin/campaigns', async (req, res) => {
+async function activateSendingDomainHandler(req, res) {
     try {
-        const { name, description, discount_type, discount_value } = req.body;
-        if (typeof name !== 'string' || !name.trim()) {
-            return res.status(400).json({ error: 'Nome non valido' });
-        }
-        if (!['percent', 'fixed', 'text'].includes(String(discount_type))) {
-            return res.status(400).json({ error: 'Tipo sconto non valido' });
-        }
-        if (discount_type !== 'text' && isNaN(Number(discount_value))) {
-            return res.status(400).json({ error: 'Valore sconto non valido' });
-        }
-        
-        if (!name || !discount_type || !discount_value) {
-            return res.status(400).json({ error: 'Nome, tipo sconto e valore richiesti' });
-        }
-        
         const dbConn = await getDb();
-        const campaignCode = generateId(12).toUpperCase();
-        const defaultFormConfig = JSON.stringify({ 
-            email: { visible: true, required: true }, 
-            firstName: { visible: true, required: true }, 
-            lastName: { visible: true, required: true },
-            phone: { visible: false, required: false },
-            address: { visible: false, required: false },
-            allergies: { visible: false, required: false },
-            customFields: []
-        });
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const row = await dbConn.get('SELECT * FROM tenant_domains WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!row) return res.status(404).json({ error: 'Dominio non trovato' });
+        const result = await dbConn.run("UPDATE tenant_domains SET status = 'active' WHERE id = ? AND status = 'verified'", row.id);
+        if (!result.changes) {
+            return res.status(409).json({ error: row.status === 'active' ? 'Dominio già attivo' : 'Il dominio deve essere verificato prima di essere attivato' });
+        }
+        await logAction(req, 'update', `Dominio di invio attivato: ${row.domain}`, 'info', { domainId: row.id });
+        res.json(sendingDomainResponse({ ...row, status: 'active' }));
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+
+async function deleteSendingDomainHandler(req, res) {
+    try {
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const row = await dbConn.get('SELECT * FROM tenant_domains WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!row) return res.status(404).json({ error: 'Dominio non trovato' });
+        await dbConn.run('DELETE FROM tenant_domains WHERE id = ?', row.id);
+        await logAction(req, 'delete', `Dominio di invio rimosso: ${row.domain}`, 'warning', { domainId: row.id });
+        res.json({ ok: true });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+app.get('/api/admin/sending-domains', listSendingDomainsHandler);
+app.get('/t/:tenantSlug/api/admin/sending-domains', tenantLoader, requireSameTenantAsSession, requireRole('admin'), listSendingDomainsHandler);
+app.post('/api/admin/sending-domains', createSendingDomainHandler);
+app.post('/t/:tenantSlug/api/admin/sending-domains', tenantLoader, requireSameTenantAsSession, requireRole('admin'), createSendingDomainHandler);
+app.post('/api/admin/sending-domains/:id/check', checkSendingDomainHandler);
+app.post('/t/:tenantSlug/api/admin/sending-domains/:id/check', tenantLoader, requireSameTenantAsSession, requireRole('admin'), checkSendingDomainHandler);
+app.post('/api/admin/sending-domains/:id/activate', activateSendingDomainHandler);
+app.post('/t/:tenantSlug/api/admin/sending-domains/:id/activate', tenantLoader, requireSameTenantAsSession, requireRole('admin'), activateSendingDomainHandler);
+app.delete('/api/admin/sending-domains/:id', deleteSendingDomainHandler);
+app.delete('/t/:tenantSlug/api/admin/sending-domains/:id', tenantLoader, requireSameTenantAsSession, requireRole('admin'), deleteSendingDomainHandler);
+
+// Coupon code pattern for a campaign (applies to coupons issued from now on; existing codes keep working)
+async function updateCampaignCodeFormat(req, res) {
+    try {
+        const codeFormat = parseCampaignCodeFormat(req.body);
+        if (!codeFormat.ok) {
+            return res.status(400).json({ error: codeFormat.error });
+        }
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const campaign = await dbConn.get('SELECT barcode_format FROM campaigns WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campagna non trovata' });
+        }
+        const conflict = campaign.barcode_format ? barcodeFormatConflict(JSON.parse(campaign.barcode_format), codeFormat.codeFormat) : null;
+        if (conflict) {
+            return res.status(400).json({ error: conflict });
+        }
         const result = await dbConn.run(
-            'INSERT INTO campaigns (campaign_code, name, description, discount_type, discount_value, form_config) VALUES (?, ?, ?, ?, ?, ?)',
-            campaignCode, name, description || null, discount_type, discount_value, defaultFormConfig
+            'UPDATE campaigns SET code_format = ? WHERE id = ? AND tenant_id = ?',
+            codeFormat.codeFormat ? JSON.stringify(codeFormat.codeFormat) : null, req.params.id, tenantId
         );
-        res.json({ id: result.lastID, campaign_code: campaignCode, name, description, discount_type, discount_value });
+        if (!result.changes) {
+            return res.status(404).json({ error: 'Campagna non trovata' });
+        }
+        invalidateCouponCodeFormats();
+        await logAction(req, 'update', `Formato codici aggiornato per campagna ${req.params.id}`, 'info', {
+            campaignId: req.params.id,
+            codeFormat: codeFormat.codeFormat
+        });
+        res.json({ ok: true, code_format: codeFormat.codeFormat, example: generateCouponCode(codeFormat.codeFormat) });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
+app.put('/api/admin/campaigns/:id/code-format', updateCampaignCodeFormat);
+app.put('/t/:tenantSlug/api/admin/campaigns/:id/code-format', tenantLoader, requireSameTenantAsSession, requireRole('admin'), updateCampaignCodeFormat);
 
-app.put('/api/admin/campaigns/:id/activate', async (req, res) => {
+// Barcode symbology and content for a campaign (email image, PDF, wallet passes, store pages)
+async function updateCampaignBarcodeFormat(req, res) {
     try {
         const dbConn = await getDb();
-        // Simply activate the selected campaign (no need to deactivate others)
-        await dbConn.run('UPDATE campaigns SET is_active = 1 WHERE id = ?', req.params.id);
-        res.json({ ok: true });
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const campaign = await dbConn.get('SELECT id, code_format FROM campaigns WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campagna non trovata' });
+        }
+        const barcode = parseCampaignBarcodeFormat(req.body, getCampaignCodeFormat(campaign));
+        if (!barcode.ok) {
+            return res.status(400).json({ error: barcode.error });
+        }
+        await dbConn.run(
+            'UPDATE campaigns SET barcode_format = ? WHERE id = ?',
+            barcode.barcodeFormat ? JSON.stringify(barcode.barcodeFormat) : null, campaign.id
+        );
+        await logAction(req, 'update', `Codice a barre aggiornato per campagna ${campaign.id}`, 'info', {
+            campaignId: campaign.id,
+            barcodeFormat: barcode.barcodeFormat
+        });
+        res.json({ ok: true, barcode_format: barcode.barcodeFormat });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
+app.put('/api/admin/campaigns/:id/barcode', updateCampaignBarcodeFormat);
+app.put('/t/:tenantSlug/api/admin/campaigns/:id/barcode', tenantLoader, requireSameTenantAsSession, requireRole('admin'), updateCampaignBarcodeFormat);
+
+// Coupon batches: unassigned coupons generated up front (e.g. printed on flyers).
+// The customer is attached by the first redemption or by registering the code on the public form.
+const COUPON_BATCH_MAX = Number(process.env.COUPON_BATCH_MAX || 5000);
+
+function parseCouponCustomer(body) {
+    const email = typeof body?.email === 'string' ? body.email.trim() : '';
+    if (!email) return { ok: true, customer: null };
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { ok: false, error: 'Email non valida' };
+    const firstName = String(body.firstName || body.first_name || '').trim() || null;
+    const lastName = String(body.lastName || body.last_name || '').trim() || null;
+    return { ok: true, customer: { email, firstName, lastName } };
+}
 
-app.put('/api/admin/campaigns/:id/deactivate', async (req, res) => {
+// A customer's first simultaneous submits race to create the user: the loser of the unique (tenant_id, email)
+// insert takes the winner's row, so the caps decide the outcome instead of a server error
+async function findOrCreateCouponCustomer(dbConn, tenantId, customer) {
+    const user = await dbConn.get('SELECT id, phone FROM users WHERE email = ? AND tenant_id IS ?', customer.email, tenantId);
+    if (user) {
+        if (customer.phone && !user.phone) {
+            await dbConn.run('UPDATE users SET phone = ? WHERE id = ?', customer.phone, user.id);
+        }
+        return user.id;
+    }
+    try {
+        const result = await dbConn.run(
+            'INSERT INTO users (email, first_name, last_name, phone, tenant_id) VALUES (?, ?, ?, ?, ?)',
+            customer.email, customer.firstName, customer.lastName, customer.phone || null, tenantId
+        );
+        return result.lastID;
+    } catch (e) {
+        if (!tenantId || !String(e && e.message || '').includes('UNIQUE')) throw e;
+        return findOrCreateCouponCustomer(dbConn, tenantId, customer);
+    }
+}
+
+// Conditional update so two claims of the same printed code cannot both win.
+// Form claims pass the campaign and customer so the per-customer cap is checked in the same statement.
+async function attachCouponCustomer(dbConn, coupon, userId, capped = null) {
+    const maxPerCustomer = capped?.campaign.max_per_customer || null;
+    const result = await dbConn.run(
+        `UPDATE coupons SET user_id = ?, claimed_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id IS NULL
+         AND (? IS NULL OR (${CUSTOMER_COUPONS_SQL}) < ?)`,
+        userId, coupon.id,
+        maxPerCustomer, coupon.campaign_id, capped?.customer.email ?? null, capped?.customer.phone ?? null, capped?.customer.phone ?? null, maxPerCustomer
+    );
+    if (result.changes !== 1) {
+        if (maxPerCustomer) {
+            const held = await dbConn.get(CUSTOMER_COUPONS_SQL, coupon.campaign_id, capped.customer.email, capped.customer.phone, capped.customer.phone);
+            if (held.n >= maxPerCustomer) return { customerLimit: true, error: CUSTOMER_LIMIT_ERROR };
+        }
+        return { error: 'Questo coupon è già stato registrato' };
+    }
+    return { ok: true };
+}
+
+// Unassigned coupon of the campaign that a customer can still register via the public form
+async function findClaimableCoupon(dbConn, rawCode, campaign) {
+    const lookup = await resolveCouponCodeInput(dbConn, rawCode, campaign.tenant_id);
+    if (lookup.invalid) return null;
+    return dbConn.get(
+        `SELECT * FROM coupons WHERE code IN (${lookup.codes.map(() => '?').join(',')}) AND campaign_id = ? AND user_id IS NULL AND batch_id IS NOT NULL AND status != 'cancelled'`,
+        ...lookup.codes, campaign.id
+    );
+}
+
+// Draw `quantity` distinct codes that are not in use yet
+async function generateBatchCodes(dbConn, campaign, quantity) {
+    const format = getCampaignCodeFormat(campaign);
+    const codes = new Set();
+    for (let attempt = 0; attempt < COUPON_CODE_MAX_ATTEMPTS && codes.size < quantity; attempt++) {
+        const missing = quantity - codes.size;
+        const drawn = new Set();
+        for (let i = 0; i < missing * 2 && drawn.size < missing; i++) {
+            const code = generateCouponCode(format);
+            if (!codes.has(code)) drawn.add(code);
+        }
+        const taken = await dbConn.all('SELECT code FROM coupons WHERE code IN (SELECT value FROM json_each(?))', JSON.stringify([...drawn]));
+        const takenSet = new Set(taken.map(r => r.code));
+        for (const code of drawn) if (!takenSet.has(code)) codes.add(code);
+    }
+    return codes.size === quantity ? [...codes] : null;
+}
+
+async function createCouponBatchHandler(req, res) {
     try {
+        const quantity = Number(req.body?.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > COUPON_BATCH_MAX) {
+            return res.status(400).json({ error: `Quantità non valida (1-${COUPON_BATCH_MAX})` });
+        }
+        const label = String(req.body?.label || '').trim().slice(0, 100) || null;
         const dbConn = await getDb();
-        // Deactivate the specific campaign
-        await dbConn.run('UPDATE campaigns SET is_active = 0 WHERE id = ?', req.params.id);
-        res.json({ ok: true });
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const campaign = await dbConn.get('SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!campaign) return res.status(404).json({ error: 'Campagna non trovata' });
+
+        const codes = await generateBatchCodes(dbConn, campaign, quantity);
+        if (!codes) {
+            return res.status(400).json({ error: 'Il formato codici della campagna non ha abbastanza combinazioni libere per questa quantità' });
+        }
+
+        // Batch row and codes commit together: the whole batch is written or none of it
+        const batch = await withTransaction(async (tx) => {
+            const inserted = await tx.run(
+                'INSERT INTO coupon_batches (tenant_id, campaign_id, quantity, label, created_by) VALUES (?, ?, ?, ?, ?)',
+                tenantId, campaign.id, quantity, label, req.session.user.id || null
+            );
+            await tx.run(`
+                INSERT INTO coupons (code, user_id, campaign_id, discount_type, discount_value, status, tenant_id, expires_at, max_uses, balance, batch_id)
+                SELECT value, NULL, ?, ?, ?, 'active', ?, ?, ?, ?, ? FROM json_each(?)
+            `, campaign.id, campaign.discount_type, campaign.discount_value, tenantId, computeCouponExpiry(campaign), campaign.max_uses || null,
+                initialCouponBalance(campaign.discount_type, campaign.discount_value), inserted.lastID, JSON.stringify(codes));
+            return inserted;
+        });
+
+        await logAction(req, 'create', `Lotto di ${quantity} coupon generato per campagna ${campaign.name}`, 'success', {
+            batchId: batch.lastID,
+            campaignId: campaign.id,
+            quantity
+        });
+        res.json({ id: batch.lastID, campaign_id: campaign.id, quantity, label });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
 
-app.delete('/api/admin/campaigns/:id', async (req, res) => {
+async function listCouponBatchesHandler(req, res) {
     try {
         const dbConn = await getDb();
-        await dbConn.run('DELETE FROM campaigns WHERE id = ?', req.params.id);
-        res.json({ ok: true });
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const batches = await dbConn.all(`
+            SELECT b.id, b.campaign_id, b.quantity, b.label, b.created_at,
+                   SUM(CASE WHEN c.user_id IS NOT NULL THEN 1 ELSE 0 END) AS claimed,
+                   SUM(CASE WHEN c.status = 'redeemed' THEN 1 ELSE 0 END) AS redeemed
+            FROM coupon_batches b
+            LEFT JOIN coupons c ON c.batch_id = b.id
+            WHERE b.campaign_id = ? AND b.tenant_id = ?
+            GROUP BY b.id
+            ORDER BY b.created_at DESC
+        `, req.params.id, tenantId);
+        res.json(batches);
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
 
-// Form configuration APIs
-app.get('/api/admin/campaigns/:id/form-config', async (req, res) => {
+// Batch plus the links printed for each code: redeem (cashier QR) and claim (public form)
+async function loadCouponBatchExport(dbConn, req) {
+    const tenantId = req.tenant?.id || req.session.user.tenantId;
+    const batch = await dbConn.get(`
+        SELECT b.*, camp.campaign_code, camp.code_format, camp.barcode_format, t.slug AS tenant_slug
+        FROM coupon_batches b
+        JOIN campaigns camp ON camp.id = b.campaign_id
+        LEFT JOIN tenants t ON t.id = b.tenant_id
+        WHERE b.id = ? AND b.tenant_id = ?
+    `, req.params.id, tenantId);
+    if (!batch) return null;
+    const coupons = await dbConn.all(`
+        SELECT c.code, c.status, c.claimed_at, u.email
+        FROM coupons c
+        LEFT JOIN users u ON u.id = c.user_id
+        WHERE c.batch_id = ?
+        ORDER BY c.id
+    `, batch.id);
+    const base = `${req.protocol}://${req.get('host')}${batch.tenant_slug ? `/t/${batch.tenant_slug}` : ''}`;
+    for (const c of coupons) {
+        c.redeem_url = `${base}/redeem/${encodeURIComponent(c.code)}`;
+        c.claim_url = `${base}/?campaign=${encodeURIComponent(batch.campaign_code)}&code=${encodeURIComponent(c.code)}`;
+    }
+    return { batch, coupons };
+}
+
+async function exportCouponBatchCsvHandler(req, res) {
     try {
         const dbConn = await getDb();
-        const campaign = await dbConn.get('SELECT form_config FROM campaigns WHERE id = ?', req.params.id);
-        if (!campaign) {
-            return res.status(404).json({ error: 'Campagna non trovata' });
-        }
-        const formConfig = JSON.parse(campaign.form_config || '{"email": {"visible": true, "required": true}, "firstName": {"visible": true, "required": true}, "lastName": {"visible": true, "required": true}}');
-        res.json(formConfig);
+        const data = await loadCouponBatchExport(dbConn, req);
+        if (!data) return res.status(404).json({ error: 'Lotto non trovato' });
+        const headers = ['Code', 'Status', 'Redeem URL', 'Claim URL', 'Claimed At', 'Email'];
+        const csvContent = [
+            headers.join(','),
+            ...data.coupons.map(row => [
+                row.code,
+                row.status,
+                row.redeem_url,
+                row.claim_url,
+                row.claimed_at || '',
+                `"${(row.email || '').replace(/"/g, '""')}"`
+            ].join(','))
+        ].join('\n');
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="coupon-batch-${data.batch.id}.csv"`);
+        res.send(csvContent);
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Errore server' });
     }
-});
+}
 
-app.put('/api/admin/campaigns/:id/form-config', async (req, res) => {
+// One PNG per code, named after the code, encoding the cashier redeem link
+async function exportCouponBatchQrZipHandler(req, res) {
     try {
-        const { formConfig } = req.body;
-        if (!formConfig || typeof formConfig !== 'object') {
-            return res.status(400).json({ error: 'Configurazione form non valida' });
-        }
-        
         const dbConn = await getDb();
-        await dbConn.run('UPDATE campaigns SET form_config = ? WHERE id = ?', JSON.stringify(formConfig), req.params.id);
-        res.json({ ok: true });
+        const data = await loadCouponBatchExport(dbConn, req);
+        if (!data) return res.status(404).json({ error: 'Lotto non trovato' });
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="coupon-batch-${data.batch.id}-qr.zip"`);
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        archive.on('error', (err) => {
+            console.error('batch zip error', err);
+            res.destroy(err);
+        });
+        archive.pipe(res);
+        const barcodeFormat = getCampaignBarcodeFormat(data.batch);
+        for (const c of data.coupons) {
+            const png = await renderCouponBarcode(barcodeFormat, c.code, c.redeem_url);
+            archive.append(png, { name: `${c.code}.png` });
+        }
+        await archive.finalize();
     } catch (e) {
         console.error(e);
-        res.status(500).json({ error: 'Errore server' });
+        if (!res.headersSent) res.status(500).json({ error: 'Errore server' });
+        else res.end();
     }
-});
+}
+
+app.post('/api/admin/campaigns/:id/batches', createCouponBatchHandler);
+app.post('/t/:tenantSlug/api/admin/campaigns/:id/batches', tenantLoader, requireSameTenantAsSession, requireRole('admin'), createCouponBatchHandler);
+app.get('/api/admin/campaigns/:id/batches', listCouponBatchesHandler);
+app.get('/t/:tenantSlug/api/admin/campaigns/:id/batches', tenantLoader, requireSameTenantAsSession, requireRole('admin'), listCouponBatchesHandler);
+app.get('/api/admin/batches/:id/coupons.csv', exportCouponBatchCsvHandler);
+app.get('/t/:tenantSlug/api/admin/batches/:id/coupons.csv', tenantLoader, requireSameTenantAsSession, requireRole('admin'), exportCouponBatchCsvHandler);
+app.get('/api/admin/batches/:id/qr.zip', exportCouponBatchQrZipHandler);
+app.get('/t/:tenantSlug/api/admin/batches/:id/qr.zip', tenantLoader, requireSameTenantAsSession, requireRole('admin'), exportCouponBatchQrZipHandler);
 
 // API per recuperare tutte le campagne
 app.get('/api/admin/campaigns-list', async (req, res) => {
@@ -2572,12 +7492,36 @@ app.get('/api/admin/users/:id/coupons', async (req, res) => {
                 c.discount_value,
                 c.issued_at,
                 c.redeemed_at,
+                c.expires_at,
+                c.max_uses,
+                c.uses_count,
+                c.balance,
+                c.void_reason,
+                c.voided_at,
+                replacement.code as superseded_by_code,
+                original.code as reissued_from_code,
                 camp.name as campaign_name
             FROM coupons c
             LEFT JOIN campaigns camp ON camp.id = c.campaign_id
+            LEFT JOIN coupons replacement ON replacement.id = c.superseded_by
+            LEFT JOIN coupons original ON original.id = c.reissued_from
             WHERE c.user_id = ?
             ORDER BY c.issued_at DESC
         `, req.params.id);
+
+        // Redemption history (including reversed uses) per coupon
+        const redemptions = await dbConn.all(`
+            SELECT r.coupon_id, r.amount, r.redeemed_at, r.reversed_at
+            FROM coupon_redemptions r
+            JOIN coupons c ON c.id = r.coupon_id
+            WHERE c.user_id = ?
+            ORDER BY r.id
+        `, req.params.id);
+        for (const coupon of coupons) {
+            coupon.redemptions = redemptions
+                .filter(r => r.coupon_id === coupon.id)
+                .map(({ coupon_id, ...r }) => r);
+        }
         
         res.json(coupons);
     } catch (e) {
@@ -2607,6 +7551,122 @@ app.delete('/api/admin/coupons/:id', async (req, res) => {
     }
 });
 
+// Coupon corrections: admin routes address coupons by id, store routes by code.
+// Only coupons of the tenant (req.tenant, or the session's on the legacy routes) are found.
+async function findCouponForCorrection(dbConn, req) {
+    const tenantId = req.tenant ? req.tenant.id : req.session.user.tenantId;
+    let condition = 'id = ?';
+    let values = [req.params.id];
+    if (req.params.code !== undefined) {
+        const lookup = await resolveCouponCodeInput(dbConn, req.params.code, tenantId);
+        if (lookup.invalid) return null;
+        condition = `code IN (${lookup.codes.map(() => '?').join(',')})`;
+        values = lookup.codes;
+    }
+    return dbConn.get(`SELECT * FROM coupons WHERE ${condition} AND tenant_id = ?`, ...values, tenantId);
+}
+
+// Reverse the last redemption (back to active)
+async function reverseRedemptionHandler(req, res) {
+    try {
+        const dbConn = await getDb();
+        const coupon = await findCouponForCorrection(dbConn, req);
+        if (!coupon) return res.status(404).json({ error: 'Coupon non trovato' });
+        const result = await reverseLastRedemption(dbConn, coupon);
+        if (result.error) return res.status(400).json({ error: result.error });
+        await logAction(req, 'update', `Riscatto stornato: ${coupon.code}`, 'warning', {
+            couponId: coupon.id,
+            before: couponAuditState(coupon),
+            after: couponAuditState(result.coupon)
+        });
+        const usage = getCouponUsage(result.coupon);
+        res.json({ ok: true, code: result.coupon.code, status: result.coupon.status, ...usage });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+
+// Void a coupon with a mandatory reason
+async function voidCouponHandler(req, res) {
+    try {
+        const reason = String(req.body?.reason || '').trim();
+        if (!reason) return res.status(400).json({ error: 'Motivo dell\'annullamento richiesto' });
+        const dbConn = await getDb();
+        const coupon = await findCouponForCorrection(dbConn, req);
+        if (!coupon) return res.status(404).json({ error: 'Coupon non trovato' });
+        if (coupon.status === 'cancelled') return res.status(400).json({ error: 'Coupon già annullato' });
+        await dbConn.run(
+            "UPDATE coupons SET status = 'cancelled', void_reason = ?, voided_at = CURRENT_TIMESTAMP WHERE id = ?",
+            reason, coupon.id
+        );
+        // A voided form coupon frees a slot on capped campaigns
+        if (coupon.campaign_id) runCampaignWaitlist(coupon.campaign_id);
+        const updated = await dbConn.get('SELECT * FROM coupons WHERE id = ?', coupon.id);
+        await logAction(req, 'update', `Coupon annullato: ${coupon.code}`, 'warning', {
+            couponId: coupon.id,
+            reason,
+            before: couponAuditState(coupon),
+            after: couponAuditState(updated)
+        });
+        res.json({ ok: true, code: coupon.code, status: 'cancelled', reason });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+
+// Reissue a fresh code to the same user; the old coupon is cancelled and points to its replacement.
+// An active coupon hands over its remaining uses, balance and expiry; otherwise the replacement starts fresh.
+async function reissueCouponHandler(req, res) {
+    try {
+        const dbConn = await getDb();
+        const coupon = await findCouponForCorrection(dbConn, req);
+        if (!coupon) return res.status(404).json({ error: 'Coupon non trovato' });
+        if (coupon.superseded_by) return res.status(400).json({ error: 'Coupon già sostituito' });
+
+        const carryOver = coupon.status === 'active' && !isCouponExpired(coupon);
+        const campaign = coupon.campaign_id ? await dbConn.get('SELECT * FROM campaigns WHERE id = ?', coupon.campaign_id) : null;
+        const newCode = await issueCouponCode(dbConn, campaign);
+        const result = await dbConn.run(
+            'INSERT INTO coupons (code, user_id, campaign_id, discount_type, discount_value, status, tenant_id, expires_at, max_uses, uses_count, balance, reissued_from) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            newCode, coupon.user_id, coupon.campaign_id, coupon.discount_type, coupon.discount_value, 'active', coupon.tenant_id,
+            carryOver ? coupon.expires_at : computeCouponExpiry(campaign),
+            coupon.max_uses,
+            carryOver ? coupon.uses_count : 0,
+            carryOver ? coupon.balance : initialCouponBalance(coupon.discount_type, coupon.discount_value),
+            coupon.id
+        );
+        const reason = String(req.body?.reason || '').trim() || `Sostituito da ${newCode}`;
+        await dbConn.run(
+            "UPDATE coupons SET status = 'cancelled', superseded_by = ?, void_reason = COALESCE(void_reason, ?), voided_at = COALESCE(voided_at, CURRENT_TIMESTAMP) WHERE id = ?",
+            result.lastID, reason, coupon.id
+        );
+        const updated = await dbConn.get('SELECT * FROM coupons WHERE id = ?', coupon.id);
+        const replacement = await dbConn.get('SELECT * FROM coupons WHERE id = ?', result.lastID);
+        await logAction(req, 'create', `Coupon riemesso: ${coupon.code} -> ${newCode}`, 'info', {
+            couponId: coupon.id,
+            newCouponId: result.lastID,
+            before: couponAuditState(coupon),
+            after: couponAuditState(updated),
+            replacement: couponAuditState(replacement)
+        });
+        res.json({ ok: true, id: result.lastID, code: newCode, supersedes: coupon.code });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+
+app.post('/api/admin/coupons/:id/reverse', reverseRedemptionHandler);
+app.post('/t/:tenantSlug/api/admin/coupons/:id/reverse', tenantLoader, requireSameTenantAsSession, requireRole('admin'), reverseRedemptionHandler);
+app.post('/api/admin/coupons/:id/void', voidCouponHandler);
+app.post('/t/:tenantSlug/api/admin/coupons/:id/void', tenantLoader, requireSameTenantAsSession, requireRole('admin'), voidCouponHandler);
+app.post('/api/admin/coupons/:id/reissue', reissueCouponHandler);
+app.post('/t/:tenantSlug/api/admin/coupons/:id/reissue', tenantLoader, requireSameTenantAsSession, requireRole('admin'), reissueCouponHandler);
+app.post('/api/store/coupons/:code/reverse', reverseRedemptionHandler);
+app.post('/t/:tenantSlug/api/store/coupons/:code/reverse', tenantLoader, requireSameTenantAsSession, requireRole('store'), reverseRedemptionHandler);
+
 // Delete user
 app.delete('/api/admin/users/:id', async (req, res) => {
     try {
@@ -2729,10 +7789,12 @@ app.get('/api/admin/coupons', async (req, res) => {
         const rows = await dbConn.all(
             `SELECT c.code, c.status, c.discount_type AS discountType, c.discount_value AS discountValue, 
                     c.issued_at AS issuedAt, c.redeemed_at AS redeemedAt,
-                    u.email AS userEmail, camp.name AS campaignName
+                    u.email AS userEmail, camp.name AS campaignName,
+                    r.operator_id AS operatorId, op.username AS redeemedBy, r.location, r.receipt_ref AS receiptRef
              FROM coupons c
-             JOIN users u ON u.id = c.user_id
+             LEFT JOIN users u ON u.id = c.user_id
              LEFT JOIN campaigns camp ON camp.id = c.campaign_id
+             ${LAST_REDEMPTION_JOIN}
              ${whereClause}
              ORDER BY c.issued_at ${orderDir}
              LIMIT ? OFFSET ?`,
@@ -2919,6 +7981,206 @@ app.post('/api/admin/campaigns/:id/products', async (req, res) => {
     }
 });
 
+// Locations API (shops of a tenant)
+function parseLocationInput(body) {
+    const name = typeof body?.name === 'string' ? body.name.trim() : '';
+    if (!name) return { ok: false, error: 'Nome sede richiesto' };
+    const optional = (value) => (typeof value === 'string' && value.trim()) ? value.trim() : null;
+    return { ok: true, name, address: optional(body.address), openingHours: optional(body.opening_hours) };
+}
+
+// Keep only ids of locations owned by the tenant; null if any id is foreign or malformed
+async function filterTenantLocationIds(dbConn, tenantId, ids) {
+    if (!Array.isArray(ids)) return null;
+    const unique = [...new Set(ids.map(Number))];
+    if (unique.some(id => !Number.isInteger(id))) return null;
+    if (unique.length === 0) return [];
+    const rows = await dbConn.all(
+        `SELECT id FROM locations WHERE tenant_id = ? AND id IN (${unique.map(() => '?').join(',')})`,
+        tenantId, ...unique
+    );
+    return rows.length === unique.length ? unique : null;
+}
+
+async function listLocationsHandler(req, res) {
+    try {
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const locations = await dbConn.all(
+            'SELECT id, name, address, opening_hours, created_at, updated_at FROM locations WHERE tenant_id = ? ORDER BY name',
+            tenantId
+        );
+        res.json(locations);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+
+async function createLocationHandler(req, res) {
+    try {
+        const input = parseLocationInput(req.body);
+        if (!input.ok) return res.status(400).json({ error: input.error });
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const result = await dbConn.run(
+            'INSERT INTO locations (tenant_id, name, address, opening_hours) VALUES (?, ?, ?, ?)',
+            tenantId, input.name, input.address, input.openingHours
+        );
+        await logAction(req, 'create', `Sede creata: ${input.name}`, 'success', { locationId: result.lastID });
+        res.json({ id: result.lastID, name: input.name, address: input.address, opening_hours: input.openingHours });
+    } catch (e) {
+        if (String(e && e.message || '').includes('UNIQUE')) {
+            return res.status(400).json({ error: 'Esiste già una sede con questo nome' });
+        }
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+
+async function updateLocationHandler(req, res) {
+    try {
+        const input = parseLocationInput(req.body);
+        if (!input.ok) return res.status(400).json({ error: input.error });
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const result = await dbConn.run(
+            'UPDATE locations SET name = ?, address = ?, opening_hours = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND tenant_id = ?',
+            input.name, input.address, input.openingHours, req.params.id, tenantId
+        );
+        if (result.changes === 0) return res.status(404).json({ error: 'Sede non trovata' });
+        await logAction(req, 'update', `Sede aggiornata: ${input.name}`, 'info', { locationId: Number(req.params.id) });
+        res.json({ ok: true });
+    } catch (e) {
+        if (String(e && e.message || '').includes('UNIQUE')) {
+            return res.status(400).json({ error: 'Esiste già una sede con questo nome' });
+        }
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+
+async function deleteLocationHandler(req, res) {
+    try {
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const location = await dbConn.get('SELECT * FROM locations WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!location) return res.status(404).json({ error: 'Sede non trovata' });
+        // Assignments and campaign restrictions go with it; past redemptions keep the name in coupon_redemptions.location
+        await dbConn.run('DELETE FROM auth_user_locations WHERE location_id = ?', location.id);
+        await dbConn.run('DELETE FROM campaign_locations WHERE location_id = ?', location.id);
+        await dbConn.run('UPDATE coupon_redemptions SET location_id = NULL WHERE location_id = ?', location.id);
+        await dbConn.run('DELETE FROM locations WHERE id = ?', location.id);
+        await logAction(req, 'delete', `Sede eliminata: ${location.name}`, 'warning', { locationId: location.id });
+        res.json({ ok: true });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+
+// Campaign location restrictions: an empty list means the campaign is valid everywhere
+async function getCampaignLocationsHandler(req, res) {
+    try {
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const campaign = await dbConn.get('SELECT id FROM campaigns WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!campaign) return res.status(404).json({ error: 'Campagna non trovata' });
+        const locations = await dbConn.all(`
+            SELECT l.id, l.name, l.address, l.opening_hours
+            FROM locations l
+            INNER JOIN campaign_locations cl ON cl.location_id = l.id
+            WHERE cl.campaign_id = ?
+            ORDER BY l.name
+        `, campaign.id);
+        res.json(locations);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+
+async function setCampaignLocationsHandler(req, res) {
+    try {
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const campaign = await dbConn.get('SELECT id, name FROM campaigns WHERE id = ? AND tenant_id = ?', req.params.id, tenantId);
+        if (!campaign) return res.status(404).json({ error: 'Campagna non trovata' });
+        const locationIds = await filterTenantLocationIds(dbConn, tenantId, req.body?.location_ids || []);
+        if (!locationIds) return res.status(400).json({ error: 'Sedi non valide' });
+
+        await dbConn.run('DELETE FROM campaign_locations WHERE campaign_id = ?', campaign.id);
+        for (const locationId of locationIds) {
+            await dbConn.run('INSERT INTO campaign_locations (campaign_id, location_id) VALUES (?, ?)', campaign.id, locationId);
+        }
+        await logAction(req, 'update', `Sedi campagna aggiornate: ${campaign.name}`, 'info', { campaignId: campaign.id, locationIds });
+        res.json({ ok: true, location_ids: locationIds });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+
+// Shops a store/admin user works at
+async function setAuthUserLocationsHandler(req, res) {
+    try {
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const user = await dbConn.get("SELECT id, username FROM auth_users WHERE id = ? AND tenant_id = ? AND user_type IN ('admin','store')", req.params.id, tenantId);
+        if (!user) return res.status(404).json({ error: 'Utente non trovato' });
+        const locationIds = await filterTenantLocationIds(dbConn, tenantId, req.body?.location_ids || []);
+        if (!locationIds) return res.status(400).json({ error: 'Sedi non valide' });
+
+        await dbConn.run('DELETE FROM auth_user_locations WHERE auth_user_id = ?', user.id);
+        for (const locationId of locationIds) {
+            await dbConn.run('INSERT INTO auth_user_locations (auth_user_id, location_id) VALUES (?, ?)', user.id, locationId);
+        }
+        await logAction(req, 'update', `Sedi utente aggiornate: ${user.username}`, 'info', { authUserId: user.id, locationIds });
+        res.json({ ok: true, location_ids: locationIds });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+
+// Store: shops the logged-in operator can redeem at (all tenant shops when none are assigned)
+async function storeLocationsHandler(req, res) {
+    try {
+        const dbConn = await getDb();
+        const tenantId = req.tenant?.id || req.session.user.tenantId;
+        const assigned = await dbConn.all(`
+            SELECT l.id, l.name, l.address, l.opening_hours
+            FROM locations l
+            INNER JOIN auth_user_locations ul ON ul.location_id = l.id
+            WHERE ul.auth_user_id = ? AND l.tenant_id = ?
+            ORDER BY l.name
+        `, req.session.user.id, tenantId);
+        if (assigned.length > 0) return res.json(assigned);
+        const all = await dbConn.all('SELECT id, name, address, opening_hours FROM locations WHERE tenant_id = ? ORDER BY name', tenantId);
+        res.json(all);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Errore server' });
+    }
+}
+
+app.get('/api/admin/locations', listLocationsHandler);
+app.get('/t/:tenantSlug/api/admin/locations', tenantLoader, requireSameTenantAsSession, requireRole('admin'), listLocationsHandler);
+app.post('/api/admin/locations', createLocationHandler);
+app.post('/t/:tenantSlug/api/admin/locations', tenantLoader, requireSameTenantAsSession, requireRole('admin'), createLocationHandler);
+app.put('/api/admin/locations/:id', updateLocationHandler);
+app.put('/t/:tenantSlug/api/admin/locations/:id', tenantLoader, requireSameTenantAsSession, requireRole('admin'), updateLocationHandler);
+app.delete('/api/admin/locations/:id', deleteLocationHandler);
+app.delete('/t/:tenantSlug/api/admin/locations/:id', tenantLoader, requireSameTenantAsSession, requireRole('admin'), deleteLocationHandler);
+app.get('/api/admin/campaigns/:id/locations', getCampaignLocationsHandler);
+app.get('/t/:tenantSlug/api/admin/campaigns/:id/locations', tenantLoader, requireSameTenantAsSession, requireRole('admin'), getCampaignLocationsHandler);
+app.post('/api/admin/campaigns/:id/locations', setCampaignLocationsHandler);
+app.post('/t/:tenantSlug/api/admin/campaigns/:id/locations', tenantLoader, requireSameTenantAsSession, requireRole('admin'), setCampaignLocationsHandler);
+app.post('/api/admin/auth-users/:id/locations', setAuthUserLocationsHandler);
+app.post('/t/:tenantSlug/api/admin/auth-users/:id/locations', tenantLoader, requireSameTenantAsSession, requireRole('admin'), setAuthUserLocationsHandler);
+app.get('/api/store/locations', storeLocationsHandler);
+app.get('/t/:tenantSlug/api/store/locations', tenantLoader, requireSameTenantAsSession, requireRole('store'), storeLocationsHandler);
+
 // Admin page
 app.get('/admin', (req, res) => {
     res.sendFile(path.join(__dirname, 'views', 'admin.html'));
@@ -2959,7 +8221,7 @@ app.get('/views/form-setup.html', (req, res) => res.redirect('/form-design'));
 if (ENFORCE_TENANT_PREFIX) {
     app.use((req, res, next) => {
         // Only redirect for known top-level pages
-        const known = ['/admin', '/store', '/form-design', '/formsetup', '/custom-fields', '/admin/email-template', '/db-utenti', '/utenti', '/prodotti', '/analytics', '/thanks'];
+        const known = ['/admin', '/store', '/form-design', '/formsetup', '/custom-fields', '/admin/email-template', '/db-utenti', '/utenti', '/prodotti', '/analytics', '/thanks', '/sold-out'];
         const pathOnly = req.path;
         if (known.includes(pathOnly) || pathOnly.startsWith('/redeem/')) {
             return res.redirect(302, `/t/${DEFAULT_TENANT_SLUG}${req.originalUrl}`);
@@ -2995,6 +8257,10 @@ app.post('/t/:tenantSlug/api/admin/email-template', tenantLoader, requireSameTen
         }
         const dbConn = await getDb();
         const tenantId = req.tenant.id;
+        const templateError = await emailTemplateValidationError(dbConn, tenantId, subject, html);
+        if (templateError) {
+            return res.status(400).json({ error: templateError });
+        }
         
         // Check if template exists for this tenant
         const existing = await dbConn.get('SELECT id FROM email_template WHERE tenant_id = ?', tenantId);
@@ -3087,6 +8353,7 @@ app.get('/api/admin/analytics/summary', async (req, res) => {
 
         let totalIssued = coupons.length;
         let totalRedeemed = coupons.filter(c => c.status === 'redeemed').length;
+        let totalExpired = coupons.filter(c => c.status === 'expired').length;
         let estDiscountIssued = 0;
         let estDiscountRedeemed = 0;
         let estMarginGross = 0; // sum of avg margins for redeemed
@@ -3103,15 +8370,29 @@ app.get('/api/admin/analytics/summary', async (req, res) => {
             }
         }
 
+        // Redemptions per shop (ledger rows, so multi-use coupons count every visit)
+        const byLocation = await dbConn.all(`
+            SELECT r.location_id AS locationId, COALESCE(l.name, r.location) AS name,
+                   COUNT(*) AS redemptions, COUNT(DISTINCT r.coupon_id) AS coupons,
+                   SUM(COALESCE(r.amount, 0)) AS amountRedeemed
+            FROM coupon_redemptions r
+            LEFT JOIN locations l ON l.id = r.location_id
+            WHERE r.reversed_at IS NULL AND r.coupon_id IN (SELECT id FROM coupons ${whereSql})
+            GROUP BY r.location_id, COALESCE(l.name, r.location)
+            ORDER BY redemptions DESC
+        `, params);
+
         res.json({
             totalCampaigns: campaigns.length,
             totalCouponsIssued: totalIssued,
             totalCouponsRedeemed: totalRedeemed,
+            totalCouponsExpired: totalExpired,
             redemptionRate: totalIssued ? (totalRedeemed / totalIssued) : 0,
             estimatedDiscountIssued: estDiscountIssued,
             estimatedDiscountRedeemed: estDiscountRedeemed,
             estimatedGrossMarginOnRedeemed: estMarginGross,
-            estimatedNetMarginAfterDiscount: Math.max(0, estMarginGross - estDiscountRedeemed)
+            estimatedNetMarginAfterDiscount: Math.max(0, estMarginGross - estDiscountRedeemed),
+            byLocation
         });
     } catch (e) {
         console.error('analytics/summary error', e);
@@ -3135,7 +8416,7 @@ app.get('/api/admin/analytics/campaigns', async (req, res) => {
         const whereSql = where.length ? ('WHERE ' + where.join(' AND ')) : '';
 
         const coupons = await dbConn.all(
-            `SELECT campaign_id AS campaignId, discount_type AS discountType, discount_value AS discountValue, status FROM coupons ${whereSql}`,
+            `SELECT campaign_id AS campaignId, variant_id AS variantId, discount_type AS discountType, discount_value AS discountValue, status FROM coupons ${whereSql}`,
             params
         );
         const avgs = await dbConn.all(`
@@ -3145,14 +8426,22 @@ app.get('/api/admin/analytics/campaigns', async (req, res) => {
             GROUP BY cp.campaign_id
         `);
         const avgMap = new Map(avgs.map(r => [r.campaignId, { avgValue: r.avgValue || 0, avgMargin: r.avgMargin || 0 }]));
+        // A/B variants: same counters per variant, coupons without a variant (batches, pre-test) are left out
+        const variants = await dbConn.all('SELECT id, campaign_id AS campaignId, label, weight, discount_type AS discountType, discount_value AS discountValue FROM campaign_variants ORDER BY id');
+        const byVariant = new Map(variants.map(v => [v.id, { ...v, issued: 0, redeemed: 0 }]));
 
         const byCamp = new Map();
         for (const camp of campaigns) {
-            byCamp.set(camp.id, { id: camp.id, name: camp.name, issued: 0, redeemed: 0, estDiscountIssued: 0, estDiscountRedeemed: 0, estGrossMarginRedeemed: 0 });
+            byCamp.set(camp.id, { id: camp.id, name: camp.name, issued: 0, redeemed: 0, expired: 0, estDiscountIssued: 0, estDiscountRedeemed: 0, estGrossMarginRedeemed: 0 });
         }
         for (const c of coupons) {
             const bucket = byCamp.get(c.campaignId);
             if (!bucket) continue;
+            const variantBucket = c.variantId ? byVariant.get(c.variantId) : null;
+            if (variantBucket) {
+                variantBucket.issued += 1;
+                if (c.status === 'redeemed') variantBucket.redeemed += 1;
+            }
             const avg = avgMap.get(c.campaignId) || { avgValue: 0, avgMargin: 0 };
             const base = Math.max(0, avg.avgValue || 0);
             const disc = c.discountType === 'percent' ? (base * (Number(c.discountValue) || 0) / 100) :
@@ -3163,13 +8452,22 @@ app.get('/api/admin/analytics/campaigns', async (req, res) => {
                 bucket.redeemed += 1;
                 bucket.estDiscountRedeemed += disc;
                 bucket.estGrossMarginRedeemed += Math.max(0, avg.avgMargin || 0);
+            } else if (c.status === 'expired') {
+                bucket.expired += 1;
             }
         }
-        const result = Array.from(byCamp.values()).map(b => ({
-            ...b,
-            redemptionRate: b.issued ? (b.redeemed / b.issued) : 0,
-            estNetMarginAfterDiscount: Math.max(0, b.estGrossMarginRedeemed - b.estDiscountRedeemed)
-        }));
+        const result = Array.from(byCamp.values()).map(b => {
+            const campaignVariants = Array.from(byVariant.values())
+                .filter(v => v.campaignId === b.id)
+                .map(({ campaignId, ...v }) => ({ ...v, redemptionRate: v.issued ? (v.redeemed / v.issued) : 0 }));
+            return {
+                ...b,
+                redemptionRate: b.issued ? (b.redeemed / b.issued) : 0,
+                estNetMarginAfterDiscount: Math.max(0, b.estGrossMarginRedeemed - b.estDiscountRedeemed),
+                variants: campaignVariants,
+                variantSignificance: variantSignificance(campaignVariants)
+            };
+        });
         res.json(result);
     } catch (e) {
         console.error('analytics/campaigns error', e);
@@ -3177,6 +8475,36 @@ app.get('/api/admin/analytics/campaigns', async (req, res) => {
     }
 });
 
+// Admin analytics: top referrers, by friends whose coupon was redeemed (each one earned a reward)
+app.get('/api/admin/analytics/referrers', async (req, res) => {
+    try {
+        const dbConn = await getDb();
+        const { start, end, campaignId } = req.query;
+        // Customer data: always scoped to the admin's tenant
+        const where = ['r.tenant_id IS ?'];
+        const params = [req.session.user.tenantId || null];
+        if (campaignId) { where.push('r.campaign_id = ?'); params.push(campaignId); }
+        if (start) { where.push('date(r.created_at) >= date(?)'); params.push(start); }
+        if (end) { where.push('date(r.created_at) <= date(?)'); params.push(end); }
+        const rows = await dbConn.all(`
+            SELECT r.referrer_user_id AS userId, u.email, u.first_name AS firstName, u.last_name AS lastName,
+                   SUM(CASE WHEN r.status != 'rejected' THEN 1 ELSE 0 END) AS referred,
+                   SUM(CASE WHEN r.status = 'rewarded' THEN 1 ELSE 0 END) AS rewarded,
+                   SUM(CASE WHEN r.status = 'rejected' THEN 1 ELSE 0 END) AS rejected
+            FROM referrals r
+            LEFT JOIN users u ON u.id = r.referrer_user_id
+            WHERE ${where.join(' AND ')}
+            GROUP BY r.referrer_user_id
+            ORDER BY rewarded DESC, referred DESC
+            LIMIT 20
+        `, params);
+        res.json(rows);
+    } catch (e) {
+        console.error('analytics/referrers error', e);
+        res.status(500).json({ error: 'Errore analytics' });
+    }
+});
+
 // Admin analytics: temporal data for charts
 app.get('/api/admin/analytics/temporal', async (req, res) => {
     try {
@@ -3198,6 +8526,7 @@ app.get('/api/admin/analytics/temporal', async (req, res) => {
                 ${dateFormat} as period,
                 COUNT(*) as issued,
                 SUM(CASE WHEN status = 'redeemed' THEN 1 ELSE 0 END) as redeemed,
+                SUM(CASE WHEN status = 'expired' THEN 1 ELSE 0 END) as expired,
                 SUM(CASE WHEN status = 'redeemed' THEN 
                     CASE 
                         WHEN discount_type = 'percent' THEN (SELECT AVG(p.value) FROM campaign_products cp JOIN products p ON p.id = cp.product_id WHERE cp.campaign_id = c.campaign_id) * (discount_value / 100.0)
@@ -3241,6 +8570,10 @@ app.get('/api/admin/analytics/export', async (req, res) => {
                 c.status,
                 c.issued_at as issued_at,
                 c.redeemed_at as redeemed_at,
+                c.expires_at as expires_at,
+                op.username as redeemed_by,
+                r.location as redemption_location,
+                r.receipt_ref as receipt_ref,
                 camp.name as campaign_name,
                 u.first_name,
                 u.last_name,
@@ -3252,12 +8585,13 @@ app.get('/api/admin/analytics/export', async (req, res) => {
             FROM coupons c
             LEFT JOIN campaigns camp ON camp.id = c.campaign_id
             LEFT JOIN users u ON u.id = c.user_id
+            ${LAST_REDEMPTION_JOIN}
             ${whereSql}
             ORDER BY c.issued_at DESC
         `, params);
 
         if (format === 'csv') {
-            const headers = ['Code', 'Status', 'Issued At', 'Redeemed At', 'Campaign', 'First Name', 'Last Name', 'Email', 'Discount Type', 'Discount Value', 'Avg Product Value', 'Avg Margin'];
+            const headers = ['Code', 'Status', 'Issued At', 'Redeemed At', 'Expires At', 'Redeemed By', 'Location', 'Receipt Ref', 'Campaign', 'First Name', 'Last Name', 'Email', 'Discount Type', 'Discount Value', 'Avg Product Value', 'Avg Margin'];
             const csvContent = [
                 headers.join(','),
                 ...data.map(row => [
@@ -3265,6 +8599,10 @@ app.get('/api/admin/analytics/export', async (req, res) => {
                     row.status,
                     row.issued_at,
                     row.redeemed_at || '',
+                    row.expires_at || '',
+                    `"${(row.redeemed_by || '').replace(/"/g, '""')}"`,
+                    `"${(row.redemption_location || '').replace(/"/g, '""')}"`,
+                    `"${(row.receipt_ref || '').replace(/"/g, '""')}"`,
                     `"${(row.campaign_name || '').replace(/"/g, '""')}"`,
                     `"${(row.first_name || '').replace(/"/g, '""')}"`,
                     `"${(row.last_name || '').replace(/"/g, '""')}"`,
@@ -3307,6 +8645,13 @@ app.get('/api/admin/auth-users', async (req, res) => {
         );
         // Sicurezza extra: non mostrare mai superadmin
         const filtered = rows.filter(u => u.userType !== 'superadmin');
+        const assignments = await dbConn.all(
+            'SELECT ul.auth_user_id, ul.location_id FROM auth_user_locations ul JOIN locations l ON l.id = ul.location_id WHERE l.tenant_id = ?',
+            tenantId
+        );
+        for (const u of filtered) {
+            u.locationIds = assignments.filter(a => a.auth_user_id === u.id).map(a => a.location_id);
+        }
         res.json(filtered);
     } catch (e) {
         console.error(e);
@@ -3640,6 +8985,48 @@ app.get('/api/superadmin/tenants', requireSuperAdmin, async (req, res) => {
     }
 });
 
+// Superadmin: sending domains of all tenants
+app.get('/api/superadmin/sending-domains', requireSuperAdmin, async (req, res) => {
+    try {
+        const db = await getDb();
+        const rows = await db.all(`
+            SELECT d.*, t.name AS tenant_name, t.slug AS tenant_slug
+            FROM tenant_domains d
+            JOIN tenants t ON t.id = d.tenant_id
+            ORDER BY d.created_at DESC
+        `);
+        res.json(rows.map(row => ({ ...sendingDomainResponse(row), tenant_id: row.tenant_id, tenant_name: row.tenant_name, tenant_slug: row.tenant_slug })));
+    } catch (error) {
+        console.error('Error fetching sending domains:', error);
+        res.status(500).json({ error: 'Errore interno del server' });
+    }
+});
+
+// Superadmin: suspend a sending domain (e.g. abuse) or reinstate it
+app.put('/api/superadmin/sending-domains/:id/status', requireSuperAdmin, async (req, res) => {
+    try {
+        const { status } = req.body || {};
+        if (!['suspended', 'active'].includes(status)) {
+            return res.status(400).json({ error: 'Stato non valido (suspended o active)' });
+        }
+        const db = await getDb();
+        const row = await db.get('SELECT * FROM tenant_domains WHERE id = ?', req.params.id);
+        if (!row) return res.status(404).json({ error: 'Dominio non trovato' });
+        if (status === 'active' && row.status !== 'suspended') {
+            return res.status(409).json({ error: 'Solo un dominio sospeso può essere riattivato' });
+        }
+        await db.run(
+            'UPDATE tenant_domains SET status = ?, suspended_reason = ? WHERE id = ?',
+            status, status === 'suspended' ? 'admin' : null, row.id
+        );
+        await logAction(req, 'update', `Dominio di invio ${status === 'suspended' ? 'sospeso' : 'riattivato'}: ${row.domain}`, 'warning', { domainId: row.id, tenantId: row.tenant_id });
+        res.json(sendingDomainResponse({ ...row, status, suspended_reason: status === 'suspended' ? 'admin' : null }));
+    } catch (error) {
+        console.error('Error updating sending domain:', error);
+        res.status(500).json({ error: 'Errore interno del server' });
+    }
+});
+
 app.post('/api/superadmin/login', async (req, res) => {
     try {
         const { username, password } = req.body || {};
@@ -3918,7 +9305,17 @@ app.delete('/api/superadmin/tenants/:id', requireSuperAdmin, async (req, res) =>
         
         // Delete all related data (cascading delete)
         await db.run('DELETE FROM coupons WHERE tenant_id = ?', tenantId);
+        await db.run('DELETE FROM campaign_variants WHERE campaign_id IN (SELECT id FROM campaigns WHERE tenant_id = ?)', tenantId);
+        await db.run('DELETE FROM campaign_prizes WHERE campaign_id IN (SELECT id FROM campaigns WHERE tenant_id = ?)', tenantId);
         await db.run('DELETE FROM campaigns WHERE tenant_id = ?', tenantId);
+        await db.run('DELETE FROM campaign_waitlist WHERE tenant_id = ?', tenantId);
+        await db.run('DELETE FROM referrals WHERE tenant_id = ?', tenantId);
+        await db.run('DELETE FROM prize_draws WHERE tenant_id = ?', tenantId);
+        await db.run('DELETE FROM email_outbox WHERE tenant_id = ?', tenantId);
+        await db.run('DELETE FROM tenant_email_settings WHERE tenant_id = ?', tenantId);
+        await db.run('DELETE FROM tenant_domains WHERE tenant_id = ?', tenantId);
+        dropTenantTransport(tenantId);
+        await db.run('DELETE FROM campaign_templates WHERE tenant_id = ?', tenantId);
         await db.run('DELETE FROM user_custom_data WHERE tenant_id = ?', tenantId);
         await db.run('DELETE FROM auth_users WHERE tenant_id = ?', tenantId);
         await db.run('DELETE FROM tenants WHERE id = ?', tenantId);
@@ -3942,22 +9339,28 @@ app.use((req, res) => {
     res.status(404).sendFile(path.join(__dirname, 'views', '404.html'));
 });
 
-// Start server with proper timeout configurations
-const server = app.listen(PORT, async () => {
-    await getDb();
-    console.log(`CouponGen avviato su http://localhost:${PORT}`);
-});
-
-// Configure server timeouts to prevent connection issues
-server.keepAliveTimeout = 65000; // 65 seconds (same as nginx default)
-server.headersTimeout = 66000;   // 66 seconds (slightly higher than keepAliveTimeout)
-server.requestTimeout = 30000;   // 30 seconds for request processing
-server.timeout = 30000;          // 30 seconds overall timeout
-
-console.log('Server timeouts configured:');
-console.log(`- Keep-Alive: ${server.keepAliveTimeout}ms`);
-console.log(`- Headers: ${server.headersTimeout}ms`);
-console.log(`- Request: ${server.requestTimeout}ms`);
-console.log(`- Overall: ${server.timeout}ms`);
+// Start server with proper timeout configurations (only when run directly: the tests mount `app` themselves)
+if (require.main === module) {
+    const server = app.listen(PORT, async () => {
+        await getDb();
+        startExpirySweep();
+        startWaitlistSweep();
+        startEmailOutboxWorker().catch(e => console.error('Email outbox error:', e));
+        startSendingDomainSweep();
+        console.log(`CouponGen avviato su http://localhost:${PORT}`);
+    });
 
+    // Configure server timeouts to prevent connection issues
+    server.keepAliveTimeout = 65000; // 65 seconds (same as nginx default)
+    server.headersTimeout = 66000;   // 66 seconds (slightly higher than keepAliveTimeout)
+    server.requestTimeout = 30000;   // 30 seconds for request processing
+    server.timeout = 30000;          // 30 seconds overall timeout
+
+    console.log('Server timeouts configured:');
+    console.log(`- Keep-Alive: ${server.keepAliveTimeout}ms`);
+    console.log(`- Headers: ${server.headersTimeout}ms`);
+    console.log(`- Request: ${server.requestTimeout}ms`);
+    console.log(`- Overall: ${server.timeout}ms`);
+}
 
+module.exports = { app, getDb, checkSendingDomain, processEmailOutbox };
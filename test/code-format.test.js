@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, signupTenant, createCampaign, submitForm } = require('./helpers');
+
+const SAFE = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+test('campaign code formats shape the codes and typos are caught by the check character', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+
+    assert.strictEqual((await admin.post('/t/demo/api/admin/campaigns', { name: 'Corto', discount_type: 'percent', discount_value: '10', code_format: { length: 2 } })).status, 400);
+    const campaign = await createCampaign(admin, { code_format: { prefix: 'xmas', length: 6, groupSize: 3, checkDigit: true } });
+    for (let i = 0; i < 5; i++) {
+        await submitForm(server.baseUrl, campaign.campaign_code, { email: `cliente${i}@example.com` }, { 'x-forwarded-for': `10.0.4.${i}` });
+    }
+    const codes = (await db.all('SELECT code FROM coupons')).map(r => r.code);
+    assert.strictEqual(codes.length, 5);
+    for (const code of codes) {
+        assert.match(code, /^XMAS-[A-Z2-9]{3}-[A-Z2-9]{3}-[A-Z2-9]$/);
+        assert.ok([...code.replace(/^XMAS|-/g, '')].every(ch => SAFE.includes(ch)), code);
+    }
+
+    // Cashiers may type it without dashes and in lower case
+    const [code] = codes;
+    const typed = code.replace(/-/g, '').toLowerCase();
+    const found = await admin.get(`/t/demo/api/coupons/${typed}`);
+    assert.strictEqual(found.status, 200);
+    assert.strictEqual(found.data.code, code);
+
+    // One wrong character fails the check before the database is asked
+    const body = code.replace(/^XMAS|-/g, '');
+    const wrong = SAFE[(SAFE.indexOf(body[2]) + 1) % SAFE.length];
+    const typo = `XMAS${body.slice(0, 2)}${wrong}${body.slice(3)}`;
+    for (const res of [
+        await admin.get(`/t/demo/api/coupons/${typo}`),
+        await admin.post(`/t/demo/api/coupons/${typo}/redeem`, {}),
+        await admin.get(`/t/demo/api/store/coupons/search?q=${typo}`)
+    ]) {
+        assert.strictEqual(res.status, 400);
+        assert.match(res.data.error, /Codice non valido/);
+    }
+    assert.strictEqual((await db.get('SELECT status FROM coupons WHERE code = ?', code)).status, 'active');
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, signupTenant, createCampaign } = require('./helpers');
+
+test('coupon batches are written whole, listed and exported', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+    const campaign = await createCampaign(admin);
+    const batchesUrl = `/t/demo/api/admin/campaigns/${campaign.id}/batches`;
+
+    const created = await admin.post(batchesUrl, { quantity: 25, label: 'Volantini' });
+    assert.strictEqual(created.status, 200, JSON.stringify(created.data));
+    assert.strictEqual((await admin.post(batchesUrl, { quantity: 0 })).status, 400);
+
+    const csv = await admin.get(`/t/demo/api/admin/batches/${created.data.id}/coupons.csv`);
+    assert.strictEqual(csv.status, 200);
+    const [header, ...rows] = csv.data.split('\n');
+    assert.strictEqual(header, 'Code,Status,Redeem URL,Claim URL,Claimed At,Email');
+    assert.strictEqual(rows.length, 25);
+    const codes = rows.map(r => r.split(',')[0]);
+    assert.strictEqual(new Set(codes).size, 25);
+    assert.ok(rows.every(r => r.includes(`${server.baseUrl}/t/demo/redeem/`)));
+
+    assert.strictEqual((await admin.post(`/t/demo/api/coupons/${codes[0]}/redeem`, {})).status, 200);
+    const [listed] = (await admin.get(batchesUrl)).data;
+    assert.strictEqual(listed.quantity, 25);
+    assert.strictEqual(listed.label, 'Volantini');
+    assert.strictEqual(listed.redeemed, 1);
+    assert.strictEqual(listed.claimed, 0);
+
+    // A failing code insert leaves no batch behind
+    await db.exec("CREATE TRIGGER no_batch_codes BEFORE INSERT ON coupons WHEN NEW.batch_id IS NOT NULL BEGIN SELECT RAISE(ABORT, 'disco pieno'); END");
+    t.after(() => db.exec('DROP TRIGGER IF EXISTS no_batch_codes'));
+    assert.strictEqual((await admin.post(batchesUrl, { quantity: 10 })).status, 500);
+    assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM coupon_batches')).n, 1);
+    assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM coupons WHERE batch_id IS NOT NULL')).n, 25);
+});
@@ -0,0 +1,29 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, signupTenant, createCampaign, submitForm } = require('./helpers');
+
+test('scanned redemption links are resolved to their coupon code', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const campaign = await createCampaign(admin);
+    await submitForm(server.baseUrl, campaign.campaign_code);
+    const db = await server.getDb();
+    const { code } = await db.get('SELECT code FROM coupons');
+
+    const search = (q) => admin.get(`/t/demo/api/store/coupons/search?q=${encodeURIComponent(q)}`);
+
+    const found = await search(`${server.baseUrl}/t/demo/redeem/${code}`);
+    assert.strictEqual(found.status, 200);
+    assert.deepStrictEqual(found.data.map(c => c.code), [code]);
+
+    // A malformed %-escape in the scanned link is an invalid code, not a server error
+    const malformed = await search(`${server.baseUrl}/t/demo/redeem/%E0%A4%A`);
+    assert.strictEqual(malformed.status, 400);
+    assert.ok(malformed.data.error);
+
+    const multi = await admin.post('/t/demo/api/coupons/redeem-multiple', { codes: [`${server.baseUrl}/t/demo/redeem/%E0%A4%A`] });
+    assert.notStrictEqual(multi.status, 500);
+});
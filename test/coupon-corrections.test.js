@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, Client, signupTenant, createCampaign, submitForm } = require('./helpers');
+
+test('redemptions are reversed within the window, coupons voided and reissued, all on the customer record', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+    const campaign = await createCampaign(admin);
+    const issue = async (email, ip) => {
+        await submitForm(server.baseUrl, campaign.campaign_code, { email }, { 'x-forwarded-for': ip });
+        return db.get('SELECT * FROM coupons WHERE user_id = (SELECT id FROM users WHERE email = ?)', email);
+    };
+    const redeem = (code) => admin.post(`/t/demo/api/coupons/${code}/redeem`, {});
+    const reverse = (code) => admin.post(`/t/demo/api/store/coupons/${code}/reverse`, {});
+
+    const coupon = await issue('anna@example.com', '10.0.3.1');
+    assert.strictEqual((await redeem(coupon.code)).status, 200);
+    const reversed = await reverse(coupon.code);
+    assert.strictEqual(reversed.status, 200, JSON.stringify(reversed.data));
+    assert.strictEqual(reversed.data.status, 'active');
+    assert.match((await reverse(coupon.code)).data.error, /Nessun riscatto/);
+
+    // Past REDEMPTION_REVERSAL_WINDOW_MS the use stands
+    assert.strictEqual((await redeem(coupon.code)).status, 200);
+    await db.run("UPDATE coupon_redemptions SET redeemed_at = datetime('now', '-1 hour') WHERE coupon_id = ? AND reversed_at IS NULL", coupon.id);
+    const late = await reverse(coupon.code);
+    assert.strictEqual(late.status, 400);
+    assert.match(late.data.error, /Tempo massimo/);
+
+    const other = await issue('bruno@example.com', '10.0.3.2');
+    assert.strictEqual((await admin.post(`/t/demo/api/admin/coupons/${other.id}/void`, {})).status, 400);
+    const voided = await admin.post(`/t/demo/api/admin/coupons/${other.id}/void`, { reason: 'Emesso per errore' });
+    assert.strictEqual(voided.status, 200);
+    assert.strictEqual(voided.data.status, 'cancelled');
+    assert.strictEqual((await redeem(other.code)).status, 400);
+
+    const reissued = await admin.post(`/t/demo/api/admin/coupons/${coupon.id}/reissue`, { reason: 'Stampato male' });
+    assert.strictEqual(reissued.status, 200, JSON.stringify(reissued.data));
+    assert.strictEqual(reissued.data.supersedes, coupon.code);
+    assert.strictEqual((await admin.post(`/t/demo/api/admin/coupons/${coupon.id}/reissue`, {})).status, 400);
+    assert.strictEqual((await redeem(reissued.data.code)).status, 200);
+
+    const list = await admin.get(`/api/admin/users/${coupon.user_id}/coupons`);
+    assert.strictEqual(list.status, 200);
+    const old = list.data.find(c => c.code === coupon.code);
+    const fresh = list.data.find(c => c.code === reissued.data.code);
+    assert.strictEqual(old.status, 'cancelled');
+    assert.strictEqual(old.void_reason, 'Stampato male');
+    assert.strictEqual(old.superseded_by_code, reissued.data.code);
+    assert.strictEqual(fresh.reissued_from_code, coupon.code);
+    assert.deepStrictEqual(old.redemptions.map(r => r.reversed_at !== null), [true, false]);
+
+    // Every correction is logged with the coupon before and after
+    const logs = await db.all("SELECT action_description, details FROM system_logs WHERE action_description LIKE 'Riscatto stornato%' OR action_description LIKE 'Coupon annullato%' OR action_description LIKE 'Coupon riemesso%' ORDER BY id");
+    assert.strictEqual(logs.length, 3);
+    const voidLog = JSON.parse(logs[1].details);
+    assert.strictEqual(voidLog.before.status, 'active');
+    assert.strictEqual(voidLog.after.status, 'cancelled');
+
+    // The routes without a tenant in the path only reach the session tenant's coupons
+    const outsider = new Client(server.baseUrl);
+    assert.strictEqual((await outsider.post('/api/signup', { tenantName: 'Altro', adminUsername: 'altroadmin', adminPassword: 'altro123' })).status, 200);
+    const target = await issue('carla@example.com', '10.0.3.3');
+    assert.strictEqual((await redeem(target.code)).status, 200);
+    for (const action of ['void', 'reissue', 'reverse']) {
+        const res = await outsider.post(`/api/admin/coupons/${target.id}/${action}`, { reason: 'Prova' });
+        assert.strictEqual(res.status, 404, action);
+    }
+    assert.strictEqual((await outsider.post(`/api/store/coupons/${target.code}/reverse`, {})).status, 404);
+    assert.strictEqual((await db.get('SELECT status FROM coupons WHERE id = ?', target.id)).status, 'redeemed');
+    assert.strictEqual((await admin.post(`/api/admin/coupons/${target.id}/reverse`, {})).status, 200);
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, signupTenant, createCampaign, submitForm } = require('./helpers');
+
+test('discount rules apply to each coupon by its own discount type', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+
+    const campaign = await createCampaign(admin);
+    const rulesUrl = `/t/demo/api/admin/campaigns/${campaign.id}/discount-rules`;
+    const variantsUrl = `/t/demo/api/admin/campaigns/${campaign.id}/variants`;
+    const threeForTwo = { buy_x_get_y: { buy: 2, get: 1 } };
+    // A percent campaign has no text coupon to price as "3x2" until a variant brings one
+    assert.strictEqual((await admin.put(rulesUrl, { discount_rules: threeForTwo })).status, 400);
+    assert.strictEqual((await admin.put(variantsUrl, { variants: [
+        { label: 'Percentuale', discount_type: 'percent', discount_value: '20' },
+        { label: 'Tre per due', discount_type: 'text', discount_value: '3x2' },
+        { label: 'Buono', discount_type: 'fixed', discount_value: '5' }
+    ] })).status, 200);
+    assert.strictEqual((await admin.put(rulesUrl, { discount_rules: { max_discount: 5, ...threeForTwo } })).status, 200);
+
+    // Issue until every variant has a coupon (the pick is a hash of the email)
+    const coupons = {};
+    for (let i = 0; i < 40 && Object.keys(coupons).length < 3; i++) {
+        const email = `cliente${i}@example.com`;
+        await submitForm(server.baseUrl, campaign.campaign_code, { email }, { 'x-forwarded-for': `10.0.1.${i}` });
+        const coupon = await db.get('SELECT * FROM coupons WHERE user_id = (SELECT id FROM users WHERE email = ?)', email);
+        coupons[coupon.discount_type] = coupons[coupon.discount_type] || coupon.code;
+    }
+    assert.deepStrictEqual(Object.keys(coupons).sort(), ['fixed', 'percent', 'text']);
+    const redeem = (code, body = {}) => admin.post(`/t/demo/api/coupons/${code}/redeem`, body);
+
+    // The fixed voucher has no rule of its type: no basket asked
+    const fixed = await redeem(coupons.fixed);
+    assert.strictEqual(fixed.status, 200, JSON.stringify(fixed.data));
+    assert.strictEqual((await admin.get(`/t/demo/api/coupons/${coupons.percent}`)).data.basketRequired, true);
+
+    // The variant's 20% is capped by max_discount
+    const percent = await redeem(coupons.percent, { basket: [{ sku: 'A', price: 100 }] });
+    assert.strictEqual(percent.status, 200, JSON.stringify(percent.data));
+    assert.strictEqual(percent.data.basket.discount, 5);
+
+    // The text variant is priced as 3x2: the cheapest of three is free
+    assert.strictEqual((await redeem(coupons.text)).status, 400);
+    const text = await redeem(coupons.text, { basket: [{ sku: 'A', price: 10 }, { sku: 'B', price: 8 }, { sku: 'C', price: 6 }] });
+    assert.strictEqual(text.status, 200, JSON.stringify(text.data));
+    assert.strictEqual(text.data.basket.discount, 6);
+
+    // Changes that would leave a rule without coupons to apply to are refused
+    const other = await createCampaign(admin, { name: 'Omaggio', discount_type: 'text', discount_value: 'Omaggio' });
+    const otherVariants = `/t/demo/api/admin/campaigns/${other.id}/variants`;
+    assert.strictEqual((await admin.put(otherVariants, { variants: [{ label: 'Sconto', discount_type: 'percent', discount_value: '15' }] })).status, 200);
+    assert.strictEqual((await admin.put(`/t/demo/api/admin/campaigns/${other.id}/discount-rules`, { discount_rules: { max_discount: 10 } })).status, 200);
+    const dropped = await admin.put(otherVariants, { variants: [] });
+    assert.strictEqual(dropped.status, 400);
+    assert.match(dropped.data.error, /sconto massimo/i);
+    const prizes = await admin.put(`/t/demo/api/admin/campaigns/${other.id}/prizes`, { prizes: [{ label: 'Buono', probability: 0.5, discount_type: 'fixed', discount_value: '5' }] });
+    assert.strictEqual(prizes.status, 200);
+
+    const referral = await createCampaign(admin, {
+        name: 'Porta un amico',
+        campaign_type: 'referral',
+        referral_reward: { discount_type: 'percent', discount_value: '10' },
+        discount_type: 'fixed',
+        discount_value: '5',
+        discount_rules: { max_discount: 3 }
+    });
+    assert.ok(referral.id);
+    const switched = await admin.put(`/t/demo/api/admin/campaigns/${referral.id}/type`, { campaign_type: 'standard' });
+    assert.strictEqual(switched.status, 400);
+    assert.match(switched.data.error, /sconto massimo/i);
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const net = require('net');
+const { startApp, signupTenant, fakeResolver, publishDnsRecords } = require('./helpers');
+
+// SMTP server that accepts every message and keeps its DATA (dot-stuffing undone)
+async function startSmtpCapture() {
+    const messages = [];
+    const sockets = new Set();
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        let buffer = '';
+        let inData = false;
+        socket.write('220 capture ESMTP\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('utf8');
+            for (;;) {
+                if (inData) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end < 0) return;
+                    messages.push(buffer.slice(0, end + 2).split('\r\n').map(l => (l.startsWith('..') ? l.slice(1) : l)).join('\r\n'));
+                    buffer = buffer.slice(end + 5);
+                    inData = false;
+                    socket.write('250 queued\r\n');
+                    continue;
+                }
+                const eol = buffer.indexOf('\r\n');
+                if (eol < 0) return;
+                const command = buffer.slice(0, eol).toUpperCase();
+                buffer = buffer.slice(eol + 2);
+                if (command.startsWith('EHLO')) socket.write('250-capture\r\n250 8BITMIME\r\n');
+                else if (command === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+                else if (command === 'QUIT') { socket.end('221 bye\r\n'); return; }
+                else socket.write('250 ok\r\n');
+            }
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return {
+        messages,
+        port: server.address().port,
+        close() {
+            // The app's transport may keep its connection open for the next message
+            for (const socket of sockets) socket.destroy();
+            return new Promise((resolve) => server.close(resolve));
+        }
+    };
+}
+
+// DKIM verification (RFC 6376) of a raw message for rsa-sha256 with relaxed/relaxed canonicalization,
+// the only combination we sign with. Returns the signature's tags when it verifies, throws otherwise.
+function verifyDkim(raw, publicKeyBase64) {
+    const split = raw.indexOf('\r\n\r\n');
+    const headers = [];
+    for (const line of raw.slice(0, split).split('\r\n')) {
+        if (/^[ \t]/.test(line)) headers[headers.length - 1] += `\r\n${line}`;
+        else headers.push(line);
+    }
+    const nameOf = (header) => header.slice(0, header.indexOf(':')).trim().toLowerCase();
+    const relaxedHeader = (header) => `${nameOf(header)}:${header.slice(header.indexOf(':') + 1).replace(/\r\n/g, '').replace(/[ \t]+/g, ' ').trim()}`;
+    const signature = headers.find(h => nameOf(h) === 'dkim-signature');
+    if (!signature) throw new Error('no DKIM-Signature');
+    const tags = Object.fromEntries(signature.slice(signature.indexOf(':') + 1).replace(/\s+/g, '').split(';').filter(Boolean)
+        .map(tag => [tag.slice(0, tag.indexOf('=')), tag.slice(tag.indexOf('=') + 1)]));
+    if (tags.a !== 'rsa-sha256' || tags.c !== 'relaxed/relaxed') throw new Error(`unexpected a=${tags.a} c=${tags.c}`);
+
+    const lines = raw.slice(split + 4).split('\r\n').map(l => l.replace(/[ \t]+/g, ' ').replace(/ $/, ''));
+    while (lines.length && lines[lines.length - 1] === '') lines.pop();
+    const bodyHash = crypto.createHash('sha256').update(lines.length ? `${lines.join('\r\n')}\r\n` : '').digest('base64');
+    if (bodyHash !== tags.bh) throw new Error('body hash mismatch');
+
+    // Signed headers are taken from the bottom up, each instance once
+    const remaining = headers.filter(h => h !== signature);
+    const signed = [];
+    for (const name of tags.h.toLowerCase().split(':')) {
+        const index = remaining.map(nameOf).lastIndexOf(name);
+        if (index >= 0) signed.push(relaxedHeader(remaining.splice(index, 1)[0]));
+    }
+    signed.push(relaxedHeader(signature).replace(/(;\s*b=)[^;]*/, '$1'));
+    const key = crypto.createPublicKey({ key: Buffer.from(publicKeyBase64, 'base64'), format: 'der', type: 'spki' });
+    if (!crypto.verify('sha256', Buffer.from(signed.join('\r\n')), key, Buffer.from(tags.b, 'base64'))) throw new Error('bad signature');
+    return tags;
+}
+
+test('DKIM keys are added without suspending active domains and sign the mail sent from them', async (t) => {
+    const smtp = await startSmtpCapture();
+    const server = await startApp({ SMTP_HOST: '127.0.0.1', SMTP_PORT: String(smtp.port) });
+    t.after(async () => {
+        await server.close();
+        await smtp.close();
+    });
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+
+    // Registered and activated before domains had keys of their own
+    const { id: tenantId } = await db.get("SELECT id FROM tenants WHERE slug = 'demo'");
+    const { lastID } = await db.run(
+        "INSERT INTO tenant_domains (tenant_id, domain, verification_token, status, verified_at) VALUES (?, 'negozio.it', 'abc', 'active', CURRENT_TIMESTAMP)",
+        tenantId
+    );
+    const resolver = fakeResolver();
+    publishDnsRecords(resolver, [
+        { type: 'TXT', name: '_coupongen.negozio.it', value: 'coupongen-verification=abc' },
+        { type: 'TXT', name: 'negozio.it', value: 'v=spf1 include:mailgun.org ~all' },
+        { type: 'CNAME', name: 'coupongen._domainkey.negozio.it', value: 'coupongen._domainkey.send.coupongen.it' }
+    ]);
+    const row = await server.checkSendingDomain(db, await db.get('SELECT * FROM tenant_domains WHERE id = ?', lastID), resolver);
+    assert.strictEqual(row.status, 'active');
+    assert.ok(row.dkim_public_key);
+    const records = JSON.parse(row.dns_records);
+    assert.strictEqual(records.find(r => r.purpose === 'dkim_key').status, 'missing');
+
+    const sent = await admin.get('/t/demo/api/admin/test-email?to=cliente@example.com');
+    assert.strictEqual(sent.status, 200, JSON.stringify(sent.data));
+    assert.strictEqual(smtp.messages.length, 1);
+    const [message] = smtp.messages;
+    const tags = verifyDkim(message, row.dkim_public_key);
+    assert.strictEqual(tags.d, 'negozio.it');
+    assert.strictEqual(tags.s, row.dkim_selector);
+    assert.match(message, /^From: .*<no-reply@negozio\.it>/m);
+
+    assert.throws(() => verifyDkim(message.replace('Test email da', 'Test email di'), row.dkim_public_key), /body hash/);
+    const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+    assert.throws(() => verifyDkim(message, otherKey), /bad signature/);
+});
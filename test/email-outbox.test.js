@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const { setTimeout: sleep } = require('timers/promises');
+const { startApp, signupTenant, createCampaign } = require('./helpers');
+
+// The first send happens in the background after the submit has been answered
+async function eventually(check) {
+    for (let i = 0; i < 50; i++) {
+        if (await check()) return;
+        await sleep(50);
+    }
+    assert.fail('email not sent in time');
+}
+
+const secondsFromNow = (sqlDateTime) => (Date.parse(`${sqlDateTime.replace(' ', 'T')}Z`) - Date.now()) / 1000;
+
+test('a coupon email that cannot be sent is retried with backoff, marked failed and sent again on request', async (t) => {
+    const server = await startApp({ EMAIL_OUTBOX_MAX_ATTEMPTS: '3' });
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+
+    // The tenant's SMTP host resolves when saved and stops resolving afterwards: every send fails
+    const resolved = { 'smtp.negozio.it': '198.51.100.7' };
+    t.mock.method(dns.promises, 'lookup', async (host) => {
+        if (!resolved[host]) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+        return [{ address: resolved[host], family: 4 }];
+    });
+    assert.strictEqual((await admin.put('/t/demo/api/admin/email-provider', {
+        provider: 'smtp', from_address: 'Negozio <promo@negozio.it>', smtp: { host: 'smtp.negozio.it', port: 587 }
+    })).status, 200);
+    delete resolved['smtp.negozio.it'];
+
+    // The customer gets the thanks page all the same
+    const campaign = await createCampaign(admin);
+    const submitted = await admin.post('/t/demo/submit', { email: 'cliente@example.com', firstName: 'Anna', lastName: 'Rossi', campaign_id: campaign.campaign_code });
+    assert.strictEqual(submitted.status, 302);
+    assert.match(submitted.headers.get('location'), /pdf=/);
+
+    const outbox = () => db.get('SELECT * FROM email_outbox');
+    await eventually(async () => (await outbox()).attempts === 1);
+    let item = await outbox();
+    assert.strictEqual(item.status, 'pending');
+    assert.match(item.last_error, /Host SMTP non trovato/);
+    const firstDelay = secondsFromNow(item.next_attempt_at);
+    assert.ok(firstDelay > 50 && firstDelay <= 60, String(firstDelay));
+
+    // Nothing is due before the backoff is over
+    await server.processEmailOutbox();
+    assert.strictEqual((await outbox()).attempts, 1);
+
+    const retryNow = async () => {
+        await db.run("UPDATE email_outbox SET next_attempt_at = datetime('now', '-1 second')");
+        await server.processEmailOutbox();
+        return outbox();
+    };
+    item = await retryNow();
+    assert.strictEqual(item.status, 'pending');
+    assert.strictEqual(item.attempts, 2);
+    const secondDelay = secondsFromNow(item.next_attempt_at);
+    assert.ok(secondDelay > 110 && secondDelay <= 120, String(secondDelay));
+
+    // The last attempt gives up
+    item = await retryNow();
+    assert.strictEqual(item.status, 'failed');
+    assert.strictEqual(item.attempts, 3);
+    assert.strictEqual(item.next_attempt_at, null);
+
+    const { code } = await db.get('SELECT code FROM coupons WHERE id = ?', item.coupon_id);
+    const failed = (await admin.get('/t/demo/api/admin/email-outbox')).data;
+    assert.deepStrictEqual(failed.counts, { failed: 1 });
+    assert.strictEqual(failed.emails.length, 1);
+    assert.strictEqual(failed.emails[0].coupon_code, code);
+    assert.strictEqual(failed.emails[0].to_email, 'cliente@example.com');
+
+    // Back on the platform provider, the resend goes through
+    assert.strictEqual((await admin.post('/t/demo/api/admin/email-outbox/999/resend', {})).status, 404);
+    assert.strictEqual((await admin.put('/t/demo/api/admin/email-provider', { provider: 'platform' })).status, 200);
+    assert.strictEqual((await admin.post(`/t/demo/api/admin/email-outbox/${item.id}/resend`, {})).status, 200);
+    await eventually(async () => (await outbox()).status === 'sent');
+    item = await outbox();
+    assert.strictEqual(item.attempts, 1);
+    assert.strictEqual(item.last_error, null);
+    assert.notStrictEqual(item.from_address, 'Negozio <promo@negozio.it>');
+    assert.deepStrictEqual((await admin.get('/t/demo/api/admin/email-outbox?status=sent')).data.counts, { sent: 1 });
+});
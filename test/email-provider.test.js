@@ -0,0 +1,42 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const { startApp, signupTenant } = require('./helpers');
+
+test('tenant SMTP hosts on the internal network are refused', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    // Names resolve to whatever this table says instead of the real DNS
+    const resolved = { 'smtp.negozio.it': '198.51.100.7', 'rebind.negozio.it': '10.0.0.5', 'mapped.negozio.it': '::ffff:127.0.0.1' };
+    t.mock.method(dns.promises, 'lookup', async (host) => {
+        if (!resolved[host]) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+        return [{ address: resolved[host], family: resolved[host].includes(':') ? 6 : 4 }];
+    });
+    const save = (host) => admin.put('/t/demo/api/admin/email-provider', {
+        provider: 'smtp', from_address: 'Negozio <promo@negozio.it>', smtp: { host, port: 587 }
+    });
+
+    for (const host of ['localhost', '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.10', '169.254.169.254', '0.0.0.0',
+        'mailserver', 'smtp.internal', 'printer.local', 'rebind.negozio.it', 'mapped.negozio.it']) {
+        const res = await save(host);
+        assert.strictEqual(res.status, 400, host);
+        assert.match(res.data.error, /Host SMTP/, host);
+    }
+    assert.strictEqual((await save('nowhere.negozio.it')).status, 400);
+
+    assert.strictEqual((await save('203.0.113.25')).status, 200);
+    assert.strictEqual((await save('smtp.negozio.it')).status, 200);
+    const settings = await admin.get('/t/demo/api/admin/email-provider');
+    assert.strictEqual(settings.data.smtp.host, 'smtp.negozio.it');
+
+    // The tenant's own provider sends without a verified sending domain (that only gates the platform provider).
+    // Its host is resolved again when the transport is built: repointing it at an internal address doesn't work.
+    assert.strictEqual(settings.data.sender_domain_active, false);
+    resolved['smtp.negozio.it'] = '169.254.169.254';
+    const sent = await admin.get('/t/demo/api/admin/test-email?to=cliente@example.com');
+    assert.strictEqual(sent.status, 500);
+    assert.match(sent.data.error, /Host SMTP non consentito/);
+});
@@ -0,0 +1,25 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, signupTenant, createCampaign, submitForm } = require('./helpers');
+
+test('coupon emails print the expiry date in the tenant time zone', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    assert.strictEqual((await admin.put('/t/demo/api/admin/timezone', { timezone: 'America/Los_Angeles' })).status, 200);
+    const template = await admin.post('/t/demo/api/admin/email-template', {
+        subject: 'Scade il {{coupon.expiry}}',
+        html: '<p>Valido fino al {{campaign.expiry}}</p>'
+    });
+    assert.strictEqual(template.status, 200);
+    // 02:00 UTC on 1 January is still 31 December in Los Angeles
+    const campaign = await createCampaign(admin, { coupon_expiry_date: '2099-01-01T02:00:00Z' });
+    await submitForm(server.baseUrl, campaign.campaign_code);
+
+    const db = await server.getDb();
+    const email = await db.get('SELECT subject, html FROM email_outbox');
+    assert.strictEqual(email.subject, 'Scade il 31/12/2098');
+    assert.match(email.html, /Valido fino al 31\/12\/2098/);
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, signupTenant, createCampaign, submitForm } = require('./helpers');
+
+test('a coupon expiry date lasts until the end of that day in the tenant time zone', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+
+    await admin.post('/t/demo/api/admin/email-template', { subject: 'Il tuo coupon', html: '<p>Valido fino al {{coupon.expiry}}</p>' });
+
+    // Default zone: Europe/Rome, one hour ahead of UTC in winter
+    const campaign = await createCampaign(admin, { coupon_expiry_date: '2098-12-31' });
+    assert.strictEqual((await db.get('SELECT coupon_expiry_date FROM campaigns WHERE id = ?', campaign.id)).coupon_expiry_date, '2098-12-31 22:59:59');
+    await submitForm(server.baseUrl, campaign.campaign_code);
+    assert.strictEqual((await db.get('SELECT expires_at FROM coupons')).expires_at, '2098-12-31 22:59:59');
+    assert.strictEqual((await db.get('SELECT html FROM email_outbox')).html, '<p>Valido fino al 31/12/2098</p>');
+
+    assert.strictEqual((await admin.put('/t/demo/api/admin/timezone', { timezone: 'America/New_York' })).status, 200);
+    const updated = await admin.put(`/t/demo/api/admin/campaigns/${campaign.id}/expiry`, { coupon_expiry_date: '2098-06-30' });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.data.coupon_expiry_date, '2098-07-01 03:59:59');
+    // A time of day is local too; an explicit offset is taken as given
+    const timed = await admin.put(`/t/demo/api/admin/campaigns/${campaign.id}/expiry`, { coupon_expiry_date: '2098-06-30 12:00' });
+    assert.strictEqual(timed.data.coupon_expiry_date, '2098-06-30 16:00:00');
+    const absolute = await admin.put(`/t/demo/api/admin/campaigns/${campaign.id}/expiry`, { coupon_expiry_date: '2098-06-30T12:00:00Z' });
+    assert.strictEqual(absolute.data.coupon_expiry_date, '2098-06-30 12:00:00');
+    assert.strictEqual((await admin.put(`/t/demo/api/admin/campaigns/${campaign.id}/expiry`, { coupon_expiry_date: '31/12/2098' })).status, 400);
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+// Shared setup for the integration tests: the app on a random port over a throwaway data directory.
+// Each test file runs in its own process, so each gets its own database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+// The migration in getDb() expects auth_users to exist (every database it was written for had one)
+function createDataDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coupongen-test-'));
+    const db = new sqlite3.Database(path.join(dir, 'coupons.db'));
+    return new Promise((resolve, reject) => {
+        db.exec(`
+            CREATE TABLE auth_users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL UNIQUE,
+                password_hash TEXT NOT NULL,
+                user_type TEXT NOT NULL CHECK (user_type IN ('superadmin', 'admin', 'store')),
+                is_active BOOLEAN DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_login DATETIME,
+                first_name TEXT,
+                last_name TEXT,
+                email TEXT
+            );
+        `, (err) => db.close(() => (err ? reject(err) : resolve(dir))));
+    });
+}
+
+async function startApp(env = {}) {
+    const dir = await createDataDir();
+    Object.assign(process.env, {
+        DATA_DIR: dir,
+        UPLOADS_DIR: path.join(dir, 'uploads'),
+        SETTINGS_ENCRYPTION_KEY: 'test-settings-key',
+        MAIL_PROVIDER: '',
+        SMTP_HOST: ''
+    }, env);
+    const server = require('../server');
+    await server.getDb();
+    const listener = await new Promise((resolve) => {
+        const l = server.app.listen(0, '127.0.0.1', () => resolve(l));
+    });
+    const baseUrl = `http://127.0.0.1:${listener.address().port}`;
+    return {
+        ...server,
+        baseUrl,
+        dataDir: dir,
+        // The database stays open for work the app still has in flight (the email outbox); the directory
+        // goes when the process exits
+        async close() {
+            await new Promise((resolve) => listener.close(resolve));
+            process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+        }
+    };
+}
+
+// Minimal cookie-keeping HTTP client
+class Client {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl;
+        this.cookie = '';
+    }
+
+    async request(method, url, body, extraHeaders = {}) {
+        const headers = { ...extraHeaders };
+        if (this.cookie) headers.cookie = this.cookie;
+        if (body !== undefined) headers['content-type'] = 'application/json';
+        const res = await fetch(this.baseUrl + url, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body),
+            redirect: 'manual'
+        });
+        const setCookie = res.headers.get('set-cookie');
+        if (setCookie) this.cookie = setCookie.split(';')[0];
+        const text = await res.text();
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            data = text;
+        }
+        return { status: res.status, headers: res.headers, data };
+    }
+
+    get(url) { return this.request('GET', url); }
+    post(url, body, headers) { return this.request('POST', url, body, headers); }
+    put(url, body) { return this.request('PUT', url, body); }
+}
+
+// Signs up tenant "demo" and returns a client logged in as its admin
+async function signupTenant(baseUrl) {
+    const admin = new Client(baseUrl);
+    const res = await admin.post('/api/signup', { tenantName: 'Demo', adminUsername: 'demoadmin', adminPassword: 'demo123' });
+    if (res.status !== 200) throw new Error(`signup failed: ${res.status} ${JSON.stringify(res.data)}`);
+    return admin;
+}
+
+// Creates and activates a campaign of tenant "demo"
+async function createCampaign(admin, body = {}) {
+    const res = await admin.post('/t/demo/api/admin/campaigns', { name: 'Test', discount_type: 'percent', discount_value: '10', ...body });
+    if (res.status !== 200) throw new Error(`campaign create failed: ${res.status} ${JSON.stringify(res.data)}`);
+    await admin.put(`/t/demo/api/admin/campaigns/${res.data.id}/activate`);
+    return res.data;
+}
+
+// Submits the public form; resolves to the coupon's public token (the thanks page's ?pdf=)
+async function submitForm(baseUrl, campaignCode, fields = {}, headers = {}) {
+    const res = await new Client(baseUrl).post('/t/demo/submit', { email: 'cliente@example.com', firstName: 'Anna', lastName: 'Rossi', campaign_id: campaignCode, ...fields }, headers);
+    const location = res.headers.get('location') || '';
+    const token = new URL(location, baseUrl).searchParams.get('pdf');
+    if (!token) throw new Error(`submit failed: ${res.status} ${location}`);
+    return token;
+}
+
+// Stand-in for dns.promises.Resolver serving the records in `zone` (name -> { TXT: [...], CNAME: [...] });
+// `failing` makes every lookup fail
+function fakeResolver() {
+    const resolver = {
+        zone: {},
+        failing: false,
+        lookup(type, name) {
+            if (resolver.failing) return Promise.reject(Object.assign(new Error('queryTxt ESERVFAIL'), { code: 'ESERVFAIL' }));
+            const values = resolver.zone[name]?.[type];
+            if (!values) return Promise.reject(Object.assign(new Error(`query ENOTFOUND ${name}`), { code: 'ENOTFOUND' }));
+            return Promise.resolve(values);
+        },
+        resolveTxt: (name) => resolver.lookup('TXT', name).then(values => values.map(v => [v])),
+        resolveCname: (name) => resolver.lookup('CNAME', name)
+    };
+    return resolver;
+}
+
+// Adds { type, name, value } records (as listed in a sending domain's dns_records) to the fake resolver's zone
+function publishDnsRecords(resolver, records) {
+    for (const record of records) {
+        const entry = resolver.zone[record.name] = resolver.zone[record.name] || {};
+        entry[record.type] = [...(entry[record.type] || []), record.value];
+    }
+}
+
+module.exports = { startApp, Client, signupTenant, createCampaign, submitForm, fakeResolver, publishDnsRecords };
@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startApp, Client, signupTenant, createCampaign } = require('./helpers');
+
+test('instant-win draws keep prize stock under simultaneous plays and can be replayed from the log', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+    const campaign = await createCampaign(admin, { name: 'Gratta e vinci', campaign_type: 'instant_win' });
+    const prizesUrl = `/t/demo/api/admin/campaigns/${campaign.id}/prizes`;
+    let ip = 0;
+    const play = (email) => new Client(server.baseUrl).post(
+        '/t/demo/submit',
+        { email, firstName: 'Anna', lastName: 'Rossi', campaign_id: campaign.campaign_code },
+        { 'x-forwarded-for': `10.0.8.${ip++}` }
+    );
+    const won = (res) => (res.headers.get('location') || '').includes('pdf=');
+
+    assert.strictEqual((await admin.put(prizesUrl, { prizes: [
+        { label: 'A', probability: 0.7, discount_type: 'percent', discount_value: '10' },
+        { label: 'B', probability: 0.4, discount_type: 'percent', discount_value: '20' }
+    ] })).status, 400);
+
+    // A sure win with three in stock: ten players at once, three winners
+    const saved = await admin.put(prizesUrl, {
+        prizes: [{ label: 'Caffè', probability: 1, quantity: 3, discount_type: 'text', discount_value: 'Un caffè' }],
+        consolation_message: 'Ritenta!'
+    });
+    assert.strictEqual(saved.status, 200);
+    const rush = await Promise.all(Array.from({ length: 10 }, (_, i) => play(`giocatore${i}@example.com`)));
+    assert.strictEqual(rush.filter(won).length, 3);
+    assert.ok(rush.filter(r => !won(r)).every(r => r.headers.get('location').includes('reason=no_win')));
+    const [coffee] = saved.data;
+    assert.strictEqual((await db.get('SELECT awarded_count FROM campaign_prizes WHERE id = ?', coffee.id)).awarded_count, 3);
+    const coupons = await db.all('SELECT discount_type, discount_value, prize_id FROM coupons WHERE campaign_id = ?', campaign.id);
+    assert.deepStrictEqual(coupons, Array(3).fill({ discount_type: 'text', discount_value: 'Un caffè', prize_id: coffee.id }));
+    assert.strictEqual((await admin.put(prizesUrl, { prizes: [{ ...coffee, quantity: 2 }] })).status, 400);
+
+    // The coffee stays sold out; an even chance at an unlimited discount joins it
+    assert.strictEqual((await admin.put(prizesUrl, { prizes: [
+        { ...coffee, probability: 0.25, quantity: 3 },
+        { label: 'Sconto', probability: 0.5, discount_type: 'percent', discount_value: '15' }
+    ], consolation_message: 'Ritenta!' })).status, 200);
+    for (let i = 0; i < 20; i++) await play(`secondo${i}@example.com`);
+    const summary = (await admin.get(prizesUrl)).data;
+    assert.strictEqual(summary.consolation_message, 'Ritenta!');
+    assert.strictEqual(summary.draws.won + summary.draws.lost + summary.draws.out_of_stock, 30);
+    assert.strictEqual(summary.draws.won, 3 + summary.prizes.find(p => p.label === 'Sconto').awarded_count);
+
+    // Every draw in the log can be recomputed from its seed against the odds in force at the time
+    const csv = await admin.get(`/t/demo/api/admin/campaigns/${campaign.id}/draws.csv`);
+    assert.strictEqual(csv.status, 200);
+    const draws = await db.all('SELECT d.*, p.label FROM prize_draws d LEFT JOIN campaign_prizes p ON p.id = d.prize_id ORDER BY d.id');
+    assert.strictEqual(csv.data.split('\n').length, draws.length + 1);
+    for (const d of draws) {
+        assert.ok(csv.data.includes(d.seed));
+        const roll = crypto.createHash('sha256').update(d.seed).digest().readUIntBE(0, 6) / 2 ** 48;
+        assert.strictEqual(roll, d.roll);
+        let upper = 0;
+        const picked = JSON.parse(d.odds).find(p => roll < (upper += p.probability));
+        if (!picked) {
+            assert.strictEqual(d.outcome, 'lost');
+        } else {
+            assert.strictEqual(d.label, picked.label);
+            assert.strictEqual(d.outcome, picked.quantity !== null && picked.awarded >= picked.quantity ? 'out_of_stock' : d.outcome);
+            assert.ok(['won', 'out_of_stock'].includes(d.outcome));
+        }
+    }
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, Client, signupTenant, createCampaign } = require('./helpers');
+
+test('issuance caps hold under simultaneous submits', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+    const submit = (campaign, email, i) => new Client(server.baseUrl).post(
+        '/t/demo/submit',
+        { email, firstName: 'Anna', lastName: 'Rossi', campaign_id: campaign.campaign_code },
+        { 'x-forwarded-for': `10.0.5.${i}` }
+    );
+    const outcomes = (responses) => responses.map(r => {
+        const location = r.headers.get('location') || '';
+        if (location.includes('pdf=')) return 'issued';
+        return new URL(location, server.baseUrl).searchParams.get('reason') || 'sold_out';
+    }).sort();
+
+    // "The first 3 signups"
+    const firstThree = await createCampaign(admin, { name: 'Primi tre', max_coupons: 3 });
+    const rush = await Promise.all(Array.from({ length: 8 }, (_, i) => submit(firstThree, `cliente${i}@example.com`, i)));
+    assert.deepStrictEqual(outcomes(rush), ['issued', 'issued', 'issued', 'sold_out', 'sold_out', 'sold_out', 'sold_out', 'sold_out']);
+    assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM coupons WHERE campaign_id = ?', firstThree.id)).n, 3);
+    let info = (await admin.get(`/t/demo/api/campaigns/${firstThree.campaign_code}`)).data;
+    assert.strictEqual(info.remaining, 0);
+    assert.strictEqual(info.sold_out, true);
+
+    // A voided coupon gives its slot back
+    const { id } = await db.get('SELECT id FROM coupons WHERE campaign_id = ? LIMIT 1', firstThree.id);
+    assert.strictEqual((await admin.post(`/t/demo/api/admin/coupons/${id}/void`, { reason: 'Doppione' })).status, 200);
+    info = (await admin.get(`/t/demo/api/campaigns/${firstThree.campaign_code}`)).data;
+    assert.strictEqual(info.remaining, 1);
+
+    // One coupon per customer, however many times a new customer sends the form at once
+    // (three sends, the most EMAIL_MAX_PER_DAY lets through)
+    const once = await createCampaign(admin, { name: 'Uno a testa', max_per_customer: 1 });
+    const repeated = await Promise.all(Array.from({ length: 3 }, (_, i) => submit(once, 'anna@example.com', 20 + i)));
+    assert.deepStrictEqual(outcomes(repeated), ['customer_limit', 'customer_limit', 'issued']);
+    assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM coupons WHERE campaign_id = ?', once.id)).n, 1);
+});
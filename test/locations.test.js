@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, Client, signupTenant, createCampaign, submitForm } = require('./helpers');
+
+test('campaigns limited to some shops are only redeemed there, by operators assigned to them', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+
+    const centro = (await admin.post('/t/demo/api/admin/locations', { name: 'Centro', address: 'Via Roma 1', opening_hours: '9-19' })).data;
+    const stazione = (await admin.post('/t/demo/api/admin/locations', { name: 'Stazione' })).data;
+    assert.strictEqual((await admin.post('/t/demo/api/admin/locations', { name: 'Centro' })).status, 400);
+    assert.strictEqual((await admin.get('/t/demo/api/admin/locations')).data.length, 2);
+
+    const campaign = await createCampaign(admin);
+    const restrict = (ids) => admin.post(`/t/demo/api/admin/campaigns/${campaign.id}/locations`, { location_ids: ids });
+    assert.strictEqual((await restrict([centro.id, 9999])).status, 400);
+    assert.strictEqual((await restrict([centro.id])).status, 200);
+    await submitForm(server.baseUrl, campaign.campaign_code);
+    const { code } = await db.get('SELECT code FROM coupons');
+
+    const cassa = await admin.post('/api/admin/auth-users', { username: 'cassa1', password: 'cassa123', user_type: 'store' });
+    const assign = (client, id, ids) => client.post(`/t/demo/api/admin/auth-users/${id}/locations`, { location_ids: ids });
+    assert.strictEqual((await assign(admin, cassa.data.id, [stazione.id, 9999])).status, 400);
+    assert.strictEqual((await assign(admin, cassa.data.id, [stazione.id])).status, 200);
+    const store = new Client(server.baseUrl);
+    await store.post('/api/login', { username: 'cassa1', password: 'cassa123', userType: 'store' });
+    assert.deepStrictEqual((await store.get('/t/demo/api/store/locations')).data.map(l => l.name), ['Stazione']);
+
+    // Another tenant's admin can't reach this tenant's operators, nor give its own operators this tenant's shops
+    const outsider = new Client(server.baseUrl);
+    assert.strictEqual((await outsider.post('/api/signup', { tenantName: 'Altro', adminUsername: 'altroadmin', adminPassword: 'altro123' })).status, 200);
+    const altroCassa = await outsider.post('/api/admin/auth-users', { username: 'cassa2', password: 'cassa123', user_type: 'store' });
+    const crossed = await assign(outsider, cassa.data.id, []);
+    assert.strictEqual(crossed.status, 302);
+    assert.match(crossed.headers.get('location'), /^\/t\/altro\//);
+    assert.strictEqual((await outsider.post(`/t/altro/api/admin/auth-users/${cassa.data.id}/locations`, { location_ids: [] })).status, 404);
+    assert.strictEqual((await outsider.post(`/t/altro/api/admin/auth-users/${altroCassa.data.id}/locations`, { location_ids: [centro.id] })).status, 400);
+    assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM auth_user_locations WHERE auth_user_id = ?', cassa.data.id)).n, 1);
+
+    // The operator's only shop is used when none is given, and the campaign doesn't cover it
+    const elsewhere = await store.post(`/t/demo/api/coupons/${code}/redeem`, {});
+    assert.strictEqual(elsewhere.status, 400);
+    assert.match(elsewhere.data.error, /non valido in questa sede/);
+    assert.strictEqual((await store.post(`/t/demo/api/coupons/${code}/redeem`, { location_id: centro.id })).status, 403);
+    assert.match((await admin.post(`/t/demo/api/coupons/${code}/redeem`, {})).data.error, /Seleziona la sede/);
+    const redeemed = await admin.post(`/t/demo/api/coupons/${code}/redeem`, { location_id: centro.id });
+    assert.strictEqual(redeemed.status, 200, JSON.stringify(redeemed.data));
+
+    const summary = await admin.get('/api/admin/analytics/summary');
+    assert.deepStrictEqual(summary.data.byLocation.map(l => [l.locationId, l.name, l.redemptions]), [[centro.id, 'Centro', 1]]);
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, signupTenant, createCampaign, submitForm } = require('./helpers');
+
+test('punch coupons count their uses and vouchers spend their balance over several visits', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+    const issue = async (campaign, ip) => {
+        await submitForm(server.baseUrl, campaign.campaign_code, {}, { 'x-forwarded-for': ip });
+        return (await db.get('SELECT * FROM coupons WHERE campaign_id = ?', campaign.id)).code;
+    };
+    const redeem = (code, body = {}) => admin.post(`/t/demo/api/coupons/${code}/redeem`, body);
+    const lookup = async (code) => (await admin.get(`/t/demo/api/coupons/${code}`)).data;
+
+    const coffees = await createCampaign(admin, { name: 'Caffè', discount_type: 'text', discount_value: 'Un caffè', max_uses: 3 });
+    const punch = await issue(coffees, '10.0.2.1');
+    assert.strictEqual((await lookup(punch)).remainingUses, 3);
+    for (const remaining of [2, 1, 0]) {
+        const res = await redeem(punch, { receipt_ref: `S-${remaining}` });
+        assert.strictEqual(res.status, 200, JSON.stringify(res.data));
+        assert.strictEqual(res.data.remainingUses, remaining);
+    }
+    assert.strictEqual((await lookup(punch)).status, 'redeemed');
+    assert.strictEqual((await redeem(punch)).status, 409);
+
+    const gift = await createCampaign(admin, { name: 'Gift card', discount_type: 'fixed', discount_value: '50' });
+    const card = await issue(gift, '10.0.2.2');
+    assert.strictEqual((await lookup(card)).balance, 50);
+    const first = await redeem(card, { amount: 20 });
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.data.balance, 30);
+    assert.strictEqual(first.data.status, 'active');
+    const tooMuch = await redeem(card, { amount: 40 });
+    assert.strictEqual(tooMuch.status, 400);
+    assert.match(tooMuch.data.error, /saldo/);
+    // Without an amount the rest of the balance is spent
+    const last = await redeem(card);
+    assert.strictEqual(last.data.amount, 30);
+    assert.strictEqual(last.data.balance, 0);
+    assert.strictEqual(last.data.status, 'redeemed');
+
+    // One ledger row per use, with who spent what
+    const { id: operatorId } = await db.get("SELECT id FROM auth_users WHERE username = 'demoadmin'");
+    const ledger = await db.all(
+        'SELECT r.amount, r.operator_id, r.receipt_ref FROM coupon_redemptions r JOIN coupons c ON c.id = r.coupon_id WHERE c.code IN (?, ?) ORDER BY r.id',
+        punch, card
+    );
+    assert.deepStrictEqual(ledger.map(r => r.amount), [null, null, null, 20, 30]);
+    assert.deepStrictEqual(ledger.map(r => r.receipt_ref).slice(0, 3), ['S-2', 'S-1', 'S-0']);
+    assert.ok(ledger.every(r => r.operator_id === operatorId));
+});
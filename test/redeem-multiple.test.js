@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, signupTenant, createCampaign, submitForm } = require('./helpers');
+
+test('coupons presented together are redeemed all or none', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const first = await createCampaign(admin, { name: 'Primo', stacking: 'any' });
+    const second = await createCampaign(admin, { name: 'Secondo', stacking: 'any' });
+    await submitForm(server.baseUrl, first.campaign_code, { email: 'anna@example.com' }, { 'x-forwarded-for': '10.0.0.1' });
+    await submitForm(server.baseUrl, second.campaign_code, { email: 'anna@example.com' }, { 'x-forwarded-for': '10.0.0.2' });
+    const db = await server.getDb();
+    const coupons = await db.all('SELECT id, code FROM coupons ORDER BY id');
+    assert.strictEqual(coupons.length, 2);
+    const codes = coupons.map(c => c.code);
+
+    const redeem = () => admin.post('/t/demo/api/coupons/redeem-multiple', { codes });
+    const assertUnredeemed = async () => {
+        const rows = await db.all('SELECT status, COALESCE(uses_count, 0) AS uses FROM coupons ORDER BY id');
+        assert.deepStrictEqual(rows, coupons.map(() => ({ status: 'active', uses: 0 })));
+        assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM coupon_redemptions')).n, 0);
+    };
+
+    // The second coupon changes under the till on every attempt: the first must not stay redeemed
+    await db.exec(`CREATE TRIGGER skip_second BEFORE UPDATE ON coupons WHEN NEW.id = ${coupons[1].id} BEGIN SELECT RAISE(IGNORE); END`);
+    const conflict = await redeem();
+    assert.strictEqual(conflict.status, 409);
+    assert.deepStrictEqual(conflict.data.applied, []);
+    await assertUnredeemed();
+    await db.exec('DROP TRIGGER skip_second');
+
+    // A database failure halfway through rolls back the whole group too
+    await db.exec(`CREATE TRIGGER fail_second BEFORE INSERT ON coupon_redemptions WHEN NEW.coupon_id = ${coupons[1].id} BEGIN SELECT RAISE(ABORT, 'boom'); END`);
+    const crashed = await redeem();
+    assert.strictEqual(crashed.status, 500);
+    await assertUnredeemed();
+    await db.exec('DROP TRIGGER fail_second');
+
+    const ok = await redeem();
+    assert.strictEqual(ok.status, 200);
+    assert.deepStrictEqual(ok.data.applied.map(a => a.code), codes);
+    const rows = await db.all('SELECT status FROM coupons ORDER BY id');
+    assert.deepStrictEqual(rows.map(r => r.status), ['redeemed', 'redeemed']);
+    assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM coupon_redemptions')).n, 2);
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, signupTenant, createCampaign, submitForm } = require('./helpers');
+
+// The app is a singleton per process: the tests share one instance and issue their own coupons
+let shared;
+test.after(() => shared && shared.server.close());
+async function setup() {
+    if (!shared) {
+        const server = await startApp();
+        const admin = await signupTenant(server.baseUrl);
+        const campaign = await createCampaign(admin);
+        const db = await server.getDb();
+        const issue = async (email) => {
+            await submitForm(server.baseUrl, campaign.campaign_code, { email }, { 'x-forwarded-for': `10.0.0.${email.length}` });
+            return (await db.get('SELECT * FROM coupons WHERE user_id = (SELECT id FROM users WHERE email = ?)', email)).code;
+        };
+        shared = { server, admin, db, issue };
+    }
+    return shared;
+}
+
+test('parallel redeems of one code let exactly one till win', async () => {
+    const { admin, db, issue } = await setup();
+    const code = await issue('anna@example.com');
+
+    const results = await Promise.all(Array.from({ length: 8 }, () => admin.post(`/t/demo/api/coupons/${code}/redeem`, {})));
+    const statuses = results.map(r => r.status).sort();
+    assert.deepStrictEqual(statuses, [200, 409, 409, 409, 409, 409, 409, 409]);
+
+    const coupon = await db.get('SELECT * FROM coupons WHERE code = ?', code);
+    assert.strictEqual(coupon.status, 'redeemed');
+    assert.strictEqual(coupon.uses_count, 1);
+    assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM coupon_redemptions WHERE coupon_id = ?', coupon.id)).n, 1);
+});
+
+test('a retry with the same Idempotency-Key gets the stored response, unless the first outcome was transient', async () => {
+    const { admin, db, issue } = await setup();
+    const code = await issue('dario@example.com');
+    const redeem = (key, body = {}, c = code) => admin.post(`/t/demo/api/coupons/${c}/redeem`, body, { 'Idempotency-Key': key });
+
+    const first = await redeem('cassa-1');
+    assert.strictEqual(first.status, 200);
+    const replay = await redeem('cassa-1');
+    assert.strictEqual(replay.status, 200);
+    assert.strictEqual(replay.headers.get('idempotent-replayed'), 'true');
+    assert.deepStrictEqual(replay.data, first.data);
+    assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM coupon_redemptions r JOIN coupons c ON c.id = r.coupon_id WHERE c.code = ?', code)).n, 1);
+    assert.strictEqual((await redeem('cassa-1', { receipt_ref: 'altro' })).status, 422);
+
+    // "Coupon in uso" is not stored: once the other till is done, the same key redeems
+    const second = await issue('bruno@example.com');
+    await db.exec(`CREATE TRIGGER busy BEFORE UPDATE ON coupons WHEN OLD.code = '${second}' BEGIN SELECT RAISE(IGNORE); END`);
+    const busy = await redeem('cassa-2', {}, second);
+    assert.strictEqual(busy.status, 409);
+    await db.exec('DROP TRIGGER busy');
+    const retried = await redeem('cassa-2', {}, second);
+    assert.strictEqual(retried.status, 200);
+    assert.strictEqual(retried.headers.get('idempotent-replayed'), null);
+
+    // A reservation left by a request that never finished doesn't block the key
+    const third = await issue('carla@example.com');
+    await db.run(
+        "INSERT INTO idempotency_keys (scope, idem_key, request_hash, created_at) VALUES ('redeem:' || (SELECT id FROM tenants WHERE slug = 'demo'), 'cassa-3', 'x', datetime('now', '-1 hour'))"
+    );
+    assert.strictEqual((await redeem('cassa-3', {}, third)).status, 200);
+});
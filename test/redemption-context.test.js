@@ -0,0 +1,38 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, Client, signupTenant, createCampaign, submitForm } = require('./helpers');
+
+test('each redemption records the operator, shop and receipt and reports them', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const campaign = await createCampaign(admin);
+    await submitForm(server.baseUrl, campaign.campaign_code);
+    const db = await server.getDb();
+    const { code } = await db.get('SELECT code FROM coupons');
+
+    assert.strictEqual((await admin.post('/api/admin/auth-users', { username: 'cassa1', password: 'cassa123', user_type: 'store' })).status, 200);
+    const store = new Client(server.baseUrl);
+    assert.strictEqual((await store.post('/api/login', { username: 'cassa1', password: 'cassa123', userType: 'store' })).status, 200);
+
+    const redeemed = await store.post(`/t/demo/api/coupons/${code}/redeem`, { location: 'Cassa 2 - Centro', receipt_ref: 'SCONTRINO-0042' });
+    assert.strictEqual(redeemed.status, 200, JSON.stringify(redeemed.data));
+
+    const [row] = (await store.get('/t/demo/api/store/coupons/redeemed')).data;
+    assert.strictEqual(row.code, code);
+    assert.strictEqual(row.redeemedBy, 'cassa1');
+    assert.strictEqual(row.location, 'Cassa 2 - Centro');
+    assert.strictEqual(row.receiptRef, 'SCONTRINO-0042');
+
+    const { items } = (await admin.get('/api/admin/coupons?status=redeemed')).data;
+    assert.deepStrictEqual(items.map(c => [c.code, c.redeemedBy, c.receiptRef]), [[code, 'cassa1', 'SCONTRINO-0042']]);
+
+    const csv = await admin.get('/api/admin/analytics/export');
+    assert.strictEqual(csv.status, 200);
+    const [header, line] = csv.data.split('\n');
+    assert.match(header, /Redeemed By,Location,Receipt Ref/);
+    assert.ok(line.startsWith(`${code},redeemed,`));
+    assert.match(line, /"cassa1","Cassa 2 - Centro","SCONTRINO-0042"/);
+});
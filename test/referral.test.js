@@ -0,0 +1,56 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, signupTenant, createCampaign, submitForm } = require('./helpers');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The reward is issued in the background after the redemption responds
+async function waitFor(check) {
+    for (let i = 0; i < 40; i++) {
+        const value = await check();
+        if (value) return value;
+        await sleep(50);
+    }
+    return null;
+}
+
+test('a failed reward leaves the referral pending, never rewarded without a coupon', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+    const campaign = await createCampaign(admin, {
+        name: 'Porta un amico',
+        campaign_type: 'referral',
+        referral_reward: { discount_type: 'fixed', discount_value: '5' }
+    });
+
+    await submitForm(server.baseUrl, campaign.campaign_code, { email: 'anna@example.com' }, { 'x-forwarded-for': '10.0.0.1' });
+    const { referral_token: token } = await db.get(
+        "SELECT c.referral_token FROM coupons c JOIN users u ON u.id = c.user_id WHERE u.email = 'anna@example.com'"
+    );
+    const redeemFriend = async (email, ip) => {
+        await submitForm(server.baseUrl, campaign.campaign_code, { email, ref: token }, { 'x-forwarded-for': ip });
+        const { code } = await db.get('SELECT c.code FROM coupons c JOIN users u ON u.id = c.user_id WHERE u.email = ?', email);
+        const res = await admin.post(`/t/demo/api/coupons/${code}/redeem`, {});
+        assert.strictEqual(res.status, 200, JSON.stringify(res.data));
+    };
+
+    // The reward coupon insert fails: the claim is rolled back with it
+    await db.exec(`CREATE TRIGGER fail_reward BEFORE INSERT ON coupons WHEN NEW.referral_reward_for IS NOT NULL
+                   BEGIN SELECT RAISE(ABORT, 'reward insert failed'); END`);
+    await redeemFriend('bruno@example.com', '10.0.0.2');
+    await sleep(500);
+    const failed = await db.get("SELECT r.status, r.reward_coupon_id FROM referrals r JOIN users u ON u.id = r.referred_user_id WHERE u.email = 'bruno@example.com'");
+    assert.deepStrictEqual({ ...failed }, { status: 'pending', reward_coupon_id: null });
+    assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM coupons WHERE referral_reward_for IS NOT NULL')).n, 0);
+
+    await db.exec('DROP TRIGGER fail_reward');
+    await redeemFriend('carla@example.com', '10.0.0.3');
+    const rewarded = await waitFor(() => db.get(
+        "SELECT r.status, c.discount_value FROM referrals r JOIN users u ON u.id = r.referred_user_id JOIN coupons c ON c.id = r.reward_coupon_id WHERE u.email = 'carla@example.com'"
+    ));
+    assert.deepStrictEqual({ ...rewarded }, { status: 'rewarded', discount_value: '5' });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, Client, signupTenant, createCampaign } = require('./helpers');
+
+const TIME_ZONE = 'Pacific/Kiritimati'; // UTC+14: for most of the day its date is not the UTC date
+
+// Local calendar date in the tenant zone, `days` from today
+function localDate(days) {
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+}
+
+test('campaign windows are read in the tenant time zone and open and close the campaign by themselves', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+    assert.strictEqual((await admin.put('/t/demo/api/admin/timezone', { timezone: TIME_ZONE })).status, 200);
+
+    // Whole days run from local midnight to local end of day
+    const future = await createCampaign(admin, { name: 'Estate', starts_at: '2098-06-30', ends_at: '2098-07-31' });
+    const stored = await db.get('SELECT starts_at, ends_at FROM campaigns WHERE id = ?', future.id);
+    assert.deepStrictEqual(stored, { starts_at: '2098-06-29 10:00:00', ends_at: '2098-07-31 09:59:59' });
+    assert.strictEqual((await admin.post('/t/demo/api/admin/campaigns', { name: 'Rovescio', discount_type: 'percent', discount_value: '10', starts_at: '2098-07-31', ends_at: '2098-06-30' })).status, 400);
+
+    const running = await createCampaign(admin, { name: 'Oggi', ends_at: localDate(0) });
+    const ended = await createCampaign(admin, { name: 'Ieri', ends_at: localDate(-1) });
+    const upcoming = await createCampaign(admin, { name: 'Domani', starts_at: localDate(1) });
+
+    const status = async (campaign) => (await admin.get(`/t/demo/api/campaigns/${campaign.campaign_code}`));
+    assert.strictEqual((await status(running)).status, 200);
+    const before = await status(upcoming);
+    assert.strictEqual(before.status, 403);
+    assert.strictEqual(before.data.status, 'not_started');
+    const after = await status(ended);
+    assert.strictEqual(after.status, 410);
+    assert.strictEqual(after.data.status, 'ended');
+
+    const submit = (campaign) => new Client(server.baseUrl).post('/t/demo/submit', { email: 'cliente@example.com', firstName: 'Anna', lastName: 'Rossi', campaign_id: campaign.campaign_code });
+    const early = await submit(upcoming);
+    assert.strictEqual(early.status, 400);
+    assert.match(early.data, /non è ancora iniziata/);
+    const late = await submit(ended);
+    assert.strictEqual(late.status, 400);
+    assert.match(late.data, /terminata/);
+    assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM coupons')).n, 0);
+
+    const list = (await admin.get('/t/demo/api/admin/campaigns')).data;
+    const statusOf = (campaign) => list.find(c => c.id === campaign.id).schedule_status;
+    assert.deepStrictEqual([future, running, ended, upcoming].map(statusOf), ['upcoming', 'running', 'ended', 'upcoming']);
+
+    // The window is checked against the clock on every request: once the start passes, the campaign is open
+    await db.run("UPDATE campaigns SET starts_at = datetime('now', '-1 second') WHERE id = ?", upcoming.id);
+    assert.strictEqual((await status(upcoming)).status, 200);
+    await db.run("UPDATE campaigns SET ends_at = datetime('now') WHERE id = ?", running.id);
+    assert.strictEqual((await status(running)).status, 410);
+});
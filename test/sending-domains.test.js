@@ -0,0 +1,49 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, signupTenant, fakeResolver, publishDnsRecords } = require('./helpers');
+
+test('sending domains move through pending, verified, active and suspended as their DNS records change', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+    const resolver = fakeResolver();
+
+    const created = await admin.post('/t/demo/api/admin/sending-domains', { domain: 'negozio.it' });
+    assert.strictEqual(created.status, 200);
+    assert.strictEqual(created.data.status, 'pending');
+    const check = async () => server.checkSendingDomain(db, await db.get('SELECT * FROM tenant_domains WHERE id = ?', created.data.id), resolver);
+
+    let row = await check();
+    assert.strictEqual(row.status, 'pending');
+    assert.ok(JSON.parse(row.dns_records).every(r => r.status === 'missing'));
+
+    publishDnsRecords(resolver, created.data.dns_records);
+    row = await check();
+    assert.strictEqual(row.status, 'verified');
+    assert.ok(row.verified_at);
+
+    const activated = await admin.post(`/t/demo/api/admin/sending-domains/${row.id}/activate`);
+    assert.strictEqual(activated.status, 200);
+    assert.strictEqual((await check()).status, 'active');
+
+    // A DNS outage is not a missing record
+    resolver.failing = true;
+    row = await check();
+    assert.strictEqual(row.status, 'active');
+    assert.ok(JSON.parse(row.dns_records).every(r => r.status === 'error'));
+    resolver.failing = false;
+
+    const spf = created.data.dns_records.find(r => r.purpose === 'spf');
+    delete resolver.zone[spf.name].TXT;
+    row = await check();
+    assert.strictEqual(row.status, 'suspended');
+    assert.strictEqual(row.suspended_reason, 'dns');
+
+    publishDnsRecords(resolver, [spf]);
+    row = await check();
+    assert.strictEqual(row.status, 'active');
+    assert.strictEqual(row.suspended_reason, null);
+});
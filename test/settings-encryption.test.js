@@ -0,0 +1,33 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startApp, signupTenant } = require('./helpers');
+
+test('tenant credentials are not stored without an encryption key', async (t) => {
+    const server = await startApp({ SETTINGS_ENCRYPTION_KEY: '', SESSION_SECRET: '' });
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+
+    const email = await admin.put('/t/demo/api/admin/email-provider', {
+        provider: 'mailgun', from_address: 'Negozio <promo@negozio.it>', mailgun: { domain: 'mg.negozio.it', api_key: 'key-123' }
+    });
+    assert.strictEqual(email.status, 503);
+    assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM tenant_email_settings')).n, 0);
+
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const wallet = await admin.put('/t/demo/api/admin/wallet-settings', {
+        google: { issuer_id: '123', service_account_email: 'wallet@progetto.iam.gserviceaccount.com', private_key: privateKey.export({ type: 'pkcs8', format: 'pem' }) }
+    });
+    assert.strictEqual(wallet.status, 503);
+    assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM tenant_wallet_settings')).n, 0);
+
+    // Settings without secrets are still saved; sending domains are registered without a DKIM key
+    const color = await admin.put('/t/demo/api/admin/wallet-settings', { background_color: '#112233' });
+    assert.strictEqual(color.status, 200);
+    const domain = await admin.post('/t/demo/api/admin/sending-domains', { domain: 'negozio.it' });
+    assert.strictEqual(domain.status, 200);
+    assert.deepStrictEqual(await db.get('SELECT dkim_selector, dkim_private_key FROM tenant_domains'), { dkim_selector: null, dkim_private_key: null });
+});
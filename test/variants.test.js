@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, signupTenant, createCampaign, submitForm } = require('./helpers');
+
+test('A/B variants split customers by weight, stick to the email and are compared in analytics', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+
+    const campaign = await createCampaign(admin);
+    const variantsUrl = `/t/demo/api/admin/campaigns/${campaign.id}/variants`;
+    assert.strictEqual((await admin.put(variantsUrl, { variants: [{ label: 'Spento', discount_type: 'percent', discount_value: '5', weight: 0 }] })).status, 400);
+    const saved = await admin.put(variantsUrl, { variants: [
+        { label: 'Dieci', discount_type: 'percent', discount_value: '10', weight: 3, email_subject: 'Il tuo 10%' },
+        { label: 'Cinque euro', discount_type: 'fixed', discount_value: '5', weight: 1, email_subject: 'I tuoi 5 euro' },
+        { label: 'Pausa', discount_type: 'text', discount_value: 'Omaggio', weight: 0 }
+    ] });
+    assert.strictEqual(saved.status, 200);
+    const [ten, five, paused] = saved.data;
+
+    const coupons = [];
+    for (let i = 0; i < 40; i++) {
+        const email = `cliente${i}@example.com`;
+        await submitForm(server.baseUrl, campaign.campaign_code, { email }, { 'x-forwarded-for': `10.0.7.${i}` });
+        coupons.push(await db.get('SELECT c.*, u.email FROM coupons c JOIN users u ON u.id = c.user_id WHERE u.email = ?', email));
+    }
+    const count = (variant) => coupons.filter(c => c.variant_id === variant.id).length;
+    assert.strictEqual(count(paused), 0);
+    assert.strictEqual(count(ten) + count(five), 40);
+    assert.ok(count(ten) > count(five) && count(five) > 0, `${count(ten)} / ${count(five)}`);
+    // The coupon and its email carry the variant's discount and subject
+    for (const c of coupons) {
+        const variant = c.variant_id === ten.id ? ten : five;
+        assert.strictEqual(c.discount_type, variant.discount_type);
+        assert.strictEqual((await db.get('SELECT subject FROM email_outbox WHERE coupon_id = ?', c.id)).subject, variant.email_subject);
+    }
+
+    // The same customer always lands in the same variant
+    const again = coupons[0];
+    await submitForm(server.baseUrl, campaign.campaign_code, { email: again.email }, { 'x-forwarded-for': '10.0.7.200' });
+    const second = await db.get('SELECT variant_id FROM coupons WHERE user_id = ? AND id <> ?', again.user_id, again.id);
+    assert.strictEqual(second.variant_id, again.variant_id);
+
+    // A variant that issued coupons stays for the analytics: it can only be paused
+    const removed = await admin.put(variantsUrl, { variants: [{ ...ten }] });
+    assert.strictEqual(removed.status, 400);
+    assert.match(removed.data.error, /peso a 0/);
+
+    const redeemedTen = coupons.filter(c => c.variant_id === ten.id).slice(0, 3);
+    for (const c of redeemedTen) assert.strictEqual((await admin.post(`/t/demo/api/coupons/${c.code}/redeem`, {})).status, 200);
+    let [stats] = (await admin.get(`/api/admin/analytics/campaigns?campaignId=${campaign.id}`)).data.filter(s => s.id === campaign.id);
+    const tenStats = stats.variants.find(v => v.id === ten.id);
+    assert.strictEqual(tenStats.issued, count(ten) + (again.variant_id === ten.id ? 1 : 0));
+    assert.strictEqual(tenStats.redeemed, 3);
+    assert.strictEqual(tenStats.redemptionRate, 3 / tenStats.issued);
+    assert.strictEqual(stats.variantSignificance.leader, 'Dieci');
+    assert.strictEqual(stats.variantSignificance.enoughData, false);
+    assert.strictEqual(stats.variantSignificance.significant, false);
+
+    // With enough coupons per variant a large gap is flagged
+    const fill = async (variant, issued, redeemed) => {
+        for (let i = 0; i < issued; i++) {
+            await db.run(
+                `INSERT INTO coupons (code, campaign_id, tenant_id, discount_type, discount_value, status, variant_id)
+                 VALUES (?, ?, (SELECT tenant_id FROM campaigns WHERE id = ?), ?, ?, ?, ?)`,
+                `AB${variant.id}X${i}`, campaign.id, campaign.id, variant.discount_type, variant.discount_value, i < redeemed ? 'redeemed' : 'active', variant.id
+            );
+        }
+    };
+    await fill(ten, 40, 30);
+    await fill(five, 40, 5);
+    [stats] = (await admin.get(`/api/admin/analytics/campaigns?campaignId=${campaign.id}`)).data.filter(s => s.id === campaign.id);
+    assert.strictEqual(stats.variantSignificance.enoughData, true);
+    assert.strictEqual(stats.variantSignificance.significant, true);
+    assert.ok(stats.variantSignificance.pValue < 0.05);
+});
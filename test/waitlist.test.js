@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('timers/promises');
+const { startApp, Client, signupTenant, createCampaign, submitForm } = require('./helpers');
+
+// The queue is served in the background after the request that freed capacity
+async function eventually(check) {
+    for (let i = 0; i < 50; i++) {
+        if (await check()) return;
+        await sleep(50);
+    }
+    assert.fail('waitlist not served in time');
+}
+
+test('the waitlist is served in join order when capacity frees up or the campaign opens', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+    const db = await server.getDb();
+    const join = (campaign, email, i) => new Client(server.baseUrl).post(
+        '/t/demo/waitlist',
+        { email, firstName: 'Cliente', lastName: 'In attesa', campaign_id: campaign.campaign_code },
+        { 'x-forwarded-for': `10.0.6.${i}` }
+    );
+    const entries = (campaign) => db.all('SELECT email, status FROM campaign_waitlist WHERE campaign_id = ? ORDER BY id', campaign.id);
+
+    const soldOut = await createCampaign(admin, { name: 'Esaurita', max_coupons: 1 });
+    await submitForm(server.baseUrl, soldOut.campaign_code, {}, { 'x-forwarded-for': '10.0.6.100' });
+    for (const [i, email] of ['anna@example.com', 'bruno@example.com', 'carla@example.com', 'anna@example.com'].entries()) {
+        const joined = await join(soldOut, email, i);
+        assert.strictEqual(joined.status, 302);
+        assert.match(joined.headers.get('location'), /sold-out\?reason=waitlist/);
+    }
+    assert.deepStrictEqual(await entries(soldOut), [
+        { email: 'anna@example.com', status: 'pending' },
+        { email: 'bruno@example.com', status: 'pending' },
+        { email: 'carla@example.com', status: 'pending' }
+    ]);
+
+    // Two more places go to the first two in the queue, with the usual coupon email
+    assert.strictEqual((await admin.put(`/t/demo/api/admin/campaigns/${soldOut.id}/limits`, { max_coupons: 3 })).status, 200);
+    const mailed = async () => (await db.all('SELECT to_email FROM email_outbox ORDER BY id')).map(r => r.to_email);
+    await eventually(async () => (await mailed()).length === 3);
+    assert.deepStrictEqual(await mailed(), ['cliente@example.com', 'anna@example.com', 'bruno@example.com']);
+    assert.deepStrictEqual((await entries(soldOut)).map(e => e.status), ['issued', 'issued', 'pending']);
+
+    // A voided coupon frees the place for the next one
+    const { id } = await db.get("SELECT id FROM coupons WHERE user_id = (SELECT id FROM users WHERE email = 'cliente@example.com')");
+    assert.strictEqual((await admin.post(`/t/demo/api/admin/coupons/${id}/void`, { reason: 'Rinuncia' })).status, 200);
+    await eventually(async () => (await entries(soldOut))[2].status === 'issued');
+    assert.strictEqual((await db.get('SELECT COUNT(*) AS n FROM coupons WHERE campaign_id = ? AND status = ?', soldOut.id, 'active')).n, 3);
+
+    // Before the opening the form queues too; opening serves the queue
+    const upcoming = await createCampaign(admin, { name: 'In arrivo', starts_at: '2098-01-01' });
+    const info = await admin.get(`/t/demo/api/campaigns/${upcoming.campaign_code}`);
+    assert.strictEqual(info.status, 403);
+    assert.ok(info.data.waitlist);
+    assert.strictEqual((await join(upcoming, 'dario@example.com', 10)).status, 302);
+    assert.deepStrictEqual((await entries(upcoming)).map(e => e.status), ['pending']);
+    assert.strictEqual((await admin.put(`/t/demo/api/admin/campaigns/${upcoming.id}/schedule`, { starts_at: '2000-01-01' })).status, 200);
+    await eventually(async () => (await entries(upcoming))[0].status === 'issued');
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const forge = require('node-forge');
+const { startApp, signupTenant, createCampaign, submitForm } = require('./helpers');
+
+// Self-signed stand-ins for Apple's WWDR intermediate and a pass type certificate issued by it
+function makeCertificate(subjectCN, issuer, keys) {
+    const cert = forge.pki.createCertificate();
+    cert.publicKey = keys.publicKey;
+    cert.serialNumber = crypto.randomBytes(8).toString('hex');
+    cert.validity.notBefore = new Date(Date.now() - 60000);
+    cert.validity.notAfter = new Date(Date.now() + 365 * 86400000);
+    cert.setSubject([{ name: 'commonName', value: subjectCN }]);
+    cert.setIssuer([{ name: 'commonName', value: issuer ? issuer.cn : subjectCN }]);
+    cert.sign(issuer ? issuer.privateKey : keys.privateKey, forge.md.sha256.create());
+    return cert;
+}
+
+function rsaKeys() {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const forgeKey = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+    return { privateKey: forgeKey, publicKey: forge.pki.setRsaPublicKey(forgeKey.n, forgeKey.e), nodeKey: privateKey };
+}
+
+// Files of a zip archive, read through its central directory
+function unzip(buffer) {
+    const files = {};
+    const eocd = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    let offset = buffer.readUInt32LE(eocd + 16);
+    for (let i = 0; i < buffer.readUInt16LE(eocd + 10); i++) {
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        files[name] = method === 8 ? zlib.inflateRawSync(data) : data;
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return files;
+}
+
+// Checks the detached PKCS#7 signature of manifest.json the way Wallet does: the signed attributes carry
+// the manifest digest and are signed by the pass certificate
+function verifyPassSignature(signature, manifest, certificatePem) {
+    const { asn1 } = forge;
+    const contentInfo = asn1.fromDer(forge.util.createBuffer(signature.toString('binary')));
+    const signedData = contentInfo.value[1].value[0];
+    const signerInfo = signedData.value[signedData.value.length - 1].value[0];
+    const attributes = signerInfo.value.find(node => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+    const signatureValue = signerInfo.value[signerInfo.value.length - 1];
+    const digestAttribute = attributes.value.find(attr => asn1.derToOid(attr.value[0].value) === forge.pki.oids.messageDigest);
+    const digest = Buffer.from(digestAttribute.value[1].value[0].value, 'binary');
+    assert.deepStrictEqual(digest, crypto.createHash('sha256').update(manifest).digest());
+    const signedAttributes = asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, attributes.value)).getBytes();
+    return crypto.verify('sha256', Buffer.from(signedAttributes, 'binary'), certificatePem, Buffer.from(signatureValue.value, 'binary'));
+}
+
+test('wallet passes are signed with the stored, encrypted keys', async (t) => {
+    const server = await startApp();
+    t.after(() => server.close());
+    const admin = await signupTenant(server.baseUrl);
+
+    const wwdrKeys = rsaKeys();
+    const wwdr = makeCertificate('Test WWDR', null, wwdrKeys);
+    const passKeys = rsaKeys();
+    const passCert = makeCertificate('Pass Type ID: pass.it.test.coupon', { cn: 'Test WWDR', privateKey: wwdrKeys.privateKey }, passKeys);
+    const googleKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const applePrivateKey = forge.pki.encryptRsaPrivateKey(passKeys.privateKey, 'segreto');
+    const googlePrivateKey = googleKey.privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+    const saved = await admin.put('/t/demo/api/admin/wallet-settings', {
+        background_color: '#112233',
+        apple: {
+            pass_type_id: 'pass.it.test.coupon',
+            team_id: 'ABCDE12345',
+            certificate: forge.pki.certificateToPem(passCert),
+            private_key: applePrivateKey,
+            key_passphrase: 'segreto',
+            wwdr_certificate: forge.pki.certificateToPem(wwdr)
+        },
+        google: { issuer_id: '3388000000012345678', service_account_email: 'wallet@test.iam.gserviceaccount.com', private_key: googlePrivateKey }
+    });
+    assert.strictEqual(saved.status, 200, JSON.stringify(saved.data));
+
+    const db = await server.getDb();
+    const row = await db.get('SELECT apple_private_key, apple_key_passphrase, google_private_key FROM tenant_wallet_settings');
+    for (const value of Object.values(row)) {
+        assert.match(value, /^v1:/);
+        assert.doesNotMatch(value, /PRIVATE KEY|segreto/);
+    }
+    const settings = await admin.get('/t/demo/api/admin/wallet-settings');
+    assert.doesNotMatch(JSON.stringify(settings.data), /PRIVATE KEY|segreto/);
+
+    const campaign = await createCampaign(admin, { name: 'Wallet' });
+    const token = await submitForm(server.baseUrl, campaign.campaign_code);
+
+    await t.test('Apple pass', async () => {
+        const res = await fetch(`${server.baseUrl}/t/demo/coupon-wallet/${token}/apple`);
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers.get('content-type'), 'application/vnd.apple.pkpass');
+        const files = unzip(Buffer.from(await res.arrayBuffer()));
+        const manifest = JSON.parse(files['manifest.json']);
+        for (const [name, sha1] of Object.entries(manifest)) {
+            assert.strictEqual(crypto.createHash('sha1').update(files[name]).digest('hex'), sha1, name);
+        }
+        const pass = JSON.parse(files['pass.json']);
+        assert.strictEqual(pass.passTypeIdentifier, 'pass.it.test.coupon');
+        assert.strictEqual(pass.backgroundColor, 'rgb(17, 34, 51)');
+        assert.ok(verifyPassSignature(files.signature, files['manifest.json'], forge.pki.certificateToPem(passCert)));
+        // A tampered manifest no longer matches the signed digest
+        assert.throws(() => verifyPassSignature(files.signature, Buffer.from('{}'), forge.pki.certificateToPem(passCert)));
+    });
+
+    await t.test('Google Wallet JWT', async () => {
+        const res = await fetch(`${server.baseUrl}/t/demo/coupon-wallet/${token}/google`, { redirect: 'manual' });
+        assert.strictEqual(res.status, 302);
+        const jwt = res.headers.get('location').replace('https://pay.google.com/gp/v/save/', '');
+        const [header, claims, signature] = jwt.split('.');
+        assert.deepStrictEqual(JSON.parse(Buffer.from(header, 'base64url')), { alg: 'RS256', typ: 'JWT' });
+        assert.ok(crypto.verify('RSA-SHA256', Buffer.from(`${header}.${claims}`), googleKey.publicKey, Buffer.from(signature, 'base64url')));
+        const payload = JSON.parse(Buffer.from(claims, 'base64url'));
+        assert.strictEqual(payload.iss, 'wallet@test.iam.gserviceaccount.com');
+        assert.strictEqual(payload.aud, 'google');
+        assert.strictEqual(payload.payload.offerObjects[0].classId, payload.payload.offerClasses[0].id);
+    });
+
+    await t.test('legacy coupon without a tenant', async () => {
+        await db.run("INSERT INTO coupons (code, discount_type, discount_value, status, pdf_token) VALUES ('LEGACY1', 'percent', '10', 'active', 'legacy-token')");
+        for (const wallet of ['apple', 'google']) {
+            const res = await fetch(`${server.baseUrl}/coupon-wallet/legacy-token/${wallet}`, { redirect: 'manual' });
+            assert.strictEqual(res.status, 404, wallet);
+            assert.match((await res.json()).error, /non disponibile/);
+        }
+        const info = await (await fetch(`${server.baseUrl}/coupon-wallet/legacy-token`)).json();
+        assert.strictEqual(info.apple, false);
+        assert.strictEqual(info.google, false);
+    });
+});